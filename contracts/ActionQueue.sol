@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// Delays the owner's actions: the owner queues a call to one of the
+// contract's onlyQueued functions, anyone can execute it once MIN_DELAY has
+// passed, until the owner cancels it. Ownership moves in two steps.
+abstract contract ActionQueue is Ownable2Step {
+    uint256 public constant MIN_DELAY = 2 days;
+
+    mapping(bytes32 => uint256) public action_Eta;
+
+    error ActionQueue__NotQueued();
+    error ActionQueue__AlreadyQueued();
+    error ActionQueue__NotReady();
+
+    event ActionQueue__Queued(bytes32 indexed id, bytes data, uint256 eta);
+    event ActionQueue__Cancelled(bytes32 indexed id);
+    event ActionQueue__Executed(bytes32 indexed id, bytes data);
+
+    // Queued actions reach their function through `execute`.
+    modifier onlyQueued() {
+        if (msg.sender != address(this)) revert ActionQueue__NotQueued();
+        _;
+    }
+
+    function queue(
+        bytes calldata data
+    ) external onlyOwner returns (bytes32 id) {
+        id = keccak256(data);
+        if (action_Eta[id] != 0) revert ActionQueue__AlreadyQueued();
+        uint256 eta = block.timestamp + MIN_DELAY;
+        action_Eta[id] = eta;
+        emit ActionQueue__Queued(id, data, eta);
+    }
+
+    function cancel(bytes32 id) external onlyOwner {
+        if (action_Eta[id] == 0) revert ActionQueue__NotQueued();
+        delete action_Eta[id];
+        emit ActionQueue__Cancelled(id);
+    }
+
+    function execute(bytes calldata data) external {
+        bytes32 id = keccak256(data);
+        uint256 eta = action_Eta[id];
+        if (eta == 0) revert ActionQueue__NotQueued();
+        if (block.timestamp < eta) revert ActionQueue__NotReady();
+        delete action_Eta[id];
+        Address.functionCall(address(this), data);
+        emit ActionQueue__Executed(id, data);
+    }
+}
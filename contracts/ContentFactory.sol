@@ -4,10 +4,36 @@ pragma solidity 0.8.19;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 
+// How curation prices move, chosen per collection at launch:
+// - StepUp: each curation pays `step` over the last price plus priceIncrement,
+//   one whole unit of the quote.
+// - Harberger: holders self-assess their price and pay `taxRate` a year on it
+//   from a deposit, which must cover MIN_TAX_PERIOD at the assessed price.
+//   Anyone curates at the assessed price, and an exhausted deposit
+//   forecloses the price back to priceIncrement.
+// - Dutch: the step-up price decays linearly over `decay` back to the last
+//   price plus priceIncrement.
+// Surplus over the last price and Harberger taxes go `creatorShare` to the
+// content creator and `healShare` to Token.heal, in basis points. The rest
+// of a surplus goes to the previous owner, the rest of a tax to the rewarder.
+// Curation is the only sale, so it pays the collection's ERC-2981 royalty
+// on the whole price to the content creator, out of the previous owner's
+// part.
+struct CurationParams {
+    uint256 mode;
+    uint256 step;
+    uint256 taxRate;
+    uint256 decay;
+    uint256 creatorShare;
+    uint256 healShare;
+}
+
 interface IRewarderFactory {
     function create(address _content) external returns (address);
 }
@@ -24,7 +50,13 @@ interface IRewarder {
     function withdraw(address account, uint256 amount) external;
 }
 
+interface IWaveFront {
+    function token_Timelock(address token) external view returns (address);
+}
+
 interface IToken {
+    function wavefront() external view returns (address);
+
     function heal(uint256 amount) external;
 }
 
@@ -32,24 +64,68 @@ contract Content is
     ERC721,
     ERC721Enumerable,
     ERC721URIStorage,
+    IERC2981,
     ReentrancyGuard
 {
     using SafeERC20 for IERC20;
     using Math for uint256;
 
+    enum Mode {
+        StepUp,
+        Harberger,
+        Dutch
+    }
+
+    uint256 public constant DIVISOR = 10_000;
+    uint256 public constant YEAR = 365 days;
+    uint256 public constant MIN_TAX_PERIOD = 30 days;
+    uint256 public constant MAX_ROYALTY = 1_000; // 10%
+    uint256 public constant MAX_CURATION_STEP = 10_000; // 100% a curation
+
     address public immutable rewarder;
     address public immutable token;
     address public immutable quote;
+    uint256 public immutable priceIncrement; // 1 quote unit, in its decimals
+
+    Mode public immutable curationMode;
+    uint256 public curationStep;
+    uint256 public immutable curationTaxRate; // yearly, in basis points
+    uint256 public immutable curationDecay;
+    uint256 public immutable curationCreatorShare;
+    uint256 public immutable curationHealShare;
+
+    // The token's creator, who appoints moderators and sets the collection
+    // metadata and royalty.
+    address public creator;
+    string public contractURI;
+    uint256 public royalty; // paid to each content's creator, in basis points
 
     uint256 public nextTokenId;
+    uint256 public totalTaxDeposit;
+
+    mapping(address => bool) public account_Moderator;
 
     mapping(uint256 => uint256) public id_Price;
     mapping(uint256 => address) public id_Creator;
+    mapping(uint256 => uint256) public id_CuratedAt;
+    mapping(uint256 => uint256) public id_TaxDeposit;
+    mapping(uint256 => uint256) public id_TaxPaidAt;
+    mapping(uint256 => bool) public id_Flagged;
 
     error Content__InvalidAccount();
     error Content__InvalidPayment();
     error Content__InvalidTokenId();
     error Content__TransferDisabled();
+    error Content__NotHarberger();
+    error Content__NotOwner();
+    error Content__InsufficientDeposit();
+    error Content__NotCreator();
+    error Content__NotModerator();
+    error Content__IsFlagged();
+    error Content__IsForeclosed();
+    error Content__InvalidRoyalty();
+    error Content__NotGovernance();
+    error Content__InvalidCurationStep();
 
     event Content__Created(
         address indexed account,
@@ -61,16 +137,74 @@ contract Content is
         uint256 indexed tokenId,
         uint256 price
     );
+    event Content__Assessed(
+        address indexed account,
+        uint256 indexed tokenId,
+        uint256 price
+    );
+    event Content__TaxDeposited(uint256 indexed tokenId, uint256 amount);
+    event Content__TaxWithdrawn(uint256 indexed tokenId, uint256 amount);
+    event Content__TaxCollected(uint256 indexed tokenId, uint256 amount);
+    event Content__Foreclosed(address indexed account, uint256 indexed tokenId);
+    event Content__CreatorSet(address indexed creator);
+    event Content__ModeratorSet(address indexed account, bool moderator);
+    event Content__Flagged(
+        address indexed moderator,
+        uint256 indexed tokenId,
+        bool flagged
+    );
+    event Content__Burned(address indexed moderator, uint256 indexed tokenId);
+    event Content__ContractURISet(string uri);
+    event Content__RoyaltySet(uint256 royalty);
+    event Content__RoyaltyPaid(
+        address indexed creator,
+        uint256 indexed tokenId,
+        uint256 amount
+    );
+    event Content__CurationStepSet(uint256 step);
+
+    modifier onlyHarberger() {
+        if (curationMode != Mode.Harberger) revert Content__NotHarberger();
+        _;
+    }
+
+    modifier onlyCreator() {
+        if (msg.sender != creator) revert Content__NotCreator();
+        _;
+    }
+
+    // The timelock of the token's governor, when it has one.
+    modifier onlyGovernance() {
+        if (msg.sender != _governance()) {
+            revert Content__NotGovernance();
+        }
+        _;
+    }
+
+    modifier onlyModerator() {
+        if (msg.sender != creator && !account_Moderator[msg.sender]) {
+            revert Content__NotModerator();
+        }
+        _;
+    }
 
     constructor(
         string memory _name,
         string memory _symbol,
         address _token,
         address _quote,
-        address rewarderFactory
+        address rewarderFactory,
+        CurationParams memory curation
     ) ERC721(_name, _symbol) {
         token = _token;
         quote = _quote;
+        priceIncrement = 10 ** IERC20Metadata(_quote).decimals();
+        curationMode = Mode(curation.mode);
+        curationStep = curation.step;
+        curationTaxRate = curation.taxRate;
+        curationDecay = curation.decay;
+        curationCreatorShare = curation.creatorShare;
+        curationHealShare = curation.healShare;
         rewarder = IRewarderFactory(rewarderFactory).create(address(this));
     }
 
@@ -93,23 +227,41 @@ contract Content is
         if (account == address(0)) revert Content__InvalidAccount();
         if (ownerOf(tokenId) == address(0)) revert Content__InvalidTokenId();
 
-        address creator = id_Creator[tokenId];
-        uint256 prevPrice = id_Price[tokenId];
+        if (id_Flagged[tokenId]) revert Content__IsFlagged();
+
         address prevOwner = ownerOf(tokenId);
+        // A foreclosure here zeroes the price and the previous stake.
+        if (curationMode == Mode.Harberger) _collectTax(tokenId);
+
+        uint256 prevPrice = id_Price[tokenId];
         uint256 nextPrice = getNextPrice(tokenId);
         uint256 surplus = nextPrice - prevPrice;
 
         id_Price[tokenId] = nextPrice;
+        id_CuratedAt[tokenId] = block.timestamp;
         _transfer(prevOwner, account, tokenId);
 
         IERC20(quote).safeTransferFrom(msg.sender, address(this), nextPrice);
 
-        IERC20(quote).safeTransfer(prevOwner, prevPrice + ((surplus * 3) / 9));
-        IERC20(quote).safeTransfer(creator, (surplus * 3) / 9);
-
-        IERC20(quote).safeApprove(token, 0);
-        IERC20(quote).safeApprove(token, (surplus * 3) / 9);
-        IToken(token).heal((surplus * 3) / 9);
+        uint256 paid = _splitToCreatorAndHeal(tokenId, surplus);
+        (address receiver, uint256 royaltyAmt) = royaltyInfo(
+            tokenId,
+            nextPrice
+        );
+        if (royaltyAmt > nextPrice - paid) royaltyAmt = nextPrice - paid;
+        if (royaltyAmt > 0) {
+            IERC20(quote).safeTransfer(receiver, royaltyAmt);
+            emit Content__RoyaltyPaid(receiver, tokenId, royaltyAmt);
+        }
+        IERC20(quote).safeTransfer(prevOwner, nextPrice - paid - royaltyAmt);
+
+        // The previous holder's unspent tax deposit goes back to them.
+        uint256 deposit = id_TaxDeposit[tokenId];
+        if (deposit > 0) {
+            id_TaxDeposit[tokenId] = 0;
+            totalTaxDeposit -= deposit;
+            IERC20(quote).safeTransfer(prevOwner, deposit);
+        }
 
         if (prevPrice > 0) {
             IRewarder(rewarder).withdraw(prevOwner, prevPrice);
@@ -119,10 +271,145 @@ contract Content is
         emit Content__Curated(account, tokenId, nextPrice);
     }
 
+    // Harberger holders set the price anyone can curate at, and pay tax on it.
+    // The deposit left after the tax owed must pay MIN_TAX_PERIOD of tax at
+    // the new price, the rewarder stake follows it.
+    function assess(
+        uint256 tokenId,
+        uint256 price
+    ) external onlyHarberger nonReentrant {
+        if (ownerOf(tokenId) != msg.sender) revert Content__NotOwner();
+        if (price == 0) revert Content__InvalidPayment();
+        if (isForeclosed(tokenId)) revert Content__IsForeclosed();
+        _collectTax(tokenId);
+        uint256 deposit = id_TaxDeposit[tokenId];
+        if (deposit == 0 || deposit < getMinTaxDeposit(price)) {
+            revert Content__InsufficientDeposit();
+        }
+
+        uint256 prevPrice = id_Price[tokenId];
+        id_Price[tokenId] = price;
+        if (prevPrice > 0) {
+            IRewarder(rewarder).withdraw(msg.sender, prevPrice);
+        }
+        IRewarder(rewarder).deposit(msg.sender, price);
+
+        emit Content__Assessed(msg.sender, tokenId, price);
+    }
+
+    function depositTax(
+        uint256 tokenId,
+        uint256 amount
+    ) external onlyHarberger nonReentrant {
+        if (amount == 0) revert Content__InvalidPayment();
+        _requireMinted(tokenId);
+        _collectTax(tokenId);
+
+        id_TaxDeposit[tokenId] += amount;
+        totalTaxDeposit += amount;
+
+        emit Content__TaxDeposited(tokenId, amount);
+        IERC20(quote).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    function withdrawTax(
+        uint256 tokenId,
+        uint256 amount
+    ) external onlyHarberger nonReentrant {
+        if (ownerOf(tokenId) != msg.sender) revert Content__NotOwner();
+        _collectTax(tokenId);
+        if (amount > id_TaxDeposit[tokenId]) {
+            revert Content__InsufficientDeposit();
+        }
+
+        id_TaxDeposit[tokenId] -= amount;
+        totalTaxDeposit -= amount;
+
+        emit Content__TaxWithdrawn(tokenId, amount);
+        IERC20(quote).safeTransfer(msg.sender, amount);
+    }
+
+    // Anyone can settle the tax owed, foreclosing an exhausted deposit.
+    function collectTax(uint256 tokenId) external onlyHarberger nonReentrant {
+        _requireMinted(tokenId);
+        _collectTax(tokenId);
+    }
+
+    /*----------  MODERATION  -------------------------------------------*/
+
+    // WaveFront sets the first creator at launch, after that only the
+    // creator hands the role over.
+    function setCreator(address _creator) external {
+        if (
+            msg.sender != creator &&
+            !(creator == address(0) && msg.sender == IToken(token).wavefront())
+        ) revert Content__NotCreator();
+        if (_creator == address(0)) revert Content__InvalidAccount();
+        creator = _creator;
+        emit Content__CreatorSet(_creator);
+    }
+
+    // Holders can also appoint and remove moderators through governance.
+    function setModerator(address account, bool moderator) external {
+        if (msg.sender != creator && msg.sender != _governance()) {
+            revert Content__NotCreator();
+        }
+        account_Moderator[account] = moderator;
+        emit Content__ModeratorSet(account, moderator);
+    }
+
+    function setCurationStep(uint256 step) external onlyGovernance {
+        if (step > MAX_CURATION_STEP) revert Content__InvalidCurationStep();
+        curationStep = step;
+        emit Content__CurationStepSet(step);
+    }
+
+    function setContractURI(string calldata uri) external onlyCreator {
+        contractURI = uri;
+        emit Content__ContractURISet(uri);
+    }
+
+    function setRoyalty(uint256 _royalty) external onlyCreator {
+        if (_royalty > MAX_ROYALTY) revert Content__InvalidRoyalty();
+        royalty = _royalty;
+        emit Content__RoyaltySet(_royalty);
+    }
+
+    // Flagged content stays with its holder but cannot be curated.
+    function flag(uint256 tokenId, bool flagged) external onlyModerator {
+        _requireMinted(tokenId);
+        id_Flagged[tokenId] = flagged;
+        emit Content__Flagged(msg.sender, tokenId, flagged);
+    }
+
+    // Burning takes the holder's stake out of the rewarder and returns any
+    // tax deposit left after the tax owed. The price the holder paid is not
+    // refunded, it went to the previous owner, the creator and the floor.
+    function burn(uint256 tokenId) external onlyModerator nonReentrant {
+        address owner = ownerOf(tokenId);
+        if (curationMode == Mode.Harberger) _collectTax(tokenId);
+
+        uint256 price = id_Price[tokenId];
+        uint256 deposit = id_TaxDeposit[tokenId];
+        delete id_Price[tokenId];
+        delete id_TaxDeposit[tokenId];
+        delete id_Flagged[tokenId];
+        _burn(tokenId);
+
+        if (price > 0) IRewarder(rewarder).withdraw(owner, price);
+        if (deposit > 0) {
+            totalTaxDeposit -= deposit;
+            IERC20(quote).safeTransfer(owner, deposit);
+        }
+
+        emit Content__Burned(msg.sender, tokenId);
+    }
+
     function distribute() external {
         uint256 duration = IRewarder(rewarder).DURATION();
 
-        uint256 balanceQuote = IERC20(quote).balanceOf(address(this));
+        uint256 balanceQuote = IERC20(quote).balanceOf(address(this)) -
+            totalTaxDeposit;
         uint256 leftQuote = IRewarder(rewarder).left(quote);
         if (balanceQuote > leftQuote && balanceQuote > duration) {
             IERC20(quote).safeApprove(rewarder, 0);
@@ -178,10 +465,19 @@ contract Content is
     )
         public
         view
-        override(ERC721, ERC721Enumerable, ERC721URIStorage)
+        override(ERC721, ERC721Enumerable, ERC721URIStorage, IERC165)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return
+            interfaceId == type(IERC2981).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    function royaltyInfo(
+        uint256 tokenId,
+        uint256 salePrice
+    ) public view returns (address receiver, uint256 royaltyAmount) {
+        return (id_Creator[tokenId], (salePrice * royalty) / DIVISOR);
     }
 
     function _burn(
@@ -196,8 +492,89 @@ contract Content is
         return super.tokenURI(tokenId);
     }
 
+    // What the first curation of new content costs, in every mode.
+    function initialPrice() public view returns (uint256) {
+        return priceIncrement;
+    }
+
     function getNextPrice(uint256 tokenId) public view returns (uint256) {
-        return (id_Price[tokenId] * 11) / 10 + 1e6;
+        uint256 price = id_Price[tokenId];
+        if (curationMode == Mode.Harberger) {
+            return price == 0 || isForeclosed(tokenId) ? initialPrice() : price;
+        }
+        uint256 ceiling = (price * (DIVISOR + curationStep)) /
+            DIVISOR +
+            priceIncrement;
+        if (curationMode == Mode.StepUp) return ceiling;
+
+        uint256 floor = price + priceIncrement;
+        uint256 elapsed = block.timestamp - id_CuratedAt[tokenId];
+        if (elapsed >= curationDecay) return floor;
+        return ceiling - ((ceiling - floor) * elapsed) / curationDecay;
+    }
+
+    // The deposit `assess` needs to set `price`.
+    function getMinTaxDeposit(uint256 price) public view returns (uint256) {
+        return (price * curationTaxRate * MIN_TAX_PERIOD) / (DIVISOR * YEAR);
+    }
+
+    // Tax accrued since the last collection, capped at the deposit.
+    function getTaxOwed(uint256 tokenId) public view returns (uint256) {
+        return Math.min(_taxAccrued(tokenId), id_TaxDeposit[tokenId]);
+    }
+
+    function isForeclosed(uint256 tokenId) public view returns (bool) {
+        return
+            id_Price[tokenId] > 0 &&
+            _taxAccrued(tokenId) > id_TaxDeposit[tokenId];
+    }
+
+    function _taxAccrued(uint256 tokenId) internal view returns (uint256) {
+        if (curationMode != Mode.Harberger) return 0;
+        uint256 elapsed = block.timestamp - id_TaxPaidAt[tokenId];
+        return
+            (id_Price[tokenId] * curationTaxRate * elapsed) / (DIVISOR * YEAR);
+    }
+
+    function _governance() internal view returns (address) {
+        return IWaveFront(IToken(token).wavefront()).token_Timelock(token);
+    }
+
+    function _collectTax(uint256 tokenId) internal {
+        bool foreclosed = isForeclosed(tokenId);
+        uint256 tax = getTaxOwed(tokenId);
+        id_TaxPaidAt[tokenId] = block.timestamp;
+
+        if (tax > 0) {
+            id_TaxDeposit[tokenId] -= tax;
+            totalTaxDeposit -= tax;
+            // What is not split stays here for the rewarder.
+            _splitToCreatorAndHeal(tokenId, tax);
+            emit Content__TaxCollected(tokenId, tax);
+        }
+        if (foreclosed) {
+            address owner = ownerOf(tokenId);
+            IRewarder(rewarder).withdraw(owner, id_Price[tokenId]);
+            id_Price[tokenId] = 0;
+            emit Content__Foreclosed(owner, tokenId);
+        }
+    }
+
+    function _splitToCreatorAndHeal(
+        uint256 tokenId,
+        uint256 amount
+    ) internal returns (uint256 paid) {
+        uint256 creatorAmt = (amount * curationCreatorShare) / DIVISOR;
+        uint256 healAmt = (amount * curationHealShare) / DIVISOR;
+        if (creatorAmt > 0) {
+            IERC20(quote).safeTransfer(id_Creator[tokenId], creatorAmt);
+        }
+        if (healAmt > 0) {
+            IERC20(quote).safeApprove(token, 0);
+            IERC20(quote).safeApprove(token, healAmt);
+            IToken(token).heal(healAmt);
+        }
+        return creatorAmt + healAmt;
     }
 }
 
@@ -211,14 +588,16 @@ contract ContentFactory {
         string memory symbol,
         address token,
         address quote,
-        address rewarderFactory
+        address rewarderFactory,
+        CurationParams memory curation
     ) external returns (address, address) {
         Content content = new Content(
             name,
             symbol,
             token,
             quote,
-            rewarderFactory
+            rewarderFactory,
+            curation
         );
         lastContent = address(content);
         emit ContentFactory__Created(lastContent);
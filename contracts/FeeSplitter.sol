@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// A treasury that passes what it receives, quote and tokens alike, on to
+// its recipients by weight. Set it as the WaveFront treasury, or as a
+// token's. New recipients take over MIN_DELAY after the owner queues them.
+contract FeeSplitter is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant MAX_RECIPIENTS = 20;
+    uint256 public constant MIN_DELAY = 2 days;
+
+    address[] internal recipients;
+    uint256[] internal weights;
+    uint256 public totalWeight;
+
+    address[] internal pendingRecipients;
+    uint256[] internal pendingWeights;
+    uint256 public pendingEta;
+
+    error FeeSplitter__InvalidRecipients();
+    error FeeSplitter__NotQueued();
+    error FeeSplitter__NotReady();
+
+    event FeeSplitter__Distributed(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
+    event FeeSplitter__RecipientsQueued(
+        address[] recipients,
+        uint256[] weights,
+        uint256 eta
+    );
+    event FeeSplitter__RecipientsCancelled();
+    event FeeSplitter__RecipientsSet(address[] recipients, uint256[] weights);
+
+    constructor(
+        address[] memory _recipients,
+        uint256[] memory _weights
+    ) Ownable() {
+        _checkRecipients(_recipients, _weights);
+        _setRecipients(_recipients, _weights);
+    }
+
+    // The last recipient also takes the rounding.
+    function distribute(address token) public nonReentrant {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance == 0) return;
+        uint256 remaining = balance;
+        uint256 last = recipients.length - 1;
+        for (uint256 i = 0; i <= last; i++) {
+            uint256 amount = i == last
+                ? remaining
+                : (balance * weights[i]) / totalWeight;
+            remaining -= amount;
+            if (amount == 0) continue;
+            IERC20(token).safeTransfer(recipients[i], amount);
+            emit FeeSplitter__Distributed(token, recipients[i], amount);
+        }
+    }
+
+    function distributeMany(address[] calldata tokens) external {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            distribute(tokens[i]);
+        }
+    }
+
+    // Replaces any pending change. What was received before it applies is
+    // only split by the current weights if distributed before then.
+    function queueRecipients(
+        address[] calldata _recipients,
+        uint256[] calldata _weights
+    ) external onlyOwner {
+        _checkRecipients(_recipients, _weights);
+        pendingRecipients = _recipients;
+        pendingWeights = _weights;
+        pendingEta = block.timestamp + MIN_DELAY;
+        emit FeeSplitter__RecipientsQueued(_recipients, _weights, pendingEta);
+    }
+
+    function cancelRecipients() external onlyOwner {
+        if (pendingEta == 0) revert FeeSplitter__NotQueued();
+        _clearPending();
+        emit FeeSplitter__RecipientsCancelled();
+    }
+
+    function applyRecipients() external {
+        if (pendingEta == 0) revert FeeSplitter__NotQueued();
+        if (block.timestamp < pendingEta) revert FeeSplitter__NotReady();
+        _setRecipients(pendingRecipients, pendingWeights);
+        _clearPending();
+    }
+
+    function getRecipients()
+        external
+        view
+        returns (address[] memory, uint256[] memory)
+    {
+        return (recipients, weights);
+    }
+
+    function getPendingRecipients()
+        external
+        view
+        returns (address[] memory, uint256[] memory, uint256 eta)
+    {
+        return (pendingRecipients, pendingWeights, pendingEta);
+    }
+
+    function _setRecipients(
+        address[] memory _recipients,
+        uint256[] memory _weights
+    ) internal {
+        uint256 total;
+        for (uint256 i = 0; i < _weights.length; i++) {
+            total += _weights[i];
+        }
+        recipients = _recipients;
+        weights = _weights;
+        totalWeight = total;
+        emit FeeSplitter__RecipientsSet(_recipients, _weights);
+    }
+
+    function _clearPending() internal {
+        delete pendingRecipients;
+        delete pendingWeights;
+        delete pendingEta;
+    }
+
+    function _checkRecipients(
+        address[] memory _recipients,
+        uint256[] memory _weights
+    ) internal pure {
+        if (
+            _recipients.length == 0 ||
+            _recipients.length > MAX_RECIPIENTS ||
+            _recipients.length != _weights.length
+        ) revert FeeSplitter__InvalidRecipients();
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            if (_recipients[i] == address(0) || _weights[i] == 0) {
+                revert FeeSplitter__InvalidRecipients();
+            }
+        }
+    }
+}
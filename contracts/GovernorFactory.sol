@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+// Token holders vote with the checkpoints of the Token's ERC20Votes, so
+// only delegated balances count, as of the block a proposal was made.
+// Passed proposals are queued in the token's TimelockController, which
+// holds the token's governed roles and funds.
+contract TokenGovernor is
+    Governor,
+    GovernorSettings,
+    GovernorCountingSimple,
+    GovernorVotes,
+    GovernorVotesQuorumFraction,
+    GovernorTimelockControl
+{
+    uint256 public constant VOTING_DELAY = 7_200; // blocks, about a day
+    uint256 public constant VOTING_PERIOD = 50_400; // blocks, about a week
+    uint256 public constant QUORUM = 4; // percent of the supply
+
+    constructor(
+        IVotes _token,
+        TimelockController _timelock
+    )
+        Governor("WaveFront Governor")
+        GovernorSettings(VOTING_DELAY, VOTING_PERIOD, 0)
+        GovernorVotes(_token)
+        GovernorVotesQuorumFraction(QUORUM)
+        GovernorTimelockControl(_timelock)
+    {}
+
+    function votingDelay()
+        public
+        view
+        override(IGovernor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.votingDelay();
+    }
+
+    function votingPeriod()
+        public
+        view
+        override(IGovernor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.votingPeriod();
+    }
+
+    function quorum(
+        uint256 blockNumber
+    )
+        public
+        view
+        override(IGovernor, GovernorVotesQuorumFraction)
+        returns (uint256)
+    {
+        return super.quorum(blockNumber);
+    }
+
+    function state(
+        uint256 proposalId
+    )
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (ProposalState)
+    {
+        return super.state(proposalId);
+    }
+
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description
+    ) public override(Governor, IGovernor) returns (uint256) {
+        return super.propose(targets, values, calldatas, description);
+    }
+
+    function proposalThreshold()
+        public
+        view
+        override(Governor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.proposalThreshold();
+    }
+
+    function _execute(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        super._execute(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor()
+        internal
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (address)
+    {
+        return super._executor();
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(Governor, GovernorTimelockControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
+
+contract TimelockFactory {
+    event TimelockFactory__Created(address indexed timelock);
+
+    function create(uint256 delay, address admin) external returns (address) {
+        TimelockController timelock = new TimelockController(
+            delay,
+            new address[](0),
+            new address[](0),
+            admin
+        );
+        emit TimelockFactory__Created(address(timelock));
+        return address(timelock);
+    }
+}
+
+// Timelocks come from their own factory, both together are over the size
+// limit.
+contract GovernorFactory {
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+
+    address public immutable timelockFactory;
+    address public lastGovernor;
+
+    event GovernorFactory__Created(
+        address indexed governor,
+        address indexed timelock
+    );
+
+    constructor(address _timelockFactory) {
+        timelockFactory = _timelockFactory;
+    }
+
+    // The governor alone proposes and cancels, anyone executes once the
+    // delay has passed, and nobody keeps the timelock's admin role.
+    function create(
+        address token
+    ) external returns (address governor, address timelock) {
+        TimelockController _timelock = TimelockController(
+            payable(
+                TimelockFactory(timelockFactory).create(
+                    TIMELOCK_DELAY,
+                    address(this)
+                )
+            )
+        );
+        TokenGovernor _governor = new TokenGovernor(IVotes(token), _timelock);
+        _timelock.grantRole(_timelock.PROPOSER_ROLE(), address(_governor));
+        _timelock.grantRole(_timelock.CANCELLER_ROLE(), address(_governor));
+        _timelock.grantRole(_timelock.EXECUTOR_ROLE(), address(0));
+        _timelock.renounceRole(_timelock.TIMELOCK_ADMIN_ROLE(), address(this));
+
+        governor = address(_governor);
+        timelock = address(_timelock);
+        lastGovernor = governor;
+        emit GovernorFactory__Created(governor, timelock);
+    }
+}
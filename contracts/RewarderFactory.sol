@@ -11,18 +11,43 @@ interface IContent {
 
 interface IToken {
     function wavefront() external view returns (address);
+
+    function quote() external view returns (address);
+}
+
+interface IWaveFront {
+    function token_Timelock(address token) external view returns (address);
 }
 
 contract Rewarder is ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     uint256 public constant DURATION = 7 days;
+    uint256 public constant MIN_DURATION = 1 days;
+    uint256 public constant MAX_DURATION = 365 days;
+    uint256 public constant MAX_REWARD_TOKENS = 10;
 
     address public immutable content;
 
     address[] public rewardTokens;
     mapping(address => Reward) public token_RewardData;
     mapping(address => bool) public token_IsReward;
+    mapping(address => uint256) public token_Duration;
+    mapping(address => address) public token_Sponsor;
+    mapping(address => uint256) public token_Unstreamed;
+    mapping(address => uint256) public token_Deposit;
+
+    // Sponsored rewards are removed once they end, their tokens cannot come
+    // back. Stakers settle them on their next update.
+    address[] public removedTokens;
+    mapping(address => uint256) public token_RemovedIndex; // from 1
+    mapping(address => uint256) public account_RemovedSettled;
+
+    // Until governance lifts the restriction, only the sponsor it accepts
+    // for a token can add it. Each sponsored token holds a deposit in quote.
+    bool public sponsorsRestricted = true;
+    mapping(address => address) public token_AcceptedSponsor;
+    uint256 public sponsorDeposit;
 
     mapping(address => mapping(address => uint256))
         public account_Token_RewardPerTokenPaid;
@@ -41,13 +66,39 @@ contract Rewarder is ReentrancyGuard {
     error Rewarder__NotContent();
     error Rewarder__NotWaveFront();
     error Rewarder__RewardSmallerThanDuration();
-    error Rewarder__RewardSmallerThanLeft();
     error Rewarder__NotRewardToken();
     error Rewarder__RewardTokenAlreadyAdded();
     error Rewarder__InvalidZeroInput();
+    error Rewarder__TooManyRewardTokens();
+    error Rewarder__InvalidDuration();
+    error Rewarder__NotSponsor();
+    error Rewarder__RewardActive();
+    error Rewarder__NothingToRecover();
+    error Rewarder__NotGovernance();
+    error Rewarder__NotAccepted();
+    error Rewarder__NotSponsored();
+    error Rewarder__RewardEnded();
+    error Rewarder__TokenRemoved();
 
     event Rewarder__RewardAdded(address indexed rewardToken);
+    event Rewarder__RewardSponsored(
+        address indexed sponsor,
+        address indexed rewardToken,
+        uint256 duration
+    );
     event Rewarder__RewardNotified(address indexed rewardToken, uint256 reward);
+    event Rewarder__RewardRecovered(
+        address indexed sponsor,
+        address indexed rewardToken,
+        uint256 amount
+    );
+    event Rewarder__RewardRemoved(address indexed rewardToken);
+    event Rewarder__SponsorsRestricted(bool restricted);
+    event Rewarder__SponsorAccepted(
+        address indexed rewardToken,
+        address sponsor
+    );
+    event Rewarder__SponsorDepositSet(uint256 deposit);
     event Rewarder__Deposited(address indexed user, uint256 amount);
     event Rewarder__Withdrawn(address indexed user, uint256 amount);
     event Rewarder__RewardPaid(
@@ -59,6 +110,13 @@ contract Rewarder is ReentrancyGuard {
     modifier updateReward(address account) {
         for (uint256 i; i < rewardTokens.length; i++) {
             address token = rewardTokens[i];
+            // Nothing streams to an empty pool, it is kept for the sponsor.
+            if (totalSupply == 0) {
+                token_Unstreamed[token] +=
+                    (lastTimeRewardApplicable(token) -
+                        token_RewardData[token].lastUpdateTime) *
+                    token_RewardData[token].rewardRate;
+            }
             token_RewardData[token].rewardPerTokenStored = rewardPerToken(
                 token
             );
@@ -72,6 +130,24 @@ contract Rewarder is ReentrancyGuard {
                 ] = token_RewardData[token].rewardPerTokenStored;
             }
         }
+        if (account != address(0)) {
+            uint256 removed = removedTokens.length;
+            // An empty balance earned nothing since the last update.
+            if (account_Balance[account] > 0) {
+                for (
+                    uint256 i = account_RemovedSettled[account];
+                    i < removed;
+                    i++
+                ) {
+                    address token = removedTokens[i];
+                    account_Token_Reward[account][token] = earned(
+                        account,
+                        token
+                    );
+                }
+            }
+            account_RemovedSettled[account] = removed;
+        }
         _;
     }
 
@@ -82,6 +158,15 @@ contract Rewarder is ReentrancyGuard {
         _;
     }
 
+    modifier onlyGovernance() {
+        address token = IContent(content).token();
+        if (
+            msg.sender !=
+            IWaveFront(IToken(token).wavefront()).token_Timelock(token)
+        ) revert Rewarder__NotGovernance();
+        _;
+    }
+
     modifier nonZeroInput(uint256 amount) {
         if (amount == 0) revert Rewarder__InvalidZeroInput();
         _;
@@ -91,6 +176,8 @@ contract Rewarder is ReentrancyGuard {
         content = _content;
     }
 
+    // A reward token that fails to transfer is skipped, its reward stays
+    // claimable.
     function getReward(
         address account
     ) external nonReentrant updateReward(account) {
@@ -99,33 +186,131 @@ contract Rewarder is ReentrancyGuard {
             uint256 amount = account_Token_Reward[account][token];
             if (amount > 0) {
                 account_Token_Reward[account][token] = 0;
-                emit Rewarder__RewardPaid(account, token, amount);
-
-                IERC20(token).safeTransfer(account, amount);
+                if (_tryTransfer(token, account, amount)) {
+                    emit Rewarder__RewardPaid(account, token, amount);
+                } else {
+                    account_Token_Reward[account][token] = amount;
+                }
             }
         }
     }
 
+    // Claims a single reward, also one that was removed.
+    function getRewardToken(
+        address account,
+        address token
+    ) external nonReentrant updateReward(account) {
+        uint256 amount = account_Token_Reward[account][token];
+        if (amount > 0) {
+            account_Token_Reward[account][token] = 0;
+            emit Rewarder__RewardPaid(account, token, amount);
+
+            IERC20(token).safeTransfer(account, amount);
+        }
+    }
+
+    // Adds `amount` to what is left and restarts the stream over the
+    // token's duration. A sponsored reward keeps its period instead, and
+    // only its sponsor restarts it once it has ended.
     function notifyRewardAmount(
         address token,
         uint256 amount
-    ) external nonReentrant updateReward(address(0)) {
-        if (amount < DURATION) revert Rewarder__RewardSmallerThanDuration();
-        if (amount < left(token)) revert Rewarder__RewardSmallerThanLeft();
+    ) external nonReentrant nonZeroInput(amount) updateReward(address(0)) {
         if (!token_IsReward[token]) revert Rewarder__NotRewardToken();
+        if (
+            token_Sponsor[token] != address(0) &&
+            block.timestamp >= token_RewardData[token].periodFinish
+        ) revert Rewarder__RewardEnded();
+        _notifyRewardAmount(token, amount);
+    }
 
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
-        if (block.timestamp >= token_RewardData[token].periodFinish) {
-            token_RewardData[token].rewardRate = amount / DURATION;
+    // Adds a reward token streamed over `duration`, funded with `amount`,
+    // and takes the deposit from the caller. The sponsor restarts it the
+    // same way once its period has ended.
+    function sponsorReward(
+        address token,
+        address sponsor,
+        uint256 duration,
+        uint256 amount
+    ) external nonReentrant nonZeroInput(amount) updateReward(address(0)) {
+        if (sponsor == address(0)) revert Rewarder__InvalidZeroInput();
+        if (duration < MIN_DURATION || duration > MAX_DURATION)
+            revert Rewarder__InvalidDuration();
+        if (sponsorsRestricted && token_AcceptedSponsor[token] != sponsor)
+            revert Rewarder__NotAccepted();
+        if (!token_IsReward[token]) {
+            _addReward(token, duration);
+            token_Sponsor[token] = sponsor;
+            uint256 quoteDeposit = sponsorDeposit;
+            if (quoteDeposit > 0) {
+                token_Deposit[token] = quoteDeposit;
+                IERC20(IToken(IContent(content).token()).quote())
+                    .safeTransferFrom(msg.sender, address(this), quoteDeposit);
+            }
         } else {
-            uint256 remaining = token_RewardData[token].periodFinish -
-                block.timestamp;
-            uint256 leftover = remaining * token_RewardData[token].rewardRate;
-            token_RewardData[token].rewardRate = (amount + leftover) / DURATION;
+            if (token_Sponsor[token] != sponsor)
+                revert Rewarder__RewardTokenAlreadyAdded();
+            if (block.timestamp < token_RewardData[token].periodFinish)
+                revert Rewarder__RewardActive();
+            token_Duration[token] = duration;
+        }
+        emit Rewarder__RewardSponsored(sponsor, token, duration);
+        _notifyRewardAmount(token, amount);
+    }
+
+    // What was not streamed is never owed, the sponsor takes it any time.
+    function recoverReward(
+        address token
+    ) external nonReentrant updateReward(address(0)) {
+        if (msg.sender != token_Sponsor[token]) revert Rewarder__NotSponsor();
+        uint256 amount = token_Unstreamed[token];
+        if (amount == 0) revert Rewarder__NothingToRecover();
+        token_Unstreamed[token] = 0;
+        emit Rewarder__RewardRecovered(msg.sender, token, amount);
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+    }
+
+    // Frees the slot of a sponsored reward once its period has ended, and
+    // returns the sponsor its deposit and what was not streamed. Anyone
+    // removes it a DURATION later, if the sponsor has not restarted it.
+    function removeReward(
+        address token
+    ) external nonReentrant updateReward(address(0)) {
+        address sponsor = token_Sponsor[token];
+        if (sponsor == address(0)) revert Rewarder__NotSponsored();
+        uint256 periodFinish = token_RewardData[token].periodFinish;
+        if (
+            block.timestamp < periodFinish ||
+            (msg.sender != sponsor && block.timestamp < periodFinish + DURATION)
+        ) revert Rewarder__RewardActive();
+
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            if (rewardTokens[i] == token) {
+                rewardTokens[i] = rewardTokens[rewardTokens.length - 1];
+                rewardTokens.pop();
+                break;
+            }
+        }
+        token_IsReward[token] = false;
+        token_Sponsor[token] = address(0);
+        token_Duration[token] = 0;
+        removedTokens.push(token);
+        token_RemovedIndex[token] = removedTokens.length;
+        uint256 unstreamed = token_Unstreamed[token];
+        token_Unstreamed[token] = 0;
+        uint256 quoteDeposit = token_Deposit[token];
+        token_Deposit[token] = 0;
+        emit Rewarder__RewardRemoved(token);
+
+        // A token that fails to transfer leaves its remainder behind.
+        if (unstreamed > 0) _tryTransfer(token, sponsor, unstreamed);
+        if (quoteDeposit > 0) {
+            IERC20(IToken(IContent(content).token()).quote()).safeTransfer(
+                sponsor,
+                quoteDeposit
+            );
         }
-        token_RewardData[token].lastUpdateTime = block.timestamp;
-        token_RewardData[token].periodFinish = block.timestamp + DURATION;
-        emit Rewarder__RewardNotified(token, amount);
     }
 
     function deposit(
@@ -146,15 +331,82 @@ contract Rewarder is ReentrancyGuard {
         emit Rewarder__Withdrawn(account, amount);
     }
 
+    function setSponsorsRestricted(bool restricted) external onlyGovernance {
+        sponsorsRestricted = restricted;
+        emit Rewarder__SponsorsRestricted(restricted);
+    }
+
+    // The zero address takes the acceptance back.
+    function setSponsorAccepted(
+        address token,
+        address sponsor
+    ) external onlyGovernance {
+        token_AcceptedSponsor[token] = sponsor;
+        emit Rewarder__SponsorAccepted(token, sponsor);
+    }
+
+    // In the token's quote, charged for each token sponsored from now on.
+    function setSponsorDeposit(
+        uint256 _sponsorDeposit
+    ) external onlyGovernance {
+        sponsorDeposit = _sponsorDeposit;
+        emit Rewarder__SponsorDepositSet(_sponsorDeposit);
+    }
+
     function addReward(address token) external {
         if (msg.sender != IToken(IContent(content).token()).wavefront())
             revert Rewarder__NotWaveFront();
+        _addReward(token, DURATION);
+    }
+
+    function _addReward(address token, uint256 duration) internal {
         if (token_IsReward[token]) revert Rewarder__RewardTokenAlreadyAdded();
+        if (token_RemovedIndex[token] != 0) revert Rewarder__TokenRemoved();
+        if (rewardTokens.length >= MAX_REWARD_TOKENS)
+            revert Rewarder__TooManyRewardTokens();
         token_IsReward[token] = true;
+        token_Duration[token] = duration;
         rewardTokens.push(token);
         emit Rewarder__RewardAdded(token);
     }
 
+    function _notifyRewardAmount(address token, uint256 amount) internal {
+        uint256 duration = token_Duration[token];
+        uint256 total = amount + left(token);
+        uint256 periodFinish = token_RewardData[token].periodFinish;
+        if (token_Sponsor[token] == address(0)) {
+            // Nobody recovers what an unsponsored reward did not stream, it
+            // streams again.
+            total += token_Unstreamed[token];
+            token_Unstreamed[token] = 0;
+        } else if (block.timestamp < periodFinish) {
+            duration = periodFinish - block.timestamp;
+        }
+        if (total < duration) revert Rewarder__RewardSmallerThanDuration();
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 rewardRate = total / duration;
+        token_Unstreamed[token] += total - rewardRate * duration;
+        token_RewardData[token].rewardRate = rewardRate;
+        token_RewardData[token].lastUpdateTime = block.timestamp;
+        token_RewardData[token].periodFinish = block.timestamp + duration;
+        emit Rewarder__RewardNotified(token, amount);
+    }
+
+    // True when `token` took the transfer, which a reverting one does not.
+    function _tryTransfer(
+        address token,
+        address to,
+        uint256 amount
+    ) internal returns (bool) {
+        (bool success, bytes memory data) = token.call(
+            abi.encodeCall(IERC20.transfer, (to, amount))
+        );
+        if (!success || token.code.length == 0) return false;
+        if (data.length == 0) return true;
+        return data.length >= 32 && abi.decode(data, (uint256)) == 1;
+    }
+
     function left(address token) public view returns (uint256 leftover) {
         if (block.timestamp >= token_RewardData[token].periodFinish) return 0;
         uint256 remaining = token_RewardData[token].periodFinish -
@@ -183,6 +435,11 @@ contract Rewarder is ReentrancyGuard {
         address account,
         address token
     ) public view returns (uint256) {
+        // A removed reward the account has settled is all in its reward.
+        uint256 removedIndex = token_RemovedIndex[token];
+        if (
+            removedIndex != 0 && removedIndex <= account_RemovedSettled[account]
+        ) return account_Token_Reward[account][token];
         return
             ((account_Balance[account] *
                 (rewardPerToken(token) -
@@ -193,7 +450,7 @@ contract Rewarder is ReentrancyGuard {
     function getRewardForDuration(
         address token
     ) external view returns (uint256) {
-        return token_RewardData[token].rewardRate * DURATION;
+        return token_RewardData[token].rewardRate * token_Duration[token];
     }
 
     function getRewardTokens() external view returns (address[] memory) {
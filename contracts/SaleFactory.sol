@@ -3,6 +3,7 @@ pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "./library/FixedPointMathLib.sol";
 
 interface IToken {
@@ -21,21 +22,41 @@ contract Sale is ReentrancyGuard {
     using FixedPointMathLib for uint256;
     using SafeERC20 for IERC20;
 
-    uint256 public constant DURATION = 2 hours;
-
     address public immutable quote;
     address public immutable token;
+    uint256 public immutable duration;
     uint256 public immutable endTime;
+    // Zero means no cap. Below the soft cap at the end contributors are
+    // refunded, reaching the hard cap opens the market right away.
+    uint256 public immutable softCapRaw;
+    uint256 public immutable hardCapRaw;
+    uint256 public immutable walletCapRaw;
+    // With a root, only allowlisted accounts contribute until presaleEnd,
+    // each up to the allocation in its leaf.
+    bytes32 public immutable presaleRoot;
+    uint256 public immutable presaleDuration;
+    uint256 public immutable presaleEnd;
+    // Redeemed tokens vest linearly over vestingDuration from the market
+    // opening, nothing before the cliff. Zero duration redeems all at once.
+    uint256 public immutable vestingCliff;
+    uint256 public immutable vestingDuration;
 
     bool public ended = false;
+    uint256 public openedAt;
     uint256 public totalTokenAmt;
     uint256 public totalQuoteRaw;
     mapping(address => uint256) public account_QuoteRaw;
+    mapping(address => uint256) public account_TokenRedeemed;
 
     error Sale__ZeroInput();
     error Sale__Closed();
     error Sale__Open();
     error Sale__NothingToRedeem();
+    error Sale__CapReached();
+    error Sale__SoftCapNotReached();
+    error Sale__NotRefundable();
+    error Sale__Presale();
+    error Sale__InvalidProof();
 
     event Sale__Contributed(
         address indexed who,
@@ -48,28 +69,131 @@ contract Sale is ReentrancyGuard {
         address indexed to,
         uint256 tokenAmt
     );
+    event Sale__Refunded(
+        address indexed who,
+        address indexed to,
+        uint256 quoteRaw
+    );
 
-    constructor(address _token, address _quote) {
+    constructor(
+        address _token,
+        address _quote,
+        uint256 _duration,
+        uint256 _softCapRaw,
+        uint256 _hardCapRaw,
+        uint256 _walletCapRaw,
+        uint256 _presaleDuration,
+        bytes32 _presaleRoot,
+        uint256 _vestingCliff,
+        uint256 _vestingDuration
+    ) {
         token = _token;
         quote = _quote;
-        endTime = block.timestamp + DURATION;
+        duration = _duration;
+        endTime = block.timestamp + _duration;
+        softCapRaw = _softCapRaw;
+        hardCapRaw = _hardCapRaw;
+        walletCapRaw = _walletCapRaw;
+        presaleRoot = _presaleRoot;
+        presaleDuration = _presaleDuration;
+        presaleEnd = block.timestamp + _presaleDuration;
+        vestingCliff = _vestingCliff;
+        vestingDuration = _vestingDuration;
     }
 
-    function contribute(address to, uint256 quoteRaw) external nonReentrant {
+    function contribute(
+        address to,
+        uint256 quoteRaw
+    ) external nonReentrant returns (uint256 acceptedRaw) {
+        if (inPresale()) revert Sale__Presale();
+        return _contribute(to, quoteRaw, type(uint256).max);
+    }
+
+    // Proves `to` is allowlisted for `allocation` during the presale, after
+    // it the proof is not checked and this is a plain contribute.
+    function contributeWithProof(
+        address to,
+        uint256 quoteRaw,
+        uint256 allocation,
+        bytes32[] calldata proof
+    ) external nonReentrant returns (uint256 acceptedRaw) {
+        if (!inPresale()) return _contribute(to, quoteRaw, type(uint256).max);
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(to, allocation)))
+        );
+        if (!MerkleProof.verify(proof, presaleRoot, leaf)) {
+            revert Sale__InvalidProof();
+        }
+        return _contribute(to, quoteRaw, allocation);
+    }
+
+    function inPresale() public view returns (bool) {
+        return presaleRoot != bytes32(0) && block.timestamp <= presaleEnd;
+    }
+
+    // Takes at most what is left under the hard cap and the account's cap,
+    // only that much is pulled from the sender.
+    function _contribute(
+        address to,
+        uint256 quoteRaw,
+        uint256 accountCapRaw
+    ) internal returns (uint256 acceptedRaw) {
         if (quoteRaw == 0) revert Sale__ZeroInput();
         if (ended || block.timestamp > endTime) revert Sale__Closed();
 
-        totalQuoteRaw += quoteRaw;
-        account_QuoteRaw[to] += quoteRaw;
+        acceptedRaw = quoteRaw;
+        if (hardCapRaw > 0 && totalQuoteRaw + acceptedRaw > hardCapRaw) {
+            acceptedRaw = hardCapRaw - totalQuoteRaw;
+        }
+        if (walletCapRaw > 0 && walletCapRaw < accountCapRaw) {
+            accountCapRaw = walletCapRaw;
+        }
+        uint256 contributed = account_QuoteRaw[to];
+        if (contributed + acceptedRaw > accountCapRaw) {
+            acceptedRaw = contributed < accountCapRaw
+                ? accountCapRaw - contributed
+                : 0;
+        }
+        if (acceptedRaw == 0) revert Sale__CapReached();
+
+        totalQuoteRaw += acceptedRaw;
+        account_QuoteRaw[to] = contributed + acceptedRaw;
 
-        emit Sale__Contributed(msg.sender, to, quoteRaw);
-        IERC20(quote).safeTransferFrom(msg.sender, address(this), quoteRaw);
+        emit Sale__Contributed(msg.sender, to, acceptedRaw);
+        IERC20(quote).safeTransferFrom(msg.sender, address(this), acceptedRaw);
+
+        if (totalQuoteRaw == hardCapRaw) _openMarket();
     }
 
     function openMarket() external nonReentrant {
         if (block.timestamp <= endTime) revert Sale__Open();
         if (ended) revert Sale__Closed();
+        if (totalQuoteRaw < softCapRaw) revert Sale__SoftCapNotReached();
+        _openMarket();
+    }
+
+    // Once a sale ends below its soft cap the market never opens and
+    // contributions are paid back.
+    function refund(address account) external nonReentrant {
+        if (!refundable()) revert Sale__NotRefundable();
+        uint256 quoteRaw = account_QuoteRaw[account];
+        if (quoteRaw == 0) revert Sale__NothingToRedeem();
+
+        account_QuoteRaw[account] = 0;
+        totalQuoteRaw -= quoteRaw;
+
+        emit Sale__Refunded(msg.sender, account, quoteRaw);
+        IERC20(quote).safeTransfer(account, quoteRaw);
+    }
+
+    function refundable() public view returns (bool) {
+        return
+            !ended && block.timestamp > endTime && totalQuoteRaw < softCapRaw;
+    }
+
+    function _openMarket() internal {
         ended = true;
+        openedAt = block.timestamp;
 
         IERC20(quote).safeApprove(token, 0);
         IERC20(quote).safeApprove(token, totalQuoteRaw);
@@ -86,17 +210,33 @@ contract Sale is ReentrancyGuard {
         IToken(token).openMarket();
     }
 
+    // Releases what has vested since the last redeem.
     function redeem(address account) external nonReentrant {
         if (!ended) revert Sale__Open();
-        uint256 quoteRaw = account_QuoteRaw[account];
-        if (quoteRaw == 0) revert Sale__NothingToRedeem();
+        uint256 tokenAmt = getClaimable(account);
+        if (tokenAmt == 0) revert Sale__NothingToRedeem();
 
-        account_QuoteRaw[account] = 0;
-        uint256 tokenAmt = totalTokenAmt.mulDivDown(quoteRaw, totalQuoteRaw);
+        account_TokenRedeemed[account] += tokenAmt;
 
         emit Sale__Redeemed(msg.sender, account, tokenAmt);
         IERC20(token).safeTransfer(account, tokenAmt);
     }
+
+    function getVested(address account) public view returns (uint256) {
+        if (!ended) return 0;
+        uint256 allocation = totalTokenAmt.mulDivDown(
+            account_QuoteRaw[account],
+            totalQuoteRaw
+        );
+        uint256 elapsed = block.timestamp - openedAt;
+        if (elapsed >= vestingDuration) return allocation;
+        if (elapsed < vestingCliff) return 0;
+        return allocation.mulDivDown(elapsed, vestingDuration);
+    }
+
+    function getClaimable(address account) public view returns (uint256) {
+        return getVested(account) - account_TokenRedeemed[account];
+    }
 }
 
 contract SaleFactory {
@@ -106,9 +246,30 @@ contract SaleFactory {
 
     function create(
         address token,
-        address quote
+        address quote,
+        uint256 duration,
+        uint256 softCapRaw,
+        uint256 hardCapRaw,
+        uint256 walletCapRaw,
+        uint256 presaleDuration,
+        bytes32 presaleRoot,
+        uint256 vestingCliff,
+        uint256 vestingDuration
     ) external returns (address sale) {
-        sale = address(new Sale(token, quote));
+        sale = address(
+            new Sale(
+                token,
+                quote,
+                duration,
+                softCapRaw,
+                hardCapRaw,
+                walletCapRaw,
+                presaleDuration,
+                presaleRoot,
+                vestingCliff,
+                vestingDuration
+            )
+        );
         lastSale = sale;
         emit SaleFactory__Created(sale);
     }
@@ -8,14 +8,60 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "./library/FixedPointMathLib.sol";
 
+struct Fees {
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 treasurySplit;
+    address treasury;
+}
+
 interface IWaveFront {
-    function treasury() external view returns (address);
+    function getFees(address token) external view returns (Fees memory);
+}
+
+struct LaunchParams {
+    uint256 initialSupply;
+    uint256 reserveVirtQuoteRaw;
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 saleDuration;
+    uint256 borrowRate;
+    uint256 saleSoftCapRaw;
+    uint256 saleHardCapRaw;
+    uint256 saleWalletCapRaw;
+    uint256 presaleDuration;
+    bytes32 presaleRoot;
+    uint256 vestingCliff;
+    uint256 vestingDuration;
+    uint256 curationMode;
+    uint256 curationStep;
+    uint256 curationTaxRate;
+    uint256 curationDecay;
+    uint256 curationCreatorShare;
+    uint256 curationHealShare;
+}
+
+struct CurationParams {
+    uint256 mode;
+    uint256 step;
+    uint256 taxRate;
+    uint256 decay;
+    uint256 creatorShare;
+    uint256 healShare;
 }
 
 interface ISaleFactory {
     function create(
         address token,
-        address quote
+        address quote,
+        uint256 duration,
+        uint256 softCapRaw,
+        uint256 hardCapRaw,
+        uint256 walletCapRaw,
+        uint256 presaleDuration,
+        bytes32 presaleRoot,
+        uint256 vestingCliff,
+        uint256 vestingDuration
     ) external returns (address saleAddress);
 }
 
@@ -25,7 +71,8 @@ interface IContentFactory {
         string memory _symbol,
         address _token,
         address _quote,
-        address rewarderFactory
+        address rewarderFactory,
+        CurationParams memory curation
     ) external returns (address, address);
 }
 
@@ -34,9 +81,14 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     uint256 public constant PRECISION = 1e18;
-    uint256 public constant FEE = 100;
-    uint256 public constant FEE_AMOUNT = 1_500;
     uint256 public constant DIVISOR = 10_000;
+    // Not public, the getters would take TokenFactory past the size limit.
+    uint256 internal constant YEAR = 365 days;
+    uint256 internal constant LIQUIDATION_BONUS = 500; // 5% over the debt
+    bytes32 internal constant BORROW_APPROVAL_TYPEHASH =
+        keccak256(
+            "BorrowApproval(address account,address delegate,uint256 quoteRaw,uint256 nonce,uint256 deadline)"
+        );
 
     address public immutable wavefront;
     address public immutable quote;
@@ -47,6 +99,14 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
     uint8 public immutable quoteDecimals;
     uint256 internal immutable quoteScale;
 
+    uint256 public immutable initialSupply;
+    uint256 public immutable initialVirtQuoteRaw;
+    // The launch fee, swaps charge the token's fee tier on WaveFront.
+    uint256 public immutable fee;
+    uint256 public immutable feeSplit;
+    uint256 public immutable saleDuration;
+    uint256 public immutable borrowRate; // yearly, in basis points of debt
+
     uint256 public maxSupply;
     bool public open = false;
 
@@ -56,6 +116,10 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
 
     uint256 public totalDebtRaw;
     mapping(address => uint256) public account_DebtRaw;
+    mapping(address => uint256) public account_InterestRaw;
+    mapping(address => uint256) public account_LastAccrued;
+    // Quote an account lets a delegate borrow against its tokens.
+    mapping(address => mapping(address => uint256)) public borrowAllowance;
 
     error Token__ZeroInput();
     error Token__QuoteDecimals();
@@ -65,6 +129,10 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
     error Token__NotAuthorized();
     error Token__CollateralLocked();
     error Token__CreditExceeded();
+    error Token__BorrowAllowanceExceeded();
+    error Token__InvalidSignature();
+    error Token__RepayExceedsDebt();
+    error Token__NotLiquidatable();
     error Token__InvalidShift();
     error Token__DivideByZero();
     error Token__ReserveUnderflow();
@@ -107,6 +175,19 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         address indexed to,
         uint256 quoteRaw
     );
+    event Token__BorrowApproval(
+        address indexed account,
+        address indexed delegate,
+        uint256 quoteRaw
+    );
+    event Token__InterestAccrued(address indexed account, uint256 quoteRaw);
+    event Token__Liquidate(
+        address indexed who,
+        address indexed account,
+        address indexed to,
+        uint256 debtRaw,
+        uint256 tokenAmt
+    );
     event Token__MarketOpened();
 
     modifier notZero(uint256 amount) {
@@ -125,8 +206,7 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         string memory _symbol,
         address _wavefront,
         address _quote,
-        uint256 _initialSupply,
-        uint256 _virtQuoteRaw,
+        LaunchParams memory params,
         address saleFactory,
         address contentFactory,
         address rewarderFactory
@@ -139,17 +219,43 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         quoteDecimals = _quoteDecimals;
         quoteScale = 10 ** (18 - _quoteDecimals);
 
-        maxSupply = _initialSupply;
-        reserveTokenAmt = _initialSupply;
-        reserveVirtQuoteWad = rawToWad(_virtQuoteRaw);
+        initialSupply = params.initialSupply;
+        initialVirtQuoteRaw = params.reserveVirtQuoteRaw;
+        fee = params.fee;
+        feeSplit = params.feeSplit;
+        saleDuration = params.saleDuration;
+        borrowRate = params.borrowRate;
+
+        maxSupply = params.initialSupply;
+        reserveTokenAmt = params.initialSupply;
+        reserveVirtQuoteWad = rawToWad(params.reserveVirtQuoteRaw);
 
-        sale = ISaleFactory(saleFactory).create(address(this), _quote);
+        sale = ISaleFactory(saleFactory).create(
+            address(this),
+            _quote,
+            params.saleDuration,
+            params.saleSoftCapRaw,
+            params.saleHardCapRaw,
+            params.saleWalletCapRaw,
+            params.presaleDuration,
+            params.presaleRoot,
+            params.vestingCliff,
+            params.vestingDuration
+        );
         (content, rewarder) = IContentFactory(contentFactory).create(
             _name,
             _symbol,
             address(this),
             _quote,
-            rewarderFactory
+            rewarderFactory,
+            CurationParams(
+                params.curationMode,
+                params.curationStep,
+                params.curationTaxRate,
+                params.curationDecay,
+                params.curationCreatorShare,
+                params.curationHealShare
+            )
         );
     }
 
@@ -168,7 +274,8 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
     {
         if (!open && msg.sender != sale) revert Token__MarketClosed();
 
-        uint256 feeRaw = (quoteRawIn * FEE) / DIVISOR;
+        Fees memory fees = IWaveFront(wavefront).getFees(address(this));
+        uint256 feeRaw = (quoteRawIn * fees.fee) / DIVISOR;
         uint256 netRaw = quoteRawIn - feeRaw;
         uint256 netWad = rawToWad(netRaw);
 
@@ -187,7 +294,7 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         emit Token__Swap(msg.sender, quoteRawIn, 0, 0, tokenAmtOut, to);
         IERC20(quote).safeTransferFrom(msg.sender, address(this), quoteRawIn);
 
-        uint256 healRaw = _processBuyFees(feeRaw, provider);
+        uint256 healRaw = _processBuyFees(feeRaw, provider, fees);
         if (healRaw > 0) _healQuoteReserves(healRaw);
 
         _mint(to, tokenAmtOut);
@@ -206,9 +313,52 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         notExpired(deadline)
         returns (uint256 quoteRawOut)
     {
+        (quoteRawOut, ) = _sell(
+            msg.sender,
+            tokenAmtIn,
+            minQuoteRawOut,
+            to,
+            provider,
+            false
+        );
+    }
+
+    // Sells `account`'s tokens, with an allowance to msg.sender unless it is
+    // the account, and repays the account's debt from the proceeds before
+    // they are paid out, so even tokens the debt locks can be sold.
+    // `minQuoteRawOut` is checked before the repayment.
+    function sellFor(
+        address account,
+        uint256 tokenAmtIn,
+        uint256 minQuoteRawOut,
+        uint256 deadline,
+        address to,
+        address provider
+    )
+        external
+        nonReentrant
+        notZero(tokenAmtIn)
+        notExpired(deadline)
+        returns (uint256 quoteRawOut, uint256 repayRaw)
+    {
+        if (msg.sender != account) {
+            _spendAllowance(account, msg.sender, tokenAmtIn);
+        }
+        return _sell(account, tokenAmtIn, minQuoteRawOut, to, provider, true);
+    }
+
+    function _sell(
+        address account,
+        uint256 tokenAmtIn,
+        uint256 minQuoteRawOut,
+        address to,
+        address provider,
+        bool repayDebt
+    ) internal returns (uint256 quoteRawOut, uint256 repayRaw) {
         if (!open) revert Token__MarketClosed();
 
-        uint256 feeAmt = (tokenAmtIn * FEE) / DIVISOR;
+        Fees memory fees = IWaveFront(wavefront).getFees(address(this));
+        uint256 feeAmt = (tokenAmtIn * fees.fee) / DIVISOR;
         uint256 netAmt = tokenAmtIn - feeAmt;
 
         uint256 x0 = reserveVirtQuoteWad + reserveRealQuoteWad;
@@ -227,37 +377,140 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         reserveTokenAmt = y1;
 
         emit Token__Swap(msg.sender, 0, tokenAmtIn, quoteRawOut, 0, to);
-        _burn(msg.sender, tokenAmtIn);
+        // The repayment unlocks the tokens before they burn.
+        uint256 interestRaw;
+        if (repayDebt) {
+            _accrue(account);
+            repayRaw = account_DebtRaw[account];
+            if (repayRaw > quoteRawOut) repayRaw = quoteRawOut;
+            if (repayRaw > 0) interestRaw = _repay(account, repayRaw);
+        }
+        _burn(account, tokenAmtIn);
 
-        uint256 burned = _processSellFees(feeAmt, provider);
+        uint256 burned = _processSellFees(feeAmt, provider, fees);
         if (burned > 0) _burnTokenReserves(burned);
+        if (interestRaw > 0) _healQuoteReserves(interestRaw);
 
-        IERC20(quote).safeTransfer(to, quoteRawOut);
+        IERC20(quote).safeTransfer(to, quoteRawOut - repayRaw);
     }
 
     function borrow(
         address to,
         uint256 quoteRaw
     ) external nonReentrant notZero(quoteRaw) {
-        uint256 credit = getAccountCredit(msg.sender);
-        if (quoteRaw > credit) revert Token__CreditExceeded();
+        _borrow(msg.sender, to, quoteRaw);
+    }
 
-        totalDebtRaw += quoteRaw;
-        account_DebtRaw[msg.sender] += quoteRaw;
+    // Borrows against `account`'s tokens, the debt is `account`'s.
+    function borrowFor(
+        address account,
+        address to,
+        uint256 quoteRaw
+    ) external nonReentrant notZero(quoteRaw) {
+        if (msg.sender != account) _spendBorrowAllowance(account, quoteRaw);
+        _borrow(account, to, quoteRaw);
+    }
 
-        emit Token__Borrow(msg.sender, to, quoteRaw);
-        IERC20(quote).safeTransfer(to, quoteRaw);
+    // Like borrowFor, with the allowance granted by `account`'s EIP-712
+    // BorrowApproval signature for msg.sender. Signatures share the permit
+    // nonces.
+    function borrowWithSig(
+        address account,
+        address to,
+        uint256 quoteRaw,
+        uint256 allowance,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant notZero(quoteRaw) {
+        if (block.timestamp > deadline) revert Token__Expired();
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    BORROW_APPROVAL_TYPEHASH,
+                    account,
+                    msg.sender,
+                    allowance,
+                    _useNonce(account),
+                    deadline
+                )
+            )
+        );
+        if (ECDSA.recover(digest, v, r, s) != account) {
+            revert Token__InvalidSignature();
+        }
+        borrowAllowance[account][msg.sender] = allowance;
+        emit Token__BorrowApproval(account, msg.sender, allowance);
+
+        _spendBorrowAllowance(account, quoteRaw);
+        _borrow(account, to, quoteRaw);
+    }
+
+    function approveBorrow(address delegate, uint256 quoteRaw) external {
+        borrowAllowance[msg.sender][delegate] = quoteRaw;
+        emit Token__BorrowApproval(msg.sender, delegate, quoteRaw);
     }
 
     function repay(
         address to,
         uint256 quoteRaw
     ) external nonReentrant notZero(quoteRaw) {
+        _accrue(to);
+        uint256 interestRaw = _repay(to, quoteRaw);
+        IERC20(quote).safeTransferFrom(msg.sender, address(this), quoteRaw);
+        if (interestRaw > 0) _healQuoteReserves(interestRaw);
+    }
+
+    // Interest is paid off first, the caller heals the reserves with it once
+    // the quote is in.
+    function _repay(
+        address account,
+        uint256 quoteRaw
+    ) internal returns (uint256 interestRaw) {
+        if (quoteRaw > account_DebtRaw[account]) {
+            revert Token__RepayExceedsDebt();
+        }
+        interestRaw = account_InterestRaw[account];
+        if (interestRaw > quoteRaw) interestRaw = quoteRaw;
+
         totalDebtRaw -= quoteRaw;
-        account_DebtRaw[to] -= quoteRaw;
+        account_DebtRaw[account] -= quoteRaw;
+        account_InterestRaw[account] -= interestRaw;
 
-        emit Token__Repay(msg.sender, to, quoteRaw);
-        IERC20(quote).safeTransferFrom(msg.sender, address(this), quoteRaw);
+        emit Token__Repay(msg.sender, account, quoteRaw);
+    }
+
+    // Once accrued interest takes an account's debt past the credit limit of
+    // its balance, anyone can repay the whole debt for the tokens worth the
+    // debt plus LIQUIDATION_BONUS at the market price, up to the whole
+    // balance. The account keeps the rest, free of debt.
+    function liquidate(
+        address account,
+        address to
+    ) external nonReentrant returns (uint256 tokenAmt) {
+        _accrue(account);
+        uint256 debtRaw = account_DebtRaw[account];
+        if (debtRaw == 0 || debtRaw <= getAccountCreditLimit(account)) {
+            revert Token__NotLiquidatable();
+        }
+        uint256 interestRaw = account_InterestRaw[account];
+        uint256 balance = balanceOf(account);
+        tokenAmt =
+            (reserveTokenAmt *
+                rawToWad(debtRaw) *
+                (DIVISOR + LIQUIDATION_BONUS)) /
+            (DIVISOR * (reserveVirtQuoteWad + reserveRealQuoteWad));
+        if (tokenAmt > balance) tokenAmt = balance;
+
+        totalDebtRaw -= debtRaw;
+        account_DebtRaw[account] = 0;
+        account_InterestRaw[account] = 0;
+
+        emit Token__Liquidate(msg.sender, account, to, debtRaw, tokenAmt);
+        IERC20(quote).safeTransferFrom(msg.sender, address(this), debtRaw);
+        if (interestRaw > 0) _healQuoteReserves(interestRaw);
+        _transfer(account, to, tokenAmt);
     }
 
     function heal(uint256 quoteRaw) external nonReentrant notZero(quoteRaw) {
@@ -288,10 +541,11 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
 
     function _processBuyFees(
         uint256 quoteRaw,
-        address provider
+        address provider,
+        Fees memory fees
     ) internal returns (uint256 remainingRaw) {
         remainingRaw = quoteRaw;
-        uint256 shareRaw = (quoteRaw * FEE_AMOUNT) / DIVISOR;
+        uint256 shareRaw = (quoteRaw * fees.feeSplit) / DIVISOR;
 
         if (provider != address(0) && shareRaw > 0) {
             uint256 providerFee = shareRaw <= remainingRaw
@@ -315,14 +569,14 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
             }
         }
 
-        address treasury = IWaveFront(wavefront).treasury();
-        if (treasury != address(0) && remainingRaw > 0) {
+        if (fees.treasury != address(0) && remainingRaw > 0) {
+            shareRaw = (quoteRaw * fees.treasurySplit) / DIVISOR;
             uint256 treasuryFee = shareRaw <= remainingRaw
                 ? shareRaw
                 : remainingRaw;
             if (treasuryFee > 0) {
-                IERC20(quote).safeTransfer(treasury, treasuryFee);
-                emit Token__TreasuryFee(treasury, treasuryFee, 0);
+                IERC20(quote).safeTransfer(fees.treasury, treasuryFee);
+                emit Token__TreasuryFee(fees.treasury, treasuryFee, 0);
                 remainingRaw -= treasuryFee;
             }
         }
@@ -331,10 +585,11 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
 
     function _processSellFees(
         uint256 tokenAmt,
-        address provider
+        address provider,
+        Fees memory fees
     ) internal returns (uint256 remainingAmt) {
         remainingAmt = tokenAmt;
-        uint256 shareAmt = (tokenAmt * FEE_AMOUNT) / DIVISOR;
+        uint256 shareAmt = (tokenAmt * fees.feeSplit) / DIVISOR;
 
         if (provider != address(0) && shareAmt > 0) {
             uint256 providerFee = shareAmt <= remainingAmt
@@ -358,14 +613,14 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
             }
         }
 
-        address treasury = IWaveFront(wavefront).treasury();
-        if (treasury != address(0) && remainingAmt > 0) {
+        if (fees.treasury != address(0) && remainingAmt > 0) {
+            shareAmt = (tokenAmt * fees.treasurySplit) / DIVISOR;
             uint256 treasuryFee = shareAmt <= remainingAmt
                 ? shareAmt
                 : remainingAmt;
             if (treasuryFee > 0) {
-                _mint(treasury, treasuryFee);
-                emit Token__TreasuryFee(treasury, 0, treasuryFee);
+                _mint(fees.treasury, treasuryFee);
+                emit Token__TreasuryFee(fees.treasury, 0, treasuryFee);
                 remainingAmt -= treasuryFee;
             }
         }
@@ -373,6 +628,39 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         return remainingAmt;
     }
 
+    function _spendBorrowAllowance(address account, uint256 quoteRaw) internal {
+        uint256 allowed = borrowAllowance[account][msg.sender];
+        if (quoteRaw > allowed) revert Token__BorrowAllowanceExceeded();
+        if (allowed != type(uint256).max) {
+            borrowAllowance[account][msg.sender] = allowed - quoteRaw;
+        }
+    }
+
+    function _borrow(address account, address to, uint256 quoteRaw) internal {
+        _accrue(account);
+        uint256 credit = getAccountCredit(account);
+        if (quoteRaw > credit) revert Token__CreditExceeded();
+
+        totalDebtRaw += quoteRaw;
+        account_DebtRaw[account] += quoteRaw;
+
+        emit Token__Borrow(account, to, quoteRaw);
+        IERC20(quote).safeTransfer(to, quoteRaw);
+    }
+
+    function _accrue(address account) internal {
+        if (borrowRate == 0) return;
+        uint256 interestRaw = getAccountDebt(account) -
+            account_DebtRaw[account];
+        account_LastAccrued[account] = block.timestamp;
+        if (interestRaw == 0) return;
+
+        totalDebtRaw += interestRaw;
+        account_DebtRaw[account] += interestRaw;
+        account_InterestRaw[account] += interestRaw;
+        emit Token__InterestAccrued(account, interestRaw);
+    }
+
     function _healQuoteReserves(uint256 quoteRaw) internal {
         uint256 quoteWad = rawToWad(quoteRaw);
         uint256 m = maxSupply;
@@ -450,9 +738,19 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         return reserveVirtQuoteWad.mulWadDown(PRECISION).divWadDown(maxSupply);
     }
 
-    function getAccountCredit(
+    // Debt including the interest accrued since the account was last touched.
+    function getAccountDebt(
         address account
-    ) public view returns (uint256 creditRaw) {
+    ) public view returns (uint256 debtRaw) {
+        debtRaw = account_DebtRaw[account];
+        if (borrowRate == 0 || debtRaw == 0) return debtRaw;
+        uint256 elapsed = block.timestamp - account_LastAccrued[account];
+        return debtRaw + debtRaw.mulDivUp(borrowRate * elapsed, DIVISOR * YEAR);
+    }
+
+    function getAccountCreditLimit(
+        address account
+    ) public view returns (uint256 creditLimitRaw) {
         uint256 balance = balanceOf(account);
         if (balance == 0) return 0;
 
@@ -461,9 +759,14 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
         if (balance >= m) return 0;
 
         uint256 requiredWad = xv.mulWadDown(m).divWadDown(m - balance);
-        uint256 creditLimitWad = requiredWad - xv;
-        uint256 creditLimitRaw = wadToRaw(creditLimitWad);
-        uint256 debtRaw = account_DebtRaw[account];
+        return wadToRaw(requiredWad - xv);
+    }
+
+    function getAccountCredit(
+        address account
+    ) public view returns (uint256 creditRaw) {
+        uint256 creditLimitRaw = getAccountCreditLimit(account);
+        uint256 debtRaw = getAccountDebt(account);
 
         creditRaw = creditLimitRaw > debtRaw ? creditLimitRaw - debtRaw : 0;
         return creditRaw;
@@ -472,7 +775,7 @@ contract Token is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard {
     function getAccountTransferrable(
         address account
     ) public view returns (uint256 tokenAmt) {
-        uint256 debtRaw = account_DebtRaw[account];
+        uint256 debtRaw = getAccountDebt(account);
         uint256 balance = balanceOf(account);
         if (debtRaw == 0) return balance;
 
@@ -501,8 +804,7 @@ contract TokenFactory {
         string memory symbol,
         address wavefront,
         address quote,
-        uint256 initialSupply,
-        uint256 reserveVirtQuoteRaw,
+        LaunchParams calldata params,
         address saleFactory,
         address contentFactory,
         address rewarderFactory
@@ -513,8 +815,7 @@ contract TokenFactory {
                 symbol,
                 wavefront,
                 quote,
-                initialSupply,
-                reserveVirtQuoteRaw,
+                params,
                 saleFactory,
                 contentFactory,
                 rewarderFactory
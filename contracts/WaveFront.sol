@@ -2,7 +2,43 @@
 pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ActionQueue.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+struct LaunchParams {
+    uint256 initialSupply;
+    uint256 reserveVirtQuoteRaw;
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 saleDuration;
+    uint256 borrowRate;
+    uint256 saleSoftCapRaw;
+    uint256 saleHardCapRaw;
+    uint256 saleWalletCapRaw;
+    uint256 presaleDuration;
+    bytes32 presaleRoot;
+    uint256 vestingCliff;
+    uint256 vestingDuration;
+    uint256 curationMode;
+    uint256 curationStep;
+    uint256 curationTaxRate;
+    uint256 curationDecay;
+    uint256 curationCreatorShare;
+    uint256 curationHealShare;
+}
+
+// What a token charges on swaps and where its fee goes, see `getFees`.
+struct Fees {
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 treasurySplit;
+    address treasury;
+}
+
+struct FeeTier {
+    uint256 fee;
+    uint256 feeSplit;
+}
 
 interface ITokenFactory {
     function create(
@@ -10,8 +46,7 @@ interface ITokenFactory {
         string memory symbol,
         address wavefront,
         address quote,
-        uint256 initialSupply,
-        uint256 reserveVirtQuoteRaw,
+        LaunchParams calldata params,
         address saleFactory,
         address contentFactory,
         address rewarderFactory
@@ -19,6 +54,10 @@ interface ITokenFactory {
 }
 
 interface IToken {
+    function fee() external view returns (uint256);
+
+    function feeSplit() external view returns (uint256);
+
     function sale() external view returns (address);
 
     function content() external view returns (address);
@@ -26,13 +65,37 @@ interface IToken {
     function rewarder() external view returns (address);
 }
 
+interface IContent {
+    function setCreator(address creator) external;
+}
+
 interface IRewarder {
     function addReward(address token) external;
 }
 
-contract WaveFront is Ownable {
-    uint256 public constant INITIAL_SUPPLY = 1_000_000_000 * 10 ** 18;
-    uint256 public constant RESERVE_VIRT_QUOTE_RAW = 100_000 * 10 ** 6;
+interface IGovernorFactory {
+    function create(
+        address token
+    ) external returns (address governor, address timelock);
+}
+
+contract WaveFront is ActionQueue {
+    uint256 public constant DIVISOR = 10_000;
+    uint256 public constant MAX_FEE = 1_000; // 10%
+    uint256 public constant MAX_FEE_SPLIT = 3_333; // of the fee, per recipient
+    uint256 public constant MAX_BORROW_RATE = 5_000; // 50% a year
+    uint256 public constant CURATION_MODES = 3; // StepUp, Harberger, Dutch
+    uint256 public constant MAX_CURATION_SHARE = 5_000; // creator and heal each
+
+    uint256 public constant DEFAULT_INITIAL_SUPPLY = 1_000_000_000 * 10 ** 18;
+    uint256 public constant DEFAULT_RESERVE_VIRT_QUOTE_RAW = 100_000 * 10 ** 6;
+    uint256 public constant DEFAULT_FEE = 100;
+    uint256 public constant DEFAULT_FEE_SPLIT = 1_500;
+    uint256 public constant DEFAULT_SALE_DURATION = 2 hours;
+    uint256 public constant DEFAULT_BORROW_RATE = 0;
+    uint256 public constant DEFAULT_CURATION_STEP = 1_000; // 10% a curation
+    uint256 public constant DEFAULT_CURATION_TAX_RATE = 1_000; // 10% a year
+    uint256 public constant DEFAULT_CURATION_DECAY = 1 days;
 
     address public immutable quote;
 
@@ -40,16 +103,41 @@ contract WaveFront is Ownable {
     address public saleFactory;
     address public contentFactory;
     address public rewarderFactory;
+    address public governorFactory;
     address public treasury;
 
+    address[] public quotes;
+    mapping(address => bool) public quote_Allowed;
+    mapping(address => uint256) public quote_DefaultVirtQuoteRaw;
+    mapping(address => LaunchParams) internal quote_MinBounds;
+    mapping(address => LaunchParams) internal quote_MaxBounds;
+
     uint256 public index;
     mapping(uint256 => address) public index_Token;
     mapping(address => uint256) public token_Index;
     mapping(address => string) public token_Uri;
+    mapping(address => address) public token_Governor;
+    mapping(address => address) public token_Timelock;
+    mapping(address => address) public token_Treasury;
+
+    // Tier 0 is the fee a token launched with, tiers from 1 on are set by
+    // the owner and override it for the tokens moved into them.
+    uint256 public treasurySplit = DEFAULT_FEE_SPLIT;
+    uint256 public feeTiers;
+    mapping(uint256 => FeeTier) public tier_Fees;
+    mapping(address => uint256) public token_FeeTier;
+
+    error WaveFront__InvalidLaunchParams();
+    error WaveFront__InvalidLaunchBounds();
+    error WaveFront__InvalidQuote();
+    error WaveFront__QuoteNotAllowed();
+    error WaveFront__InvalidFees();
+    error WaveFront__InvalidFeeTier();
 
     event WaveFront__TokenCreated(
         uint256 index,
         address token,
+        address quote,
         address sale,
         address content,
         address rewarder,
@@ -57,11 +145,32 @@ contract WaveFront is Ownable {
         string symbol,
         string uri
     );
+    event WaveFront__GovernorCreated(
+        address indexed token,
+        address governor,
+        address timelock
+    );
     event WaveFront__TreasurySet(address newTreasury);
+    event WaveFront__TokenTreasurySet(address indexed token, address treasury);
     event WaveFront__TokenFactorySet(address newTokenFactory);
     event WaveFront__SaleFactorySet(address newSaleFactory);
     event WaveFront__ContentFactorySet(address newContentFactory);
     event WaveFront__RewarderFactorySet(address newRewarderFactory);
+    event WaveFront__GovernorFactorySet(address newGovernorFactory);
+    event WaveFront__QuoteSet(
+        address quote,
+        uint256 defaultVirtQuoteRaw,
+        LaunchParams minParams,
+        LaunchParams maxParams
+    );
+    event WaveFront__QuoteRemoved(address quote);
+    event WaveFront__TreasurySplitSet(uint256 treasurySplit);
+    event WaveFront__FeeTierSet(
+        uint256 indexed tier,
+        uint256 fee,
+        uint256 feeSplit
+    );
+    event WaveFront__TokenFeeTierSet(address indexed token, uint256 tier);
 
     constructor(
         address _quote,
@@ -75,22 +184,46 @@ contract WaveFront is Ownable {
         saleFactory = _saleFactory;
         contentFactory = _contentFactory;
         rewarderFactory = _rewarderFactory;
+
+        // Sale caps, presales, vesting and the curation mode are the
+        // creator's call unless the owner narrows them.
+        _setQuote(
+            _quote,
+            DEFAULT_RESERVE_VIRT_QUOTE_RAW,
+            _defaultParams(false),
+            _defaultParams(true)
+        );
     }
 
     function create(
         string memory name,
         string memory symbol,
-        string memory uri
+        string memory uri,
+        address _quote,
+        LaunchParams calldata params
     ) external returns (address token) {
+        if (!quote_Allowed[_quote]) revert WaveFront__QuoteNotAllowed();
+        // A zero virtual reserve takes the quote's default.
+        LaunchParams memory launchParams = params;
+        if (launchParams.reserveVirtQuoteRaw == 0) {
+            launchParams.reserveVirtQuoteRaw = quote_DefaultVirtQuoteRaw[
+                _quote
+            ];
+        }
+        if (
+            !_withinBounds(_quote, launchParams) ||
+            !_validSaleOptions(launchParams)
+        ) {
+            revert WaveFront__InvalidLaunchParams();
+        }
         index++;
 
         token = ITokenFactory(tokenFactory).create(
             name,
             symbol,
             address(this),
-            quote,
-            INITIAL_SUPPLY,
-            RESERVE_VIRT_QUOTE_RAW,
+            _quote,
+            launchParams,
             saleFactory,
             contentFactory,
             rewarderFactory
@@ -100,13 +233,26 @@ contract WaveFront is Ownable {
         token_Index[token] = index;
         token_Uri[token] = uri;
 
+        // The caller moderates the content, the router passes it on.
+        IContent(IToken(token).content()).setCreator(msg.sender);
         address rewarder = IToken(token).rewarder();
-        IRewarder(rewarder).addReward(quote);
+        IRewarder(rewarder).addReward(_quote);
         IRewarder(rewarder).addReward(token);
 
+        // Holders govern the token once a governor factory is set.
+        if (governorFactory != address(0)) {
+            (address governor, address timelock) = IGovernorFactory(
+                governorFactory
+            ).create(token);
+            token_Governor[token] = governor;
+            token_Timelock[token] = timelock;
+            emit WaveFront__GovernorCreated(token, governor, timelock);
+        }
+
         emit WaveFront__TokenCreated(
             index,
             token,
+            _quote,
             IToken(token).sale(),
             IToken(token).content(),
             rewarder,
@@ -116,36 +262,295 @@ contract WaveFront is Ownable {
         );
     }
 
-    function setTreasury(address _treasury) external onlyOwner {
+    function setTreasury(address _treasury) external onlyQueued {
         treasury = _treasury;
         emit WaveFront__TreasurySet(_treasury);
     }
 
-    function setTokenFactory(address _tokenFactory) external onlyOwner {
+    // Where `token` sends its treasury fees, such as its governance
+    // timelock, the treasury when unset.
+    function setTokenTreasury(
+        address token,
+        address _treasury
+    ) external onlyQueued {
+        token_Treasury[token] = _treasury;
+        emit WaveFront__TokenTreasurySet(token, _treasury);
+    }
+
+    function setTokenFactory(address _tokenFactory) external onlyQueued {
         tokenFactory = _tokenFactory;
         emit WaveFront__TokenFactorySet(_tokenFactory);
     }
 
-    function setSaleFactory(address _saleFactory) external onlyOwner {
+    function setSaleFactory(address _saleFactory) external onlyQueued {
         saleFactory = _saleFactory;
         emit WaveFront__SaleFactorySet(_saleFactory);
     }
 
-    function setContentFactory(address _contentFactory) external onlyOwner {
+    function setContentFactory(address _contentFactory) external onlyQueued {
         contentFactory = _contentFactory;
         emit WaveFront__ContentFactorySet(_contentFactory);
     }
 
-    function setRewarderFactory(address _rewarderFactory) external onlyOwner {
+    function setRewarderFactory(address _rewarderFactory) external onlyQueued {
         rewarderFactory = _rewarderFactory;
         emit WaveFront__RewarderFactorySet(_rewarderFactory);
     }
 
+    function setGovernorFactory(address _governorFactory) external onlyQueued {
+        governorFactory = _governorFactory;
+        emit WaveFront__GovernorFactorySet(_governorFactory);
+    }
+
+    // Share of every token's fee that goes to its treasury.
+    function setTreasurySplit(uint256 _treasurySplit) external onlyQueued {
+        if (_treasurySplit > MAX_FEE_SPLIT) revert WaveFront__InvalidFees();
+        treasurySplit = _treasurySplit;
+        emit WaveFront__TreasurySplitSet(_treasurySplit);
+    }
+
+    // Updates a tier, or adds the next one.
+    function setFeeTier(
+        uint256 tier,
+        uint256 fee,
+        uint256 feeSplit
+    ) external onlyQueued {
+        if (tier == 0 || tier > feeTiers + 1) {
+            revert WaveFront__InvalidFeeTier();
+        }
+        if (fee > MAX_FEE || feeSplit > MAX_FEE_SPLIT) {
+            revert WaveFront__InvalidFees();
+        }
+        if (tier > feeTiers) feeTiers = tier;
+        tier_Fees[tier] = FeeTier(fee, feeSplit);
+        emit WaveFront__FeeTierSet(tier, fee, feeSplit);
+    }
+
+    // Moves `token` into a tier, tier 0 goes back to its launch fee.
+    function setTokenFeeTier(address token, uint256 tier) external onlyQueued {
+        if (token_Index[token] == 0 || tier > feeTiers) {
+            revert WaveFront__InvalidFeeTier();
+        }
+        token_FeeTier[token] = tier;
+        emit WaveFront__TokenFeeTierSet(token, tier);
+    }
+
+    function setQuote(
+        address _quote,
+        uint256 defaultVirtQuoteRaw,
+        LaunchParams calldata _minParams,
+        LaunchParams calldata _maxParams
+    ) external onlyQueued {
+        _setQuote(_quote, defaultVirtQuoteRaw, _minParams, _maxParams);
+    }
+
+    function removeQuote(address _quote) external onlyQueued {
+        if (!quote_Allowed[_quote]) revert WaveFront__QuoteNotAllowed();
+        for (uint256 i = 0; i < quotes.length; i++) {
+            if (quotes[i] == _quote) {
+                quotes[i] = quotes[quotes.length - 1];
+                quotes.pop();
+                break;
+            }
+        }
+        delete quote_Allowed[_quote];
+        delete quote_DefaultVirtQuoteRaw[_quote];
+        delete quote_MinBounds[_quote];
+        delete quote_MaxBounds[_quote];
+        emit WaveFront__QuoteRemoved(_quote);
+    }
+
     function addContentReward(
         address token,
         address rewardToken
-    ) external onlyOwner {
+    ) external onlyQueued {
         address rewarder = IToken(token).rewarder();
         IRewarder(rewarder).addReward(rewardToken);
     }
+
+    function getFees(address token) external view returns (Fees memory fees) {
+        uint256 tier = token_FeeTier[token];
+        if (tier == 0) {
+            fees.fee = IToken(token).fee();
+            fees.feeSplit = IToken(token).feeSplit();
+        } else {
+            fees.fee = tier_Fees[tier].fee;
+            fees.feeSplit = tier_Fees[tier].feeSplit;
+        }
+        fees.treasurySplit = treasurySplit;
+        fees.treasury = getTreasury(token);
+    }
+
+    function getTreasury(address token) public view returns (address) {
+        address tokenTreasury = token_Treasury[token];
+        return tokenTreasury == address(0) ? treasury : tokenTreasury;
+    }
+
+    // Returned as one struct, the flat getter of a mapping runs out of stack.
+    function quote_MinParams(
+        address _quote
+    ) external view returns (LaunchParams memory) {
+        return quote_MinBounds[_quote];
+    }
+
+    function quote_MaxParams(
+        address _quote
+    ) external view returns (LaunchParams memory) {
+        return quote_MaxBounds[_quote];
+    }
+
+    function getQuotes() external view returns (address[] memory) {
+        return quotes;
+    }
+
+    function _setQuote(
+        address _quote,
+        uint256 defaultVirtQuoteRaw,
+        LaunchParams memory _minParams,
+        LaunchParams memory _maxParams
+    ) internal {
+        // Token scales quote amounts up to 18 decimals.
+        if (_quote == address(0) || IERC20Metadata(_quote).decimals() > 18) {
+            revert WaveFront__InvalidQuote();
+        }
+        if (
+            _minParams.initialSupply == 0 ||
+            _minParams.reserveVirtQuoteRaw == 0 ||
+            _minParams.saleDuration == 0 ||
+            _maxParams.fee > MAX_FEE ||
+            _maxParams.feeSplit > MAX_FEE_SPLIT ||
+            _maxParams.borrowRate > MAX_BORROW_RATE ||
+            _minParams.initialSupply > _maxParams.initialSupply ||
+            _minParams.reserveVirtQuoteRaw > _maxParams.reserveVirtQuoteRaw ||
+            _minParams.fee > _maxParams.fee ||
+            _minParams.feeSplit > _maxParams.feeSplit ||
+            _minParams.saleDuration > _maxParams.saleDuration ||
+            _minParams.borrowRate > _maxParams.borrowRate ||
+            _minParams.saleSoftCapRaw > _maxParams.saleSoftCapRaw ||
+            _minParams.saleHardCapRaw > _maxParams.saleHardCapRaw ||
+            _minParams.saleWalletCapRaw > _maxParams.saleWalletCapRaw ||
+            _minParams.presaleDuration > _maxParams.presaleDuration ||
+            _minParams.vestingCliff > _maxParams.vestingCliff ||
+            _minParams.vestingDuration > _maxParams.vestingDuration ||
+            _maxParams.curationMode >= CURATION_MODES ||
+            _maxParams.curationCreatorShare + _maxParams.curationHealShare >
+            DIVISOR ||
+            _minParams.curationMode > _maxParams.curationMode ||
+            _minParams.curationStep > _maxParams.curationStep ||
+            _minParams.curationTaxRate > _maxParams.curationTaxRate ||
+            _minParams.curationDecay > _maxParams.curationDecay ||
+            _minParams.curationCreatorShare > _maxParams.curationCreatorShare ||
+            _minParams.curationHealShare > _maxParams.curationHealShare ||
+            defaultVirtQuoteRaw < _minParams.reserveVirtQuoteRaw ||
+            defaultVirtQuoteRaw > _maxParams.reserveVirtQuoteRaw
+        ) revert WaveFront__InvalidLaunchBounds();
+
+        if (!quote_Allowed[_quote]) {
+            quote_Allowed[_quote] = true;
+            quotes.push(_quote);
+        }
+        quote_DefaultVirtQuoteRaw[_quote] = defaultVirtQuoteRaw;
+        quote_MinBounds[_quote] = _minParams;
+        quote_MaxBounds[_quote] = _maxParams;
+        emit WaveFront__QuoteSet(
+            _quote,
+            defaultVirtQuoteRaw,
+            _minParams,
+            _maxParams
+        );
+    }
+
+    function _withinBounds(
+        address _quote,
+        LaunchParams memory params
+    ) internal view returns (bool) {
+        LaunchParams memory lo = quote_MinBounds[_quote];
+        LaunchParams memory hi = quote_MaxBounds[_quote];
+        return
+            params.initialSupply >= lo.initialSupply &&
+            params.initialSupply <= hi.initialSupply &&
+            params.reserveVirtQuoteRaw >= lo.reserveVirtQuoteRaw &&
+            params.reserveVirtQuoteRaw <= hi.reserveVirtQuoteRaw &&
+            params.fee >= lo.fee &&
+            params.fee <= hi.fee &&
+            params.feeSplit >= lo.feeSplit &&
+            params.feeSplit <= hi.feeSplit &&
+            params.saleDuration >= lo.saleDuration &&
+            params.saleDuration <= hi.saleDuration &&
+            params.borrowRate >= lo.borrowRate &&
+            params.borrowRate <= hi.borrowRate &&
+            params.saleSoftCapRaw >= lo.saleSoftCapRaw &&
+            params.saleSoftCapRaw <= hi.saleSoftCapRaw &&
+            params.saleHardCapRaw >= lo.saleHardCapRaw &&
+            params.saleHardCapRaw <= hi.saleHardCapRaw &&
+            params.saleWalletCapRaw >= lo.saleWalletCapRaw &&
+            params.saleWalletCapRaw <= hi.saleWalletCapRaw &&
+            params.presaleDuration >= lo.presaleDuration &&
+            params.presaleDuration <= hi.presaleDuration &&
+            params.vestingCliff >= lo.vestingCliff &&
+            params.vestingCliff <= hi.vestingCliff &&
+            params.vestingDuration >= lo.vestingDuration &&
+            params.vestingDuration <= hi.vestingDuration &&
+            params.curationMode >= lo.curationMode &&
+            params.curationMode <= hi.curationMode &&
+            params.curationStep >= lo.curationStep &&
+            params.curationStep <= hi.curationStep &&
+            params.curationTaxRate >= lo.curationTaxRate &&
+            params.curationTaxRate <= hi.curationTaxRate &&
+            params.curationDecay >= lo.curationDecay &&
+            params.curationDecay <= hi.curationDecay &&
+            params.curationCreatorShare >= lo.curationCreatorShare &&
+            params.curationCreatorShare <= hi.curationCreatorShare &&
+            params.curationHealShare >= lo.curationHealShare &&
+            params.curationHealShare <= hi.curationHealShare;
+    }
+
+    // A zero cap is no cap, a set hard cap must leave room for the others.
+    // A presale needs an allowlist root and fits in the sale window. The
+    // vesting cliff falls within the vesting.
+    function _validSaleOptions(
+        LaunchParams memory params
+    ) internal pure returns (bool) {
+        bool validCaps = params.saleHardCapRaw == 0 ||
+            (params.saleSoftCapRaw <= params.saleHardCapRaw &&
+                params.saleWalletCapRaw <= params.saleHardCapRaw);
+        bool validPresale = (params.presaleDuration == 0) ==
+            (params.presaleRoot == bytes32(0)) &&
+            params.presaleDuration <= params.saleDuration;
+        return
+            validCaps &&
+            validPresale &&
+            params.vestingCliff <= params.vestingDuration;
+    }
+
+    // The lower or upper default bounds, which differ in the creator's
+    // options only: sale options, the curation mode and its split.
+    function _defaultParams(
+        bool upper
+    ) internal pure returns (LaunchParams memory) {
+        uint256 saleOption = upper ? type(uint256).max : 0;
+        uint256 curationShare = upper ? MAX_CURATION_SHARE : 0;
+        return
+            LaunchParams(
+                DEFAULT_INITIAL_SUPPLY,
+                DEFAULT_RESERVE_VIRT_QUOTE_RAW,
+                DEFAULT_FEE,
+                DEFAULT_FEE_SPLIT,
+                DEFAULT_SALE_DURATION,
+                DEFAULT_BORROW_RATE,
+                saleOption,
+                saleOption,
+                saleOption,
+                saleOption,
+                bytes32(0),
+                saleOption,
+                saleOption,
+                upper ? CURATION_MODES - 1 : 0,
+                DEFAULT_CURATION_STEP,
+                DEFAULT_CURATION_TAX_RATE,
+                DEFAULT_CURATION_DECAY,
+                curationShare,
+                curationShare
+            );
+    }
 }
@@ -5,6 +5,28 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "./library/FixedPointMathLib.sol";
 
+struct LaunchParams {
+    uint256 initialSupply;
+    uint256 reserveVirtQuoteRaw;
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 saleDuration;
+    uint256 borrowRate;
+    uint256 saleSoftCapRaw;
+    uint256 saleHardCapRaw;
+    uint256 saleWalletCapRaw;
+    uint256 presaleDuration;
+    bytes32 presaleRoot;
+    uint256 vestingCliff;
+    uint256 vestingDuration;
+    uint256 curationMode;
+    uint256 curationStep;
+    uint256 curationTaxRate;
+    uint256 curationDecay;
+    uint256 curationCreatorShare;
+    uint256 curationHealShare;
+}
+
 interface ISale {
     function endTime() external view returns (uint256);
 
@@ -13,6 +35,28 @@ interface ISale {
     function totalQuoteRaw() external view returns (uint256);
 
     function totalTokenAmt() external view returns (uint256);
+
+    function softCapRaw() external view returns (uint256);
+
+    function hardCapRaw() external view returns (uint256);
+
+    function walletCapRaw() external view returns (uint256);
+
+    function refundable() external view returns (bool);
+
+    function presaleDuration() external view returns (uint256);
+
+    function presaleRoot() external view returns (bytes32);
+
+    function presaleEnd() external view returns (uint256);
+
+    function vestingCliff() external view returns (uint256);
+
+    function vestingDuration() external view returns (uint256);
+
+    function getVested(address account) external view returns (uint256);
+
+    function getClaimable(address account) external view returns (uint256);
 }
 
 interface IToken {
@@ -26,6 +70,18 @@ interface IToken {
 
     function open() external view returns (bool);
 
+    function initialSupply() external view returns (uint256);
+
+    function initialVirtQuoteRaw() external view returns (uint256);
+
+    function fee() external view returns (uint256);
+
+    function feeSplit() external view returns (uint256);
+
+    function saleDuration() external view returns (uint256);
+
+    function borrowRate() external view returns (uint256);
+
     function wadToRaw(uint256 wad) external view returns (uint256);
 
     function rawToWad(uint256 raw) external view returns (uint256);
@@ -44,6 +100,16 @@ interface IToken {
 
     function account_DebtRaw(address account) external view returns (uint256);
 
+    function account_InterestRaw(
+        address account
+    ) external view returns (uint256);
+
+    function getAccountDebt(address account) external view returns (uint256);
+
+    function getAccountCreditLimit(
+        address account
+    ) external view returns (uint256);
+
     function getAccountCredit(address account) external view returns (uint256);
 
     function getAccountTransferrable(
@@ -51,10 +117,23 @@ interface IToken {
     ) external view returns (uint256);
 }
 
+struct Fees {
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 treasurySplit;
+    address treasury;
+}
+
 interface IWaveFront {
+    function index() external view returns (uint256);
+
+    function index_Token(uint256 index) external view returns (address);
+
     function token_Index(address token) external view returns (uint256);
 
     function token_Uri(address token) external view returns (string memory);
+
+    function getFees(address token) external view returns (Fees memory);
 }
 
 interface IRewarder {
@@ -76,12 +155,37 @@ interface IContent {
     function initialPrice() external view returns (uint256);
 
     function getNextPrice(uint256 tokenId) external view returns (uint256);
+
+    function curationMode() external view returns (uint256);
+
+    function curationStep() external view returns (uint256);
+
+    function curationTaxRate() external view returns (uint256);
+
+    function curationDecay() external view returns (uint256);
+
+    function curationCreatorShare() external view returns (uint256);
+
+    function curationHealShare() external view returns (uint256);
+
+    function totalSupply() external view returns (uint256);
+
+    function tokenByIndex(uint256 index) external view returns (uint256);
+
+    function ownerOf(uint256 tokenId) external view returns (address);
+
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+
+    function id_Creator(uint256 tokenId) external view returns (address);
+
+    function id_Price(uint256 tokenId) external view returns (uint256);
+
+    function id_Flagged(uint256 tokenId) external view returns (bool);
 }
 
 contract WaveFrontMulticall {
     using FixedPointMathLib for uint256;
 
-    uint256 public constant FEE = 100;
     uint256 public constant DIVISOR = 10_000;
     uint256 public constant PRECISION = 1e18;
 
@@ -90,13 +194,15 @@ contract WaveFrontMulticall {
     enum Phase {
         MARKET,
         CONTRI,
-        REDEEM
+        REDEEM,
+        REFUND
     }
 
     struct Data {
         uint256 index;
         address token;
         address quote;
+        uint8 quoteDecimals;
         address sale;
         address content;
         address rewarder;
@@ -105,7 +211,10 @@ contract WaveFrontMulticall {
         string uri;
         bool marketOpen;
         uint256 saleEnd;
+        uint256 presaleEnd;
         uint256 totalQuoteContributed;
+        uint256 saleProgress;
+        bool saleRefundable;
         uint256 marketCap;
         uint256 liquidity;
         uint256 floorPrice;
@@ -116,14 +225,62 @@ contract WaveFrontMulticall {
         uint256 accountQuoteBalance;
         uint256 accountTokenBalance;
         uint256 accountDebt;
+        uint256 accountInterest;
+        uint256 accountHealth;
         uint256 accountCredit;
         uint256 accountTransferrable;
         uint256 accountContributed;
         uint256 accountRedeemable;
+        uint256 accountVested;
+        uint256 accountClaimable;
         uint256 accountContentStaked;
         uint256 accountQuoteEarned;
         uint256 accountTokenEarned;
         Phase phase;
+        LaunchParams launchParams;
+    }
+
+    // The list view of a token, without strings or account positions.
+    struct Summary {
+        uint256 index;
+        address token;
+        address quote;
+        address content;
+        bool marketOpen;
+        uint256 saleEnd;
+        uint256 totalQuoteContributed;
+        uint256 marketCap;
+        uint256 liquidity;
+        uint256 floorPrice;
+        uint256 marketPrice;
+        uint256 accountTokenBalance;
+    }
+
+    // An account's holdings in one token, fields as in Data.
+    struct Position {
+        address token;
+        address quote;
+        uint256 marketPrice;
+        uint256 accountTokenBalance;
+        uint256 accountDebt;
+        uint256 accountCredit;
+        uint256 accountContributed;
+        uint256 accountRedeemable;
+        uint256 accountClaimable;
+        uint256 accountContentStaked;
+        uint256 accountQuoteEarned;
+        uint256 accountTokenEarned;
+    }
+
+    struct ContentData {
+        uint256 tokenId;
+        address owner;
+        address creator;
+        string uri;
+        bool flagged;
+        uint256 price;
+        uint256 nextPrice;
+        uint256 accountStaked;
     }
 
     constructor(address _wavefront) {
@@ -133,7 +290,7 @@ contract WaveFrontMulticall {
     function getData(
         address token,
         address account
-    ) external view returns (Data memory data) {
+    ) public view returns (Data memory data) {
         address quote = IToken(token).quote();
         address sale = IToken(token).sale();
         address content = IToken(token).content();
@@ -142,16 +299,6 @@ contract WaveFrontMulticall {
         bool marketOpen = IToken(token).open();
 
         uint256 totalContributed = ISale(sale).totalQuoteRaw();
-        uint256 xv = IToken(token).reserveVirtQuoteWad();
-        uint256 xr = IToken(token).reserveRealQuoteWad();
-        uint256 x0 = xv + xr;
-        uint256 y0 = IToken(token).reserveTokenAmt();
-
-        uint256 x1 = x0 +
-            totalContributed -
-            ((totalContributed * FEE) / DIVISOR);
-        uint256 y1 = x0.mulDivDown(y0, x1);
-        uint256 expectedTokenAmt = y0 - y1;
 
         uint256 index = IWaveFront(wavefront).token_Index(token);
         string memory uri = IWaveFront(wavefront).token_Uri(token);
@@ -160,6 +307,7 @@ contract WaveFrontMulticall {
 
         data.token = token;
         data.quote = quote;
+        data.quoteDecimals = IERC20Metadata(quote).decimals();
         data.sale = sale;
         data.content = content;
         data.rewarder = rewarder;
@@ -170,28 +318,27 @@ contract WaveFrontMulticall {
 
         data.marketOpen = marketOpen;
         data.saleEnd = ISale(sale).endTime();
+        // Zero without an allowlist, before it only proven accounts contribute.
+        if (ISale(sale).presaleRoot() != bytes32(0)) {
+            data.presaleEnd = ISale(sale).presaleEnd();
+        }
         data.totalQuoteContributed = totalContributed;
+        // Contributions over the hard cap, or the soft cap without one,
+        // with 1e18 once it is reached.
+        uint256 saleCap = ISale(sale).hardCapRaw();
+        if (saleCap == 0) saleCap = ISale(sale).softCapRaw();
+        if (saleCap > 0) {
+            data.saleProgress = totalContributed.mulDivDown(PRECISION, saleCap);
+        }
+        data.saleRefundable = ISale(sale).refundable();
 
-        data.marketCap = marketOpen
-            ? IToken(token).wadToRaw(
-                IToken(token).maxSupply().mulDivDown(
-                    IToken(token).getMarketPrice(),
-                    PRECISION
-                )
-            )
-            : totalContributed;
-        data.liquidity =
-            IToken(token).wadToRaw(
-                IToken(token).reserveRealQuoteWad() +
-                    IToken(token).reserveVirtQuoteWad()
-            ) *
-            2;
+        data.marketCap = _getMarketCap(token, marketOpen, totalContributed);
+        data.liquidity = _getLiquidity(token);
         data.floorPrice = IToken(token).getFloorPrice();
-        data.marketPrice = marketOpen
-            ? IToken(token).getMarketPrice()
-            : x1.mulDivDown(PRECISION, y1);
+        data.marketPrice = _getMarketPrice(token, marketOpen, totalContributed);
         data.circulatingSupply = IERC20(token).totalSupply();
         data.maxSupply = IToken(token).maxSupply();
+        data.launchParams = _getLaunchParams(token, sale, content);
 
         uint256 totalContentStaked = IToken(token).rawToWad(
             IRewarder(rewarder).totalSupply()
@@ -222,25 +369,34 @@ contract WaveFrontMulticall {
         if (account != address(0)) {
             data.accountQuoteBalance = IERC20(quote).balanceOf(account);
             data.accountTokenBalance = IERC20(token).balanceOf(account);
-            data.accountDebt = IToken(token).account_DebtRaw(account);
+            data.accountDebt = IToken(token).getAccountDebt(account);
+            // Unpaid interest, including what accrued since the last touch.
+            data.accountInterest =
+                IToken(token).account_InterestRaw(account) +
+                data.accountDebt -
+                IToken(token).account_DebtRaw(account);
+            // Credit limit over debt, below 1e18 the account can be liquidated.
+            data.accountHealth = data.accountDebt == 0
+                ? type(uint256).max
+                : IToken(token).getAccountCreditLimit(account).mulDivDown(
+                    PRECISION,
+                    data.accountDebt
+                );
             data.accountCredit = IToken(token).getAccountCredit(account);
             data.accountTransferrable = IToken(token).getAccountTransferrable(
                 account
             );
             data.accountContributed = ISale(sale).account_QuoteRaw(account);
-            if (totalContributed > 0) {
-                data.accountRedeemable = marketOpen
-                    ? ISale(sale).totalTokenAmt().mulDivDown(
-                        data.accountContributed,
-                        totalContributed
-                    )
-                    : expectedTokenAmt.mulDivDown(
-                        data.accountContributed,
-                        totalContributed
-                    );
-            } else {
-                data.accountRedeemable = 0;
-            }
+            data.accountRedeemable = _getRedeemable(
+                token,
+                sale,
+                data.accountContributed,
+                marketOpen,
+                totalContributed
+            );
+            // Of the redeemable tokens, vested so far and not yet redeemed.
+            data.accountVested = ISale(sale).getVested(account);
+            data.accountClaimable = ISale(sale).getClaimable(account);
             data.accountContentStaked = accountContentStaked;
             data.accountQuoteEarned = IRewarder(rewarder).earned(
                 account,
@@ -252,7 +408,9 @@ contract WaveFrontMulticall {
             );
         }
 
-        if (!marketOpen && block.timestamp < data.saleEnd) {
+        if (data.saleRefundable && data.accountContributed > 0) {
+            data.phase = Phase.REFUND;
+        } else if (!marketOpen && block.timestamp < data.saleEnd) {
             data.phase = Phase.CONTRI;
         } else if (!marketOpen && block.timestamp >= data.saleEnd) {
             if (data.accountContributed > 0) {
@@ -261,7 +419,7 @@ contract WaveFrontMulticall {
                 data.phase = Phase.CONTRI;
             }
         } else {
-            if (data.accountContributed > 0) {
+            if (data.accountClaimable > 0) {
                 data.phase = Phase.REDEEM;
             } else {
                 data.phase = Phase.MARKET;
@@ -271,6 +429,107 @@ contract WaveFrontMulticall {
         return data;
     }
 
+    // Tokens by WaveFront index from `startIndex`, the first being 1, up to
+    // `count` of them or the last.
+    function getDataPage(
+        uint256 startIndex,
+        uint256 count,
+        address account
+    ) external view returns (Data[] memory page) {
+        page = new Data[](_pageLength(startIndex, count));
+        for (uint256 i; i < page.length; i++) {
+            page[i] = getData(
+                IWaveFront(wavefront).index_Token(startIndex + i),
+                account
+            );
+        }
+    }
+
+    function getSummaryPage(
+        uint256 startIndex,
+        uint256 count,
+        address account
+    ) external view returns (Summary[] memory page) {
+        page = new Summary[](_pageLength(startIndex, count));
+        for (uint256 i; i < page.length; i++) {
+            address token = IWaveFront(wavefront).index_Token(startIndex + i);
+            address sale = IToken(token).sale();
+            bool marketOpen = IToken(token).open();
+            uint256 totalContributed = ISale(sale).totalQuoteRaw();
+
+            Summary memory summary = page[i];
+            summary.index = startIndex + i;
+            summary.token = token;
+            summary.quote = IToken(token).quote();
+            summary.content = IToken(token).content();
+            summary.marketOpen = marketOpen;
+            summary.saleEnd = ISale(sale).endTime();
+            summary.totalQuoteContributed = totalContributed;
+            summary.marketCap = _getMarketCap(
+                token,
+                marketOpen,
+                totalContributed
+            );
+            summary.liquidity = _getLiquidity(token);
+            summary.floorPrice = IToken(token).getFloorPrice();
+            summary.marketPrice = _getMarketPrice(
+                token,
+                marketOpen,
+                totalContributed
+            );
+            if (account != address(0)) {
+                summary.accountTokenBalance = IERC20(token).balanceOf(account);
+            }
+        }
+    }
+
+    function getPortfolio(
+        address account,
+        address[] calldata tokens
+    ) external view returns (Position[] memory positions) {
+        positions = new Position[](tokens.length);
+        for (uint256 i; i < tokens.length; i++) {
+            address token = tokens[i];
+            address quote = IToken(token).quote();
+            address sale = IToken(token).sale();
+            address rewarder = IToken(token).rewarder();
+            bool marketOpen = IToken(token).open();
+            uint256 totalContributed = ISale(sale).totalQuoteRaw();
+
+            Position memory position = positions[i];
+            position.token = token;
+            position.quote = quote;
+            position.marketPrice = _getMarketPrice(
+                token,
+                marketOpen,
+                totalContributed
+            );
+            position.accountTokenBalance = IERC20(token).balanceOf(account);
+            position.accountDebt = IToken(token).getAccountDebt(account);
+            position.accountCredit = IToken(token).getAccountCredit(account);
+            position.accountContributed = ISale(sale).account_QuoteRaw(account);
+            position.accountRedeemable = _getRedeemable(
+                token,
+                sale,
+                position.accountContributed,
+                marketOpen,
+                totalContributed
+            );
+            position.accountClaimable = ISale(sale).getClaimable(account);
+            position.accountContentStaked = IToken(token).rawToWad(
+                IRewarder(rewarder).account_Balance(account)
+            );
+            position.accountQuoteEarned = IRewarder(rewarder).earned(
+                account,
+                quote
+            );
+            position.accountTokenEarned = IRewarder(rewarder).earned(
+                account,
+                token
+            );
+        }
+    }
+
     function buyQuoteIn(
         address token,
         uint256 quoteRawIn,
@@ -291,7 +550,7 @@ contract WaveFrontMulticall {
         uint256 xv = IToken(token).reserveVirtQuoteWad();
 
         uint256 quoteWadIn = IToken(token).rawToWad(quoteRawIn);
-        uint256 feeWad = (quoteWadIn * FEE) / DIVISOR;
+        uint256 feeWad = (quoteWadIn * _getFee(token)) / DIVISOR;
         uint256 netWad = quoteWadIn - feeWad;
 
         uint256 x0 = xv + xr;
@@ -343,7 +602,7 @@ contract WaveFrontMulticall {
 
         uint256 quoteWadIn = DIVISOR.mulDivDown(
             x0.mulDivDown(y0, y0 - tokenAmtOut) - x0,
-            DIVISOR - FEE
+            DIVISOR - _getFee(token)
         );
         quoteRawIn = IToken(token).wadToRaw(quoteWadIn);
         slippage =
@@ -381,7 +640,7 @@ contract WaveFrontMulticall {
         uint256 xr = IToken(token).reserveRealQuoteWad();
         uint256 xv = IToken(token).reserveVirtQuoteWad();
 
-        uint256 feeAmt = (tokenAmtIn * FEE) / DIVISOR;
+        uint256 feeAmt = (tokenAmtIn * _getFee(token)) / DIVISOR;
         uint256 netAmt = tokenAmtIn - feeAmt;
 
         uint256 y0 = IToken(token).reserveTokenAmt();
@@ -438,7 +697,7 @@ contract WaveFrontMulticall {
         uint256 quoteWadOut = IToken(token).rawToWad(quoteRawOut);
         tokenAmtIn = DIVISOR.mulDivDown(
             (x0.mulDivDown(y0, x0 - quoteWadOut)) - y0,
-            DIVISOR - FEE
+            DIVISOR - _getFee(token)
         );
         slippage =
             100 *
@@ -477,4 +736,138 @@ contract WaveFrontMulticall {
             return IContent(content).getNextPrice(tokenId);
         }
     }
+
+    // Pages through live content by ERC721Enumerable index, which is mint
+    // order until a burn moves the last item into the burned slot. The
+    // account's stake in an item is its price when the account holds it.
+    function getContentPage(
+        address token,
+        uint256 offset,
+        uint256 limit,
+        address account
+    ) external view returns (uint256 total, ContentData[] memory page) {
+        address content = IToken(token).content();
+        total = IContent(content).totalSupply();
+        uint256 end = offset + limit > total ? total : offset + limit;
+        page = new ContentData[](end > offset ? end - offset : 0);
+        for (uint256 i; i < page.length; i++) {
+            uint256 tokenId = IContent(content).tokenByIndex(offset + i);
+            ContentData memory item = page[i];
+            item.tokenId = tokenId;
+            item.owner = IContent(content).ownerOf(tokenId);
+            item.creator = IContent(content).id_Creator(tokenId);
+            item.uri = IContent(content).tokenURI(tokenId);
+            item.flagged = IContent(content).id_Flagged(tokenId);
+            item.price = IContent(content).id_Price(tokenId);
+            item.nextPrice = IContent(content).getNextPrice(tokenId);
+            if (account != address(0) && item.owner == account) {
+                item.accountStaked = item.price;
+            }
+        }
+    }
+
+    function _pageLength(
+        uint256 startIndex,
+        uint256 count
+    ) internal view returns (uint256) {
+        uint256 last = IWaveFront(wavefront).index();
+        if (startIndex == 0 || startIndex > last) return 0;
+        uint256 remaining = last - startIndex + 1;
+        return count < remaining ? count : remaining;
+    }
+
+    // Before the market opens, what the contributions buy at the opening.
+    function _getOpening(
+        address token,
+        uint256 totalContributed
+    ) internal view returns (uint256 price, uint256 tokenAmt) {
+        uint256 x0 = IToken(token).reserveVirtQuoteWad() +
+            IToken(token).reserveRealQuoteWad();
+        uint256 y0 = IToken(token).reserveTokenAmt();
+        uint256 x1 = x0 +
+            totalContributed -
+            ((totalContributed * _getFee(token)) / DIVISOR);
+        uint256 y1 = x0.mulDivDown(y0, x1);
+        return (x1.mulDivDown(PRECISION, y1), y0 - y1);
+    }
+
+    // The fee of the token's tier, not always the one it launched with.
+    function _getFee(address token) internal view returns (uint256) {
+        return IWaveFront(wavefront).getFees(token).fee;
+    }
+
+    function _getMarketPrice(
+        address token,
+        bool marketOpen,
+        uint256 totalContributed
+    ) internal view returns (uint256 price) {
+        if (marketOpen) return IToken(token).getMarketPrice();
+        (price, ) = _getOpening(token, totalContributed);
+    }
+
+    function _getMarketCap(
+        address token,
+        bool marketOpen,
+        uint256 totalContributed
+    ) internal view returns (uint256) {
+        if (!marketOpen) return totalContributed;
+        return
+            IToken(token).wadToRaw(
+                IToken(token).maxSupply().mulDivDown(
+                    IToken(token).getMarketPrice(),
+                    PRECISION
+                )
+            );
+    }
+
+    function _getLiquidity(address token) internal view returns (uint256) {
+        return
+            IToken(token).wadToRaw(
+                IToken(token).reserveRealQuoteWad() +
+                    IToken(token).reserveVirtQuoteWad()
+            ) * 2;
+    }
+
+    // The share of the sale's tokens `contributed` buys, estimated at the
+    // opening until the market opens.
+    function _getRedeemable(
+        address token,
+        address sale,
+        uint256 contributed,
+        bool marketOpen,
+        uint256 totalContributed
+    ) internal view returns (uint256) {
+        if (totalContributed == 0) return 0;
+        uint256 tokenAmt;
+        if (marketOpen) tokenAmt = ISale(sale).totalTokenAmt();
+        else (, tokenAmt) = _getOpening(token, totalContributed);
+        return tokenAmt.mulDivDown(contributed, totalContributed);
+    }
+
+    // Read back from the token, its sale and its content.
+    function _getLaunchParams(
+        address token,
+        address sale,
+        address content
+    ) internal view returns (LaunchParams memory params) {
+        params.initialSupply = IToken(token).initialSupply();
+        params.reserveVirtQuoteRaw = IToken(token).initialVirtQuoteRaw();
+        params.fee = IToken(token).fee();
+        params.feeSplit = IToken(token).feeSplit();
+        params.saleDuration = IToken(token).saleDuration();
+        params.borrowRate = IToken(token).borrowRate();
+        params.saleSoftCapRaw = ISale(sale).softCapRaw();
+        params.saleHardCapRaw = ISale(sale).hardCapRaw();
+        params.saleWalletCapRaw = ISale(sale).walletCapRaw();
+        params.presaleDuration = ISale(sale).presaleDuration();
+        params.presaleRoot = ISale(sale).presaleRoot();
+        params.vestingCliff = ISale(sale).vestingCliff();
+        params.vestingDuration = ISale(sale).vestingDuration();
+        params.curationMode = IContent(content).curationMode();
+        params.curationStep = IContent(content).curationStep();
+        params.curationTaxRate = IContent(content).curationTaxRate();
+        params.curationDecay = IContent(content).curationDecay();
+        params.curationCreatorShare = IContent(content).curationCreatorShare();
+        params.curationHealShare = IContent(content).curationHealShare();
+    }
 }
@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+interface IToken {
+    function quote() external view returns (address);
+
+    function getMarketPrice() external view returns (uint256);
+
+    function buy(
+        uint256 quoteRawIn,
+        uint256 minTokenAmtOut,
+        uint256 deadline,
+        address to,
+        address provider
+    ) external returns (uint256 tokenAmtOut);
+
+    function sell(
+        uint256 tokenAmtIn,
+        uint256 minQuoteRawOut,
+        uint256 deadline,
+        address to,
+        address provider
+    ) external returns (uint256 quoteRawOut);
+}
+
+// Buy and sell orders signed off-chain and filled by keepers, who earn the
+// provider fee of the trade they fill. `limitPrice` is compared against
+// Token.getMarketPrice():
+// - Buy fills while the price stays at or below it, before and after the trade.
+// - Sell fills while the price stays at or above it, before and after the trade.
+// - StopLoss sells once the price has fallen to it.
+// Buys spend `amount` of quote, sells `amount` of tokens, pulled from the
+// account with an approval to this contract. Every side receives at least
+// `minAmountOut`, tokens for buys and raw quote for sells, so a keeper that
+// moves the price before its fill cannot sell a stop-loss at any price.
+// Orders fill whole, once.
+contract WaveFrontOrderBook is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum Side {
+        Buy,
+        Sell,
+        StopLoss
+    }
+
+    struct Order {
+        address account;
+        address token;
+        Side side;
+        uint256 amount;
+        uint256 limitPrice;
+        uint256 minAmountOut;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH =
+        keccak256(
+            "Order(address account,address token,uint8 side,uint256 amount,uint256 limitPrice,uint256 minAmountOut,uint256 expiry,uint256 nonce)"
+        );
+
+    // Filled or cancelled nonces.
+    mapping(address => mapping(uint256 => bool)) public account_NonceUsed;
+
+    error WaveFrontOrderBook__Expired();
+    error WaveFrontOrderBook__InvalidSignature();
+    error WaveFrontOrderBook__NonceUsed();
+    error WaveFrontOrderBook__PriceNotReached();
+
+    event WaveFrontOrderBook__Filled(
+        bytes32 indexed orderHash,
+        address indexed account,
+        address indexed token,
+        address keeper,
+        Side side,
+        uint256 amountIn,
+        uint256 amountOut
+    );
+    event WaveFrontOrderBook__Cancelled(
+        address indexed account,
+        uint256 indexed nonce
+    );
+
+    constructor() EIP712("WaveFrontOrderBook", "1") {}
+
+    function fill(
+        Order calldata order,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256 amountOut) {
+        if (block.timestamp > order.expiry) {
+            revert WaveFrontOrderBook__Expired();
+        }
+        if (account_NonceUsed[order.account][order.nonce]) {
+            revert WaveFrontOrderBook__NonceUsed();
+        }
+        bytes32 orderHash = hashOrder(order);
+        if (ECDSA.recover(orderHash, signature) != order.account) {
+            revert WaveFrontOrderBook__InvalidSignature();
+        }
+        account_NonceUsed[order.account][order.nonce] = true;
+
+        if (!_priceReached(order)) revert WaveFrontOrderBook__PriceNotReached();
+
+        if (order.side == Side.Buy) {
+            address quote = IToken(order.token).quote();
+            IERC20(quote).safeTransferFrom(
+                order.account,
+                address(this),
+                order.amount
+            );
+            IERC20(quote).safeApprove(order.token, order.amount);
+            amountOut = IToken(order.token).buy(
+                order.amount,
+                order.minAmountOut,
+                0,
+                order.account,
+                msg.sender
+            );
+        } else {
+            IERC20(order.token).safeTransferFrom(
+                order.account,
+                address(this),
+                order.amount
+            );
+            amountOut = IToken(order.token).sell(
+                order.amount,
+                order.minAmountOut,
+                0,
+                order.account,
+                msg.sender
+            );
+        }
+
+        if (order.side != Side.StopLoss && !_priceReached(order)) {
+            revert WaveFrontOrderBook__PriceNotReached();
+        }
+
+        emit WaveFrontOrderBook__Filled(
+            orderHash,
+            order.account,
+            order.token,
+            msg.sender,
+            order.side,
+            order.amount,
+            amountOut
+        );
+    }
+
+    function cancel(uint256 nonce) external {
+        if (account_NonceUsed[msg.sender][nonce]) {
+            revert WaveFrontOrderBook__NonceUsed();
+        }
+        account_NonceUsed[msg.sender][nonce] = true;
+        emit WaveFrontOrderBook__Cancelled(msg.sender, nonce);
+    }
+
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        ORDER_TYPEHASH,
+                        order.account,
+                        order.token,
+                        order.side,
+                        order.amount,
+                        order.limitPrice,
+                        order.minAmountOut,
+                        order.expiry,
+                        order.nonce
+                    )
+                )
+            );
+    }
+
+    // Whether the order would pass its price check at the current price,
+    // before its own trade moves it.
+    function isTriggered(Order calldata order) external view returns (bool) {
+        return _priceReached(order);
+    }
+
+    function _priceReached(Order calldata order) internal view returns (bool) {
+        uint256 price = IToken(order.token).getMarketPrice();
+        if (order.side == Side.Sell) return price >= order.limitPrice;
+        return price <= order.limitPrice;
+    }
+}
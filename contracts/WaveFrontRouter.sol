@@ -2,21 +2,46 @@
 pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ActionQueue.sol";
+
+struct LaunchParams {
+    uint256 initialSupply;
+    uint256 reserveVirtQuoteRaw;
+    uint256 fee;
+    uint256 feeSplit;
+    uint256 saleDuration;
+    uint256 borrowRate;
+    uint256 saleSoftCapRaw;
+    uint256 saleHardCapRaw;
+    uint256 saleWalletCapRaw;
+    uint256 presaleDuration;
+    bytes32 presaleRoot;
+    uint256 vestingCliff;
+    uint256 vestingDuration;
+    uint256 curationMode;
+    uint256 curationStep;
+    uint256 curationTaxRate;
+    uint256 curationDecay;
+    uint256 curationCreatorShare;
+    uint256 curationHealShare;
+}
 
 interface IWaveFront {
-    function quote() external view returns (address);
-
     function create(
         string calldata name,
         string calldata symbol,
-        string calldata uri
+        string calldata uri,
+        address quote,
+        LaunchParams calldata params
     ) external returns (address token);
 }
 
 interface IToken {
+    function quote() external view returns (address);
+
     function content() external view returns (address);
 
     function sale() external view returns (address);
@@ -38,13 +63,46 @@ interface IToken {
         address to,
         address provider
     ) external returns (uint256 amountQuoteOut);
+
+    function sellFor(
+        address account,
+        uint256 amountTokenIn,
+        uint256 minAmountQuoteOut,
+        uint256 expireTimestamp,
+        address to,
+        address provider
+    ) external returns (uint256 amountQuoteOut, uint256 repayRaw);
+
+    function heal(uint256 quoteRaw) external;
+
+    function borrowFor(address account, address to, uint256 quoteRaw) external;
+
+    function repay(address to, uint256 quoteRaw) external;
+
+    function getAccountDebt(address account) external view returns (uint256);
+
+    function getAccountCredit(address account) external view returns (uint256);
 }
 
 interface ISale {
-    function contribute(address account, uint256 amount) external;
+    function contribute(
+        address account,
+        uint256 amount
+    ) external returns (uint256 acceptedRaw);
+
+    function contributeWithProof(
+        address account,
+        uint256 amount,
+        uint256 allocation,
+        bytes32[] calldata proof
+    ) external returns (uint256 acceptedRaw);
 
     function redeem(address account) external;
 
+    function refund(address account) external;
+
+    function getClaimable(address account) external view returns (uint256);
+
     function openMarket() external;
 
     function ended() external view returns (bool);
@@ -64,22 +122,60 @@ interface IContent {
 
     function curate(address account, uint256 tokenId) external;
 
+    function depositTax(uint256 tokenId, uint256 amount) external;
+
+    function setCreator(address creator) external;
+
     function distribute() external;
 }
 
 interface IRewarder {
+    function earned(
+        address account,
+        address token
+    ) external view returns (uint256);
+
     function getReward(address account) external;
 
     function notifyRewardAmount(address token, uint256 amount) external;
+
+    function sponsorReward(
+        address token,
+        address sponsor,
+        uint256 duration,
+        uint256 amount
+    ) external;
+
+    function token_IsReward(address token) external view returns (bool);
+
+    function sponsorDeposit() external view returns (uint256);
 }
 
-contract WaveFrontRouter is ReentrancyGuard, Ownable {
+contract WaveFrontRouter is ReentrancyGuard, ActionQueue {
     using SafeERC20 for IERC20;
 
+    uint256 public constant MAX_LOOPS = 10;
+
     address public immutable wavefront;
 
+    // What claimAndCompound does with the claimed rewards:
+    // - Buy swaps the quote into the token.
+    // - Sell swaps the token into quote.
+    // - Heal raises the floor with the quote.
+    // The other reward stays in the account.
+    enum Compound {
+        Buy,
+        Sell,
+        Heal
+    }
+
     mapping(address => address) public account_Affiliate;
 
+    error WaveFrontRouter__InvalidLoops();
+    error WaveFrontRouter__Slippage();
+    error WaveFrontRouter__InsufficientBalance();
+    error WaveFrontRouter__LengthMismatch();
+
     event WaveFrontRouter__TokenCreated(
         string name,
         string symbol,
@@ -101,6 +197,22 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         uint256 amountTokenIn,
         uint256 amountQuoteOut
     );
+    event WaveFrontRouter__LeverageBuy(
+        address indexed token,
+        address indexed account,
+        uint256 amountQuoteIn,
+        uint256 amountTokenOut,
+        uint256 debtRaw,
+        uint256 collateral
+    );
+    event WaveFrontRouter__DeleverageSell(
+        address indexed token,
+        address indexed account,
+        uint256 amountTokenIn,
+        uint256 amountQuoteOut,
+        uint256 debtRaw,
+        uint256 collateral
+    );
     event WaveFrontRouter__Contribute(
         address indexed token,
         address quote,
@@ -111,6 +223,10 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         address indexed token,
         address indexed account
     );
+    event WaveFrontRouter__Refund(
+        address indexed token,
+        address indexed account
+    );
     event WaveFrontRouter__ContentCreated(
         address indexed token,
         address indexed content,
@@ -124,6 +240,13 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         uint256 price,
         uint256 tokenId
     );
+    event WaveFrontRouter__Compound(
+        address indexed token,
+        address indexed account,
+        Compound mode,
+        uint256 amountIn,
+        uint256 amountOut
+    );
     event WaveFrontRouter__AffiliateSet(
         address indexed account,
         address indexed affiliate
@@ -140,9 +263,12 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
     function createToken(
         string calldata name,
         string calldata symbol,
-        string calldata uri
+        string calldata uri,
+        address quote,
+        LaunchParams calldata params
     ) external nonReentrant returns (address token) {
-        token = IWaveFront(wavefront).create(name, symbol, uri);
+        token = IWaveFront(wavefront).create(name, symbol, uri, quote, params);
+        IContent(IToken(token).content()).setCreator(msg.sender);
         emit WaveFrontRouter__TokenCreated(
             name,
             symbol,
@@ -159,9 +285,396 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         uint256 minAmountTokenOut,
         uint256 expireTimestamp
     ) external nonReentrant {
+        _buy(
+            token,
+            affiliate,
+            amountQuoteIn,
+            minAmountTokenOut,
+            expireTimestamp
+        );
+    }
+
+    // The *WithPermit variants take an EIP-2612 permit for the amount pulled
+    // from msg.sender in place of a prior approve.
+    function buyWithPermit(
+        address token,
+        address affiliate,
+        uint256 amountQuoteIn,
+        uint256 minAmountTokenOut,
+        uint256 expireTimestamp,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(IToken(token).quote(), amountQuoteIn, permitDeadline, v, r, s);
+        _buy(
+            token,
+            affiliate,
+            amountQuoteIn,
+            minAmountTokenOut,
+            expireTimestamp
+        );
+    }
+
+    function sell(
+        address token,
+        address affiliate,
+        uint256 amountTokenIn,
+        uint256 minAmountQuoteOut,
+        uint256 expireTimestamp
+    ) external nonReentrant {
+        _sell(
+            token,
+            affiliate,
+            amountTokenIn,
+            minAmountQuoteOut,
+            expireTimestamp
+        );
+    }
+
+    function sellWithPermit(
+        address token,
+        address affiliate,
+        uint256 amountTokenIn,
+        uint256 minAmountQuoteOut,
+        uint256 expireTimestamp,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(token, amountTokenIn, permitDeadline, v, r, s);
+        _sell(
+            token,
+            affiliate,
+            amountTokenIn,
+            minAmountQuoteOut,
+            expireTimestamp
+        );
+    }
+
+    // Buys with `amountQuoteIn`, then up to `loops` times borrows the
+    // account's whole credit and buys with it. Borrows through borrowFor, so
+    // the account must first approve the router with Token.approveBorrow.
+    function leverageBuy(
+        address token,
+        uint256 amountQuoteIn,
+        uint256 loops,
+        uint256 minAmountTokenOut,
+        uint256 expireTimestamp
+    ) external nonReentrant returns (uint256 amountTokenOut) {
+        if (loops > MAX_LOOPS) revert WaveFrontRouter__InvalidLoops();
+
+        address quote = IToken(token).quote();
+        IERC20(quote).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amountQuoteIn
+        );
+
+        uint256 amountQuote = amountQuoteIn;
+        for (uint256 i = 0; ; i++) {
+            _safeApprove(quote, token, amountQuote);
+            amountTokenOut += IToken(token).buy(
+                amountQuote,
+                0,
+                expireTimestamp,
+                msg.sender,
+                account_Affiliate[msg.sender]
+            );
+            if (i == loops) break;
+
+            amountQuote = IToken(token).getAccountCredit(msg.sender);
+            if (amountQuote == 0) break;
+            IToken(token).borrowFor(msg.sender, address(this), amountQuote);
+        }
+        if (amountTokenOut < minAmountTokenOut) {
+            revert WaveFrontRouter__Slippage();
+        }
+
+        _distributeFees(token);
+
+        emit WaveFrontRouter__LeverageBuy(
+            token,
+            msg.sender,
+            amountQuoteIn,
+            amountTokenOut,
+            IToken(token).getAccountDebt(msg.sender),
+            IERC20(token).balanceOf(msg.sender)
+        );
+    }
+
+    // Sells `amountTokenIn` through Token.sellFor, which repays the debt
+    // from the proceeds before the tokens move, so even a fully borrowed
+    // position unwinds in one sell. What is left after repaying goes to the
+    // account. Needs a token allowance to the router.
+    function deleverageSell(
+        address token,
+        uint256 amountTokenIn,
+        uint256 minAmountQuoteOut,
+        uint256 expireTimestamp
+    ) external nonReentrant returns (uint256 amountQuoteOut) {
+        if (amountTokenIn > IERC20(token).balanceOf(msg.sender)) {
+            revert WaveFrontRouter__InsufficientBalance();
+        }
+        (uint256 amountQuote, uint256 repayRaw) = IToken(token).sellFor(
+            msg.sender,
+            amountTokenIn,
+            0,
+            expireTimestamp,
+            msg.sender,
+            account_Affiliate[msg.sender]
+        );
+        amountQuoteOut = amountQuote - repayRaw;
+        if (amountQuoteOut < minAmountQuoteOut) {
+            revert WaveFrontRouter__Slippage();
+        }
+
+        _distributeFees(token);
+
+        emit WaveFrontRouter__DeleverageSell(
+            token,
+            msg.sender,
+            amountTokenIn,
+            amountQuoteOut,
+            IToken(token).getAccountDebt(msg.sender),
+            IERC20(token).balanceOf(msg.sender)
+        );
+    }
+
+    function contribute(
+        address token,
+        uint256 amountQuoteIn
+    ) external nonReentrant {
+        _contribute(token, amountQuoteIn, 0, new bytes32[](0));
+    }
+
+    // Contributes during an allowlisted presale, `allocation` and `proof`
+    // come from the sale's allowlist tree.
+    function contributeWithProof(
+        address token,
+        uint256 amountQuoteIn,
+        uint256 allocation,
+        bytes32[] calldata proof
+    ) external nonReentrant {
+        _contribute(token, amountQuoteIn, allocation, proof);
+    }
+
+    function contributeWithPermit(
+        address token,
+        uint256 amountQuoteIn,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(IToken(token).quote(), amountQuoteIn, permitDeadline, v, r, s);
+        _contribute(token, amountQuoteIn, 0, new bytes32[](0));
+    }
+
+    function redeem(address token) external nonReentrant {
+        address sale = IToken(token).sale();
+        bool opened = _checkAndOpenMarket(sale);
+
+        // Opening the market goes through even with nothing vested yet.
+        if (!opened || ISale(sale).getClaimable(msg.sender) > 0) {
+            ISale(sale).redeem(msg.sender);
+            emit WaveFrontRouter__Redeem(token, msg.sender);
+        }
+    }
+
+    function refund(address token) external nonReentrant {
+        ISale(IToken(token).sale()).refund(msg.sender);
+
+        emit WaveFrontRouter__Refund(token, msg.sender);
+    }
+
+    function createContent(
+        address token,
+        string calldata uri
+    ) external nonReentrant {
+        address content = IToken(token).content();
+        uint256 tokenId = IContent(content).create(msg.sender, uri);
+
+        emit WaveFrontRouter__ContentCreated(
+            token,
+            content,
+            msg.sender,
+            tokenId
+        );
+    }
+
+    function curateContent(
+        address token,
+        uint256 tokenId
+    ) external nonReentrant {
+        _curate(token, tokenId, type(uint256).max);
+    }
+
+    // The permit is signed for `maxPrice`, the price can move before the
+    // call lands.
+    function curateWithPermit(
+        address token,
+        uint256 tokenId,
+        uint256 maxPrice,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(IToken(token).quote(), maxPrice, permitDeadline, v, r, s);
+        _curate(token, tokenId, maxPrice);
+    }
+
+    // Harberger collections tax the price from the first second, so the
+    // deposit lands in the same transaction as the curation.
+    function curateContentWithDeposit(
+        address token,
+        uint256 tokenId,
+        uint256 maxPrice,
+        uint256 taxDeposit
+    ) external nonReentrant {
+        _curate(token, tokenId, maxPrice);
+        if (taxDeposit > 0) {
+            address content = IToken(token).content();
+            address quote = IToken(token).quote();
+            IERC20(quote).safeTransferFrom(
+                msg.sender,
+                address(this),
+                taxDeposit
+            );
+            _safeApprove(quote, content, taxDeposit);
+            IContent(content).depositTax(tokenId, taxDeposit);
+        }
+    }
+
+    function getContentReward(address token) external {
+        address rewarder = IToken(token).rewarder();
+        IRewarder(rewarder).getReward(msg.sender);
+    }
+
+    // Claims the caller's content rewards and pulls back the quote, or the
+    // token to sell, with an approval to this contract.
+    function claimAndCompound(
+        address token,
+        Compound mode,
+        uint256 minOut
+    ) external nonReentrant {
+        _claimAndCompound(token, mode, minOut);
+    }
+
+    // `minOuts` are in each token's units, one per token.
+    function claimAndCompoundMany(
+        address[] calldata tokens,
+        Compound mode,
+        uint256[] calldata minOuts
+    ) external nonReentrant {
+        if (tokens.length != minOuts.length)
+            revert WaveFrontRouter__LengthMismatch();
+        for (uint256 i; i < tokens.length; i++) {
+            _claimAndCompound(tokens[i], mode, minOuts[i]);
+        }
+    }
+
+    function notifyContentRewardAmount(
+        address token,
+        address rewardToken,
+        uint256 amount
+    ) external {
+        address rewarder = IToken(token).rewarder();
+        IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), amount);
+        _safeApprove(rewardToken, rewarder, amount);
+        IRewarder(rewarder).notifyRewardAmount(rewardToken, amount);
+    }
+
+    // The caller is the sponsor, and recovers from the rewarder directly.
+    // Adding a token also takes the rewarder's deposit, in quote.
+    function sponsorContentReward(
+        address token,
+        address rewardToken,
+        uint256 duration,
+        uint256 amount
+    ) external {
+        address rewarder = IToken(token).rewarder();
+        if (!IRewarder(rewarder).token_IsReward(rewardToken)) {
+            uint256 deposit = IRewarder(rewarder).sponsorDeposit();
+            if (deposit > 0) {
+                address quote = IToken(token).quote();
+                IERC20(quote).safeTransferFrom(
+                    msg.sender,
+                    address(this),
+                    deposit
+                );
+                _safeApprove(quote, rewarder, deposit);
+            }
+        }
+        IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), amount);
+        _safeApprove(rewardToken, rewarder, amount);
+        IRewarder(rewarder).sponsorReward(
+            rewardToken,
+            msg.sender,
+            duration,
+            amount
+        );
+    }
+
+    function _claimAndCompound(
+        address token,
+        Compound mode,
+        uint256 minOut
+    ) internal {
+        address quote = IToken(token).quote();
+        address rewarder = IToken(token).rewarder();
+        address asset = mode == Compound.Sell ? token : quote;
+        uint256 amountIn = IRewarder(rewarder).earned(msg.sender, asset);
+        IRewarder(rewarder).getReward(msg.sender);
+        if (amountIn == 0) return;
+
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amountIn);
+        // Sells burn from this contract, the quote is pulled by the token.
+        if (mode != Compound.Sell) _safeApprove(quote, token, amountIn);
+        uint256 amountOut;
+        if (mode == Compound.Buy) {
+            amountOut = IToken(token).buy(
+                amountIn,
+                minOut,
+                block.timestamp,
+                msg.sender,
+                account_Affiliate[msg.sender]
+            );
+        } else if (mode == Compound.Sell) {
+            amountOut = IToken(token).sell(
+                amountIn,
+                minOut,
+                block.timestamp,
+                msg.sender,
+                account_Affiliate[msg.sender]
+            );
+        } else {
+            IToken(token).heal(amountIn);
+        }
+        _distributeFees(token);
+
+        emit WaveFrontRouter__Compound(
+            token,
+            msg.sender,
+            mode,
+            amountIn,
+            amountOut
+        );
+    }
+
+    function _buy(
+        address token,
+        address affiliate,
+        uint256 amountQuoteIn,
+        uint256 minAmountTokenOut,
+        uint256 expireTimestamp
+    ) internal {
         _setAffiliate(affiliate);
 
-        address quote = IWaveFront(wavefront).quote();
+        address quote = IToken(token).quote();
         IERC20(quote).safeTransferFrom(
             msg.sender,
             address(this),
@@ -193,13 +706,13 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         );
     }
 
-    function sell(
+    function _sell(
         address token,
         address affiliate,
         uint256 amountTokenIn,
         uint256 minAmountQuoteOut,
         uint256 expireTimestamp
-    ) external nonReentrant {
+    ) internal {
         _setAffiliate(affiliate);
 
         IERC20(token).safeTransferFrom(
@@ -226,13 +739,16 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         );
     }
 
-    function contribute(
+    // A zero allocation is a public contribution, without a proof.
+    function _contribute(
         address token,
-        uint256 amountQuoteIn
-    ) external nonReentrant {
+        uint256 amountQuoteIn,
+        uint256 allocation,
+        bytes32[] memory proof
+    ) internal {
         address sale = IToken(token).sale();
 
-        address quote = IWaveFront(wavefront).quote();
+        address quote = IToken(token).quote();
         IERC20(quote).safeTransferFrom(
             msg.sender,
             address(this),
@@ -240,53 +756,37 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         );
         _safeApprove(quote, sale, amountQuoteIn);
 
-        ISale(sale).contribute(msg.sender, amountQuoteIn);
+        // Sales with caps may take less, the rest goes back below.
+        uint256 acceptedRaw = allocation == 0
+            ? ISale(sale).contribute(msg.sender, amountQuoteIn)
+            : ISale(sale).contributeWithProof(
+                msg.sender,
+                amountQuoteIn,
+                allocation,
+                proof
+            );
 
         uint256 remainingQuote = IERC20(quote).balanceOf(address(this));
         if (remainingQuote > 0) {
             IERC20(quote).safeTransfer(msg.sender, remainingQuote);
         }
 
-        emit WaveFrontRouter__Contribute(
-            token,
-            quote,
-            msg.sender,
-            amountQuoteIn
-        );
-        _checkAndOpenMarket(sale);
-    }
-
-    function redeem(address token) external nonReentrant {
-        address sale = IToken(token).sale();
-        _checkAndOpenMarket(sale);
-
-        ISale(sale).redeem(msg.sender);
-
-        emit WaveFrontRouter__Redeem(token, msg.sender);
-    }
-
-    function createContent(
-        address token,
-        string calldata uri
-    ) external nonReentrant {
-        address content = IToken(token).content();
-        uint256 tokenId = IContent(content).create(msg.sender, uri);
-
-        emit WaveFrontRouter__ContentCreated(
-            token,
-            content,
-            msg.sender,
-            tokenId
-        );
+        emit WaveFrontRouter__Contribute(token, quote, msg.sender, acceptedRaw);
+        // Reaching the hard cap opens the market in the same call.
+        if (ISale(sale).ended()) {
+            emit WaveFrontRouter__MarketOpened(token, sale);
+        }
     }
 
-    function curateContent(
+    function _curate(
         address token,
-        uint256 tokenId
-    ) external nonReentrant {
+        uint256 tokenId,
+        uint256 maxPrice
+    ) internal {
         address content = IToken(token).content();
-        address quote = IWaveFront(wavefront).quote();
+        address quote = IToken(token).quote();
         uint256 price = IContent(content).getNextPrice(tokenId);
+        if (price > maxPrice) revert WaveFrontRouter__Slippage();
 
         IERC20(quote).safeTransferFrom(msg.sender, address(this), price);
         _safeApprove(quote, content, price);
@@ -302,22 +802,6 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         );
     }
 
-    function getContentReward(address token) external {
-        address rewarder = IToken(token).rewarder();
-        IRewarder(rewarder).getReward(msg.sender);
-    }
-
-    function notifyContentRewardAmount(
-        address token,
-        address rewardToken,
-        uint256 amount
-    ) external {
-        address rewarder = IToken(token).rewarder();
-        IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), amount);
-        _safeApprove(rewardToken, rewarder, amount);
-        IRewarder(rewarder).notifyRewardAmount(rewardToken, amount);
-    }
-
     function _setAffiliate(address affiliate) internal {
         if (
             account_Affiliate[msg.sender] == address(0) &&
@@ -328,6 +812,29 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         }
     }
 
+    // A failed permit is ignored: if it was front-run the allowance is already
+    // there, otherwise the transfer after it reverts.
+    function _permit(
+        address asset,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try
+            IERC20Permit(asset).permit(
+                msg.sender,
+                address(this),
+                value,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+    }
+
     function _safeApprove(
         address token,
         address spender,
@@ -337,11 +844,13 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
         IERC20(token).safeApprove(spender, amount);
     }
 
-    function _checkAndOpenMarket(address sale) internal {
+    function _checkAndOpenMarket(address sale) internal returns (bool) {
         if (block.timestamp > ISale(sale).endTime() && !ISale(sale).ended()) {
             ISale(sale).openMarket();
             emit WaveFrontRouter__MarketOpened(ISale(sale).token(), sale);
+            return true;
         }
+        return false;
     }
 
     function _distributeFees(address token) internal {
@@ -352,7 +861,7 @@ contract WaveFrontRouter is ReentrancyGuard, Ownable {
     function withdrawStuckTokens(
         address _token,
         address _to
-    ) external onlyOwner {
+    ) external onlyQueued {
         require(_to != address(0), "Router: Invalid recipient");
         uint256 balance = IERC20(_token).balanceOf(address(this));
         require(balance > 0, "Router: No balance");
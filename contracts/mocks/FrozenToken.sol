@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Reverts every transfer once frozen, like a paused or blacklisting token.
+contract FrozenToken is ERC20 {
+    bool public frozen;
+
+    constructor() ERC20("Frozen", "FRZ") {}
+
+    function mint(address _to, uint256 _amount) public {
+        _mint(_to, _amount);
+    }
+
+    function setFrozen(bool _frozen) public {
+        frozen = _frozen;
+    }
+
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal virtual override {
+        require(!frozen, "FrozenToken: frozen");
+        super._beforeTokenTransfer(from, to, amount);
+    }
+}
@@ -2,9 +2,10 @@
 pragma solidity 0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract USDC is ERC20 {
-    constructor() ERC20("USDC", "USDC") {}
+contract USDC is ERC20, ERC20Permit {
+    constructor() ERC20("USDC", "USDC") ERC20Permit("USDC") {}
 
     function decimals() public view virtual override returns (uint8) {
         return 6;
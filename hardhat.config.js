@@ -3,6 +3,7 @@ const { config } = require("dotenv");
 require("@nomiclabs/hardhat-waffle");
 require("@nomicfoundation/hardhat-verify");
 require("solidity-coverage");
+require("./tasks/wavefront");
 
 const CHAIN_ID = 84532; // base sepolia chain id
 
@@ -0,0 +1,426 @@
+const { BigNumber, utils } = require("ethers");
+const {
+  ERC20_ABI,
+  WAVEFRONT_ABI,
+  TOKEN_ABI,
+  SALE_ABI,
+  CONTENT_ABI,
+} = require("../sdk/abis");
+const { rawToWad } = require("../sdk/units");
+const { cloneState, applyEvent } = require("./state");
+const { saveStore } = require("./store");
+
+const WAD = 10n ** 18n;
+
+const DEFAULT_CONFIRMATIONS = 6;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL = 4000; // ms
+
+const eventsOnly = (abi) => abi.filter((item) => item.startsWith("event "));
+
+const wavefrontInterface = new utils.Interface(eventsOnly(WAVEFRONT_ABI));
+const erc20Interface = new utils.Interface(ERC20_ABI);
+
+// What each kind of discovered contract is watched for. Content is an
+// ERC721 whose Transfer shares the ERC20 topic, so logs are routed by
+// emitter before they are parsed.
+const WATCHED = {
+  token: {
+    iface: new utils.Interface(eventsOnly(TOKEN_ABI)),
+    events: [
+      "Transfer",
+      "Token__Swap",
+      "Token__Borrow",
+      "Token__Repay",
+      "Token__InterestAccrued",
+      "Token__Liquidate",
+      "Token__ProviderFee",
+      "Token__ContentFee",
+      "Token__TreasuryFee",
+    ],
+  },
+  sale: {
+    iface: new utils.Interface(eventsOnly(SALE_ABI)),
+    events: ["Sale__Contributed", "Sale__Refunded"],
+  },
+  content: {
+    iface: new utils.Interface(eventsOnly(CONTENT_ABI)),
+    events: ["Content__Curated", "Content__Burned"],
+  },
+};
+
+const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+const toNumber = (hex) => BigNumber.from(hex).toNumber();
+
+const FEE_RECIPIENTS = {
+  Token__ProviderFee: "provider",
+  Token__ContentFee: "content",
+  Token__TreasuryFee: "treasury",
+};
+
+function byPosition(a, b) {
+  return a.block - b.block || a.logIndex - b.logIndex;
+}
+
+/**
+ * Follows a JSON-RPC node from the store's start block and folds WaveFront,
+ * Token, Sale and Content events into the views in `indexer/state.js`.
+ *
+ * Blocks within `confirmations` of the head are indexed right away but can
+ * still be rewound: their hashes are kept and rechecked on every sync, and on
+ * a mismatch the head state is rebuilt from the last finalized state. Reorgs
+ * deeper than the confirmation window are not detected.
+ */
+class Indexer {
+  /**
+   * @param {import("ethers").providers.JsonRpcProvider} provider
+   * @param {Object} store from `loadStore` or `createStore`
+   * @param {Object} [options]
+   * @param {string} [options.storePath] saved after every batch when set
+   * @param {number} [options.confirmations] blocks until a block is final
+   * @param {number} [options.batchSize] blocks per `eth_getLogs` call
+   */
+  constructor(provider, store, options = {}) {
+    this.provider = provider;
+    this.store = store;
+    this.storePath = options.storePath;
+    this.confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this._stopped = true;
+  }
+
+  /** The indexed views up to `store.lastBlock`. */
+  get state() {
+    return this.store.state;
+  }
+
+  /**
+   * Catches up to the current head once.
+   * @returns {Promise<number>} the last indexed block
+   */
+  async sync() {
+    await this._checkReorg();
+    const head = await this.provider.getBlockNumber();
+    while (this.store.lastBlock < head) {
+      const from = this.store.lastBlock + 1;
+      const to = Math.min(head, from + this.batchSize - 1);
+      // The chain moved under us mid batch, pick it up on the next sync.
+      if (!(await this._indexRange(from, to, head))) break;
+      this._save();
+    }
+    return this.store.lastBlock;
+  }
+
+  /** Syncs every `pollInterval` ms until `stop` is called. */
+  async follow(pollInterval = DEFAULT_POLL_INTERVAL) {
+    this._stopped = false;
+    while (!this._stopped) {
+      const lastBlock = await this.sync();
+      console.log("Indexed through block:", lastBlock);
+      await sleep(pollInterval);
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  /*----------  REORGS  ---------------------------------------------*/
+
+  async _checkReorg() {
+    const { store } = this;
+    let block = store.lastBlock;
+    while (block > store.finalizedBlock) {
+      const header = await this.provider.getBlock(block);
+      if (header && header.hash === store.blockHashes[block]) break;
+      block--;
+    }
+    if (block < store.lastBlock) this._rewind(block);
+  }
+
+  _rewind(block) {
+    const { store } = this;
+    console.log(
+      `Reorg below block ${store.lastBlock}, rewinding to block ${block}`
+    );
+    store.pending = store.pending.filter((event) => event.block <= block);
+    for (const key of Object.keys(store.blockHashes)) {
+      if (Number(key) > block) delete store.blockHashes[key];
+    }
+    store.state = cloneState(store.finalized);
+    for (const event of store.pending) applyEvent(store.state, event);
+    store.lastBlock = block;
+    this._save();
+  }
+
+  _finalize(head) {
+    const { store } = this;
+    const finalBlock = Math.min(store.lastBlock, head - this.confirmations);
+    if (finalBlock <= store.finalizedBlock) return;
+
+    const pending = [];
+    for (const event of store.pending) {
+      if (event.block <= finalBlock) applyEvent(store.finalized, event);
+      else pending.push(event);
+    }
+    store.pending = pending;
+    for (const key of Object.keys(store.blockHashes)) {
+      if (Number(key) <= finalBlock) delete store.blockHashes[key];
+    }
+    store.finalizedBlock = finalBlock;
+  }
+
+  /*----------  INDEXING  -------------------------------------------*/
+
+  async _indexRange(from, to, head) {
+    const { store } = this;
+
+    // Tokens created in this range are watched from this range on.
+    const createdLogs = await this._getLogs(from, to, [store.wavefront], {
+      iface: wavefrontInterface,
+      events: ["WaveFront__TokenCreated"],
+    });
+    // Each token prices in its own quote asset, whose decimals are read
+    // once at discovery and kept with the token.
+    const watched = this._watchedAddresses();
+    const quoteDecimals = {};
+    for (const log of createdLogs) {
+      const { args } = wavefrontInterface.parseLog(log);
+      quoteDecimals[args.token] = await this._getDecimals(args.quote);
+      const meta = {
+        token: args.token,
+        quoteDecimals: quoteDecimals[args.token],
+      };
+      watched[args.token.toLowerCase()] = { kind: "token", ...meta };
+      watched[args.sale.toLowerCase()] = { kind: "sale", ...meta };
+      watched[args.content.toLowerCase()] = { kind: "content", ...meta };
+    }
+
+    const logs = [...createdLogs];
+    for (const [kind, watch] of Object.entries(WATCHED)) {
+      const addresses = Object.keys(watched).filter(
+        (address) => watched[address].kind === kind
+      );
+      if (addresses.length === 0) continue;
+      logs.push(...(await this._getLogs(from, to, addresses, watch)));
+    }
+
+    // Headers for the unconfirmed part of the range, and for any block whose
+    // timestamp an event needs.
+    const headers = {};
+    const getHeader = async (block) => {
+      if (!headers[block]) headers[block] = await this.provider.getBlock(block);
+      return headers[block];
+    };
+    for (
+      let block = Math.max(from, head - this.confirmations + 1);
+      block <= to;
+      block++
+    ) {
+      if (!(await getHeader(block))) return false;
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const block = toNumber(log.blockNumber);
+      const header = await getHeader(block);
+      if (!header || header.hash !== log.blockHash) return false;
+
+      const emitter = log.address.toLowerCase();
+      const event =
+        emitter === store.wavefront.toLowerCase()
+          ? this._normalizeCreated(log, header, quoteDecimals)
+          : this._normalize(log, header, watched[emitter]);
+      if (event) events.push(event);
+    }
+    events.sort(byPosition);
+
+    for (const event of events) {
+      applyEvent(store.state, event);
+      store.pending.push(event);
+    }
+    for (const [block, header] of Object.entries(headers)) {
+      if (Number(block) > head - this.confirmations) {
+        store.blockHashes[block] = header.hash;
+      }
+    }
+    store.lastBlock = to;
+    this._finalize(head);
+    return true;
+  }
+
+  _watchedAddresses() {
+    const watched = {};
+    for (const { token, quoteDecimals, sale, content } of Object.values(
+      this.store.state.tokens
+    )) {
+      watched[token.toLowerCase()] = { kind: "token", token, quoteDecimals };
+      watched[sale.toLowerCase()] = { kind: "sale", token, quoteDecimals };
+      watched[content.toLowerCase()] = {
+        kind: "content",
+        token,
+        quoteDecimals,
+      };
+    }
+    return watched;
+  }
+
+  async _getLogs(from, to, addresses, { iface, events }) {
+    const topics = events.map((name) => iface.getEventTopic(name));
+    return this.provider.send("eth_getLogs", [
+      {
+        fromBlock: utils.hexValue(from),
+        toBlock: utils.hexValue(to),
+        address: addresses,
+        topics: [topics],
+      },
+    ]);
+  }
+
+  async _getDecimals(address) {
+    const result = await this.provider.call({
+      to: address,
+      data: erc20Interface.encodeFunctionData("decimals"),
+    });
+    return erc20Interface.decodeFunctionResult("decimals", result)[0];
+  }
+
+  _base(log, header, token) {
+    return {
+      block: toNumber(log.blockNumber),
+      logIndex: toNumber(log.logIndex),
+      txHash: log.transactionHash,
+      timestamp: header.timestamp,
+      token,
+    };
+  }
+
+  _normalizeCreated(log, header, quoteDecimals) {
+    const { args } = wavefrontInterface.parseLog(log);
+    return {
+      type: "TokenCreated",
+      ...this._base(log, header, args.token),
+      index: args.index.toString(),
+      quote: args.quote,
+      quoteDecimals: quoteDecimals[args.token],
+      sale: args.sale,
+      content: args.content,
+      rewarder: args.rewarder,
+      name: args.name,
+      symbol: args.symbol,
+      uri: args.uri,
+    };
+  }
+
+  _normalize(log, header, { kind, token, quoteDecimals }) {
+    const { name, args } = WATCHED[kind].iface.parseLog(log);
+    const base = this._base(log, header, token);
+
+    switch (name) {
+      case "Token__Swap": {
+        const isBuy = args.quoteInRaw.gt(0);
+        const quoteRaw = isBuy ? args.quoteInRaw : args.quoteOutRaw;
+        const tokenAmt = isBuy ? args.tokenOut : args.tokenIn;
+        // Quote (in wad) paid or received per whole token, fees included.
+        const price = tokenAmt.isZero()
+          ? 0n
+          : (rawToWad(quoteRaw, quoteDecimals).toBigInt() * WAD) /
+            tokenAmt.toBigInt();
+        return {
+          type: "Swap",
+          ...base,
+          side: isBuy ? "buy" : "sell",
+          account: args.to,
+          quoteRaw: quoteRaw.toString(),
+          tokenAmt: tokenAmt.toString(),
+          price: price.toString(),
+        };
+      }
+      case "Transfer":
+        return {
+          type: "Transfer",
+          ...base,
+          from: args.from,
+          to: args.to,
+          value: args.value.toString(),
+        };
+      case "Token__Borrow":
+        return {
+          type: "Borrow",
+          ...base,
+          account: args.who,
+          quoteRaw: args.quoteRaw.toString(),
+        };
+      case "Token__Repay":
+        return {
+          type: "Repay",
+          ...base,
+          account: args.to,
+          quoteRaw: args.quoteRaw.toString(),
+        };
+      case "Token__InterestAccrued":
+        return {
+          type: "InterestAccrued",
+          ...base,
+          account: args.account,
+          quoteRaw: args.quoteRaw.toString(),
+        };
+      case "Token__Liquidate":
+        return {
+          type: "Liquidate",
+          ...base,
+          account: args.account,
+          liquidator: args.who,
+          debtRaw: args.debtRaw.toString(),
+          tokenAmt: args.tokenAmt.toString(),
+        };
+      case "Token__ProviderFee":
+      case "Token__ContentFee":
+      case "Token__TreasuryFee":
+        return {
+          type: "Fee",
+          ...base,
+          recipient: FEE_RECIPIENTS[name],
+          to: args.to,
+          quoteRaw: args.quoteRaw.toString(),
+          tokenAmt: args.tokenAmt.toString(),
+        };
+      case "Sale__Contributed":
+        return {
+          type: "Contributed",
+          ...base,
+          account: args.to,
+          quoteRaw: args.quoteRaw.toString(),
+        };
+      case "Sale__Refunded":
+        return {
+          type: "Refunded",
+          ...base,
+          account: args.to,
+          quoteRaw: args.quoteRaw.toString(),
+        };
+      case "Content__Curated":
+        return {
+          type: "Curated",
+          ...base,
+          tokenId: args.tokenId.toString(),
+          account: args.account,
+          price: args.price.toString(),
+        };
+      case "Content__Burned":
+        return {
+          type: "Burned",
+          ...base,
+          tokenId: args.tokenId.toString(),
+        };
+      default:
+        return null;
+    }
+  }
+
+  _save() {
+    if (this.storePath) saveStore(this.storePath, this.store);
+  }
+}
+
+module.exports = { Indexer };
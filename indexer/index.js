@@ -0,0 +1,17 @@
+const { Indexer } = require("./Indexer");
+const { createStore, loadStore, saveStore } = require("./store");
+const { INTERVALS, createState, applyEvent } = require("./state");
+const { PERIODS, periodStart, revenueReport } = require("./revenue");
+
+module.exports = {
+  Indexer,
+  createStore,
+  loadStore,
+  saveStore,
+  INTERVALS,
+  createState,
+  applyEvent,
+  PERIODS,
+  periodStart,
+  revenueReport,
+};
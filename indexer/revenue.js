@@ -0,0 +1,82 @@
+// Regroups the indexed daily fee totals into revenue per token and period.
+
+const DAY = 86400;
+const PERIODS = ["day", "week", "month"];
+const RECIPIENTS = ["provider", "content", "treasury"];
+
+const add = (a, b) => (BigInt(a) + BigInt(b)).toString();
+
+// UTC start of the period holding `t`, weeks start on Monday.
+function periodStart(t, period) {
+  if (period === "day") return t - (t % DAY);
+  if (period === "week") {
+    const day = Math.floor(t / DAY);
+    return (day - ((day + 3) % 7)) * DAY;
+  }
+  const date = new Date(t * 1000);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+}
+
+function newRevenue() {
+  const revenue = {};
+  for (const recipient of [...RECIPIENTS, "total"]) {
+    revenue[recipient] = { quoteRaw: "0", tokenAmt: "0" };
+  }
+  return revenue;
+}
+
+function addFees(revenue, day) {
+  for (const recipient of RECIPIENTS) {
+    for (const key of ["quoteRaw", "tokenAmt"]) {
+      revenue[recipient][key] = add(
+        revenue[recipient][key],
+        day[recipient][key]
+      );
+      revenue.total[key] = add(revenue.total[key], day[recipient][key]);
+    }
+  }
+}
+
+/**
+ * Fee revenue from `Token__ProviderFee`, `Token__ContentFee` and
+ * `Token__TreasuryFee`, per token and per period. Quote fees are in raw
+ * units of each token's quote, token fees in token wei.
+ * @param {Object} state indexed views, see `indexer/state.js`
+ * @param {Object} [options]
+ * @param {"day"|"week"|"month"} [options.period]
+ * @param {number} [options.from] first timestamp included
+ * @param {number} [options.to] timestamp excluded
+ * @param {string[]} [options.tokens] all indexed tokens by default
+ * @returns {{ periods: Object[], tokens: Object }} rows per token and
+ * period in time order, and totals per token over the whole range
+ */
+function revenueReport(state, options = {}) {
+  const { period = "day", from = 0, to = Infinity } = options;
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unknown period: ${period}`);
+  }
+  const tokens = options.tokens || Object.keys(state.revenue);
+
+  const periods = [];
+  const totals = {};
+  for (const token of tokens) {
+    const { symbol, quote, quoteDecimals } = state.tokens[token];
+    totals[token] = { token, symbol, quote, quoteDecimals, ...newRevenue() };
+
+    let row;
+    for (const day of state.revenue[token] || []) {
+      if (day.t < from || day.t >= to) continue;
+      const t = periodStart(day.t, period);
+      if (!row || row.t !== t) {
+        row = { token, symbol, t, ...newRevenue() };
+        periods.push(row);
+      }
+      addFees(row, day);
+      addFees(totals[token], day);
+    }
+  }
+  periods.sort((a, b) => a.t - b.t);
+  return { periods, tokens: totals };
+}
+
+module.exports = { PERIODS, periodStart, revenueReport };
@@ -0,0 +1,203 @@
+// Pure reducers from normalized events to the indexed views. Amounts are
+// kept as decimal strings so the state round-trips through JSON unchanged.
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+// Candle intervals in seconds.
+const INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "1h": 3600,
+  "1d": 86400,
+};
+
+function createState() {
+  return {
+    tokens: {},
+    trades: {},
+    candles: {},
+    holders: {},
+    debts: {},
+    contributions: {},
+    curations: {},
+    revenue: {},
+  };
+}
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+const add = (a, b) => (BigInt(a || 0) + BigInt(b)).toString();
+const sub = (a, b) => (BigInt(a || 0) - BigInt(b)).toString();
+
+// Sets `map[key]`, dropping the entry once it is back to zero.
+function setBalance(map, key, value) {
+  if (BigInt(value) === 0n) delete map[key];
+  else map[key] = value;
+}
+
+const newFeeTotals = () => ({ quoteRaw: "0", tokenAmt: "0" });
+
+// Fees are summed per UTC day, `revenueReport` regroups the days.
+function updateRevenue(days, fee) {
+  const t = fee.timestamp - (fee.timestamp % INTERVALS["1d"]);
+  let last = days[days.length - 1];
+  if (!last || last.t !== t) {
+    last = {
+      t,
+      provider: newFeeTotals(),
+      content: newFeeTotals(),
+      treasury: newFeeTotals(),
+    };
+    days.push(last);
+  }
+  const totals = last[fee.recipient];
+  totals.quoteRaw = add(totals.quoteRaw, fee.quoteRaw);
+  totals.tokenAmt = add(totals.tokenAmt, fee.tokenAmt);
+}
+
+function updateCandle(candles, interval, seconds, trade) {
+  const list = candles[interval];
+  const t = trade.timestamp - (trade.timestamp % seconds);
+  const last = list[list.length - 1];
+  if (!last || last.t !== t) {
+    list.push({
+      t,
+      open: trade.price,
+      high: trade.price,
+      low: trade.price,
+      close: trade.price,
+      volumeQuoteRaw: trade.quoteRaw,
+      volumeToken: trade.tokenAmt,
+      trades: 1,
+    });
+    return;
+  }
+  const price = BigInt(trade.price);
+  if (price > BigInt(last.high)) last.high = trade.price;
+  if (price < BigInt(last.low)) last.low = trade.price;
+  last.close = trade.price;
+  last.volumeQuoteRaw = add(last.volumeQuoteRaw, trade.quoteRaw);
+  last.volumeToken = add(last.volumeToken, trade.tokenAmt);
+  last.trades++;
+}
+
+const reducers = {
+  TokenCreated(state, event) {
+    const { token } = event;
+    state.tokens[token] = {
+      index: event.index,
+      token,
+      quote: event.quote,
+      quoteDecimals: event.quoteDecimals,
+      sale: event.sale,
+      content: event.content,
+      rewarder: event.rewarder,
+      name: event.name,
+      symbol: event.symbol,
+      uri: event.uri,
+      createdBlock: event.block,
+      createdAt: event.timestamp,
+    };
+    state.trades[token] = [];
+    state.candles[token] = {};
+    for (const interval of Object.keys(INTERVALS)) {
+      state.candles[token][interval] = [];
+    }
+    state.holders[token] = {};
+    state.debts[token] = {};
+    state.contributions[token] = {};
+    state.curations[token] = [];
+    state.revenue[token] = [];
+  },
+
+  Swap(state, event) {
+    const trade = {
+      block: event.block,
+      logIndex: event.logIndex,
+      txHash: event.txHash,
+      timestamp: event.timestamp,
+      side: event.side,
+      account: event.account,
+      quoteRaw: event.quoteRaw,
+      tokenAmt: event.tokenAmt,
+      price: event.price,
+    };
+    state.trades[event.token].push(trade);
+    for (const [interval, seconds] of Object.entries(INTERVALS)) {
+      updateCandle(state.candles[event.token], interval, seconds, trade);
+    }
+  },
+
+  Transfer(state, event) {
+    const holders = state.holders[event.token];
+    if (event.from !== AddressZero) {
+      setBalance(holders, event.from, sub(holders[event.from], event.value));
+    }
+    if (event.to !== AddressZero) {
+      setBalance(holders, event.to, add(holders[event.to], event.value));
+    }
+  },
+
+  Fee(state, event) {
+    updateRevenue(state.revenue[event.token], event);
+  },
+
+  Borrow(state, event) {
+    const debts = state.debts[event.token];
+    setBalance(debts, event.account, add(debts[event.account], event.quoteRaw));
+  },
+
+  Repay(state, event) {
+    const debts = state.debts[event.token];
+    setBalance(debts, event.account, sub(debts[event.account], event.quoteRaw));
+  },
+
+  InterestAccrued(state, event) {
+    const debts = state.debts[event.token];
+    setBalance(debts, event.account, add(debts[event.account], event.quoteRaw));
+  },
+
+  // The seized tokens move with the Transfer emitted alongside.
+  Liquidate(state, event) {
+    delete state.debts[event.token][event.account];
+  },
+
+  Contributed(state, event) {
+    const contributions = state.contributions[event.token];
+    contributions[event.account] = add(
+      contributions[event.account],
+      event.quoteRaw
+    );
+  },
+
+  Refunded(state, event) {
+    delete state.contributions[event.token][event.account];
+  },
+
+  Curated(state, event) {
+    state.curations[event.token].push({
+      block: event.block,
+      logIndex: event.logIndex,
+      txHash: event.txHash,
+      timestamp: event.timestamp,
+      tokenId: event.tokenId,
+      account: event.account,
+      price: event.price,
+    });
+  },
+
+  // Moderated content leaves the curation history with the NFT.
+  Burned(state, event) {
+    state.curations[event.token] = state.curations[event.token].filter(
+      (curation) => curation.tokenId !== event.tokenId
+    );
+  },
+};
+
+function applyEvent(state, event) {
+  const reducer = reducers[event.type];
+  if (!reducer) throw new Error(`Unknown event type ${event.type}`);
+  reducer(state, event);
+}
+
+module.exports = { INTERVALS, createState, cloneState, applyEvent };
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { createState } = require("./state");
+
+const VERSION = 3;
+
+/**
+ * Everything the indexer knows lives in one JSON document:
+ * - `state`: the indexed views up to `lastBlock`, what consumers read
+ * - `finalized`: the same views up to `finalizedBlock`, past the
+ *   confirmation window and never rewound
+ * - `pending`: normalized events after `finalizedBlock`, replayed on top of
+ *   `finalized` when a reorg rewinds the head
+ * - `blockHashes`: hashes of the unconfirmed blocks, to detect reorgs
+ */
+function createStore({ chainId, wavefront, startBlock }) {
+  return {
+    version: VERSION,
+    chainId,
+    wavefront,
+    startBlock,
+    lastBlock: startBlock - 1,
+    finalizedBlock: startBlock - 1,
+    blockHashes: {},
+    pending: [],
+    finalized: createState(),
+    state: createState(),
+  };
+}
+
+function loadStore(storePath, { chainId, wavefront, startBlock }) {
+  if (!fs.existsSync(storePath)) {
+    return createStore({ chainId, wavefront, startBlock });
+  }
+  const store = JSON.parse(fs.readFileSync(storePath, "utf8"));
+  if (store.version !== VERSION) {
+    throw new Error(
+      `${storePath} has version ${store.version}, not ${VERSION}`
+    );
+  }
+  if (
+    store.chainId !== chainId ||
+    store.wavefront.toLowerCase() !== wavefront.toLowerCase()
+  ) {
+    throw new Error(
+      `${storePath} indexes ${store.wavefront} on chain ${store.chainId}, ` +
+        `not ${wavefront} on chain ${chainId}`
+    );
+  }
+  return store;
+}
+
+// Written through a temp file so a crash mid-write never leaves a
+// truncated store behind.
+function saveStore(storePath, store) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const tmpPath = `${storePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(store) + "\n");
+  fs.renameSync(tmpPath, storePath);
+}
+
+module.exports = { createStore, loadStore, saveStore };
@@ -0,0 +1,142 @@
+const { Contract, utils } = require("ethers");
+const { ORDER_BOOK_ABI, TOKEN_ABI } = require("../sdk/abis");
+const { loadOrders } = require("./orders");
+
+const DEFAULT_POLL_INTERVAL = 4000; // ms
+
+const tokenInterface = new utils.Interface(TOKEN_ABI);
+const SWAP_TOPIC = tokenInterface.getEventTopic("Token__Swap");
+
+const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+/**
+ * Fills signed WaveFrontOrderBook orders. Each sync reads the Token__Swap
+ * logs since the last one and tries the open orders on the tokens that
+ * traded, plus orders not tried yet. An order is only sent once a static
+ * call of `fill` succeeds, so orders waiting on their price, an allowance
+ * or a balance cost nothing. Expired, filled and cancelled orders are
+ * dropped.
+ */
+class Keeper {
+  /**
+   * @param {import("ethers").Signer} signer keeper account, earns the provider fees
+   * @param {string} orderBook WaveFrontOrderBook address
+   * @param {Object} [options]
+   * @param {string} [options.ordersPath] reloaded before every sync when set
+   */
+  constructor(signer, orderBook, options = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.orderBook = new Contract(orderBook, ORDER_BOOK_ABI, signer);
+    this.ordersPath = options.ordersPath;
+    this.lastBlock = undefined;
+    this._orders = new Map();
+    this._untried = new Set();
+    this._done = new Set();
+    this._stopped = true;
+  }
+
+  /** Orders still open, by hash. */
+  get orders() {
+    return this._orders;
+  }
+
+  /** @param {Array<{ order: Object, signature: string, hash: string }>} entries */
+  addOrders(entries) {
+    for (const entry of entries) {
+      if (this._orders.has(entry.hash) || this._done.has(entry.hash)) continue;
+      this._orders.set(entry.hash, entry);
+      this._untried.add(entry.hash);
+    }
+  }
+
+  /**
+   * Catches up to the current head once.
+   * @returns {Promise<Array<{ hash: string, receipt: Object }>>} the fills sent
+   */
+  async sync() {
+    if (this.ordersPath) this.addOrders(loadOrders(this.ordersPath));
+
+    const head = await this.provider.getBlockNumber();
+    const traded = await this._tradedTokens(head);
+    this.lastBlock = head;
+
+    const { timestamp } = await this.provider.getBlock(head);
+    const fills = [];
+    for (const [hash, entry] of this._orders) {
+      const token = entry.order.token.toLowerCase();
+      if (!this._untried.has(hash) && !traded.has(token)) continue;
+      this._untried.delete(hash);
+
+      const fill = await this._tryFill(entry, timestamp);
+      if (fill) fills.push(fill);
+    }
+    return fills;
+  }
+
+  /** Syncs every `pollInterval` ms until `stop` is called. */
+  async follow(pollInterval = DEFAULT_POLL_INTERVAL) {
+    this._stopped = false;
+    while (!this._stopped) {
+      const fills = await this.sync();
+      for (const { hash, receipt } of fills) {
+        console.log("Filled order:", hash, receipt.transactionHash);
+      }
+      await sleep(pollInterval);
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  async _tradedTokens(head) {
+    const traded = new Set();
+    if (this.lastBlock === undefined || this.lastBlock >= head) return traded;
+
+    const tokens = [
+      ...new Set([...this._orders.values()].map(({ order }) => order.token)),
+    ];
+    if (tokens.length === 0) return traded;
+    const logs = await this.provider.send("eth_getLogs", [
+      {
+        fromBlock: utils.hexValue(this.lastBlock + 1),
+        toBlock: utils.hexValue(head),
+        address: tokens,
+        topics: [SWAP_TOPIC],
+      },
+    ]);
+    for (const log of logs) traded.add(log.address.toLowerCase());
+    return traded;
+  }
+
+  async _tryFill({ order, signature, hash }, timestamp) {
+    const used = await this.orderBook.account_NonceUsed(
+      order.account,
+      order.nonce
+    );
+    if (used || timestamp >= Number(order.expiry)) {
+      this._drop(hash);
+      return null;
+    }
+    if (!(await this.orderBook.isTriggered(order))) return null;
+    try {
+      await this.orderBook.callStatic.fill(order, signature);
+    } catch (e) {
+      return null;
+    }
+
+    const tx = await this.orderBook.fill(order, signature);
+    const receipt = await tx.wait();
+    this._drop(hash);
+    return { hash, receipt };
+  }
+
+  _drop(hash) {
+    this._orders.delete(hash);
+    this._untried.delete(hash);
+    this._done.add(hash);
+  }
+}
+
+module.exports = { Keeper };
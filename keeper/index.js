@@ -0,0 +1,4 @@
+const { Keeper } = require("./Keeper");
+const { loadOrders, saveOrders, appendOrder } = require("./orders");
+
+module.exports = { Keeper, loadOrders, saveOrders, appendOrder };
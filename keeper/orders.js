@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Signed orders waiting for a keeper, as written by `signOrder`, kept as a
+ * JSON array. A missing file is an empty book.
+ * @param {string} ordersPath
+ * @returns {Array<{ order: Object, signature: string, hash: string }>}
+ */
+function loadOrders(ordersPath) {
+  if (!fs.existsSync(ordersPath)) return [];
+  return JSON.parse(fs.readFileSync(ordersPath, "utf8"));
+}
+
+// Written through a temp file so a crash mid-write never leaves a
+// truncated book behind.
+function saveOrders(ordersPath, orders) {
+  fs.mkdirSync(path.dirname(ordersPath), { recursive: true });
+  const tmpPath = `${ordersPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(orders, null, 2) + "\n");
+  fs.renameSync(tmpPath, ordersPath);
+}
+
+function appendOrder(ordersPath, signed) {
+  const orders = loadOrders(ordersPath);
+  if (!orders.some(({ hash }) => hash === signed.hash)) orders.push(signed);
+  saveOrders(ordersPath, orders);
+}
+
+module.exports = { loadOrders, saveOrders, appendOrder };
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { getRecordPath, getAddress } = require("./lib/deployments");
+const { pendingActions, simulateActions } = require("./lib/actions");
+
+const toDate = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+// Lists the actions queued on the WaveFront and WaveFrontRouter recorded in
+// deployments/<ACTIONS_NETWORK>.json (mainnet by default), and any pending
+// ownership transfer, then executes the actions in eta order on a fork of
+// RPC_URL to show what each one changes. Run it on the hardhat network.
+// ACTIONS_FORK_BLOCK pins the fork to a block.
+async function main() {
+  const { ethers, network } = hre;
+  if (network.name !== "hardhat") {
+    throw new Error("Run on the hardhat network, it forks RPC_URL itself");
+  }
+  const networkName = process.env.ACTIONS_NETWORK || "mainnet";
+  const recordPath = getRecordPath(networkName);
+  if (!fs.existsSync(recordPath)) {
+    throw new Error(`No deployment record at ${recordPath}`);
+  }
+  const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+
+  await network.provider.request({
+    method: "hardhat_reset",
+    params: [
+      {
+        forking: {
+          jsonRpcUrl: process.env.RPC_URL,
+          blockNumber: process.env.ACTIONS_FORK_BLOCK
+            ? Number(process.env.ACTIONS_FORK_BLOCK)
+            : undefined,
+        },
+      },
+    ],
+  });
+  const block = await ethers.provider.getBlock("latest");
+  console.log("Forked", networkName, "at block", block.number);
+  console.log("Block time:", toDate(block.timestamp));
+
+  const pending = [];
+  for (const name of ["WaveFront", "WaveFrontRouter"]) {
+    const contract = await ethers.getContractAt(name, getAddress(record, name));
+    const pendingOwner = await contract.pendingOwner();
+    if (pendingOwner !== ethers.constants.AddressZero) {
+      console.log(`${name} ownership is offered to:`, pendingOwner);
+    }
+    pending.push(
+      ...(await pendingActions(contract, record.contracts[name].blockNumber))
+    );
+  }
+  if (!pending.length) {
+    console.log("No pending actions");
+    return;
+  }
+
+  console.table(
+    pending.map((action) => ({
+      contract: action.name,
+      id: action.id,
+      call: action.call.signature,
+      eta: toDate(action.eta),
+      ready: action.eta <= block.timestamp,
+    }))
+  );
+
+  for (const result of await simulateActions(hre, pending)) {
+    console.log(`${result.name}.${result.call.signature}`);
+    if (result.error) {
+      console.log("  reverts:", result.error);
+      continue;
+    }
+    console.table(
+      Object.keys(result.after).map((view) => ({
+        view,
+        before: result.before[view],
+        after: result.after[view],
+      }))
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const { buildAllowlist, parseAllowlistCsv } = require("../sdk/allowlist");
+
+// Builds a presale allowlist from a CSV of `address,allocation` lines, with
+// allocations in quote units. Writes the root and every address's
+// allocation and proof as JSON, the root going into the token's
+// `presaleRoot` launch param. Settings come from the environment:
+// ALLOWLIST_CSV, ALLOWLIST_DECIMALS (the quote's, 6 by default) and
+// ALLOWLIST_OUT (the CSV path with a .json extension by default).
+function main() {
+  const csvPath = process.env.ALLOWLIST_CSV;
+  if (!csvPath) throw new Error("ALLOWLIST_CSV is not set");
+  const decimals = Number(process.env.ALLOWLIST_DECIMALS || 6);
+  const outPath =
+    process.env.ALLOWLIST_OUT ||
+    path.join(
+      path.dirname(csvPath),
+      `${path.basename(csvPath, path.extname(csvPath))}.json`
+    );
+
+  const entries = parseAllowlistCsv(fs.readFileSync(csvPath, "utf8"), decimals);
+  const { root, claims } = buildAllowlist(entries);
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify({ root, decimals, claims }, null, 2) + "\n"
+  );
+
+  console.log("Allowlisted accounts:", entries.length);
+  console.log("Root:", root);
+  console.log("Proofs:", outPath);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error);
+  process.exitCode = 1;
+}
@@ -1,334 +1,244 @@
-const { ethers } = require("hardhat");
-const { utils, BigNumber } = require("ethers");
+const fs = require("fs");
 const hre = require("hardhat");
-const AddressZero = "0x0000000000000000000000000000000000000000";
+const {
+  loadConfig,
+  getRecordPath,
+  loadRecord,
+  deployStep,
+} = require("./lib/deployments");
 
 /*===================================================================*/
-/*===========================  SETTINGS  ============================*/
-
-const TREASURY_ADDRESS = "0x039ec2E90454892fCbA461Ecf8878D0C45FDdFeE"; // Treasury Address
-
-/*===========================  END SETTINGS  ========================*/
-/*===================================================================*/
-
-// Constants
-const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
-const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
-
-// Contract Variables
-let usdc, wft0, wft1, wft2;
-let tokenFactory, saleFactory, contentFactory, rewarderFactory;
-let wavefront, multicall, router;
-
-/*===================================================================*/
-/*===========================  CONTRACT DATA  =======================*/
-
-async function getContracts() {
-  usdc = await ethers.getContractAt(
-    "contracts/mocks/USDC.sol:USDC",
-    "0x8d97b0B334EB5076F2CE66a7B7ffAc1931622022"
+/*===========================  SYSTEM  ==============================*/
+
+// Every step is keyed by name in deployments/<network>.json. Steps already
+// recorded are skipped, so rerunning after a failure resumes where the
+// previous run stopped.
+async function deploySystem(hre, ctx) {
+  const { config } = ctx;
+  const contracts = {};
+
+  if (config.quote) {
+    contracts.quote = await hre.ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      config.quote
+    );
+  } else {
+    contracts.quote = await deployStep(
+      hre,
+      ctx,
+      "USDC",
+      "contracts/mocks/USDC.sol:USDC"
+    );
+  }
+
+  contracts.tokenFactory = await deployStep(
+    hre,
+    ctx,
+    "TokenFactory",
+    "contracts/TokenFactory.sol:TokenFactory"
   );
-
-  tokenFactory = await ethers.getContractAt(
-    "contracts/TokenFactory.sol:TokenFactory",
-    "0xEB4b7929A5E084b2817Ee0085F9A2B94e2f4F226"
+  contracts.saleFactory = await deployStep(
+    hre,
+    ctx,
+    "SaleFactory",
+    "contracts/SaleFactory.sol:SaleFactory"
+  );
+  contracts.contentFactory = await deployStep(
+    hre,
+    ctx,
+    "ContentFactory",
+    "contracts/ContentFactory.sol:ContentFactory"
   );
-  saleFactory = await ethers.getContractAt(
-    "contracts/SaleFactory.sol:SaleFactory",
-    "0xd7ea36ECA1cA3E73bC262A6D05DB01E60AE4AD47"
+  contracts.rewarderFactory = await deployStep(
+    hre,
+    ctx,
+    "RewarderFactory",
+    "contracts/RewarderFactory.sol:RewarderFactory"
   );
-  contentFactory = await ethers.getContractAt(
-    "contracts/ContentFactory.sol:ContentFactory",
-    "0xe2719e4C3AC97890b2AF3783A3B892c3a6FF041C"
+  contracts.timelockFactory = await deployStep(
+    hre,
+    ctx,
+    "TimelockFactory",
+    "contracts/GovernorFactory.sol:TimelockFactory"
   );
-  rewarderFactory = await ethers.getContractAt(
-    "contracts/RewarderFactory.sol:RewarderFactory",
-    "0x6DE64633c9a5beCDde6c5Dc27dfF308F05F56665"
+  contracts.governorFactory = await deployStep(
+    hre,
+    ctx,
+    "GovernorFactory",
+    "contracts/GovernorFactory.sol:GovernorFactory",
+    [contracts.timelockFactory.address]
   );
 
-  wavefront = await ethers.getContractAt(
+  contracts.wavefront = await deployStep(
+    hre,
+    ctx,
+    "WaveFront",
     "contracts/WaveFront.sol:WaveFront",
-    "0xA431bA493D5A63Fa77c69284535E105fB98f0472"
+    [
+      contracts.quote.address,
+      contracts.tokenFactory.address,
+      contracts.saleFactory.address,
+      contracts.contentFactory.address,
+      contracts.rewarderFactory.address,
+    ]
   );
-  multicall = await ethers.getContractAt(
+  contracts.multicall = await deployStep(
+    hre,
+    ctx,
+    "WaveFrontMulticall",
     "contracts/WaveFrontMulticall.sol:WaveFrontMulticall",
-    "0x65e3249EccD38aD841345dA5beBBebE3a73a596C"
+    [contracts.wavefront.address]
   );
-  router = await ethers.getContractAt(
+  contracts.router = await deployStep(
+    hre,
+    ctx,
+    "WaveFrontRouter",
     "contracts/WaveFrontRouter.sol:WaveFrontRouter",
-    "0xCF39871EB8bB0a14951b7590482a6914b8D2A5E6"
+    [contracts.wavefront.address]
   );
-
-  console.log("Contracts Retrieved");
-}
-
-/*===========================  END CONTRACT DATA  ===================*/
-/*===================================================================*/
-
-async function deployUsdc() {
-  console.log("Starting USDC Deployment");
-  const usdcArtifact = await ethers.getContractFactory("USDC");
-  const usdcContract = await usdcArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  usdc = await usdcContract.deployed();
-  await sleep(5000);
-  console.log("USDC Deployed at:", usdc.address);
-}
-
-async function verifyUsdc() {
-  console.log("Starting USDC Verification");
-  await hre.run("verify:verify", {
-    address: usdc.address,
-    contract: "contracts/mocks/USDC.sol:USDC",
-  });
-  console.log("USDC Verified");
-}
-
-async function deployTokenFactory() {
-  console.log("Starting TokenFactory Deployment");
-  const tokenFactoryArtifact = await ethers.getContractFactory("TokenFactory");
-  const tokenFactoryContract = await tokenFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  tokenFactory = await tokenFactoryContract.deployed();
-  await sleep(5000);
-  console.log("TokenFactory Deployed at:", tokenFactory.address);
-}
-
-async function verifyTokenFactory() {
-  console.log("Starting TokenFactory Verification");
-  await hre.run("verify:verify", {
-    address: tokenFactory.address,
-    contract: "contracts/TokenFactory.sol:TokenFactory",
-    settings: {
-      viaIR: true,
-      optimizer: {
-        enabled: true,
-        runs: 200,
-      },
-    },
-  });
-  console.log("TokenFactory Verified");
-}
-
-async function deploySaleFactory() {
-  console.log("Starting SaleFactory Deployment");
-  const saleFactoryArtifact = await ethers.getContractFactory("SaleFactory");
-  const saleFactoryContract = await saleFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  saleFactory = await saleFactoryContract.deployed();
-  await sleep(5000);
-  console.log("SaleFactory Deployed at:", saleFactory.address);
-}
-
-async function verifySaleFactory() {
-  console.log("Starting SaleFactory Verification");
-  await hre.run("verify:verify", {
-    address: saleFactory.address,
-    contract: "contracts/SaleFactory.sol:SaleFactory",
-  });
-  console.log("SaleFactory Verified");
-}
-
-async function deployContentFactory() {
-  console.log("Starting ContentFactory Deployment");
-  const contentFactoryArtifact = await ethers.getContractFactory(
-    "ContentFactory"
+  contracts.orderBook = await deployStep(
+    hre,
+    ctx,
+    "WaveFrontOrderBook",
+    "contracts/WaveFrontOrderBook.sol:WaveFrontOrderBook"
   );
-  const contentFactoryContract = await contentFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  contentFactory = await contentFactoryContract.deployed();
-  await sleep(5000);
-  console.log("ContentFactory Deployed at:", contentFactory.address);
-}
-
-async function verifyContentFactory() {
-  console.log("Starting ContentFactory Verification");
-  await hre.run("verify:verify", {
-    address: contentFactory.address,
-    contract: "contracts/ContentFactory.sol:ContentFactory",
-  });
-  console.log("ContentFactory Verified");
-}
-
-async function deployRewarderFactory() {
-  console.log("Starting RewarderFactory Deployment");
-  const rewarderFactoryArtifact = await ethers.getContractFactory(
-    "RewarderFactory"
-  );
-  const rewarderFactoryContract = await rewarderFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  rewarderFactory = await rewarderFactoryContract.deployed();
-  await sleep(5000);
-  console.log("RewarderFactory Deployed at:", rewarderFactory.address);
-}
-
-async function verifyRewarderFactory() {
-  console.log("Starting RewarderFactory Verification");
-  await hre.run("verify:verify", {
-    address: rewarderFactory.address,
-    contract: "contracts/RewarderFactory.sol:RewarderFactory",
-  });
-  console.log("RewarderFactory Verified");
-}
-
-async function deployWaveFront() {
-  console.log("Starting WaveFront Deployment");
-  const wavefrontArtifact = await ethers.getContractFactory("WaveFront");
-  const wavefrontContract = await wavefrontArtifact.deploy(
-    usdc.address,
-    tokenFactory.address,
-    saleFactory.address,
-    contentFactory.address,
-    rewarderFactory.address,
-    {
-      gasPrice: ethers.gasPrice,
+  if (config.feeSplitter) {
+    contracts.feeSplitter = await deployStep(
+      hre,
+      ctx,
+      "FeeSplitter",
+      "contracts/FeeSplitter.sol:FeeSplitter",
+      [config.feeSplitter.recipients, config.feeSplitter.weights]
+    );
+  }
+
+  await configureSystem(hre, ctx, contracts);
+  return contracts;
+}
+
+// Settings are compared against chain state rather than the record, so
+// they are reapplied whenever the config changes.
+async function configureSystem(hre, ctx, contracts) {
+  const { config } = ctx;
+  const { wavefront } = contracts;
+
+  // A configured fee splitter takes the place of the treasury.
+  const treasury = contracts.feeSplitter
+    ? contracts.feeSplitter.address
+    : config.treasury;
+  if (
+    treasury &&
+    (await wavefront.treasury()).toLowerCase() !== treasury.toLowerCase()
+  ) {
+    console.log("Setting WaveFront treasury to:", treasury);
+    await queueOrExecute(hre, ctx, wavefront, "setTreasury", [treasury]);
+  }
+
+  if (
+    (await wavefront.governorFactory()) !== contracts.governorFactory.address
+  ) {
+    console.log("Setting WaveFront governor factory");
+    await queueOrExecute(hre, ctx, wavefront, "setGovernorFactory", [
+      contracts.governorFactory.address,
+    ]);
+  }
+
+  // Each entry whitelists a quote asset, or updates its default virtual
+  // reserve and bounds when they differ from the chain.
+  for (const entry of config.quotes || []) {
+    const { address, defaultVirtQuoteRaw, min, max } = entry;
+    const [allowed, currentDefault, currentMin, currentMax] = await Promise.all(
+      [
+        wavefront.quote_Allowed(address),
+        wavefront.quote_DefaultVirtQuoteRaw(address),
+        wavefront.quote_MinParams(address),
+        wavefront.quote_MaxParams(address),
+      ]
+    );
+    const changed =
+      !allowed ||
+      !currentDefault.eq(defaultVirtQuoteRaw) ||
+      Object.keys(min).some(
+        (key) => !currentMin[key].eq(min[key]) || !currentMax[key].eq(max[key])
+      );
+    if (changed) {
+      console.log("Setting WaveFront quote:", address);
+      await queueOrExecute(hre, ctx, wavefront, "setQuote", [
+        address,
+        defaultVirtQuoteRaw,
+        min,
+        max,
+      ]);
     }
-  );
-  wavefront = await wavefrontContract.deployed();
-  await sleep(5000);
-  console.log("WaveFront Deployed at:", wavefront.address);
-}
-
-async function verifyWaveFront() {
-  console.log("Starting WaveFront Verification");
-  await hre.run("verify:verify", {
-    address: wavefront.address,
-    contract: "contracts/WaveFront.sol:WaveFront",
-    constructorArguments: [
-      usdc.address,
-      tokenFactory.address,
-      saleFactory.address,
-      contentFactory.address,
-      rewarderFactory.address,
-    ],
-  });
-  console.log("WaveFront Verified");
-}
-
-async function deployMulticall() {
-  console.log("Starting Multicall Deployment");
-  const multicallArtifact = await ethers.getContractFactory(
-    "WaveFrontMulticall"
-  );
-  const multicallContract = await multicallArtifact.deploy(wavefront.address, {
-    gasPrice: ethers.gasPrice,
-  });
-  multicall = await multicallContract.deployed();
-  await sleep(5000);
-  console.log("Multicall Deployed at:", multicall.address);
-}
-
-async function verifyMulticall() {
-  console.log("Starting Multicall Verification");
-  await hre.run("verify:verify", {
-    address: multicall.address,
-    contract: "contracts/WaveFrontMulticall.sol:WaveFrontMulticall",
-    constructorArguments: [wavefront.address],
-  });
-  console.log("Multicall Verified");
-}
-
-async function deployRouter() {
-  console.log("Starting Router Deployment");
-  const routerArtifact = await ethers.getContractFactory("WaveFrontRouter");
-  const routerContract = await routerArtifact.deploy(wavefront.address, {
-    gasPrice: ethers.gasPrice,
-  });
-  router = await routerContract.deployed();
-  await sleep(5000);
-  console.log("Router Deployed at:", router.address);
-}
-
-async function verifyRouter() {
-  console.log("Starting Router Verification");
-  await hre.run("verify:verify", {
-    address: router.address,
-    contract: "contracts/WaveFrontRouter.sol:WaveFrontRouter",
-    constructorArguments: [wavefront.address],
-  });
-  console.log("Router Verified");
-}
-
-async function printDeployment() {
+  }
+}
+
+// Delayed setters are queued on the first run and executed by the first
+// rerun once their MIN_DELAY has passed.
+async function queueOrExecute(hre, ctx, contract, name, args) {
+  const { confirmations = 1 } = ctx.config;
+  const data = contract.interface.encodeFunctionData(name, args);
+  const eta = (
+    await contract.action_Eta(hre.ethers.utils.keccak256(data))
+  ).toNumber();
+  if (eta === 0) {
+    const tx = await contract.queue(data);
+    await tx.wait(confirmations);
+    const queued = (
+      await contract.action_Eta(hre.ethers.utils.keccak256(data))
+    ).toNumber();
+    console.log(`- ${name} queued, rerun after`, new Date(queued * 1000));
+    return;
+  }
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  if (timestamp < eta) {
+    console.log(`- ${name} is still queued, rerun after`, new Date(eta * 1000));
+    return;
+  }
+  const tx = await contract.execute(data);
+  await tx.wait(confirmations);
+  console.log(`- ${name} executed`);
+}
+
+function printDeployment(record) {
   console.log("**************************************************************");
-  console.log("USDC: ", usdc.address);
-  console.log("TokenFactory: ", tokenFactory.address);
-  console.log("SaleFactory: ", saleFactory.address);
-  console.log("ContentFactory: ", contentFactory.address);
-  console.log("RewarderFactory: ", rewarderFactory.address);
-  console.log("WaveFront: ", wavefront.address);
-  console.log("Multicall: ", multicall.address);
-  console.log("Router: ", router.address);
+  for (const [name, entry] of Object.entries(record.contracts)) {
+    console.log(`${name}: `, entry.address);
+  }
   console.log("**************************************************************");
 }
 
+/*===========================  END SYSTEM  ==========================*/
+/*===================================================================*/
+
 async function main() {
-  const [wallet] = await ethers.getSigners();
+  const [wallet] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
   console.log("Using wallet: ", wallet.address);
+  console.log("Network: ", hre.network.name, chainId);
 
-  await getContracts();
+  const config = loadConfig(hre.network.name);
+  const recordPath = getRecordPath(hre.network.name);
 
-  //===================================================================
-  // Deploy System
-  //===================================================================
+  // The in-process hardhat network starts empty on every run.
+  if (hre.network.name === "hardhat" && fs.existsSync(recordPath)) {
+    fs.unlinkSync(recordPath);
+  }
+  const record = loadRecord(recordPath, hre.network.name, chainId);
 
-  // console.log("Starting System Deployment");
-  // await deployUsdc();
-  // await deployTokenFactory();
-  // await deploySaleFactory();
-  // await deployContentFactory();
-  // await deployRewarderFactory();
-  // await deployWaveFront();
-  // await deployMulticall();
-  // await deployRouter();
-  // await printDeployment();
-
-  /*********** UPDATE getContracts() with new addresses *************/
-
-  //===================================================================
-  // Verify System
-  //===================================================================
-
-  console.log("Starting System Verificatrion Deployment");
-  // await verifyUsdc();
-  // await sleep(5000);
-  await verifyTokenFactory();
-  // await sleep(5000);
-  // await verifySaleFactory();
-  // await sleep(5000);
-  // await verifyContentFactory();
-  // await sleep(5000);
-  // await verifyRewarderFactory();
-  // await sleep(5000);
-  // await verifyWaveFront();
-  // await sleep(5000);
-  // await verifyMulticall();
-  // await sleep(5000);
-  // await verifyRouter();
-
-  //===================================================================
-  // Deploy wft
-  //===================================================================
-
-  //===================================================================
-  // Verify wft
-  //===================================================================
-
-  //===================================================================
-  // Transactions
-  //===================================================================
+  console.log("Starting System Deployment");
+  await deploySystem(hre, { config, record, recordPath });
+  printDeployment(record);
+  console.log("Deployment recorded in:", recordPath);
+}
 
-  console.log("Starting Transactions");
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploySystem };
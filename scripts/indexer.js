@@ -0,0 +1,54 @@
+const path = require("path");
+const hre = require("hardhat");
+const { getRecordPath, loadRecord, getAddress } = require("./lib/deployments");
+const { Indexer, loadStore } = require("../indexer");
+
+const STORE_DIR = path.join(__dirname, "..", "indexer", "data");
+
+// Indexes the WaveFront deployment recorded in deployments/<network>.json
+// into indexer/data/<network>.json. Settings come from the environment:
+// INDEXER_START_BLOCK (defaults to the WaveFront deployment block),
+// INDEXER_CONFIRMATIONS, INDEXER_POLL_INTERVAL (ms), INDEXER_STORE and
+// INDEXER_ONCE to catch up and exit instead of following the head.
+async function main() {
+  const { provider } = hre.ethers;
+  const { chainId } = await provider.getNetwork();
+  const record = loadRecord(
+    getRecordPath(hre.network.name),
+    hre.network.name,
+    chainId
+  );
+  const wavefront = getAddress(record, "WaveFront");
+  const startBlock = Number(
+    process.env.INDEXER_START_BLOCK || record.contracts.WaveFront.blockNumber
+  );
+  const storePath =
+    process.env.INDEXER_STORE ||
+    path.join(STORE_DIR, `${hre.network.name}.json`);
+
+  const store = loadStore(storePath, { chainId, wavefront, startBlock });
+  const indexer = new Indexer(provider, store, {
+    storePath,
+    confirmations:
+      process.env.INDEXER_CONFIRMATIONS !== undefined
+        ? Number(process.env.INDEXER_CONFIRMATIONS)
+        : undefined,
+  });
+
+  console.log("Indexing WaveFront:", wavefront);
+  console.log("Network: ", hre.network.name, chainId);
+  console.log("Store:", storePath);
+
+  if (process.env.INDEXER_ONCE) {
+    console.log("Indexed through block:", await indexer.sync());
+    return;
+  }
+  await indexer.follow(Number(process.env.INDEXER_POLL_INTERVAL || 4000));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
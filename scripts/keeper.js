@@ -0,0 +1,46 @@
+const path = require("path");
+const hre = require("hardhat");
+const { getRecordPath, loadRecord, getAddress } = require("./lib/deployments");
+const { Keeper } = require("../keeper");
+
+const ORDERS_DIR = path.join(__dirname, "..", "keeper", "data");
+
+// Fills the signed orders in keeper/data/<network>.json through the
+// WaveFrontOrderBook recorded in deployments/<network>.json, from the first
+// hardhat account. Settings come from the environment: KEEPER_ORDERS,
+// KEEPER_POLL_INTERVAL (ms) and KEEPER_ONCE to check every order once and
+// exit instead of following the head.
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const record = loadRecord(
+    getRecordPath(hre.network.name),
+    hre.network.name,
+    chainId
+  );
+  const orderBook = getAddress(record, "WaveFrontOrderBook");
+  const ordersPath =
+    process.env.KEEPER_ORDERS ||
+    path.join(ORDERS_DIR, `${hre.network.name}.json`);
+
+  const keeper = new Keeper(signer, orderBook, { ordersPath });
+
+  console.log("Keeping WaveFrontOrderBook:", orderBook);
+  console.log("Network: ", hre.network.name, chainId);
+  console.log("Keeper:", signer.address);
+  console.log("Orders:", ordersPath);
+
+  if (process.env.KEEPER_ONCE) {
+    const fills = await keeper.sync();
+    console.log("Filled orders:", fills.length);
+    return;
+  }
+  await keeper.follow(Number(process.env.KEEPER_POLL_INTERVAL || 4000));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
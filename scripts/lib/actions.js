@@ -0,0 +1,182 @@
+// Delayed admin actions of WaveFront and WaveFrontRouter: the pending ones,
+// from their events, and what they would change once executed.
+
+const fundsOf = (hre, token, accounts) =>
+  hre.ethers
+    .getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      token
+    )
+    .then((erc20) =>
+      Object.fromEntries(
+        accounts.map(([label, account]) => [label, erc20.balanceOf(account)])
+      )
+    );
+
+// The views each delayed action changes, read before and after it runs.
+const EFFECTS = {
+  setTreasury: (hre, wf) => ({ treasury: wf.treasury() }),
+  setTokenFactory: (hre, wf) => ({ tokenFactory: wf.tokenFactory() }),
+  setSaleFactory: (hre, wf) => ({ saleFactory: wf.saleFactory() }),
+  setContentFactory: (hre, wf) => ({ contentFactory: wf.contentFactory() }),
+  setRewarderFactory: (hre, wf) => ({ rewarderFactory: wf.rewarderFactory() }),
+  setGovernorFactory: (hre, wf) => ({ governorFactory: wf.governorFactory() }),
+  setTokenTreasury: (hre, wf, [token]) => ({
+    [`treasury of ${token}`]: wf.getTreasury(token),
+  }),
+  setTreasurySplit: (hre, wf) => ({ treasurySplit: wf.treasurySplit() }),
+  setFeeTier: (hre, wf, [tier]) => ({
+    feeTiers: wf.feeTiers(),
+    [`tier ${tier}`]: wf.tier_Fees(tier),
+  }),
+  setTokenFeeTier: (hre, wf, [token]) => ({
+    [`fees of ${token}`]: wf.getFees(token),
+  }),
+  setQuote: (hre, wf, [quote]) => ({
+    [`quote ${quote}`]: wf.quote_Allowed(quote),
+    [`default of ${quote}`]: wf.quote_DefaultVirtQuoteRaw(quote),
+    [`min of ${quote}`]: wf.quote_MinParams(quote),
+    [`max of ${quote}`]: wf.quote_MaxParams(quote),
+  }),
+  removeQuote: (hre, wf, [quote]) => ({
+    [`quote ${quote}`]: wf.quote_Allowed(quote),
+  }),
+  addContentReward: async (hre, wf, [token]) => {
+    const { ethers } = hre;
+    const rewarder = await ethers.getContractAt(
+      "Rewarder",
+      await (await ethers.getContractAt("Token", token)).rewarder()
+    );
+    return { [`rewards of ${token}`]: rewarder.getRewardTokens() };
+  },
+  withdrawStuckTokens: (hre, router, [token, to]) =>
+    fundsOf(hre, token, [
+      ["router balance", router.address],
+      [`balance of ${to}`, to],
+    ]),
+};
+
+function format(value) {
+  if (Array.isArray(value)) {
+    // Structs come back as arrays that also carry their fields by name.
+    const keys = Object.keys(value).filter((key) => isNaN(key));
+    if (keys.length) {
+      return keys.map((key) => `${key}: ${format(value[key])}`).join(", ");
+    }
+    return `[${value.map(format).join(", ")}]`;
+  }
+  return value.toString();
+}
+
+function decodeCall(contract, data) {
+  try {
+    const fragment = contract.interface.getFunction(data.slice(0, 10));
+    const args = [...contract.interface.decodeFunctionData(fragment, data)];
+    return {
+      name: fragment.name,
+      args,
+      signature: `${fragment.name}(${args.map(format).join(", ")})`,
+    };
+  } catch (e) {
+    return { name: null, args: [], signature: `unknown call ${data}` };
+  }
+}
+
+// The router is the only one with withdrawStuckTokens.
+function contractName(contract) {
+  return "withdrawStuckTokens" in contract.functions
+    ? "WaveFrontRouter"
+    : "WaveFront";
+}
+
+/**
+ * Actions queued on `contract`, a WaveFront or WaveFrontRouter, that were
+ * neither cancelled nor executed.
+ * @param {ethers.Contract} contract
+ * @param {number} [fromBlock] where to start reading events
+ * @returns {Promise<Object[]>} `{ contract, name, id, data, eta, call,
+ * blockNumber, transactionHash }` in the order they were queued
+ */
+async function pendingActions(contract, fromBlock = 0) {
+  const name = contractName(contract);
+  const events = await contract.queryFilter(
+    contract.filters.ActionQueue__Queued(),
+    fromBlock
+  );
+
+  // An action queued again after a cancel keeps its id, only its latest
+  // eta is live.
+  const pending = new Map();
+  for (const { args, blockNumber, transactionHash } of events) {
+    const eta = await contract.action_Eta(args.id);
+    if (!eta.eq(args.eta)) continue;
+    pending.set(args.id, {
+      contract,
+      name,
+      id: args.id,
+      data: args.data,
+      eta: eta.toNumber(),
+      call: decodeCall(contract, args.data),
+      blockNumber,
+      transactionHash,
+    });
+  }
+  return [...pending.values()];
+}
+
+// Views that cannot be read, such as those of a call that points at the
+// wrong contract, are left out.
+async function readEffects(hre, action) {
+  const effect = EFFECTS[action.call.name];
+  if (!effect) return {};
+  try {
+    const views = await effect(hre, action.contract, action.call.args);
+    const values = {};
+    for (const [key, view] of Object.entries(views)) {
+      values[key] = format(await view);
+    }
+    return values;
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Executes `actions` in eta order on the current hardhat network, meant to
+ * be a fork, moving time up to each eta, then reverts the network to where
+ * it was. Later actions see the effect of earlier ones.
+ * @param {Object} hre
+ * @param {Object[]} actions from `pendingActions`
+ * @returns {Promise<Object[]>} each action with `before` and `after`, the
+ * views it changes, and `error` when it reverted
+ */
+async function simulateActions(hre, actions) {
+  const { ethers, network } = hre;
+  const [signer] = await ethers.getSigners();
+  const snapshot = await network.provider.send("evm_snapshot");
+  const results = [];
+  try {
+    const sorted = [...actions].sort((a, b) => a.eta - b.eta);
+    for (const action of sorted) {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      if (timestamp < action.eta) {
+        await network.provider.send("evm_setNextBlockTimestamp", [action.eta]);
+      }
+      const before = await readEffects(hre, action);
+      let error = null;
+      try {
+        const tx = await action.contract.connect(signer).execute(action.data);
+        await tx.wait();
+      } catch (e) {
+        error = e.reason || e.message;
+      }
+      const after = await readEffects(hre, action);
+      results.push({ ...action, before, after, error });
+    }
+  } finally {
+    await network.provider.send("evm_revert", [snapshot]);
+  }
+  return results;
+}
+
+module.exports = { EFFECTS, pendingActions, simulateActions };
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config");
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/*===================================================================*/
+/*===========================  CONFIG  ==============================*/
+
+function loadConfig(networkName) {
+  const configPath = path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`No deploy config for network "${networkName}"`);
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/*===========================  END CONFIG  ==========================*/
+/*===================================================================*/
+
+/*===================================================================*/
+/*===========================  RECORD  ==============================*/
+
+function getRecordPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function loadRecord(recordPath, networkName, chainId) {
+  if (!fs.existsSync(recordPath)) {
+    return { network: networkName, chainId, contracts: {} };
+  }
+  const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+  if (record.chainId !== chainId) {
+    throw new Error(
+      `${recordPath} was recorded on chain ${record.chainId}, connected to ${chainId}`
+    );
+  }
+  return record;
+}
+
+// Written through a temp file so a crash mid-write never leaves a
+// truncated record behind.
+function saveRecord(recordPath, record) {
+  fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+  const tmpPath = `${recordPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2) + "\n");
+  fs.renameSync(tmpPath, recordPath);
+}
+
+function getAddress(record, name) {
+  const entry = record.contracts[name];
+  if (!entry || !entry.address) {
+    throw new Error(`${name} has not been deployed on ${record.network}`);
+  }
+  return entry.address;
+}
+
+/*===========================  END RECORD  ==========================*/
+/*===================================================================*/
+
+/*===================================================================*/
+/*===========================  STEPS  ===============================*/
+
+const sameArgs = (a, b) =>
+  JSON.stringify(a).toLowerCase() === JSON.stringify(b).toLowerCase();
+
+async function deployStep(hre, ctx, name, contract, args = []) {
+  const { ethers } = hre;
+  const { record, recordPath, config } = ctx;
+  const entry = record.contracts[name];
+  const artifact = await ethers.getContractFactory(contract);
+  // The creation code, as the deployed code embeds immutables.
+  const bytecodeHash = ethers.utils.keccak256(artifact.bytecode);
+
+  if (entry) {
+    if (!sameArgs(entry.args, args)) {
+      throw new Error(
+        `${name} is recorded with args ${JSON.stringify(entry.args)} ` +
+          `but the config now resolves to ${JSON.stringify(args)}. ` +
+          `Remove it from ${recordPath} to redeploy.`
+      );
+    }
+    if (entry.bytecodeHash !== bytecodeHash) {
+      throw new Error(
+        `${name} is recorded ` +
+          (entry.bytecodeHash
+            ? `with bytecode ${entry.bytecodeHash} `
+            : "without a bytecode hash ") +
+          `but ${contract} now compiles to ${bytecodeHash}. ` +
+          `Remove it from ${recordPath} to redeploy.`
+      );
+    }
+
+    // A previous run broadcast the deployment and died before it was
+    // mined, pick the transaction back up instead of deploying twice.
+    if (!entry.address && entry.txHash) {
+      const tx = await ethers.provider.getTransaction(entry.txHash);
+      if (tx) {
+        console.log(`Waiting on pending ${name} Deployment:`, entry.txHash);
+        const receipt = await ethers.provider.waitForTransaction(
+          entry.txHash,
+          config.confirmations || 1
+        );
+        if (receipt.status === 1) {
+          entry.address = receipt.contractAddress;
+          entry.blockNumber = receipt.blockNumber;
+          saveRecord(recordPath, record);
+        }
+      }
+    }
+
+    if (entry.address) {
+      const code = await ethers.provider.getCode(entry.address);
+      if (code === "0x") {
+        throw new Error(
+          `${name} is recorded at ${entry.address} but has no code on ${record.network}`
+        );
+      }
+      console.log(`${name} already deployed at:`, entry.address);
+      return ethers.getContractAt(contract, entry.address);
+    }
+  }
+
+  console.log(`Starting ${name} Deployment`);
+  const overrides = config.gasPrice ? { gasPrice: config.gasPrice } : {};
+  const instance = await artifact.deploy(...args, overrides);
+
+  record.contracts[name] = {
+    contract,
+    address: null,
+    args,
+    bytecodeHash,
+    txHash: instance.deployTransaction.hash,
+    blockNumber: null,
+    verified: false,
+  };
+  saveRecord(recordPath, record);
+
+  const receipt = await instance.deployTransaction.wait(
+    config.confirmations || 1
+  );
+  record.contracts[name].address = instance.address;
+  record.contracts[name].blockNumber = receipt.blockNumber;
+  saveRecord(recordPath, record);
+
+  console.log(`${name} Deployed at:`, instance.address);
+  return instance;
+}
+
+async function verifyStep(hre, ctx, name) {
+  const { record, recordPath } = ctx;
+  const entry = record.contracts[name];
+  if (!entry || !entry.address) {
+    console.log(`${name} not deployed, skipping verification`);
+    return false;
+  }
+  if (entry.verified) {
+    console.log(`${name} already verified`);
+    return false;
+  }
+
+  console.log(`Starting ${name} Verification`);
+  try {
+    await hre.run("verify:verify", {
+      address: entry.address,
+      contract: entry.contract,
+      constructorArguments: entry.args,
+    });
+  } catch (error) {
+    if (!/already verified/i.test(error.message)) throw error;
+  }
+
+  entry.verified = true;
+  saveRecord(recordPath, record);
+  console.log(`${name} Verified`);
+  return true;
+}
+
+/*===========================  END STEPS  ===========================*/
+/*===================================================================*/
+
+module.exports = {
+  loadConfig,
+  getRecordPath,
+  loadRecord,
+  saveRecord,
+  getAddress,
+  deployStep,
+  verifyStep,
+};
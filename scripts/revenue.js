@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getRecordPath, loadRecord, getAddress } = require("./lib/deployments");
+const { Indexer, loadStore, revenueReport } = require("../indexer");
+
+const STORE_DIR = path.join(__dirname, "..", "indexer", "data");
+
+// Dates as accepted by Date.parse, e.g. 2024-01-01.
+const toTimestamp = (date) => Math.floor(Date.parse(date) / 1000);
+
+// Catches the indexer store up once, then reports the fee revenue of every
+// token per period. Settings come from the environment: REVENUE_PERIOD
+// (day, week or month, defaults to day), REVENUE_FROM and REVENUE_TO (UTC
+// dates, REVENUE_TO excluded), REVENUE_OUT to also write the raw report as
+// JSON, and the INDEXER_* settings of scripts/indexer.js.
+async function main() {
+  const { provider } = hre.ethers;
+  const { formatUnits } = hre.ethers.utils;
+  const { chainId } = await provider.getNetwork();
+  const record = loadRecord(
+    getRecordPath(hre.network.name),
+    hre.network.name,
+    chainId
+  );
+  const wavefront = getAddress(record, "WaveFront");
+  const startBlock = Number(
+    process.env.INDEXER_START_BLOCK || record.contracts.WaveFront.blockNumber
+  );
+  const storePath =
+    process.env.INDEXER_STORE ||
+    path.join(STORE_DIR, `${hre.network.name}.json`);
+
+  const store = loadStore(storePath, { chainId, wavefront, startBlock });
+  const indexer = new Indexer(provider, store, {
+    storePath,
+    confirmations:
+      process.env.INDEXER_CONFIRMATIONS !== undefined
+        ? Number(process.env.INDEXER_CONFIRMATIONS)
+        : undefined,
+  });
+  console.log("Indexed through block:", await indexer.sync());
+
+  const report = revenueReport(indexer.state, {
+    period: process.env.REVENUE_PERIOD || "day",
+    from: process.env.REVENUE_FROM
+      ? toTimestamp(process.env.REVENUE_FROM)
+      : undefined,
+    to: process.env.REVENUE_TO
+      ? toTimestamp(process.env.REVENUE_TO)
+      : undefined,
+  });
+
+  // Quote fees in units of each token's quote, token fees in tokens.
+  const format = (token, revenue) => {
+    const { quoteDecimals } = report.tokens[token];
+    const row = {};
+    for (const recipient of ["provider", "content", "treasury", "total"]) {
+      row[`${recipient} quote`] = formatUnits(
+        revenue[recipient].quoteRaw,
+        quoteDecimals
+      );
+      row[`${recipient} token`] = formatUnits(revenue[recipient].tokenAmt);
+    }
+    return row;
+  };
+  console.table(
+    report.periods.map((row) => ({
+      period: new Date(row.t * 1000).toISOString().slice(0, 10),
+      symbol: row.symbol,
+      ...format(row.token, row),
+    }))
+  );
+  console.log("Totals:");
+  console.table(
+    Object.values(report.tokens).map((totals) => ({
+      symbol: totals.symbol,
+      token: totals.token,
+      ...format(totals.token, totals),
+    }))
+  );
+
+  if (process.env.REVENUE_OUT) {
+    fs.writeFileSync(
+      process.env.REVENUE_OUT,
+      JSON.stringify(report, null, 2) + "\n"
+    );
+    console.log("Report written to:", process.env.REVENUE_OUT);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
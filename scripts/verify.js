@@ -0,0 +1,26 @@
+const hre = require("hardhat");
+const { getRecordPath, loadRecord, verifyStep } = require("./lib/deployments");
+
+const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+// Verifies every contract in deployments/<network>.json with the exact
+// constructor args it was deployed with. Verified entries are marked so a
+// rerun only retries the ones that failed.
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const recordPath = getRecordPath(hre.network.name);
+  const record = loadRecord(recordPath, hre.network.name, chainId);
+  const ctx = { record, recordPath };
+
+  console.log("Starting System Verification");
+  for (const name of Object.keys(record.contracts)) {
+    if (await verifyStep(hre, ctx, name)) await sleep(5000);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
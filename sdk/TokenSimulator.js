@@ -0,0 +1,666 @@
+const { Contract } = require("ethers");
+const {
+  WAD,
+  mulDivUp,
+  mulWadDown,
+  mulWadUp,
+  divWadDown,
+  divWadUp,
+} = require("./fixedPointMath");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+class TokenSimulatorError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "TokenSimulatorError";
+    this.reason = reason;
+  }
+}
+
+const revert = (reason) => {
+  throw new TokenSimulatorError(reason);
+};
+
+// Checked subtraction, reverts like solidity 0.8 arithmetic.
+const sub = (a, b) => (a < b ? revert("Panic(0x11)") : a - b);
+const min = (a, b) => (a < b ? a : b);
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+const newFeeTotals = () => ({
+  provider: { quoteRaw: 0n, tokenAmt: 0n },
+  content: { quoteRaw: 0n, tokenAmt: 0n },
+  treasury: { quoteRaw: 0n, tokenAmt: 0n },
+  healedQuoteRaw: 0n,
+  burnedTokenAmt: 0n,
+});
+const cloneFeeTotals = (totals) => ({
+  ...totals,
+  provider: { ...totals.provider },
+  content: { ...totals.content },
+  treasury: { ...totals.treasury },
+});
+
+/**
+ * Pure BigInt model of contracts/TokenFactory.sol:Token. Each method takes
+ * `msg.sender` as its first argument and follows the contract line by line,
+ * including rounding direction and revert conditions, so reserves stay bit
+ * for bit equal to a deployed Token fed the same calls. A reverted call
+ * leaves the simulator untouched and throws a TokenSimulatorError whose
+ * `reason` is the Solidity error name.
+ *
+ * Only the Token's own quote balance is tracked, callers are assumed to
+ * hold and have approved whatever quote they spend. `timestamp` stands in
+ * for `block.timestamp` and drives interest accrual, set it to the block
+ * each call lands in. `borrowWithSig` takes the signature as valid.
+ */
+class TokenSimulator {
+  static DIVISOR = 10_000n;
+  static YEAR = 365n * 24n * 60n * 60n;
+  static LIQUIDATION_BONUS = 500n;
+
+  /**
+   * @param {Object} params
+   * @param {bigint} params.initialSupply
+   * @param {bigint} params.virtQuoteRaw
+   * @param {number} [params.quoteDecimals]
+   * @param {bigint} [params.fee] swap fee in basis points
+   * @param {bigint} [params.feeSplit] share of the fee to the provider and content, in basis points
+   * @param {bigint} [params.treasurySplit] share of the fee to the treasury, in basis points
+   * @param {bigint} [params.borrowRate] yearly interest, in basis points of debt
+   * @param {bigint} [params.timestamp] starting `block.timestamp`
+   * @param {string} [params.sale] address allowed to buy before open
+   * @param {string} [params.content] address receiving content fees
+   * @param {string} [params.treasury] treasury, AddressZero to disable
+   */
+  constructor({
+    initialSupply,
+    virtQuoteRaw,
+    quoteDecimals = 6,
+    fee = 100n,
+    feeSplit = 1_500n,
+    treasurySplit = 1_500n,
+    borrowRate = 0n,
+    timestamp = 0n,
+    sale = "sale",
+    content = "content",
+    treasury = AddressZero,
+  }) {
+    if (quoteDecimals > 18) revert("Token__QuoteDecimals");
+    this.quoteScale = 10n ** BigInt(18 - quoteDecimals);
+    this.fee = BigInt(fee);
+    this.feeSplit = BigInt(feeSplit);
+    this.treasurySplit = BigInt(treasurySplit);
+    this.borrowRate = BigInt(borrowRate);
+    this.timestamp = BigInt(timestamp);
+    this.sale = sale;
+    this.content = content;
+    this.treasury = treasury;
+
+    this.open = false;
+    this.maxSupply = BigInt(initialSupply);
+    this.reserveTokenAmt = BigInt(initialSupply);
+    this.reserveRealQuoteWad = 0n;
+    this.reserveVirtQuoteWad = this.rawToWad(BigInt(virtQuoteRaw));
+
+    this.totalDebtRaw = 0n;
+    this.account_DebtRaw = new Map();
+    this.account_InterestRaw = new Map();
+    this.account_LastAccrued = new Map();
+    this.borrowAllowance = new Map();
+    this.balances = new Map();
+    this.totalSupply = 0n;
+    this.quoteBalance = 0n;
+    this.feeTotals = newFeeTotals();
+  }
+
+  /**
+   * Snapshots a deployed Token at the latest block. Balances, debts and
+   * interest are only read for the given accounts plus the token's sale and
+   * content, borrow allowances are not read.
+   * @param {import("ethers").Contract} token
+   * @param {string[]} accounts
+   */
+  static async fromToken(token, accounts = []) {
+    const quote = new Contract(
+      await token.quote(),
+      ["function balanceOf(address) view returns (uint256)"],
+      token.provider
+    );
+    const wavefront = new Contract(
+      await token.wavefront(),
+      [
+        "function getFees(address token) view returns (tuple(uint256 fee, uint256 feeSplit, uint256 treasurySplit, address treasury))",
+      ],
+      token.provider
+    );
+    // Swaps charge the fees of the token's tier, not its launch fees.
+    const fees = await wavefront.getFees(token.address);
+
+    const sim = new TokenSimulator({
+      initialSupply: 0n,
+      virtQuoteRaw: 0n,
+      quoteDecimals: await token.quoteDecimals(),
+      fee: fees.fee.toBigInt(),
+      feeSplit: fees.feeSplit.toBigInt(),
+      treasurySplit: fees.treasurySplit.toBigInt(),
+      borrowRate: (await token.borrowRate()).toBigInt(),
+      timestamp: BigInt((await token.provider.getBlock("latest")).timestamp),
+      sale: await token.sale(),
+      content: await token.content(),
+      treasury: fees.treasury,
+    });
+    const big = async (p) => (await p).toBigInt();
+    sim.open = await token.open();
+    sim.maxSupply = await big(token.maxSupply());
+    sim.reserveTokenAmt = await big(token.reserveTokenAmt());
+    sim.reserveRealQuoteWad = await big(token.reserveRealQuoteWad());
+    sim.reserveVirtQuoteWad = await big(token.reserveVirtQuoteWad());
+    sim.totalDebtRaw = await big(token.totalDebtRaw());
+    sim.totalSupply = await big(token.totalSupply());
+    sim.quoteBalance = await big(quote.balanceOf(token.address));
+
+    for (const account of [sim.sale, sim.content, ...accounts]) {
+      sim.balances.set(account, await big(token.balanceOf(account)));
+      sim.account_DebtRaw.set(
+        account,
+        await big(token.account_DebtRaw(account))
+      );
+      sim.account_InterestRaw.set(
+        account,
+        await big(token.account_InterestRaw(account))
+      );
+      sim.account_LastAccrued.set(
+        account,
+        await big(token.account_LastAccrued(account))
+      );
+    }
+    return sim;
+  }
+
+  /*----------  MUTATIONS  ------------------------------------------*/
+
+  buy(sender, quoteRawIn, minTokenAmtOut, to, provider = AddressZero) {
+    return this._atomic(() => {
+      if (quoteRawIn === 0n) revert("Token__ZeroInput");
+      if (!this.open && sender !== this.sale) revert("Token__MarketClosed");
+
+      const feeRaw = (quoteRawIn * this.fee) / TokenSimulator.DIVISOR;
+      const netRaw = quoteRawIn - feeRaw;
+      const netWad = this.rawToWad(netRaw);
+
+      const x0 = this.reserveVirtQuoteWad + this.reserveRealQuoteWad;
+      const y0 = this.reserveTokenAmt;
+      const x1 = x0 + netWad;
+      if (x1 === 0n) revert("Token__DivideByZero");
+
+      const y1 = divWadUp(mulWadUp(x0, y0), x1);
+      const tokenAmtOut = sub(y0, y1);
+      if (tokenAmtOut < minTokenAmtOut) revert("Token__Slippage");
+
+      this.reserveRealQuoteWad += netWad;
+      this.reserveTokenAmt = y1;
+
+      this.quoteBalance += quoteRawIn;
+
+      const healRaw = this._processBuyFees(feeRaw, provider);
+      if (healRaw > 0n) this._healQuoteReserves(healRaw);
+
+      this._mint(to, tokenAmtOut);
+      return tokenAmtOut;
+    });
+  }
+
+  sell(sender, tokenAmtIn, minQuoteRawOut, to, provider = AddressZero) {
+    return this._atomic(() => {
+      if (tokenAmtIn === 0n) revert("Token__ZeroInput");
+      return this._sell(sender, tokenAmtIn, minQuoteRawOut, provider, false)
+        .quoteRawOut;
+    });
+  }
+
+  /**
+   * Sells `account`'s tokens and repays its debt from the proceeds. The
+   * sender's token allowance is not tracked.
+   * @returns {{ quoteRawOut: bigint, repayRaw: bigint }}
+   */
+  sellFor(
+    sender,
+    account,
+    tokenAmtIn,
+    minQuoteRawOut,
+    to,
+    provider = AddressZero
+  ) {
+    return this._atomic(() => {
+      if (tokenAmtIn === 0n) revert("Token__ZeroInput");
+      return this._sell(account, tokenAmtIn, minQuoteRawOut, provider, true);
+    });
+  }
+
+  borrow(sender, to, quoteRaw) {
+    return this._atomic(() => {
+      if (quoteRaw === 0n) revert("Token__ZeroInput");
+      this._borrow(sender, quoteRaw);
+    });
+  }
+
+  borrowFor(sender, account, to, quoteRaw) {
+    return this._atomic(() => {
+      if (quoteRaw === 0n) revert("Token__ZeroInput");
+      if (sender !== account) {
+        this._spendBorrowAllowance(account, sender, quoteRaw);
+      }
+      this._borrow(account, quoteRaw);
+    });
+  }
+
+  borrowWithSig(sender, account, to, quoteRaw, allowance) {
+    return this._atomic(() => {
+      if (quoteRaw === 0n) revert("Token__ZeroInput");
+      this.approveBorrow(account, sender, allowance);
+      this._spendBorrowAllowance(account, sender, quoteRaw);
+      this._borrow(account, quoteRaw);
+    });
+  }
+
+  approveBorrow(sender, delegate, quoteRaw) {
+    this.borrowAllowance.set(`${sender}:${delegate}`, BigInt(quoteRaw));
+  }
+
+  repay(sender, to, quoteRaw) {
+    return this._atomic(() => {
+      if (quoteRaw === 0n) revert("Token__ZeroInput");
+      this._accrue(to);
+      const interestRaw = this._repay(to, quoteRaw);
+      this.quoteBalance += quoteRaw;
+      if (interestRaw > 0n) this._healQuoteReserves(interestRaw);
+    });
+  }
+
+  liquidate(sender, account, to) {
+    return this._atomic(() => {
+      this._accrue(account);
+      const debtRaw = this.debtOf(account);
+      if (debtRaw === 0n || debtRaw <= this.getAccountCreditLimit(account)) {
+        revert("Token__NotLiquidatable");
+      }
+      const interestRaw = this.interestOf(account);
+      // The debt plus LIQUIDATION_BONUS at the market price, the account
+      // keeps the rest.
+      const balance = this.balanceOf(account);
+      let tokenAmt =
+        (this.reserveTokenAmt *
+          this.rawToWad(debtRaw) *
+          (TokenSimulator.DIVISOR + TokenSimulator.LIQUIDATION_BONUS)) /
+        (TokenSimulator.DIVISOR *
+          (this.reserveVirtQuoteWad + this.reserveRealQuoteWad));
+      if (tokenAmt > balance) tokenAmt = balance;
+
+      this.totalDebtRaw = sub(this.totalDebtRaw, debtRaw);
+      this.account_DebtRaw.set(account, 0n);
+      this.account_InterestRaw.set(account, 0n);
+
+      this.quoteBalance += debtRaw;
+      if (interestRaw > 0n) this._healQuoteReserves(interestRaw);
+      this._transfer(account, to, tokenAmt);
+      return tokenAmt;
+    });
+  }
+
+  heal(sender, quoteRaw) {
+    return this._atomic(() => {
+      if (quoteRaw === 0n) revert("Token__ZeroInput");
+      this.quoteBalance += quoteRaw;
+      this._healQuoteReserves(quoteRaw);
+    });
+  }
+
+  burn(sender, tokenAmt) {
+    return this._atomic(() => {
+      if (tokenAmt === 0n) revert("Token__ZeroInput");
+      this._burn(sender, tokenAmt);
+      this._burnTokenReserves(tokenAmt);
+    });
+  }
+
+  transfer(sender, to, amount) {
+    return this._atomic(() => this._transfer(sender, to, amount));
+  }
+
+  openMarket(sender) {
+    return this._atomic(() => {
+      if (sender !== this.sale) revert("Token__NotAuthorized");
+      this.open = true;
+    });
+  }
+
+  /*----------  VIEWS  ----------------------------------------------*/
+
+  rawToWad(raw) {
+    return raw * this.quoteScale;
+  }
+
+  wadToRaw(wad) {
+    return wad / this.quoteScale;
+  }
+
+  balanceOf(account) {
+    return this.balances.get(account) || 0n;
+  }
+
+  debtOf(account) {
+    return this.account_DebtRaw.get(account) || 0n;
+  }
+
+  interestOf(account) {
+    return this.account_InterestRaw.get(account) || 0n;
+  }
+
+  // Debt including the interest accrued since the account was last touched.
+  getAccountDebt(account) {
+    const debtRaw = this.debtOf(account);
+    if (this.borrowRate === 0n || debtRaw === 0n) return debtRaw;
+    const elapsed = sub(
+      this.timestamp,
+      this.account_LastAccrued.get(account) || 0n
+    );
+    return (
+      debtRaw +
+      mulDivUp(
+        debtRaw,
+        this.borrowRate * elapsed,
+        TokenSimulator.DIVISOR * TokenSimulator.YEAR
+      )
+    );
+  }
+
+  getMarketPrice() {
+    if (this.reserveTokenAmt === 0n) return 0n;
+    const totalQuoteWad = this.reserveVirtQuoteWad + this.reserveRealQuoteWad;
+    return divWadDown(mulWadDown(totalQuoteWad, WAD), this.reserveTokenAmt);
+  }
+
+  getFloorPrice() {
+    if (this.maxSupply === 0n) return 0n;
+    return divWadDown(
+      mulWadDown(this.reserveVirtQuoteWad, WAD),
+      this.maxSupply
+    );
+  }
+
+  getAccountCreditLimit(account) {
+    const balance = this.balanceOf(account);
+    if (balance === 0n) return 0n;
+
+    const m = this.maxSupply;
+    const xv = this.reserveVirtQuoteWad;
+    if (balance >= m) return 0n;
+
+    const requiredWad = divWadDown(mulWadDown(xv, m), m - balance);
+    return this.wadToRaw(sub(requiredWad, xv));
+  }
+
+  getAccountCredit(account) {
+    const creditLimitRaw = this.getAccountCreditLimit(account);
+    const debtRaw = this.getAccountDebt(account);
+
+    return creditLimitRaw > debtRaw ? creditLimitRaw - debtRaw : 0n;
+  }
+
+  getAccountTransferrable(account) {
+    const debtRaw = this.getAccountDebt(account);
+    const balance = this.balanceOf(account);
+    if (debtRaw === 0n) return balance;
+
+    const m = this.maxSupply;
+    const xv = this.reserveVirtQuoteWad;
+    if (xv === 0n) return 0n;
+
+    const debtWad = this.rawToWad(debtRaw);
+    const requiredWad = xv + debtWad;
+    if (requiredWad === 0n) return 0n;
+    const nonLocked = divWadDown(mulWadDown(xv, m), requiredWad);
+    const locked = sub(m, nonLocked);
+
+    return balance > locked ? balance - locked : 0n;
+  }
+
+  /*----------  INTERNAL  -------------------------------------------*/
+
+  _sell(account, tokenAmtIn, minQuoteRawOut, provider, repayDebt) {
+    if (!this.open) revert("Token__MarketClosed");
+
+    const feeAmt = (tokenAmtIn * this.fee) / TokenSimulator.DIVISOR;
+    const netAmt = tokenAmtIn - feeAmt;
+
+    const x0 = this.reserveVirtQuoteWad + this.reserveRealQuoteWad;
+    const y0 = this.reserveTokenAmt;
+    const y1 = y0 + netAmt;
+    if (y1 === 0n) revert("Token__DivideByZero");
+
+    const x1 = divWadUp(mulWadUp(x0, y0), y1);
+    const quoteWadOut = sub(x0, x1);
+    const quoteRawOut = this.wadToRaw(quoteWadOut);
+
+    if (quoteRawOut < minQuoteRawOut) revert("Token__Slippage");
+    if (x1 < this.reserveVirtQuoteWad) revert("Token__ReserveUnderflow");
+
+    this.reserveRealQuoteWad = x1 - this.reserveVirtQuoteWad;
+    this.reserveTokenAmt = y1;
+
+    let repayRaw = 0n;
+    let interestRaw = 0n;
+    if (repayDebt) {
+      this._accrue(account);
+      repayRaw = min(this.debtOf(account), quoteRawOut);
+      if (repayRaw > 0n) interestRaw = this._repay(account, repayRaw);
+    }
+    this._burn(account, tokenAmtIn);
+
+    const burned = this._processSellFees(feeAmt, provider);
+    if (burned > 0n) this._burnTokenReserves(burned);
+    if (interestRaw > 0n) this._healQuoteReserves(interestRaw);
+
+    this._transferQuoteOut(quoteRawOut - repayRaw);
+    return { quoteRawOut, repayRaw };
+  }
+
+  _borrow(account, quoteRaw) {
+    this._accrue(account);
+    const credit = this.getAccountCredit(account);
+    if (quoteRaw > credit) revert("Token__CreditExceeded");
+
+    this.totalDebtRaw += quoteRaw;
+    this.account_DebtRaw.set(account, this.debtOf(account) + quoteRaw);
+
+    this._transferQuoteOut(quoteRaw);
+  }
+
+  _spendBorrowAllowance(account, delegate, quoteRaw) {
+    const key = `${account}:${delegate}`;
+    const allowed = this.borrowAllowance.get(key) || 0n;
+    if (quoteRaw > allowed) revert("Token__BorrowAllowanceExceeded");
+    if (allowed !== MAX_UINT256)
+      this.borrowAllowance.set(key, allowed - quoteRaw);
+  }
+
+  // Interest is paid off first, the caller heals the reserves with it.
+  _repay(account, quoteRaw) {
+    if (quoteRaw > this.debtOf(account)) revert("Token__RepayExceedsDebt");
+    const interestRaw = min(this.interestOf(account), quoteRaw);
+
+    this.totalDebtRaw = sub(this.totalDebtRaw, quoteRaw);
+    this.account_DebtRaw.set(account, this.debtOf(account) - quoteRaw);
+    this.account_InterestRaw.set(
+      account,
+      this.interestOf(account) - interestRaw
+    );
+    return interestRaw;
+  }
+
+  _accrue(account) {
+    if (this.borrowRate === 0n) return;
+    const interestRaw = this.getAccountDebt(account) - this.debtOf(account);
+    this.account_LastAccrued.set(account, this.timestamp);
+    if (interestRaw === 0n) return;
+
+    this.totalDebtRaw += interestRaw;
+    this.account_DebtRaw.set(account, this.debtOf(account) + interestRaw);
+    this.account_InterestRaw.set(
+      account,
+      this.interestOf(account) + interestRaw
+    );
+  }
+
+  _processBuyFees(quoteRaw, provider) {
+    let remainingRaw = quoteRaw;
+    const shareRaw = (quoteRaw * this.feeSplit) / TokenSimulator.DIVISOR;
+
+    if (provider !== AddressZero && shareRaw > 0n) {
+      const providerFee = min(shareRaw, remainingRaw);
+      if (providerFee > 0n) {
+        this._transferQuoteOut(providerFee);
+        this.feeTotals.provider.quoteRaw += providerFee;
+        remainingRaw -= providerFee;
+      }
+    }
+
+    if (remainingRaw > 0n) {
+      const contentFee = min(shareRaw, remainingRaw);
+      if (contentFee > 0n) {
+        this._transferQuoteOut(contentFee);
+        this.feeTotals.content.quoteRaw += contentFee;
+        remainingRaw -= contentFee;
+      }
+    }
+
+    if (this.treasury !== AddressZero && remainingRaw > 0n) {
+      const treasuryRaw =
+        (quoteRaw * this.treasurySplit) / TokenSimulator.DIVISOR;
+      const treasuryFee = min(treasuryRaw, remainingRaw);
+      if (treasuryFee > 0n) {
+        this._transferQuoteOut(treasuryFee);
+        this.feeTotals.treasury.quoteRaw += treasuryFee;
+        remainingRaw -= treasuryFee;
+      }
+    }
+    return remainingRaw;
+  }
+
+  _processSellFees(tokenAmt, provider) {
+    let remainingAmt = tokenAmt;
+    const shareAmt = (tokenAmt * this.feeSplit) / TokenSimulator.DIVISOR;
+
+    if (provider !== AddressZero && shareAmt > 0n) {
+      const providerFee = min(shareAmt, remainingAmt);
+      if (providerFee > 0n) {
+        this._mint(provider, providerFee);
+        this.feeTotals.provider.tokenAmt += providerFee;
+        remainingAmt -= providerFee;
+      }
+    }
+
+    if (remainingAmt > 0n) {
+      const contentFee = min(shareAmt, remainingAmt);
+      if (contentFee > 0n) {
+        this._mint(this.content, contentFee);
+        this.feeTotals.content.tokenAmt += contentFee;
+        remainingAmt -= contentFee;
+      }
+    }
+
+    if (this.treasury !== AddressZero && remainingAmt > 0n) {
+      const treasuryAmt =
+        (tokenAmt * this.treasurySplit) / TokenSimulator.DIVISOR;
+      const treasuryFee = min(treasuryAmt, remainingAmt);
+      if (treasuryFee > 0n) {
+        this._mint(this.treasury, treasuryFee);
+        this.feeTotals.treasury.tokenAmt += treasuryFee;
+        remainingAmt -= treasuryFee;
+      }
+    }
+    return remainingAmt;
+  }
+
+  _healQuoteReserves(quoteRaw) {
+    const quoteWad = this.rawToWad(quoteRaw);
+    const m = this.maxSupply;
+    const y = this.reserveTokenAmt;
+    if (m <= y) revert("Token__InvalidShift");
+
+    const virtAddWad = divWadDown(mulWadDown(y, quoteWad), m - y);
+
+    this.reserveRealQuoteWad += quoteWad;
+    this.reserveVirtQuoteWad += virtAddWad;
+    this.feeTotals.healedQuoteRaw += quoteRaw;
+  }
+
+  _burnTokenReserves(tokenAmt) {
+    const m = this.maxSupply;
+    const y = this.reserveTokenAmt;
+    if (m <= y) revert("Token__InvalidShift");
+
+    const reserveBurn = divWadDown(mulWadDown(y, tokenAmt), m - y);
+
+    this.reserveTokenAmt = sub(this.reserveTokenAmt, reserveBurn);
+    this.maxSupply = sub(this.maxSupply, tokenAmt + reserveBurn);
+    this.feeTotals.burnedTokenAmt += tokenAmt;
+  }
+
+  _beforeTokenTransfer(from, amount) {
+    if (from !== AddressZero && this.debtOf(from) > 0n) {
+      if (amount > this.getAccountTransferrable(from)) {
+        revert("Token__CollateralLocked");
+      }
+    }
+  }
+
+  _transfer(from, to, amount) {
+    this._beforeTokenTransfer(from, amount);
+    const balance = this.balanceOf(from);
+    if (balance < amount) revert("ERC20: transfer amount exceeds balance");
+    this.balances.set(from, balance - amount);
+    this.balances.set(to, this.balanceOf(to) + amount);
+  }
+
+  _mint(to, amount) {
+    this.totalSupply += amount;
+    this.balances.set(to, this.balanceOf(to) + amount);
+  }
+
+  _burn(account, amount) {
+    this._beforeTokenTransfer(account, amount);
+    const balance = this.balanceOf(account);
+    if (balance < amount) revert("ERC20: burn amount exceeds balance");
+    this.balances.set(account, balance - amount);
+    this.totalSupply -= amount;
+  }
+
+  _transferQuoteOut(quoteRaw) {
+    if (this.quoteBalance < quoteRaw) {
+      revert("ERC20: transfer amount exceeds balance");
+    }
+    this.quoteBalance -= quoteRaw;
+  }
+
+  _atomic(fn) {
+    const snapshot = {
+      ...this,
+      account_DebtRaw: new Map(this.account_DebtRaw),
+      account_InterestRaw: new Map(this.account_InterestRaw),
+      account_LastAccrued: new Map(this.account_LastAccrued),
+      borrowAllowance: new Map(this.borrowAllowance),
+      balances: new Map(this.balances),
+      feeTotals: cloneFeeTotals(this.feeTotals),
+    };
+    try {
+      return fn();
+    } catch (error) {
+      Object.assign(this, snapshot);
+      throw error;
+    }
+  }
+}
+
+module.exports = { TokenSimulator, TokenSimulatorError };
@@ -0,0 +1,856 @@
+const { Contract, constants } = require("ethers");
+const {
+  ERC20_ABI,
+  WAVEFRONT_ABI,
+  TOKEN_ABI,
+  CONTENT_ABI,
+  REWARDER_ABI,
+  MULTICALL_ABI,
+  ROUTER_ABI,
+  GOVERNOR_ABI,
+} = require("./abis");
+const { TOKEN_DECIMALS, DIVISOR, toUnits, applySlippage } = require("./units");
+const { launchParams, checkLaunchParams } = require("./launchParams");
+const { signTyped, signPermit } = require("./permit");
+
+const DEFAULT_SLIPPAGE = 1; // percent
+const DEFAULT_DEADLINE = 20 * 60; // 20 minutes
+
+// WaveFrontRouter.Compound, what claimAndCompound does with the rewards.
+const COMPOUND_MODES = { buy: 0, sell: 1, heal: 2 };
+
+// GovernorCountingSimple vote types.
+const VOTE_TYPES = { against: 0, for: 1, abstain: 2 };
+
+// EIP-712 type signed to grant a borrow allowance, see Token.borrowWithSig.
+const BORROW_APPROVAL_TYPES = {
+  BorrowApproval: [
+    { name: "account", type: "address" },
+    { name: "delegate", type: "address" },
+    { name: "quoteRaw", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * @typedef {Object} Addresses
+ * @property {string} wavefront
+ * @property {string} multicall
+ * @property {string} router
+ */
+
+/**
+ * @typedef {Object} TradeOptions
+ * @property {number|string} [slippage] tolerance in percent, defaults to 1
+ * @property {string} [affiliate] affiliate passed to the router
+ * @property {number} [deadline] unix timestamp, defaults to 20 minutes out
+ * @property {boolean} [permit] sign an EIP-2612 permit for the router instead
+ * of sending an approve, the asset must support it
+ */
+
+/**
+ * Amounts can be given in human units ("10.5") or as BigNumbers already in
+ * raw units. Quote amounts use the decimals of the token's quote asset, token
+ * amounts 18.
+ * Everything returned is a raw BigNumber.
+ */
+class WaveFrontClient {
+  /**
+   * @param {import("ethers").Signer|import("ethers").providers.Provider} signerOrProvider
+   * @param {Addresses} addresses
+   */
+  constructor(signerOrProvider, addresses) {
+    this.signerOrProvider = signerOrProvider;
+    this.wavefront = new Contract(
+      addresses.wavefront,
+      WAVEFRONT_ABI,
+      signerOrProvider
+    );
+    this.multicall = new Contract(
+      addresses.multicall,
+      MULTICALL_ABI,
+      signerOrProvider
+    );
+    this.router = new Contract(addresses.router, ROUTER_ABI, signerOrProvider);
+    this._quotes = {};
+  }
+
+  /**
+   * Builds a client from a `deployments/<network>.json` record.
+   * @param {Object} record
+   * @param {import("ethers").Signer|import("ethers").providers.Provider} signerOrProvider
+   * @returns {WaveFrontClient}
+   */
+  static fromDeployment(record, signerOrProvider) {
+    const { contracts } = record;
+    return new WaveFrontClient(signerOrProvider, {
+      wavefront: contracts.WaveFront.address,
+      multicall: contracts.WaveFrontMulticall.address,
+      router: contracts.WaveFrontRouter.address,
+    });
+  }
+
+  /*----------  CONTRACTS  ------------------------------------------*/
+
+  /**
+   * The quote asset `token` trades against, or the WaveFront default quote
+   * when no token is given.
+   * @param {string} [token]
+   * @returns {Promise<{ contract: Contract, decimals: number }>}
+   */
+  async getQuote(token) {
+    const key = token ? token.toLowerCase() : "default";
+    if (!this._quotes[key]) {
+      const address = token
+        ? await this.getToken(token).quote()
+        : await this.wavefront.quote();
+      const contract = new Contract(address, ERC20_ABI, this.signerOrProvider);
+      this._quotes[key] = { contract, decimals: await contract.decimals() };
+    }
+    return this._quotes[key];
+  }
+
+  /** @returns {Promise<string[]>} the whitelisted quote assets */
+  async getQuotes() {
+    return this.wavefront.getQuotes();
+  }
+
+  /** @param {string} token */
+  getToken(token) {
+    return new Contract(token, TOKEN_ABI, this.signerOrProvider);
+  }
+
+  /** @param {string} token */
+  async getContent(token) {
+    const content = await this.getToken(token).content();
+    return new Contract(content, CONTENT_ABI, this.signerOrProvider);
+  }
+
+  /** @param {string} token */
+  async getRewarder(token) {
+    const rewarder = await this.getToken(token).rewarder();
+    return new Contract(rewarder, REWARDER_ABI, this.signerOrProvider);
+  }
+
+  /**
+   * The token's governor, or null for tokens launched before a governor
+   * factory was set.
+   * @param {string} token
+   */
+  async getGovernor(token) {
+    const governor = await this.wavefront.token_Governor(token);
+    if (governor === constants.AddressZero) return null;
+    return new Contract(governor, GOVERNOR_ABI, this.signerOrProvider);
+  }
+
+  /*----------  VIEWS  ----------------------------------------------*/
+
+  /**
+   * The fees `token` charges on swaps, those of its fee tier on WaveFront
+   * rather than its launch parameters.
+   * @param {string} token
+   * @returns {Promise<{ fee: BigNumber, feeSplit: BigNumber, treasurySplit: BigNumber, treasury: string }>}
+   */
+  async getFees(token) {
+    return this.wavefront.getFees(token);
+  }
+
+  /**
+   * `WaveFrontMulticall.getData` for one token, account fields are zero
+   * when no account is given.
+   * @param {string} token
+   * @param {string} [account]
+   */
+  async getTokenData(token, account = constants.AddressZero) {
+    return this.multicall.getData(token, account);
+  }
+
+  /**
+   * Tokens by launch index from `startIndex`, the first being 1. Full
+   * `getData` rows, or the string-free summaries with `summary: true`.
+   * @param {{ startIndex?: number, count?: number, account?: string, summary?: boolean }} [options]
+   * @returns {Promise<Object[]>}
+   */
+  async getTokenPage(options = {}) {
+    const {
+      startIndex = 1,
+      count = 20,
+      account = constants.AddressZero,
+      summary = false,
+    } = options;
+    return summary
+      ? this.multicall.getSummaryPage(startIndex, count, account)
+      : this.multicall.getDataPage(startIndex, count, account);
+  }
+
+  /**
+   * The account's balances, debt, credit, sale allocations and rewards in
+   * each of `tokens`, see `WaveFrontMulticall.getPortfolio`.
+   * @param {string} account
+   * @param {string[]} tokens
+   */
+  async getPortfolio(account, tokens) {
+    return this.multicall.getPortfolio(account, tokens);
+  }
+
+  /**
+   * One page of a token's content with prices and the account's stakes,
+   * see `WaveFrontMulticall.getContentPage`.
+   * @param {string} token
+   * @param {{ offset?: number, limit?: number, account?: string }} [options]
+   * @returns {Promise<{ total: BigNumber, page: Object[] }>}
+   */
+  async getContentPage(token, options = {}) {
+    const { offset = 0, limit = 20, account = constants.AddressZero } = options;
+    return this.multicall.getContentPage(token, offset, limit, account);
+  }
+
+  /**
+   * Owner-set bounds every launch parameter must fall within for `quote`,
+   * the WaveFront default quote when not given.
+   * @param {string} [quote]
+   * @returns {Promise<{ min: Object, max: Object, defaultVirtQuoteRaw: BigNumber }>}
+   */
+  async getLaunchBounds(quote) {
+    quote = quote || (await this.wavefront.quote());
+    const [allowed, min, max, defaultVirtQuoteRaw] = await Promise.all([
+      this.wavefront.quote_Allowed(quote),
+      this.wavefront.quote_MinParams(quote),
+      this.wavefront.quote_MaxParams(quote),
+      this.wavefront.quote_DefaultVirtQuoteRaw(quote),
+    ]);
+    if (!allowed) throw new Error(`Quote ${quote} is not whitelisted`);
+    return { min, max, defaultVirtQuoteRaw };
+  }
+
+  /**
+   * @param {string} token
+   * @param {string|number|BigNumber} quoteIn
+   * @param {number|string} [slippage]
+   */
+  async quoteBuy(token, quoteIn, slippage = DEFAULT_SLIPPAGE) {
+    const { decimals } = await this.getQuote(token);
+    const quoteRawIn = toUnits(quoteIn, decimals);
+    const res = await this.multicall.buyQuoteIn(token, quoteRawIn, DIVISOR);
+    return {
+      quoteRawIn,
+      tokenAmtOut: res.tokenAmtOut,
+      minTokenAmtOut: applySlippage(res.tokenAmtOut, slippage),
+      priceImpact: res.slippage,
+    };
+  }
+
+  /**
+   * @param {string} token
+   * @param {string|number|BigNumber} tokenIn
+   * @param {number|string} [slippage]
+   */
+  async quoteSell(token, tokenIn, slippage = DEFAULT_SLIPPAGE) {
+    const tokenAmtIn = toUnits(tokenIn, TOKEN_DECIMALS);
+    const res = await this.multicall.sellTokenIn(token, tokenAmtIn, DIVISOR);
+    return {
+      tokenAmtIn,
+      quoteRawOut: res.quoteRawOut,
+      minQuoteRawOut: applySlippage(res.quoteRawOut, slippage),
+      priceImpact: res.slippage,
+    };
+  }
+
+  /*----------  TRANSACTIONS  ---------------------------------------*/
+
+  /**
+   * Launches a token against `quote`, the WaveFront default quote when not
+   * given. Launch parameters left out of `params` take the SDK defaults, and
+   * are checked against the quote's bounds before sending.
+   * @param {{ name: string, symbol: string, uri?: string, quote?: string, params?: Object }} options
+   * @returns {Promise<{ token: string, receipt: Object }>}
+   */
+  async createToken({ name, symbol, uri = "", quote, params }) {
+    quote = quote || (await this.wavefront.quote());
+    const resolved = launchParams(params);
+    const { min, max } = await this.getLaunchBounds(quote);
+    const invalid = checkLaunchParams(resolved, min, max);
+    if (invalid.length > 0) {
+      throw new Error(`Launch params out of bounds: ${invalid.join(", ")}`);
+    }
+
+    const receipt = await this._send(
+      this.router.createToken(name, symbol, uri, quote, resolved)
+    );
+    const event = this._findEvent(receipt, "WaveFrontRouter__TokenCreated");
+    return { token: event.args.token, receipt };
+  }
+
+  /**
+   * @param {string} token
+   * @param {string|number|BigNumber} quoteIn
+   * @param {TradeOptions} [options]
+   */
+  async buy(token, quoteIn, options = {}) {
+    const { slippage = DEFAULT_SLIPPAGE, affiliate } = options;
+    const quoted = await this.quoteBuy(token, quoteIn, slippage);
+    const { contract } = await this.getQuote(token);
+    const args = [
+      token,
+      affiliate || constants.AddressZero,
+      quoted.quoteRawIn,
+      quoted.minTokenAmtOut,
+      await this._deadline(options.deadline),
+    ];
+
+    let tx;
+    if (options.permit) {
+      const permit = await this._permit(
+        contract.address,
+        quoted.quoteRawIn,
+        args[4]
+      );
+      tx = this.router.buyWithPermit(...args, ...permit);
+    } else {
+      await this._approve(contract, quoted.quoteRawIn);
+      tx = this.router.buy(...args);
+    }
+    const receipt = await this._send(tx);
+    const event = this._findEvent(receipt, "WaveFrontRouter__Buy");
+    return { tokenAmtOut: event.args.amountTokenOut, receipt };
+  }
+
+  /**
+   * @param {string} token
+   * @param {string|number|BigNumber} tokenIn
+   * @param {TradeOptions} [options]
+   */
+  async sell(token, tokenIn, options = {}) {
+    const { slippage = DEFAULT_SLIPPAGE, affiliate } = options;
+    const quoted = await this.quoteSell(token, tokenIn, slippage);
+    const args = [
+      token,
+      affiliate || constants.AddressZero,
+      quoted.tokenAmtIn,
+      quoted.minQuoteRawOut,
+      await this._deadline(options.deadline),
+    ];
+
+    let tx;
+    if (options.permit) {
+      const permit = await this._permit(token, quoted.tokenAmtIn, args[4]);
+      tx = this.router.sellWithPermit(...args, ...permit);
+    } else {
+      await this._approve(this.getToken(token), quoted.tokenAmtIn);
+      tx = this.router.sell(...args);
+    }
+    const receipt = await this._send(tx);
+    const event = this._findEvent(receipt, "WaveFrontRouter__Sell");
+    return { quoteRawOut: event.args.amountQuoteOut, receipt };
+  }
+
+  /**
+   * Buys with `quoteIn`, then borrows the whole credit line and buys again
+   * `loops` times in one transaction. The router is given a borrow allowance
+   * on the token first, and the minimum out comes from a static call.
+   * @param {string} token
+   * @param {string|number|BigNumber} quoteIn
+   * @param {TradeOptions & { loops?: number }} [options]
+   */
+  async leverageBuy(token, quoteIn, options = {}) {
+    const { slippage = DEFAULT_SLIPPAGE, loops = 1 } = options;
+    const { contract, decimals } = await this.getQuote(token);
+    const quoteRawIn = toUnits(quoteIn, decimals);
+    await this._approve(contract, quoteRawIn);
+    await this._approveBorrow(token);
+
+    const deadline = await this._deadline(options.deadline);
+    const tokenAmtOut = await this.router.callStatic.leverageBuy(
+      token,
+      quoteRawIn,
+      loops,
+      0,
+      deadline
+    );
+    const receipt = await this._send(
+      this.router.leverageBuy(
+        token,
+        quoteRawIn,
+        loops,
+        applySlippage(tokenAmtOut, slippage),
+        deadline
+      )
+    );
+    const event = this._findEvent(receipt, "WaveFrontRouter__LeverageBuy");
+    return {
+      tokenAmtOut: event.args.amountTokenOut,
+      debtRaw: event.args.debtRaw,
+      receipt,
+    };
+  }
+
+  /**
+   * Sells `tokenIn` and repays debt with the proceeds before the tokens move,
+   * so even a fully borrowed position unwinds. What is left after repaying is
+   * paid out in quote.
+   * @param {string} token
+   * @param {string|number|BigNumber} tokenIn
+   * @param {TradeOptions} [options]
+   */
+  async deleverageSell(token, tokenIn, options = {}) {
+    const { slippage = DEFAULT_SLIPPAGE } = options;
+    const tokenAmtIn = toUnits(tokenIn, TOKEN_DECIMALS);
+    await this._approve(this.getToken(token), tokenAmtIn);
+
+    const deadline = await this._deadline(options.deadline);
+    const quoteRawOut = await this.router.callStatic.deleverageSell(
+      token,
+      tokenAmtIn,
+      0,
+      deadline
+    );
+    const receipt = await this._send(
+      this.router.deleverageSell(
+        token,
+        tokenAmtIn,
+        applySlippage(quoteRawOut, slippage),
+        deadline
+      )
+    );
+    const event = this._findEvent(receipt, "WaveFrontRouter__DeleverageSell");
+    return {
+      quoteRawOut: event.args.amountQuoteOut,
+      debtRaw: event.args.debtRaw,
+      receipt,
+    };
+  }
+
+  /**
+   * @param {string} token
+   * @param {string|number|BigNumber} quoteIn
+   * @param {{ permit?: boolean, deadline?: number }} [options]
+   */
+  async contribute(token, quoteIn, options = {}) {
+    const { contract, decimals } = await this.getQuote(token);
+    const quoteRawIn = toUnits(quoteIn, decimals);
+    if (options.permit) {
+      const deadline = await this._deadline(options.deadline);
+      return this._send(
+        this.router.contributeWithPermit(
+          token,
+          quoteRawIn,
+          ...(await this._permit(contract.address, quoteRawIn, deadline))
+        )
+      );
+    }
+    await this._approve(contract, quoteRawIn);
+    return this._send(this.router.contribute(token, quoteRawIn));
+  }
+
+  /**
+   * Contributes during an allowlisted presale.
+   * @param {string} token
+   * @param {string|number|BigNumber} quoteIn
+   * @param {{ allocation: string|BigNumber, proof: string[] }} claim
+   *   the account's entry in the allowlist built by scripts/allowlist.js
+   */
+  async contributeWithProof(token, quoteIn, claim) {
+    const { contract, decimals } = await this.getQuote(token);
+    const quoteRawIn = toUnits(quoteIn, decimals);
+    await this._approve(contract, quoteRawIn);
+    return this._send(
+      this.router.contributeWithProof(
+        token,
+        quoteRawIn,
+        claim.allocation,
+        claim.proof
+      )
+    );
+  }
+
+  /** @param {string} token */
+  async redeem(token) {
+    return this._send(this.router.redeem(token));
+  }
+
+  /**
+   * Takes back a contribution to a sale that ended below its soft cap.
+   * @param {string} token
+   */
+  async refund(token) {
+    return this._send(this.router.refund(token));
+  }
+
+  /**
+   * @param {string} token
+   * @param {string} uri
+   * @returns {Promise<{ tokenId: BigNumber, receipt: Object }>}
+   */
+  async createContent(token, uri) {
+    const receipt = await this._send(this.router.createContent(token, uri));
+    const event = this._findEvent(receipt, "WaveFrontRouter__ContentCreated");
+    return { tokenId: event.args.tokenId, receipt };
+  }
+
+  /**
+   * Curates at the content's current next price. With a permit, the price
+   * may not rise past `maxPrice`, the current price by default. A
+   * `taxDeposit`, in quote units, funds the Harberger tax in the same
+   * transaction.
+   * @param {string} token
+   * @param {number|BigNumber} tokenId
+   * @param {{ permit?: boolean, maxPrice?: BigNumber, deadline?: number, taxDeposit?: string|number|BigNumber }} [options]
+   */
+  async curate(token, tokenId, options = {}) {
+    const content = await this.getContent(token);
+    const price = await content.getNextPrice(tokenId);
+    const { contract, decimals } = await this.getQuote(token);
+    if (options.taxDeposit !== undefined) {
+      const taxDeposit = toUnits(options.taxDeposit, decimals);
+      const maxPrice = options.maxPrice || price;
+      await this._approve(contract, maxPrice.add(taxDeposit));
+      const receipt = await this._send(
+        this.router.curateContentWithDeposit(
+          token,
+          tokenId,
+          maxPrice,
+          taxDeposit
+        )
+      );
+      return { price, receipt };
+    }
+    if (options.permit) {
+      const maxPrice = options.maxPrice || price;
+      const deadline = await this._deadline(options.deadline);
+      const receipt = await this._send(
+        this.router.curateWithPermit(
+          token,
+          tokenId,
+          maxPrice,
+          ...(await this._permit(contract.address, maxPrice, deadline))
+        )
+      );
+      return { price, receipt };
+    }
+    await this._approve(contract, price);
+
+    const receipt = await this._send(this.router.curateContent(token, tokenId));
+    return { price, receipt };
+  }
+
+  /**
+   * Sets the price a Harberger holder is taxed on and anyone can curate at.
+   * The tax deposit must already cover `getMinTaxDeposit(price)` on the
+   * content.
+   * @param {string} token
+   * @param {number|BigNumber} tokenId
+   * @param {string|number|BigNumber} price in quote units
+   */
+  async assess(token, tokenId, price) {
+    const content = await this.getContent(token);
+    const { decimals } = await this.getQuote(token);
+    return this._send(content.assess(tokenId, toUnits(price, decimals)));
+  }
+
+  /**
+   * Tops up the tax deposit of a Harberger content, anyone can.
+   * @param {string} token
+   * @param {number|BigNumber} tokenId
+   * @param {string|number|BigNumber} amount in quote units
+   */
+  async depositTax(token, tokenId, amount) {
+    const content = await this.getContent(token);
+    const { contract, decimals } = await this.getQuote(token);
+    const amountRaw = toUnits(amount, decimals);
+    await this._approve(contract, amountRaw, content.address);
+    return this._send(content.depositTax(tokenId, amountRaw));
+  }
+
+  /** @param {string} token */
+  async claimRewards(token) {
+    return this._send(this.router.getContentReward(token));
+  }
+
+  /**
+   * Claims content rewards in each of `tokens` in one transaction and
+   * compounds them: `buy` swaps the earned quote into the token, `sell` the
+   * earned token into quote and `heal` adds the earned quote to the floor.
+   * Minimum outputs are quoted on what is earned now. Rewards keep accruing
+   * until the transaction is mined, so the router gets an unlimited approval
+   * of what it pulls back.
+   * @param {string|string[]} tokens
+   * @param {"buy"|"sell"|"heal"} mode
+   * @param {{ slippage?: number|string }} [options]
+   */
+  async claimAndCompound(tokens, mode, options = {}) {
+    const { slippage = DEFAULT_SLIPPAGE } = options;
+    if (COMPOUND_MODES[mode] === undefined) {
+      throw new Error(`Unknown compound mode: ${mode}`);
+    }
+    tokens = [].concat(tokens);
+    const account = await this.signerOrProvider.getAddress();
+    const minOuts = [];
+    for (const token of tokens) {
+      const rewarder = await this.getRewarder(token);
+      const { contract } = await this.getQuote(token);
+      const asset = mode === "sell" ? this.getToken(token) : contract;
+      const earned = await rewarder.earned(account, asset.address);
+      await this._approve(asset, constants.MaxUint256);
+      if (mode === "heal" || earned.isZero()) {
+        minOuts.push(0);
+      } else if (mode === "buy") {
+        minOuts.push(
+          (await this.quoteBuy(token, earned, slippage)).minTokenAmtOut
+        );
+      } else {
+        minOuts.push(
+          (await this.quoteSell(token, earned, slippage)).minQuoteRawOut
+        );
+      }
+    }
+    return this._send(
+      this.router.claimAndCompoundMany(tokens, COMPOUND_MODES[mode], minOuts)
+    );
+  }
+
+  /**
+   * Streams `amount` of `rewardToken` to the token's curators. The first
+   * time it adds `rewardToken` over `duration` seconds with the signer as
+   * sponsor, and approves the rewarder's deposit in quote. Top-ups of a
+   * sponsored reward keep its period; once it has ended its sponsor
+   * restarts it over `duration`.
+   * @param {string} token
+   * @param {string} rewardToken
+   * @param {string|number|BigNumber} amount in units of `rewardToken`
+   * @param {{ duration?: number }} [options] seconds, 7 days by default
+   */
+  async sponsorReward(token, rewardToken, amount, options = {}) {
+    const { duration = 7 * 86400 } = options;
+    const contract = new Contract(
+      rewardToken,
+      ERC20_ABI,
+      this.signerOrProvider
+    );
+    const amountRaw = toUnits(amount, await contract.decimals());
+    await this._approve(contract, amountRaw);
+    const rewarder = await this.getRewarder(token);
+    if (await rewarder.token_IsReward(rewardToken)) {
+      const [sponsor, { periodFinish }, block] = await Promise.all([
+        rewarder.token_Sponsor(rewardToken),
+        rewarder.token_RewardData(rewardToken),
+        this.router.provider.getBlock("latest"),
+      ]);
+      const ended = periodFinish.lte(block.timestamp);
+      if (sponsor === constants.AddressZero || !ended) {
+        return this._send(
+          this.router.notifyContentRewardAmount(token, rewardToken, amountRaw)
+        );
+      }
+    } else {
+      const deposit = await rewarder.sponsorDeposit();
+      if (deposit.gt(0)) {
+        await this._approve((await this.getQuote(token)).contract, deposit);
+      }
+    }
+    return this._send(
+      this.router.sponsorContentReward(token, rewardToken, duration, amountRaw)
+    );
+  }
+
+  /**
+   * Returns the sponsor what was not streamed of `rewardToken`.
+   * @param {string} token
+   * @param {string} rewardToken
+   */
+  async recoverReward(token, rewardToken) {
+    const rewarder = await this.getRewarder(token);
+    return this._send(rewarder.recoverReward(rewardToken));
+  }
+
+  /**
+   * Removes a sponsored `rewardToken` whose period has ended, returning its
+   * sponsor the deposit and what was not streamed. Curators claim what they
+   * earned of it with `getRewardToken`.
+   * @param {string} token
+   * @param {string} rewardToken
+   */
+  async removeReward(token, rewardToken) {
+    const rewarder = await this.getRewarder(token);
+    return this._send(rewarder.removeReward(rewardToken));
+  }
+
+  /**
+   * Delegates the signer's votes on `token`, to itself by default. Only
+   * delegated balances count in the token's governor.
+   * @param {string} token
+   * @param {string} [delegatee]
+   */
+  async delegate(token, delegatee) {
+    const to = delegatee || (await this.signerOrProvider.getAddress());
+    return this._send(this.getToken(token).delegate(to));
+  }
+
+  /**
+   * Votes on a proposal of the token's governor, with the votes delegated
+   * to the signer when the proposal was made.
+   * @param {string} token
+   * @param {string|BigNumber} proposalId
+   * @param {"against"|"for"|"abstain"} support
+   * @param {string} [reason]
+   */
+  async castVote(token, proposalId, support, reason = "") {
+    if (VOTE_TYPES[support] === undefined) {
+      throw new Error(`Unknown vote type: ${support}`);
+    }
+    const governor = await this.getGovernor(token);
+    if (!governor) throw new Error(`${token} has no governor`);
+    return this._send(
+      governor.castVoteWithReason(proposalId, VOTE_TYPES[support], reason)
+    );
+  }
+
+  /**
+   * Repays all of `account`'s debt, accrued interest included, and takes
+   * the tokens worth the debt plus a 5% bonus at the market price, up to
+   * its whole balance. Only possible once the debt exceeds the credit limit
+   * of the balance, see `accountHealth` in `getTokenData`.
+   * @param {string} token
+   * @param {string} account
+   * @param {{ to?: string }} [options] receiver of the tokens, the signer by default
+   * @returns {Promise<{ tokenAmt: BigNumber, receipt: Object }>}
+   */
+  async liquidate(token, account, options = {}) {
+    const tokenContract = this.getToken(token);
+    const { contract } = await this.getQuote(token);
+    // Interest keeps accruing until the transaction is mined.
+    const debtRaw = await tokenContract.getAccountDebt(account);
+    await this._approve(contract, debtRaw.mul(101).div(100), token);
+
+    const to = options.to || (await this.signerOrProvider.getAddress());
+    const receipt = await this._send(tokenContract.liquidate(account, to));
+    const event = receipt.events.find((e) => e.event === "Token__Liquidate");
+    return { tokenAmt: event.args.tokenAmt, receipt };
+  }
+
+  /**
+   * Signs an EIP-712 BorrowApproval letting `delegate` borrow up to
+   * `allowance` against the signer's tokens with `Token.borrowWithSig`.
+   * The signature uses up the signer's next permit nonce.
+   * @param {string} token
+   * @param {string} delegate
+   * @param {string|number|BigNumber} allowance quote amount, or MaxUint256
+   * @param {{ deadline?: number }} [options]
+   * @returns {Promise<{ account: string, delegate: string, allowance: BigNumber, deadline: number, v: number, r: string, s: string }>}
+   */
+  async signBorrowApproval(token, delegate, allowance, options = {}) {
+    const { decimals } = await this.getQuote(token);
+    const account = await this.signerOrProvider.getAddress();
+    const value = {
+      account,
+      delegate,
+      quoteRaw: toUnits(allowance, decimals),
+      nonce: await this.getToken(token).nonces(account),
+      deadline: await this._deadline(options.deadline),
+    };
+    const signature = await signTyped(
+      this.signerOrProvider,
+      token,
+      BORROW_APPROVAL_TYPES,
+      value
+    );
+    return {
+      account,
+      delegate,
+      allowance: value.quoteRaw,
+      deadline: value.deadline,
+      ...signature,
+    };
+  }
+
+  /**
+   * Borrows against another account's tokens with its signed approval from
+   * `signBorrowApproval`, where the signer is the delegate. The debt is the
+   * account's.
+   * @param {string} token
+   * @param {Object} approval as returned by `signBorrowApproval`
+   * @param {string|number|BigNumber} quoteIn
+   * @param {{ to?: string }} [options] receiver of the quote, the signer by default
+   */
+  async borrowWithSig(token, approval, quoteIn, options = {}) {
+    const { decimals } = await this.getQuote(token);
+    const to = options.to || (await this.signerOrProvider.getAddress());
+    const { account, allowance, deadline, v, r, s } = approval;
+    return this._send(
+      this.getToken(token).borrowWithSig(
+        account,
+        to,
+        toUnits(quoteIn, decimals),
+        allowance,
+        deadline,
+        v,
+        r,
+        s
+      )
+    );
+  }
+
+  /*----------  INTERNAL  -------------------------------------------*/
+
+  async _approve(erc20, amount, spender = this.router.address) {
+    const owner = await this.signerOrProvider.getAddress();
+    const allowance = await erc20.allowance(owner, spender);
+    if (allowance.gte(amount)) return;
+    await this._send(erc20.approve(spender, amount));
+  }
+
+  // Permit arguments for the router's *WithPermit calls.
+  async _permit(asset, value, deadline) {
+    const { v, r, s } = await signPermit(
+      this.signerOrProvider,
+      asset,
+      this.router.address,
+      value,
+      deadline
+    );
+    return [deadline, v, r, s];
+  }
+
+  async _approveBorrow(token) {
+    const tokenContract = this.getToken(token);
+    const owner = await this.signerOrProvider.getAddress();
+    const allowance = await tokenContract.borrowAllowance(
+      owner,
+      this.router.address
+    );
+    if (allowance.eq(constants.MaxUint256)) return;
+    await this._send(
+      tokenContract.approveBorrow(this.router.address, constants.MaxUint256)
+    );
+  }
+
+  async _deadline(deadline) {
+    if (deadline) return deadline;
+    const provider = this.router.provider;
+    const block = await provider.getBlock("latest");
+    return block.timestamp + DEFAULT_DEADLINE;
+  }
+
+  async _send(txPromise) {
+    const tx = await txPromise;
+    return tx.wait();
+  }
+
+  _findEvent(receipt, name) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.router.address.toLowerCase()) {
+        continue;
+      }
+      let event;
+      try {
+        event = this.router.interface.parseLog(log);
+      } catch (e) {
+        continue;
+      }
+      if (event.name === name) return event;
+    }
+    throw new Error(`${name} not found in ${receipt.transactionHash}`);
+  }
+}
+
+module.exports = { WaveFrontClient, COMPOUND_MODES, VOTE_TYPES };
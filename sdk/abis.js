@@ -0,0 +1,337 @@
+// Human-readable ABI fragments for the calls the SDK makes. Kept by hand so
+// the SDK works without compiled artifacts.
+
+const LAUNCH_PARAMS =
+  "tuple(uint256 initialSupply, uint256 reserveVirtQuoteRaw, uint256 fee, uint256 feeSplit, uint256 saleDuration, uint256 borrowRate, uint256 saleSoftCapRaw, uint256 saleHardCapRaw, uint256 saleWalletCapRaw, uint256 presaleDuration, bytes32 presaleRoot, uint256 vestingCliff, uint256 vestingDuration, uint256 curationMode, uint256 curationStep, uint256 curationTaxRate, uint256 curationDecay, uint256 curationCreatorShare, uint256 curationHealShare)";
+
+const FEES =
+  "tuple(uint256 fee, uint256 feeSplit, uint256 treasurySplit, address treasury)";
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+const WAVEFRONT_ABI = [
+  "function quote() view returns (address)",
+  "function index() view returns (uint256)",
+  "function index_Token(uint256 index) view returns (address)",
+  "function token_Index(address token) view returns (uint256)",
+  "function token_Governor(address token) view returns (address)",
+  "function token_Timelock(address token) view returns (address)",
+  "function getTreasury(address token) view returns (address)",
+  `function getFees(address token) view returns (${FEES})`,
+  "function treasurySplit() view returns (uint256)",
+  "function feeTiers() view returns (uint256)",
+  "function tier_Fees(uint256 tier) view returns (uint256 fee, uint256 feeSplit)",
+  "function token_FeeTier(address token) view returns (uint256)",
+  "function action_Eta(bytes32 id) view returns (uint256)",
+  "function queue(bytes data) returns (bytes32 id)",
+  "function cancel(bytes32 id)",
+  "function execute(bytes data)",
+  "function setTreasurySplit(uint256 treasurySplit)",
+  "function setFeeTier(uint256 tier, uint256 fee, uint256 feeSplit)",
+  "function setTokenFeeTier(address token, uint256 tier)",
+  "function treasury() view returns (address)",
+  "function setTreasury(address treasury)",
+  "function setTokenTreasury(address token, address treasury)",
+  "function tokenFactory() view returns (address)",
+  "function saleFactory() view returns (address)",
+  "function contentFactory() view returns (address)",
+  "function rewarderFactory() view returns (address)",
+  "function governorFactory() view returns (address)",
+  "function setTokenFactory(address tokenFactory)",
+  "function setSaleFactory(address saleFactory)",
+  "function setContentFactory(address contentFactory)",
+  "function setRewarderFactory(address rewarderFactory)",
+  "function setGovernorFactory(address governorFactory)",
+  "function addContentReward(address token, address rewardToken)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function getQuotes() view returns (address[])",
+  "function quote_Allowed(address quote) view returns (bool)",
+  "function quote_DefaultVirtQuoteRaw(address quote) view returns (uint256)",
+  `function quote_MinParams(address quote) view returns (${LAUNCH_PARAMS})`,
+  `function quote_MaxParams(address quote) view returns (${LAUNCH_PARAMS})`,
+  "event WaveFront__TokenCreated(uint256 index, address token, address quote, address sale, address content, address rewarder, string name, string symbol, string uri)",
+  "event WaveFront__GovernorCreated(address indexed token, address governor, address timelock)",
+  "event ActionQueue__Queued(bytes32 indexed id, bytes data, uint256 eta)",
+  "event ActionQueue__Cancelled(bytes32 indexed id)",
+  "event ActionQueue__Executed(bytes32 indexed id, bytes data)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+];
+
+const TOKEN_ABI = [
+  ...ERC20_ABI,
+  "function quote() view returns (address)",
+  "function sale() view returns (address)",
+  "function content() view returns (address)",
+  "function rewarder() view returns (address)",
+  "function open() view returns (bool)",
+  "function initialSupply() view returns (uint256)",
+  "function initialVirtQuoteRaw() view returns (uint256)",
+  "function fee() view returns (uint256)",
+  "function feeSplit() view returns (uint256)",
+  "function saleDuration() view returns (uint256)",
+  "function borrowRate() view returns (uint256)",
+  "function getAccountDebt(address account) view returns (uint256)",
+  "function getAccountCreditLimit(address account) view returns (uint256)",
+  "function getAccountCredit(address account) view returns (uint256)",
+  "function liquidate(address account, address to) returns (uint256 tokenAmt)",
+  "function borrowAllowance(address account, address delegate) view returns (uint256)",
+  "function approveBorrow(address delegate, uint256 quoteRaw)",
+  "function delegate(address delegatee)",
+  "function delegates(address account) view returns (address)",
+  "function getVotes(address account) view returns (uint256)",
+  "function getPastVotes(address account, uint256 blockNumber) view returns (uint256)",
+  "function borrowFor(address account, address to, uint256 quoteRaw)",
+  "function borrowWithSig(address account, address to, uint256 quoteRaw, uint256 allowance, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function repay(address to, uint256 quoteRaw)",
+  "function sellFor(address account, uint256 tokenAmtIn, uint256 minQuoteRawOut, uint256 deadline, address to, address provider) returns (uint256 quoteRawOut, uint256 repayRaw)",
+  "function nonces(address owner) view returns (uint256)",
+  "function getMarketPrice() view returns (uint256)",
+  "function getFloorPrice() view returns (uint256)",
+  "function account_DebtRaw(address account) view returns (uint256)",
+  "function getAccountTransferrable(address account) view returns (uint256)",
+  "event Token__Swap(address indexed from, uint256 quoteInRaw, uint256 tokenIn, uint256 quoteOutRaw, uint256 tokenOut, address indexed to)",
+  "event Token__Borrow(address indexed who, address indexed to, uint256 quoteRaw)",
+  "event Token__Repay(address indexed who, address indexed to, uint256 quoteRaw)",
+  "event Token__BorrowApproval(address indexed account, address indexed delegate, uint256 quoteRaw)",
+  "event Token__InterestAccrued(address indexed account, uint256 quoteRaw)",
+  "event Token__Liquidate(address indexed who, address indexed account, address indexed to, uint256 debtRaw, uint256 tokenAmt)",
+  "event Token__ProviderFee(address indexed to, uint256 quoteRaw, uint256 tokenAmt)",
+  "event Token__ContentFee(address indexed to, uint256 quoteRaw, uint256 tokenAmt)",
+  "event Token__TreasuryFee(address indexed to, uint256 quoteRaw, uint256 tokenAmt)",
+];
+
+const SALE_ABI = [
+  "function duration() view returns (uint256)",
+  "function endTime() view returns (uint256)",
+  "function ended() view returns (bool)",
+  "function account_QuoteRaw(address account) view returns (uint256)",
+  "function totalQuoteRaw() view returns (uint256)",
+  "function softCapRaw() view returns (uint256)",
+  "function hardCapRaw() view returns (uint256)",
+  "function walletCapRaw() view returns (uint256)",
+  "function refundable() view returns (bool)",
+  "function presaleRoot() view returns (bytes32)",
+  "function presaleEnd() view returns (uint256)",
+  "function inPresale() view returns (bool)",
+  "function openedAt() view returns (uint256)",
+  "function vestingCliff() view returns (uint256)",
+  "function vestingDuration() view returns (uint256)",
+  "function account_TokenRedeemed(address account) view returns (uint256)",
+  "function getVested(address account) view returns (uint256)",
+  "function getClaimable(address account) view returns (uint256)",
+  "event Sale__Contributed(address indexed who, address indexed to, uint256 quoteRaw)",
+  "event Sale__Refunded(address indexed who, address indexed to, uint256 quoteRaw)",
+];
+
+const CONTENT_ABI = [
+  "function getNextPrice(uint256 tokenId) view returns (uint256)",
+  "function id_Price(uint256 tokenId) view returns (uint256)",
+  "function id_Creator(uint256 tokenId) view returns (address)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function initialPrice() view returns (uint256)",
+  "function curationMode() view returns (uint8)",
+  "function curationStep() view returns (uint256)",
+  "function curationTaxRate() view returns (uint256)",
+  "function curationDecay() view returns (uint256)",
+  "function curationCreatorShare() view returns (uint256)",
+  "function curationHealShare() view returns (uint256)",
+  "function id_TaxDeposit(uint256 tokenId) view returns (uint256)",
+  "function getMinTaxDeposit(uint256 price) view returns (uint256)",
+  "function getTaxOwed(uint256 tokenId) view returns (uint256)",
+  "function isForeclosed(uint256 tokenId) view returns (bool)",
+  "function assess(uint256 tokenId, uint256 price)",
+  "function depositTax(uint256 tokenId, uint256 amount)",
+  "function withdrawTax(uint256 tokenId, uint256 amount)",
+  "function collectTax(uint256 tokenId)",
+  "function creator() view returns (address)",
+  "function contractURI() view returns (string)",
+  "function royalty() view returns (uint256)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+  "function account_Moderator(address account) view returns (bool)",
+  "function id_Flagged(uint256 tokenId) view returns (bool)",
+  "function setModerator(address account, bool moderator)",
+  "function setCurationStep(uint256 step)",
+  "function flag(uint256 tokenId, bool flagged)",
+  "function burn(uint256 tokenId)",
+  "event Content__Curated(address indexed account, uint256 indexed tokenId, uint256 price)",
+  "event Content__Assessed(address indexed account, uint256 indexed tokenId, uint256 price)",
+  "event Content__TaxDeposited(uint256 indexed tokenId, uint256 amount)",
+  "event Content__TaxWithdrawn(uint256 indexed tokenId, uint256 amount)",
+  "event Content__TaxCollected(uint256 indexed tokenId, uint256 amount)",
+  "event Content__Foreclosed(address indexed account, uint256 indexed tokenId)",
+  "event Content__Flagged(address indexed moderator, uint256 indexed tokenId, bool flagged)",
+  "event Content__Burned(address indexed moderator, uint256 indexed tokenId)",
+  "event Content__RoyaltyPaid(address indexed creator, uint256 indexed tokenId, uint256 amount)",
+  "event Content__CurationStepSet(uint256 step)",
+];
+
+const REWARD_DATA =
+  "tuple(uint256 periodFinish, uint256 rewardRate, uint256 lastUpdateTime, uint256 rewardPerTokenStored)";
+
+const REWARDER_ABI = [
+  "function getRewardTokens() view returns (address[])",
+  "function earned(address account, address token) view returns (uint256)",
+  "function account_Balance(address account) view returns (uint256)",
+  "function token_IsReward(address token) view returns (bool)",
+  "function token_Duration(address token) view returns (uint256)",
+  "function token_Sponsor(address token) view returns (address)",
+  "function token_Unstreamed(address token) view returns (uint256)",
+  "function token_Deposit(address token) view returns (uint256)",
+  `function token_RewardData(address token) view returns (${REWARD_DATA})`,
+  "function left(address token) view returns (uint256)",
+  "function getRewardToken(address account, address token)",
+  "function recoverReward(address token)",
+  "function removeReward(address token)",
+  "function sponsorsRestricted() view returns (bool)",
+  "function token_AcceptedSponsor(address token) view returns (address)",
+  "function sponsorDeposit() view returns (uint256)",
+  "function setSponsorsRestricted(bool restricted)",
+  "function setSponsorAccepted(address token, address sponsor)",
+  "function setSponsorDeposit(uint256 sponsorDeposit)",
+  "event Rewarder__RewardSponsored(address indexed sponsor, address indexed rewardToken, uint256 duration)",
+  "event Rewarder__RewardRecovered(address indexed sponsor, address indexed rewardToken, uint256 amount)",
+  "event Rewarder__RewardRemoved(address indexed rewardToken)",
+];
+
+const DATA = `tuple(uint256 index, address token, address quote, uint8 quoteDecimals, address sale, address content, address rewarder, string name, string symbol, string uri, bool marketOpen, uint256 saleEnd, uint256 presaleEnd, uint256 totalQuoteContributed, uint256 saleProgress, bool saleRefundable, uint256 marketCap, uint256 liquidity, uint256 floorPrice, uint256 marketPrice, uint256 circulatingSupply, uint256 maxSupply, uint256 contentApr, uint256 accountQuoteBalance, uint256 accountTokenBalance, uint256 accountDebt, uint256 accountInterest, uint256 accountHealth, uint256 accountCredit, uint256 accountTransferrable, uint256 accountContributed, uint256 accountRedeemable, uint256 accountVested, uint256 accountClaimable, uint256 accountContentStaked, uint256 accountQuoteEarned, uint256 accountTokenEarned, uint8 phase, ${LAUNCH_PARAMS} launchParams)`;
+
+const SUMMARY =
+  "tuple(uint256 index, address token, address quote, address content, bool marketOpen, uint256 saleEnd, uint256 totalQuoteContributed, uint256 marketCap, uint256 liquidity, uint256 floorPrice, uint256 marketPrice, uint256 accountTokenBalance)";
+
+const POSITION =
+  "tuple(address token, address quote, uint256 marketPrice, uint256 accountTokenBalance, uint256 accountDebt, uint256 accountCredit, uint256 accountContributed, uint256 accountRedeemable, uint256 accountClaimable, uint256 accountContentStaked, uint256 accountQuoteEarned, uint256 accountTokenEarned)";
+
+const CONTENT_DATA =
+  "tuple(uint256 tokenId, address owner, address creator, string uri, bool flagged, uint256 price, uint256 nextPrice, uint256 accountStaked)";
+
+const MULTICALL_ABI = [
+  `function getData(address token, address account) view returns (${DATA} data)`,
+  `function getDataPage(uint256 startIndex, uint256 count, address account) view returns (${DATA}[] page)`,
+  "function buyQuoteIn(address token, uint256 quoteRawIn, uint256 slippageTolerance) view returns (uint256 tokenAmtOut, uint256 slippage, uint256 minTokenAmtOut, uint256 autoMinTokenAmtOut)",
+  "function contentPrice(address token, uint256 tokenId) view returns (uint256)",
+  `function getPortfolio(address account, address[] tokens) view returns (${POSITION}[] positions)`,
+  `function getSummaryPage(uint256 startIndex, uint256 count, address account) view returns (${SUMMARY}[] page)`,
+  `function getContentPage(address token, uint256 offset, uint256 limit, address account) view returns (uint256 total, ${CONTENT_DATA}[] page)`,
+  "function sellTokenIn(address token, uint256 tokenAmtIn, uint256 slippageTolerance) view returns (uint256 quoteRawOut, uint256 slippage, uint256 minQuoteRawOut, uint256 autoMinQuoteRawOut)",
+];
+
+const ROUTER_ABI = [
+  `function createToken(string name, string symbol, string uri, address quote, ${LAUNCH_PARAMS} params) returns (address token)`,
+  "function buy(address token, address affiliate, uint256 amountQuoteIn, uint256 minAmountTokenOut, uint256 expireTimestamp)",
+  "function sell(address token, address affiliate, uint256 amountTokenIn, uint256 minAmountQuoteOut, uint256 expireTimestamp)",
+  "function leverageBuy(address token, uint256 amountQuoteIn, uint256 loops, uint256 minAmountTokenOut, uint256 expireTimestamp) returns (uint256 amountTokenOut)",
+  "function deleverageSell(address token, uint256 amountTokenIn, uint256 minAmountQuoteOut, uint256 expireTimestamp) returns (uint256 amountQuoteOut)",
+  "function contribute(address token, uint256 amountQuoteIn)",
+  "function contributeWithProof(address token, uint256 amountQuoteIn, uint256 allocation, bytes32[] proof)",
+  "function buyWithPermit(address token, address affiliate, uint256 amountQuoteIn, uint256 minAmountTokenOut, uint256 expireTimestamp, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function sellWithPermit(address token, address affiliate, uint256 amountTokenIn, uint256 minAmountQuoteOut, uint256 expireTimestamp, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function contributeWithPermit(address token, uint256 amountQuoteIn, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function curateWithPermit(address token, uint256 tokenId, uint256 maxPrice, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function redeem(address token)",
+  "function refund(address token)",
+  "function createContent(address token, string uri)",
+  "function curateContent(address token, uint256 tokenId)",
+  "function curateContentWithDeposit(address token, uint256 tokenId, uint256 maxPrice, uint256 taxDeposit)",
+  "function getContentReward(address token)",
+  "function claimAndCompound(address token, uint8 mode, uint256 minOut)",
+  "function claimAndCompoundMany(address[] tokens, uint8 mode, uint256[] minOuts)",
+  "function notifyContentRewardAmount(address token, address rewardToken, uint256 amount)",
+  "function sponsorContentReward(address token, address rewardToken, uint256 duration, uint256 amount)",
+  "function action_Eta(bytes32 id) view returns (uint256)",
+  "function queue(bytes data) returns (bytes32 id)",
+  "function cancel(bytes32 id)",
+  "function execute(bytes data)",
+  "function withdrawStuckTokens(address token, address to)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "event WaveFrontRouter__TokenCreated(string name, string symbol, string uri, address indexed token, address indexed creator)",
+  "event WaveFrontRouter__Buy(address indexed token, address indexed account, address indexed affiliate, uint256 amountQuoteIn, uint256 amountTokenOut)",
+  "event WaveFrontRouter__Sell(address indexed token, address indexed account, address indexed affiliate, uint256 amountTokenIn, uint256 amountQuoteOut)",
+  "event WaveFrontRouter__LeverageBuy(address indexed token, address indexed account, uint256 amountQuoteIn, uint256 amountTokenOut, uint256 debtRaw, uint256 collateral)",
+  "event WaveFrontRouter__DeleverageSell(address indexed token, address indexed account, uint256 amountTokenIn, uint256 amountQuoteOut, uint256 debtRaw, uint256 collateral)",
+  "event WaveFrontRouter__ContentCreated(address indexed token, address indexed content, address indexed account, uint256 tokenId)",
+  "event WaveFrontRouter__ContentCurated(address indexed token, address indexed content, address indexed account, uint256 price, uint256 tokenId)",
+  "event WaveFrontRouter__Compound(address indexed token, address indexed account, uint8 mode, uint256 amountIn, uint256 amountOut)",
+  "event ActionQueue__Queued(bytes32 indexed id, bytes data, uint256 eta)",
+  "event ActionQueue__Cancelled(bytes32 indexed id)",
+  "event ActionQueue__Executed(bytes32 indexed id, bytes data)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+];
+
+const ORDER =
+  "tuple(address account, address token, uint8 side, uint256 amount, uint256 limitPrice, uint256 minAmountOut, uint256 expiry, uint256 nonce)";
+
+// TokenGovernor, an OpenZeppelin Governor queueing in a TimelockController.
+const GOVERNOR_ABI = [
+  "function token() view returns (address)",
+  "function timelock() view returns (address)",
+  "function votingDelay() view returns (uint256)",
+  "function votingPeriod() view returns (uint256)",
+  "function quorum(uint256 blockNumber) view returns (uint256)",
+  "function state(uint256 proposalId) view returns (uint8)",
+  "function proposalSnapshot(uint256 proposalId) view returns (uint256)",
+  "function proposalDeadline(uint256 proposalId) view returns (uint256)",
+  "function proposalVotes(uint256 proposalId) view returns (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes)",
+  "function hasVoted(uint256 proposalId, address account) view returns (bool)",
+  "function propose(address[] targets, uint256[] values, bytes[] calldatas, string description) returns (uint256 proposalId)",
+  "function castVote(uint256 proposalId, uint8 support) returns (uint256 weight)",
+  "function castVoteWithReason(uint256 proposalId, uint8 support, string reason) returns (uint256 weight)",
+  "function queue(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) returns (uint256 proposalId)",
+  "function execute(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) payable returns (uint256 proposalId)",
+  "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 voteStart, uint256 voteEnd, string description)",
+  "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+];
+
+const FEE_SPLITTER_ABI = [
+  "function totalWeight() view returns (uint256)",
+  "function getRecipients() view returns (address[] recipients, uint256[] weights)",
+  "function getPendingRecipients() view returns (address[] recipients, uint256[] weights, uint256 eta)",
+  "function distribute(address token)",
+  "function distributeMany(address[] tokens)",
+  "function queueRecipients(address[] recipients, uint256[] weights)",
+  "function cancelRecipients()",
+  "function applyRecipients()",
+  "event FeeSplitter__Distributed(address indexed token, address indexed recipient, uint256 amount)",
+  "event FeeSplitter__RecipientsQueued(address[] recipients, uint256[] weights, uint256 eta)",
+  "event FeeSplitter__RecipientsSet(address[] recipients, uint256[] weights)",
+];
+
+const ORDER_BOOK_ABI = [
+  `function fill(${ORDER} order, bytes signature) returns (uint256 amountOut)`,
+  "function cancel(uint256 nonce)",
+  `function hashOrder(${ORDER} order) view returns (bytes32)`,
+  `function isTriggered(${ORDER} order) view returns (bool)`,
+  "function account_NonceUsed(address account, uint256 nonce) view returns (bool)",
+  "event WaveFrontOrderBook__Filled(bytes32 indexed orderHash, address indexed account, address indexed token, address keeper, uint8 side, uint256 amountIn, uint256 amountOut)",
+  "event WaveFrontOrderBook__Cancelled(address indexed account, uint256 indexed nonce)",
+];
+
+module.exports = {
+  ERC20_ABI,
+  WAVEFRONT_ABI,
+  TOKEN_ABI,
+  SALE_ABI,
+  CONTENT_ABI,
+  REWARDER_ABI,
+  MULTICALL_ABI,
+  ROUTER_ABI,
+  GOVERNOR_ABI,
+  FEE_SPLITTER_ABI,
+  ORDER_BOOK_ABI,
+};
@@ -0,0 +1,95 @@
+const { BigNumber, utils } = require("ethers");
+
+/**
+ * The leaf Sale.contributeWithProof checks for `account`: the double hashed
+ * abi encoding of the account and its allocation in raw quote units.
+ * @param {string} account
+ * @param {BigNumber} allocation
+ * @returns {string}
+ */
+function allowlistLeaf(account, allocation) {
+  const encoded = utils.defaultAbiCoder.encode(
+    ["address", "uint256"],
+    [account, allocation]
+  );
+  return utils.keccak256(utils.keccak256(encoded));
+}
+
+// Sorted pair hashing, as OpenZeppelin's MerkleProof verifies.
+function hashPair(a, b) {
+  const [left, right] = BigNumber.from(a).lt(b) ? [a, b] : [b, a];
+  return utils.keccak256(utils.concat([left, right]));
+}
+
+/**
+ * Builds the allowlist tree for a Sale presale. A node without a sibling is
+ * carried up to the next layer as is.
+ * @param {Array<{ account: string, allocation: BigNumber }>} entries raw allocations
+ * @returns {{ root: string, claims: Object<string, { allocation: string, proof: string[] }> }}
+ *   claims keyed by checksummed address, JSON safe
+ */
+function buildAllowlist(entries) {
+  if (entries.length === 0) throw new Error("Empty allowlist");
+  const claims = {};
+  const leaves = entries.map(({ account, allocation }) => {
+    const address = utils.getAddress(account);
+    if (claims[address]) throw new Error(`Duplicate account ${address}`);
+    const amount = BigNumber.from(allocation);
+    if (amount.isZero()) throw new Error(`Zero allocation for ${address}`);
+    claims[address] = { allocation: amount.toString(), proof: [] };
+    return { address, hash: allowlistLeaf(address, amount) };
+  });
+
+  // Every leaf follows its position up the layers, collecting siblings.
+  let layer = leaves.map(({ hash }, i) => ({ hash, members: [i] }));
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      const node = layer[i];
+      const sibling = layer[i + 1];
+      if (!sibling) {
+        next.push(node);
+        continue;
+      }
+      for (const m of node.members) {
+        claims[leaves[m].address].proof.push(sibling.hash);
+      }
+      for (const m of sibling.members) {
+        claims[leaves[m].address].proof.push(node.hash);
+      }
+      next.push({
+        hash: hashPair(node.hash, sibling.hash),
+        members: [...node.members, ...sibling.members],
+      });
+    }
+    layer = next;
+  }
+  return { root: layer[0].hash, claims };
+}
+
+/**
+ * Parses `address,allocation` lines, allocations in quote units. Blank
+ * lines, `#` comments and a header row without an address are skipped.
+ * @param {string} csv
+ * @param {number} decimals of the sale's quote
+ * @returns {Array<{ account: string, allocation: BigNumber }>}
+ */
+function parseAllowlistCsv(csv, decimals) {
+  const entries = [];
+  csv.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const [account, allocation] = trimmed.split(",").map((s) => s.trim());
+    if (!utils.isAddress(account)) {
+      if (entries.length === 0 && i === 0) return;
+      throw new Error(`Invalid address on line ${i + 1}: ${account}`);
+    }
+    entries.push({
+      account,
+      allocation: utils.parseUnits(allocation, decimals),
+    });
+  });
+  return entries;
+}
+
+module.exports = { allowlistLeaf, buildAllowlist, parseAllowlistCsv };
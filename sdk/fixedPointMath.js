@@ -0,0 +1,46 @@
+// BigInt port of contracts/library/FixedPointMathLib.sol. Every function
+// rounds and reverts exactly like its Solidity counterpart.
+
+const WAD = 10n ** 18n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+class MathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MathError";
+  }
+}
+
+function checkMulDiv(x, y, denominator) {
+  if (denominator === 0n || (y !== 0n && x > MAX_UINT256 / y)) {
+    throw new MathError("mulDiv reverted");
+  }
+}
+
+function mulDivDown(x, y, denominator) {
+  checkMulDiv(x, y, denominator);
+  return (x * y) / denominator;
+}
+
+function mulDivUp(x, y, denominator) {
+  checkMulDiv(x, y, denominator);
+  const z = (x * y) / denominator;
+  return (x * y) % denominator > 0n ? z + 1n : z;
+}
+
+const mulWadDown = (x, y) => mulDivDown(x, y, WAD);
+const mulWadUp = (x, y) => mulDivUp(x, y, WAD);
+const divWadDown = (x, y) => mulDivDown(x, WAD, y);
+const divWadUp = (x, y) => mulDivUp(x, WAD, y);
+
+module.exports = {
+  WAD,
+  MAX_UINT256,
+  MathError,
+  mulDivDown,
+  mulDivUp,
+  mulWadDown,
+  mulWadUp,
+  divWadDown,
+  divWadUp,
+};
@@ -0,0 +1,28 @@
+const {
+  WaveFrontClient,
+  COMPOUND_MODES,
+  VOTE_TYPES,
+} = require("./WaveFrontClient");
+const { TokenSimulator, TokenSimulatorError } = require("./TokenSimulator");
+const fixedPointMath = require("./fixedPointMath");
+const units = require("./units");
+const launchParams = require("./launchParams");
+const abis = require("./abis");
+const permit = require("./permit");
+const orders = require("./orders");
+const allowlist = require("./allowlist");
+
+module.exports = {
+  WaveFrontClient,
+  COMPOUND_MODES,
+  VOTE_TYPES,
+  TokenSimulator,
+  TokenSimulatorError,
+  ...fixedPointMath,
+  ...units,
+  ...launchParams,
+  ...abis,
+  ...permit,
+  ...orders,
+  ...allowlist,
+};
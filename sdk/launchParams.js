@@ -0,0 +1,60 @@
+const { BigNumber, constants, utils } = require("ethers");
+
+/**
+ * Launch parameters matching the WaveFront constructor's default bounds. A
+ * zero virtual quote reserve takes the default WaveFront keeps for the quote
+ * asset, so the same defaults work for every whitelisted quote.
+ */
+const DEFAULT_LAUNCH_PARAMS = {
+  initialSupply: utils.parseUnits("1000000000", 18),
+  reserveVirtQuoteRaw: BigNumber.from(0),
+  fee: BigNumber.from(100), // 1%
+  feeSplit: BigNumber.from(1_500), // 15% of the fee to each recipient
+  saleDuration: BigNumber.from(2 * 60 * 60), // 2 hours
+  borrowRate: BigNumber.from(0), // interest free
+  saleSoftCapRaw: BigNumber.from(0), // no caps, zero means none
+  saleHardCapRaw: BigNumber.from(0),
+  saleWalletCapRaw: BigNumber.from(0),
+  presaleDuration: BigNumber.from(0), // no allowlist presale
+  presaleRoot: constants.HashZero,
+  vestingCliff: BigNumber.from(0), // redeemed all at once
+  vestingDuration: BigNumber.from(0),
+  curationMode: BigNumber.from(0), // 0 step-up, 1 Harberger, 2 Dutch
+  curationStep: BigNumber.from(1_000), // 10% over the last price
+  curationTaxRate: BigNumber.from(1_000), // 10% a year, Harberger only
+  curationDecay: BigNumber.from(24 * 60 * 60), // 1 day, Dutch only
+  curationCreatorShare: BigNumber.from(3_333), // of the surplus and taxes
+  curationHealShare: BigNumber.from(3_333),
+};
+
+/**
+ * Fills the fields missing from `overrides` with the defaults.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function launchParams(overrides = {}) {
+  const params = {};
+  for (const [key, value] of Object.entries(DEFAULT_LAUNCH_PARAMS)) {
+    if (overrides[key] === undefined) params[key] = value;
+    else if (key === "presaleRoot") params[key] = overrides[key];
+    else params[key] = BigNumber.from(overrides[key]);
+  }
+  return params;
+}
+
+/**
+ * Checks `params` against the bounds returned by `WaveFront.quote_MinParams`
+ * and `quote_MaxParams`, so a launch outside them fails before it is sent.
+ * @returns {string[]} the fields that are out of bounds
+ */
+function checkLaunchParams(params, minParams, maxParams) {
+  return Object.keys(DEFAULT_LAUNCH_PARAMS).filter((key) => {
+    // The allowlist root has no bounds.
+    if (key === "presaleRoot") return false;
+    const value = BigNumber.from(params[key]);
+    if (key === "reserveVirtQuoteRaw" && value.isZero()) return false;
+    return value.lt(minParams[key]) || value.gt(maxParams[key]);
+  });
+}
+
+module.exports = { DEFAULT_LAUNCH_PARAMS, launchParams, checkLaunchParams };
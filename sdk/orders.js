@@ -0,0 +1,83 @@
+const { BigNumber, utils } = require("ethers");
+const { getDomain } = require("./permit");
+const { rawToWad, wadToRaw, applySlippage } = require("./units");
+
+// `side` values of WaveFrontOrderBook.Order.
+const SIDES = { buy: 0, sell: 1, stopLoss: 2 };
+
+const ORDER_TYPES = {
+  Order: [
+    { name: "account", type: "address" },
+    { name: "token", type: "address" },
+    { name: "side", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "limitPrice", type: "uint256" },
+    { name: "minAmountOut", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+function toSide(side) {
+  const value = typeof side === "string" ? SIDES[side] : side;
+  if (value === undefined) throw new Error(`Unknown side: ${side}`);
+  return value;
+}
+
+/**
+ * What `amount` is worth at `limitPrice`, lowered by `slippage` percent:
+ * tokens for buys, raw quote for sells. The price impact of the fill itself
+ * counts against the slippage.
+ * @param {number|string} side
+ * @param {BigNumber} amount raw quote for buys, tokens for sells
+ * @param {BigNumber} limitPrice quote wad per token
+ * @param {number} quoteDecimals
+ * @param {number|string} slippage
+ * @returns {BigNumber}
+ */
+function minAmountOutAt(side, amount, limitPrice, quoteDecimals, slippage) {
+  const wad = utils.parseUnits("1", 18);
+  const amountOut =
+    toSide(side) === SIDES.buy
+      ? rawToWad(amount, quoteDecimals).mul(wad).div(limitPrice)
+      : wadToRaw(
+          BigNumber.from(amount).mul(limitPrice).div(wad),
+          quoteDecimals
+        );
+  return applySlippage(amountOut, slippage);
+}
+
+/**
+ * Signs a WaveFrontOrderBook order for the signer's account. Amounts are
+ * raw: quote for buys, tokens for sells. `limitPrice` is in quote wad per
+ * token, like `Token.getMarketPrice`. `minAmountOut` is required, see
+ * `minAmountOutAt`.
+ * @param {import("ethers").Signer} signer
+ * @param {string} orderBook
+ * @param {{ token: string, side: number|string, amount: BigNumber, limitPrice: BigNumber, minAmountOut: BigNumber, expiry: number, nonce?: BigNumber }} params
+ *   `side` as a number or a key of SIDES, `nonce` random by default
+ * @returns {Promise<{ order: Object, signature: string, hash: string }>}
+ *   JSON safe, as read by the keeper
+ */
+async function signOrder(signer, orderBook, params) {
+  const side = toSide(params.side);
+  if (params.minAmountOut === undefined) throw new Error("No minAmountOut");
+  const order = {
+    account: await signer.getAddress(),
+    token: params.token,
+    side,
+    amount: BigNumber.from(params.amount).toString(),
+    limitPrice: BigNumber.from(params.limitPrice).toString(),
+    minAmountOut: BigNumber.from(params.minAmountOut).toString(),
+    expiry: Number(params.expiry),
+    nonce: BigNumber.from(
+      params.nonce ?? utils.hexlify(utils.randomBytes(32))
+    ).toString(),
+  };
+  const domain = await getDomain(orderBook, signer);
+  const signature = await signer._signTypedData(domain, ORDER_TYPES, order);
+  const hash = utils._TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+  return { order, signature, hash };
+}
+
+module.exports = { SIDES, ORDER_TYPES, minAmountOutAt, signOrder };
@@ -0,0 +1,91 @@
+const { Contract, utils } = require("ethers");
+
+// EIP-2612 Permit, signed by holders of the launched tokens and of most
+// quote assets so the router can pull them without a prior approve.
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const DOMAIN_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+/**
+ * The EIP-712 domain of `token`. Read from ERC-5267 `eip712Domain` where
+ * the token has it, else built from its name with version "1".
+ * @param {string} token
+ * @param {import("ethers").Signer|import("ethers").providers.Provider} signerOrProvider
+ */
+async function getDomain(token, signerOrProvider) {
+  const contract = new Contract(token, DOMAIN_ABI, signerOrProvider);
+  try {
+    const domain = await contract.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId.toNumber(),
+      verifyingContract: domain.verifyingContract,
+    };
+  } catch (e) {
+    const { chainId } = await contract.provider.getNetwork();
+    return {
+      name: await contract.name(),
+      version: "1",
+      chainId,
+      verifyingContract: token,
+    };
+  }
+}
+
+/**
+ * Signs `types`/`value` in `token`'s domain and splits the signature.
+ * @param {import("ethers").Signer} signer
+ * @param {string} token
+ * @param {Object} types
+ * @param {Object} value
+ * @returns {Promise<{ v: number, r: string, s: string }>}
+ */
+async function signTyped(signer, token, types, value) {
+  const domain = await getDomain(token, signer);
+  const signature = await signer._signTypedData(domain, types, value);
+  const { v, r, s } = utils.splitSignature(signature);
+  return { v, r, s };
+}
+
+/**
+ * Signs an EIP-2612 permit letting `spender` pull `value` of `token` from
+ * the signer, using the signer's current nonce.
+ * @param {import("ethers").Signer} signer
+ * @param {string} token
+ * @param {string} spender
+ * @param {BigNumber} value raw amount
+ * @param {number} deadline unix timestamp
+ * @returns {Promise<{ value: BigNumber, deadline: number, v: number, r: string, s: string }>}
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const nonce = await new Contract(token, DOMAIN_ABI, signer).nonces(owner);
+  const signature = await signTyped(signer, token, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline,
+  });
+  return { value, deadline, ...signature };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  getDomain,
+  signTyped,
+  signPermit,
+};
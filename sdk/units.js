@@ -0,0 +1,75 @@
+const { BigNumber, utils } = require("ethers");
+
+const TOKEN_DECIMALS = 18;
+const QUOTE_DECIMALS = 6;
+const DIVISOR = 10_000;
+
+/**
+ * Scale between a quote asset's raw units and the 18 decimal wad units the
+ * Token reserves are kept in, matching `Token.quoteScale`.
+ * @param {number} quoteDecimals
+ * @returns {BigNumber}
+ */
+function quoteScale(quoteDecimals = QUOTE_DECIMALS) {
+  if (quoteDecimals > TOKEN_DECIMALS) throw new Error("Quote decimals > 18");
+  return BigNumber.from(10).pow(TOKEN_DECIMALS - quoteDecimals);
+}
+
+/**
+ * Same as `Token.rawToWad`.
+ * @param {BigNumber} raw
+ * @param {number} quoteDecimals
+ * @returns {BigNumber}
+ */
+function rawToWad(raw, quoteDecimals = QUOTE_DECIMALS) {
+  return BigNumber.from(raw).mul(quoteScale(quoteDecimals));
+}
+
+/**
+ * Same as `Token.wadToRaw`, rounds down.
+ * @param {BigNumber} wad
+ * @param {number} quoteDecimals
+ * @returns {BigNumber}
+ */
+function wadToRaw(wad, quoteDecimals = QUOTE_DECIMALS) {
+  return BigNumber.from(wad).div(quoteScale(quoteDecimals));
+}
+
+/**
+ * Human amounts ("10.5", 10) are parsed with `decimals`, BigNumbers are
+ * taken as already scaled.
+ * @param {string|number|BigNumber} amount
+ * @param {number} decimals
+ * @returns {BigNumber}
+ */
+function toUnits(amount, decimals) {
+  if (BigNumber.isBigNumber(amount)) return amount;
+  return utils.parseUnits(String(amount), decimals);
+}
+
+/**
+ * Lowers `amount` by a slippage tolerance given in percent.
+ * @param {BigNumber} amount
+ * @param {number|string} slippage
+ * @returns {BigNumber}
+ */
+function applySlippage(amount, slippage) {
+  const bps = Math.round(Number(slippage) * 100);
+  if (!(bps >= 0 && bps <= DIVISOR)) {
+    throw new Error(`Invalid slippage: ${slippage}`);
+  }
+  return BigNumber.from(amount)
+    .mul(DIVISOR - bps)
+    .div(DIVISOR);
+}
+
+module.exports = {
+  TOKEN_DECIMALS,
+  QUOTE_DECIMALS,
+  DIVISOR,
+  quoteScale,
+  rawToWad,
+  wadToRaw,
+  toUnits,
+  applySlippage,
+};
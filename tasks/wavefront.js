@@ -0,0 +1,915 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  getRecordPath,
+  loadRecord,
+  getAddress,
+} = require("../scripts/lib/deployments");
+const { DIVISOR, applySlippage } = require("../sdk/units");
+const { launchParams } = require("../sdk/launchParams");
+const { SIDES, minAmountOutAt, signOrder } = require("../sdk/orders");
+const { COMPOUND_MODES, VOTE_TYPES } = require("../sdk/WaveFrontClient");
+const { appendOrder } = require("../keeper/orders");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const DEADLINE = 20 * 60; // 20 minutes
+const CURATION_MODES = ["step-up", "harberger", "dutch"];
+
+// Events that only add noise to the printed receipt.
+const IGNORED_EVENTS = [
+  "Transfer",
+  "Approval",
+  "DelegateChanged",
+  "DelegateVotesChanged",
+  "MetadataUpdate",
+];
+
+/*===================================================================*/
+/*===========================  HELPERS  =============================*/
+
+// Quote amounts are in the quote asset of `token` when given, else of
+// `quote`, else of the WaveFront default quote.
+async function getContracts(hre, { token, quote: quoteAddress } = {}) {
+  const { ethers, network } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  const record = loadRecord(getRecordPath(network.name), network.name, chainId);
+
+  const wavefront = await ethers.getContractAt(
+    "WaveFront",
+    getAddress(record, "WaveFront")
+  );
+  const multicall = await ethers.getContractAt(
+    "WaveFrontMulticall",
+    getAddress(record, "WaveFrontMulticall")
+  );
+  const router = await ethers.getContractAt(
+    "WaveFrontRouter",
+    getAddress(record, "WaveFrontRouter")
+  );
+  if (token) {
+    quoteAddress = await (await ethers.getContractAt("Token", token)).quote();
+  }
+  const quote = await ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+    quoteAddress || (await wavefront.quote())
+  );
+  const quoteDecimals = await quote.decimals();
+
+  return { wavefront, multicall, router, quote, quoteDecimals };
+}
+
+async function getDeadline(hre) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  return block.timestamp + DEADLINE;
+}
+
+async function approveIfNeeded(token, owner, spender, amount) {
+  const allowance = await token.allowance(owner.address, spender);
+  if (allowance.gte(amount)) return;
+  console.log(`Approving ${await token.symbol()} for:`, spender);
+  await (await token.connect(owner).approve(spender, amount)).wait();
+}
+
+async function getInterfaces(hre) {
+  const names = [
+    "WaveFront",
+    "WaveFrontRouter",
+    "WaveFrontOrderBook",
+    "Token",
+    "Sale",
+    "Content",
+    "Rewarder",
+    "TokenGovernor",
+  ];
+  const interfaces = [];
+  for (const name of names) {
+    interfaces.push((await hre.ethers.getContractFactory(name)).interface);
+  }
+  return interfaces;
+}
+
+function formatArg(hre, key, value, event, ctx) {
+  const { formatUnits } = hre.ethers.utils;
+  if (!hre.ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (/id$|royalty/i.test(key) || key === "index") return value.toString();
+  if (event.name === "Rewarder__RewardPaid") {
+    const isQuote =
+      event.args.rewardsToken.toLowerCase() === ctx.quote.address.toLowerCase();
+    return formatUnits(value, isQuote ? ctx.quoteDecimals : 18);
+  }
+  if (
+    /quote|price/i.test(key) ||
+    /^Rewarder__(Deposited|Withdrawn)$/.test(event.name)
+  ) {
+    return formatUnits(value, ctx.quoteDecimals);
+  }
+  return formatUnits(value, 18);
+}
+
+async function printEvents(hre, receipt, ctx) {
+  const interfaces = await getInterfaces(hre);
+  for (const log of receipt.logs) {
+    for (const iface of interfaces) {
+      let event;
+      try {
+        event = iface.parseLog(log);
+      } catch (e) {
+        continue;
+      }
+      if (IGNORED_EVENTS.includes(event.name)) break;
+
+      const fields = event.eventFragment.inputs.map(
+        ({ name }) =>
+          `${name}=${formatArg(hre, name, event.args[name], event, ctx)}`
+      );
+      console.log(`- ${event.name}(${fields.join(", ")})`);
+      break;
+    }
+  }
+}
+
+async function send(hre, ctx, description, txPromise) {
+  const tx = await txPromise;
+  console.log(`${description}:`, tx.hash);
+  const receipt = await tx.wait();
+  await printEvents(hre, receipt, ctx);
+  return receipt;
+}
+
+/*===========================  END HELPERS  =========================*/
+/*===================================================================*/
+
+/*===================================================================*/
+/*===========================  TASKS  ===============================*/
+
+task("wf:create", "Launches a token through WaveFrontRouter.createToken")
+  .addParam("name", "Token name")
+  .addParam("symbol", "Token symbol")
+  .addOptionalParam("uri", "Token metadata uri", "")
+  .addOptionalParam(
+    "quote",
+    "Whitelisted quote asset, defaults to WaveFront.quote"
+  )
+  .addOptionalParam("supply", "Initial supply, in tokens")
+  .addOptionalParam("virtQuote", "Virtual quote reserve, in quote units")
+  .addOptionalParam("fee", "Swap fee in basis points")
+  .addOptionalParam("feeSplit", "Fee share per recipient in basis points")
+  .addOptionalParam("saleDuration", "Contribution window in seconds")
+  .addOptionalParam("borrowRate", "Yearly borrow interest in basis points")
+  .addOptionalParam("softCap", "Sale minimum raise, in quote units")
+  .addOptionalParam("hardCap", "Sale maximum raise, in quote units")
+  .addOptionalParam("walletCap", "Sale cap per contributor, in quote units")
+  .addOptionalParam("presaleDuration", "Allowlist only window in seconds")
+  .addOptionalParam("vestingCliff", "Seconds before redemptions start vesting")
+  .addOptionalParam("vestingDuration", "Seconds over which redemptions vest")
+  .addOptionalParam("curation", `Content pricing: ${CURATION_MODES.join(", ")}`)
+  .addOptionalParam("curationStep", "Step-up per curation in basis points")
+  .addOptionalParam("curationTaxRate", "Harberger yearly tax in basis points")
+  .addOptionalParam("curationDecay", "Dutch decay to the floor in seconds")
+  .addOptionalParam("creatorShare", "Creator cut of surpluses in basis points")
+  .addOptionalParam("healShare", "Floor cut of surpluses in basis points")
+  .addOptionalParam(
+    "allowlist",
+    "Allowlist JSON from scripts/allowlist.js, its root gates the presale"
+  )
+  .setAction(async (args, hre) => {
+    const { name, symbol, uri } = args;
+    const { parseUnits } = hre.ethers.utils;
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { quote: args.quote });
+    const curationMode = args.curation && CURATION_MODES.indexOf(args.curation);
+    if (curationMode === -1) {
+      throw new Error(`Unknown curation mode ${args.curation}`);
+    }
+
+    const params = launchParams({
+      initialSupply: args.supply && parseUnits(args.supply, 18),
+      reserveVirtQuoteRaw:
+        args.virtQuote && parseUnits(args.virtQuote, ctx.quoteDecimals),
+      fee: args.fee,
+      feeSplit: args.feeSplit,
+      saleDuration: args.saleDuration,
+      borrowRate: args.borrowRate,
+      saleSoftCapRaw:
+        args.softCap && parseUnits(args.softCap, ctx.quoteDecimals),
+      saleHardCapRaw:
+        args.hardCap && parseUnits(args.hardCap, ctx.quoteDecimals),
+      saleWalletCapRaw:
+        args.walletCap && parseUnits(args.walletCap, ctx.quoteDecimals),
+      presaleDuration: args.presaleDuration,
+      presaleRoot:
+        args.allowlist &&
+        JSON.parse(fs.readFileSync(args.allowlist, "utf8")).root,
+      vestingCliff: args.vestingCliff,
+      vestingDuration: args.vestingDuration,
+      curationMode,
+      curationStep: args.curationStep,
+      curationTaxRate: args.curationTaxRate,
+      curationDecay: args.curationDecay,
+      curationCreatorShare: args.creatorShare,
+      curationHealShare: args.healShare,
+    });
+    const receipt = await send(
+      hre,
+      ctx,
+      "Creating token",
+      ctx.router
+        .connect(signer)
+        .createToken(name, symbol, uri, ctx.quote.address, params)
+    );
+    const event = receipt.events.find(
+      (e) => e.event === "WaveFrontRouter__TokenCreated"
+    );
+    return event.args.token;
+  });
+
+task("wf:buy", "Buys a token with quote through WaveFrontRouter.buy")
+  .addParam("token", "Token address")
+  .addParam("quoteIn", "Quote amount to spend, in quote units")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", "1")
+  .addOptionalParam("affiliate", "Affiliate address", AddressZero)
+  .setAction(async ({ token, quoteIn, slippage, affiliate }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+
+    const quoteRawIn = hre.ethers.utils.parseUnits(quoteIn, ctx.quoteDecimals);
+    const quoted = await ctx.multicall.buyQuoteIn(token, quoteRawIn, DIVISOR);
+    const minTokenAmtOut = applySlippage(quoted.tokenAmtOut, slippage);
+    console.log(
+      "Expected out:",
+      hre.ethers.utils.formatUnits(quoted.tokenAmtOut, 18),
+      "min:",
+      hre.ethers.utils.formatUnits(minTokenAmtOut, 18)
+    );
+
+    await approveIfNeeded(ctx.quote, signer, ctx.router.address, quoteRawIn);
+    return send(
+      hre,
+      ctx,
+      "Buying",
+      ctx.router
+        .connect(signer)
+        .buy(
+          token,
+          affiliate,
+          quoteRawIn,
+          minTokenAmtOut,
+          await getDeadline(hre)
+        )
+    );
+  });
+
+task("wf:sell", "Sells a token for quote through WaveFrontRouter.sell")
+  .addParam("token", "Token address")
+  .addOptionalParam("tokenIn", "Token amount to sell, or 'all'", "all")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", "1")
+  .addOptionalParam("affiliate", "Affiliate address", AddressZero)
+  .setAction(async ({ token, tokenIn, slippage, affiliate }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+
+    const tokenAmtIn =
+      tokenIn === "all"
+        ? await tokenContract.getAccountTransferrable(signer.address)
+        : hre.ethers.utils.parseUnits(tokenIn, 18);
+    const quoted = await ctx.multicall.sellTokenIn(token, tokenAmtIn, DIVISOR);
+    const minQuoteRawOut = applySlippage(quoted.quoteRawOut, slippage);
+    console.log(
+      "Expected out:",
+      hre.ethers.utils.formatUnits(quoted.quoteRawOut, ctx.quoteDecimals),
+      "min:",
+      hre.ethers.utils.formatUnits(minQuoteRawOut, ctx.quoteDecimals)
+    );
+
+    await approveIfNeeded(
+      tokenContract,
+      signer,
+      ctx.router.address,
+      tokenAmtIn
+    );
+    return send(
+      hre,
+      ctx,
+      "Selling",
+      ctx.router
+        .connect(signer)
+        .sell(
+          token,
+          affiliate,
+          tokenAmtIn,
+          minQuoteRawOut,
+          await getDeadline(hre)
+        )
+    );
+  });
+
+task("wf:leverage", "Buys and loops borrow into buy through the router")
+  .addParam("token", "Token address")
+  .addParam("quoteIn", "Quote amount to spend, in quote units")
+  .addOptionalParam("loops", "Borrow and buy rounds", 1, types.int)
+  .addOptionalParam("slippage", "Slippage tolerance in percent", "1")
+  .setAction(async ({ token, quoteIn, loops, slippage }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+
+    const quoteRawIn = hre.ethers.utils.parseUnits(quoteIn, ctx.quoteDecimals);
+    await approveIfNeeded(ctx.quote, signer, ctx.router.address, quoteRawIn);
+    const allowance = await tokenContract.borrowAllowance(
+      signer.address,
+      ctx.router.address
+    );
+    if (!allowance.eq(hre.ethers.constants.MaxUint256)) {
+      console.log("Approving borrowing for:", ctx.router.address);
+      await (
+        await tokenContract
+          .connect(signer)
+          .approveBorrow(ctx.router.address, hre.ethers.constants.MaxUint256)
+      ).wait();
+    }
+
+    const deadline = await getDeadline(hre);
+    const tokenAmtOut = await ctx.router
+      .connect(signer)
+      .callStatic.leverageBuy(token, quoteRawIn, loops, 0, deadline);
+    const minTokenAmtOut = applySlippage(tokenAmtOut, slippage);
+    console.log(
+      "Expected out:",
+      hre.ethers.utils.formatUnits(tokenAmtOut, 18),
+      "min:",
+      hre.ethers.utils.formatUnits(minTokenAmtOut, 18)
+    );
+    return send(
+      hre,
+      ctx,
+      "Leveraging",
+      ctx.router
+        .connect(signer)
+        .leverageBuy(token, quoteRawIn, loops, minTokenAmtOut, deadline)
+    );
+  });
+
+task("wf:deleverage", "Sells a token while repaying its debt")
+  .addParam("token", "Token address")
+  .addOptionalParam("tokenIn", "Token amount to sell, or 'all'", "all")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", "1")
+  .setAction(async ({ token, tokenIn, slippage }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+
+    const tokenAmtIn =
+      tokenIn === "all"
+        ? await tokenContract.balanceOf(signer.address)
+        : hre.ethers.utils.parseUnits(tokenIn, 18);
+    await approveIfNeeded(
+      tokenContract,
+      signer,
+      ctx.router.address,
+      tokenAmtIn
+    );
+
+    const deadline = await getDeadline(hre);
+    const quoteRawOut = await ctx.router
+      .connect(signer)
+      .callStatic.deleverageSell(token, tokenAmtIn, 0, deadline);
+    const minQuoteRawOut = applySlippage(quoteRawOut, slippage);
+    console.log(
+      "Expected out:",
+      hre.ethers.utils.formatUnits(quoteRawOut, ctx.quoteDecimals),
+      "min:",
+      hre.ethers.utils.formatUnits(minQuoteRawOut, ctx.quoteDecimals)
+    );
+    return send(
+      hre,
+      ctx,
+      "Deleveraging",
+      ctx.router
+        .connect(signer)
+        .deleverageSell(token, tokenAmtIn, minQuoteRawOut, deadline)
+    );
+  });
+
+task("wf:contribute", "Contributes quote to a token sale")
+  .addParam("token", "Token address")
+  .addParam("quoteIn", "Quote amount to contribute, in quote units")
+  .addOptionalParam(
+    "allowlist",
+    "Allowlist JSON from scripts/allowlist.js, to contribute in the presale"
+  )
+  .setAction(async ({ token, quoteIn, allowlist }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+
+    const quoteRawIn = hre.ethers.utils.parseUnits(quoteIn, ctx.quoteDecimals);
+    await approveIfNeeded(ctx.quote, signer, ctx.router.address, quoteRawIn);
+    if (allowlist) {
+      const { claims } = JSON.parse(fs.readFileSync(allowlist, "utf8"));
+      const claim = claims[signer.address];
+      if (!claim) throw new Error(`${signer.address} is not allowlisted`);
+      return send(
+        hre,
+        ctx,
+        "Contributing with proof",
+        ctx.router
+          .connect(signer)
+          .contributeWithProof(token, quoteRawIn, claim.allocation, claim.proof)
+      );
+    }
+    return send(
+      hre,
+      ctx,
+      "Contributing",
+      ctx.router.connect(signer).contribute(token, quoteRawIn)
+    );
+  });
+
+task("wf:redeem", "Redeems a sale contribution, opening the market if due")
+  .addParam("token", "Token address")
+  .setAction(async ({ token }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    return send(
+      hre,
+      ctx,
+      "Redeeming",
+      ctx.router.connect(signer).redeem(token)
+    );
+  });
+
+task("wf:refund", "Refunds a contribution to a sale that missed its soft cap")
+  .addParam("token", "Token address")
+  .setAction(async ({ token }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    return send(
+      hre,
+      ctx,
+      "Refunding",
+      ctx.router.connect(signer).refund(token)
+    );
+  });
+
+task("wf:content", "Creates content for a token")
+  .addParam("token", "Token address")
+  .addParam("uri", "Content uri")
+  .setAction(async ({ token, uri }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    return send(
+      hre,
+      ctx,
+      "Creating content",
+      ctx.router.connect(signer).createContent(token, uri)
+    );
+  });
+
+task("wf:curate", "Curates a token's content at its next price")
+  .addParam("token", "Token address")
+  .addParam("id", "Content token id", undefined, types.int)
+  .addOptionalParam("taxDeposit", "Harberger tax deposit, in quote units")
+  .setAction(async ({ token, id, taxDeposit }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    const content = await hre.ethers.getContractAt(
+      "Content",
+      await tokenContract.content()
+    );
+
+    const price = await content.getNextPrice(id);
+    console.log(
+      "Curation price:",
+      hre.ethers.utils.formatUnits(price, ctx.quoteDecimals)
+    );
+    if (taxDeposit) {
+      const depositRaw = hre.ethers.utils.parseUnits(
+        taxDeposit,
+        ctx.quoteDecimals
+      );
+      await approveIfNeeded(
+        ctx.quote,
+        signer,
+        ctx.router.address,
+        price.add(depositRaw)
+      );
+      return send(
+        hre,
+        ctx,
+        "Curating",
+        ctx.router
+          .connect(signer)
+          .curateContentWithDeposit(token, id, price, depositRaw)
+      );
+    }
+    await approveIfNeeded(ctx.quote, signer, ctx.router.address, price);
+    return send(
+      hre,
+      ctx,
+      "Curating",
+      ctx.router.connect(signer).curateContent(token, id)
+    );
+  });
+
+task("wf:assess", "Sets the Harberger price of a content token")
+  .addParam("token", "Token address")
+  .addParam("id", "Content token id", undefined, types.int)
+  .addParam("price", "Self-assessed price, in quote units")
+  .setAction(async ({ token, id, price }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    const content = await hre.ethers.getContractAt(
+      "Content",
+      await tokenContract.content()
+    );
+    return send(
+      hre,
+      ctx,
+      "Assessing",
+      content
+        .connect(signer)
+        .assess(id, hre.ethers.utils.parseUnits(price, ctx.quoteDecimals))
+    );
+  });
+
+task("wf:moderator", "Appoints or removes a content moderator of a token")
+  .addParam("token", "Token address")
+  .addParam("account", "Moderator address")
+  .addFlag("remove", "Removes the moderator")
+  .setAction(async ({ token, account, remove }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    const content = await hre.ethers.getContractAt(
+      "Content",
+      await tokenContract.content()
+    );
+    return send(
+      hre,
+      ctx,
+      remove ? "Removing moderator" : "Appointing moderator",
+      content.connect(signer).setModerator(account, !remove)
+    );
+  });
+
+task("wf:moderate", "Flags, unflags or burns a token's content")
+  .addParam("token", "Token address")
+  .addParam("id", "Content token id", undefined, types.int)
+  .addParam("action", "flag, unflag or burn")
+  .setAction(async ({ token, id, action }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    const content = (
+      await hre.ethers.getContractAt("Content", await tokenContract.content())
+    ).connect(signer);
+    const actions = {
+      flag: () => content.flag(id, true),
+      unflag: () => content.flag(id, false),
+      burn: () => content.burn(id),
+    };
+    if (!actions[action]) throw new Error(`Unknown action ${action}`);
+    return send(hre, ctx, `Moderating (${action})`, actions[action]());
+  });
+
+task("wf:collection", "Sets a token's content collection metadata")
+  .addParam("token", "Token address")
+  .addOptionalParam("contractUri", "Collection metadata uri")
+  .addOptionalParam("royalty", "Creator royalty in basis points")
+  .setAction(async ({ token, contractUri, royalty }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    const content = (
+      await hre.ethers.getContractAt("Content", await tokenContract.content())
+    ).connect(signer);
+    if (contractUri !== undefined) {
+      await send(
+        hre,
+        ctx,
+        "Setting contract uri",
+        content.setContractURI(contractUri)
+      );
+    }
+    if (royalty !== undefined) {
+      await send(hre, ctx, "Setting royalty", content.setRoyalty(royalty));
+    }
+  });
+
+task("wf:claim", "Claims content rewards for a token")
+  .addParam("token", "Token address")
+  .setAction(async ({ token }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    return send(
+      hre,
+      ctx,
+      "Claiming",
+      ctx.router.connect(signer).getContentReward(token)
+    );
+  });
+
+task("wf:compound", "Claims content rewards and compounds them")
+  .addParam("tokens", "Comma separated token addresses")
+  .addParam("mode", `One of ${Object.keys(COMPOUND_MODES).join(", ")}`)
+  .addOptionalParam("slippage", "Slippage tolerance in percent", "1")
+  .setAction(async ({ tokens, mode, slippage }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    if (COMPOUND_MODES[mode] === undefined) {
+      throw new Error(`Unknown mode: ${mode}`);
+    }
+    tokens = tokens.split(",").map((token) => token.trim());
+    const ctx = await getContracts(hre, { token: tokens[0] });
+
+    // Rewards accrue until mined, so the approval covers more than earned.
+    const minOuts = [];
+    for (const token of tokens) {
+      const tokenContract = await hre.ethers.getContractAt("Token", token);
+      const rewarder = await hre.ethers.getContractAt(
+        "Rewarder",
+        await tokenContract.rewarder()
+      );
+      const asset =
+        mode === "sell"
+          ? tokenContract
+          : (await getContracts(hre, { token })).quote;
+      const earned = await rewarder.earned(signer.address, asset.address);
+      await approveIfNeeded(
+        asset,
+        signer,
+        ctx.router.address,
+        hre.ethers.constants.MaxUint256
+      );
+      if (mode === "heal" || earned.isZero()) {
+        minOuts.push(0);
+      } else if (mode === "buy") {
+        const quoted = await ctx.multicall.buyQuoteIn(token, earned, DIVISOR);
+        minOuts.push(applySlippage(quoted.tokenAmtOut, slippage));
+      } else {
+        const quoted = await ctx.multicall.sellTokenIn(token, earned, DIVISOR);
+        minOuts.push(applySlippage(quoted.quoteRawOut, slippage));
+      }
+    }
+    return send(
+      hre,
+      ctx,
+      "Compounding",
+      ctx.router
+        .connect(signer)
+        .claimAndCompoundMany(tokens, COMPOUND_MODES[mode], minOuts)
+    );
+  });
+
+task("wf:sponsor", "Streams a sponsored reward to a token's curators")
+  .addParam("token", "Token address")
+  .addParam("reward", "Reward token address")
+  .addParam("amount", "Reward amount, in units of the reward token")
+  .addOptionalParam(
+    "days",
+    "Stream duration when adding the reward",
+    7,
+    types.int
+  )
+  .setAction(async ({ token, reward, amount, days }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const rewardToken = await hre.ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      reward
+    );
+    const rewarder = await hre.ethers.getContractAt(
+      "Rewarder",
+      await (await hre.ethers.getContractAt("Token", token)).rewarder()
+    );
+    const amountRaw = hre.ethers.utils.parseUnits(
+      amount,
+      await rewardToken.decimals()
+    );
+    await approveIfNeeded(rewardToken, signer, ctx.router.address, amountRaw);
+    // Rewards already added are topped up, sponsored ones keep their period
+    // and are restarted by their sponsor once it has ended.
+    if (await rewarder.token_IsReward(reward)) {
+      const sponsor = await rewarder.token_Sponsor(reward);
+      const { periodFinish } = await rewarder.token_RewardData(reward);
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      if (
+        sponsor === hre.ethers.constants.AddressZero ||
+        periodFinish.gt(timestamp)
+      ) {
+        return send(
+          hre,
+          ctx,
+          "Topping up",
+          ctx.router
+            .connect(signer)
+            .notifyContentRewardAmount(token, reward, amountRaw)
+        );
+      }
+    } else {
+      const deposit = await rewarder.sponsorDeposit();
+      const quote = await hre.ethers.getContractAt(
+        "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+        await (await hre.ethers.getContractAt("Token", token)).quote()
+      );
+      await approveIfNeeded(quote, signer, ctx.router.address, deposit);
+    }
+    return send(
+      hre,
+      ctx,
+      "Sponsoring",
+      ctx.router
+        .connect(signer)
+        .sponsorContentReward(token, reward, days * 86400, amountRaw)
+    );
+  });
+
+task("wf:recover", "Recovers the unstreamed part of a sponsored reward")
+  .addParam("token", "Token address")
+  .addParam("reward", "Reward token address")
+  .addFlag("remove", "Also removes the ended reward and returns its deposit")
+  .setAction(async ({ token, reward, remove }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const rewarder = await hre.ethers.getContractAt(
+      "Rewarder",
+      await (await hre.ethers.getContractAt("Token", token)).rewarder()
+    );
+    if (remove) {
+      return send(
+        hre,
+        ctx,
+        "Removing",
+        rewarder.connect(signer).removeReward(reward)
+      );
+    }
+    return send(
+      hre,
+      ctx,
+      "Recovering",
+      rewarder.connect(signer).recoverReward(reward)
+    );
+  });
+
+task("wf:delegate", "Delegates token votes for the token's governor")
+  .addParam("token", "Token address")
+  .addOptionalParam("to", "Delegatee, the signer by default")
+  .setAction(async ({ token, to }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+    return send(
+      hre,
+      ctx,
+      "Delegating",
+      tokenContract.connect(signer).delegate(to || signer.address)
+    );
+  });
+
+task("wf:vote", "Votes on a proposal of a token's governor")
+  .addParam("token", "Token address")
+  .addParam("proposal", "Proposal id")
+  .addParam("support", `One of ${Object.keys(VOTE_TYPES).join(", ")}`)
+  .addOptionalParam("reason", "Reason recorded with the vote", "")
+  .setAction(async ({ token, proposal, support, reason }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    if (VOTE_TYPES[support] === undefined) {
+      throw new Error(`Unknown vote type: ${support}`);
+    }
+    const ctx = await getContracts(hre, { token });
+    const governorAddress = await ctx.wavefront.token_Governor(token);
+    if (governorAddress === AddressZero) {
+      throw new Error(`${token} has no governor`);
+    }
+    const governor = await hre.ethers.getContractAt(
+      "TokenGovernor",
+      governorAddress
+    );
+    return send(
+      hre,
+      ctx,
+      "Voting",
+      governor
+        .connect(signer)
+        .castVoteWithReason(proposal, VOTE_TYPES[support], reason)
+    );
+  });
+
+task("wf:liquidate", "Repays an unhealthy account's debt for its tokens")
+  .addParam("token", "Token address")
+  .addParam("account", "Borrower to liquidate")
+  .setAction(async ({ token, account }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const tokenContract = await hre.ethers.getContractAt("Token", token);
+
+    const debtRaw = await tokenContract.getAccountDebt(account);
+    const creditLimitRaw = await tokenContract.getAccountCreditLimit(account);
+    console.log(
+      "Debt:",
+      hre.ethers.utils.formatUnits(debtRaw, ctx.quoteDecimals),
+      "credit limit:",
+      hre.ethers.utils.formatUnits(creditLimitRaw, ctx.quoteDecimals)
+    );
+    if (debtRaw.lte(creditLimitRaw)) throw new Error("Account is healthy");
+
+    // A margin for the interest accrued until the transaction is mined.
+    await approveIfNeeded(ctx.quote, signer, token, debtRaw.mul(101).div(100));
+    return send(
+      hre,
+      ctx,
+      "Liquidating",
+      tokenContract.connect(signer).liquidate(account, signer.address)
+    );
+  });
+
+task("wf:order", "Signs a limit or stop-loss order for the keeper")
+  .addParam("token", "Token address")
+  .addParam("side", `One of ${Object.keys(SIDES).join(", ")}`)
+  .addParam("amount", "Quote units to spend on buys, tokens to sell on sells")
+  .addParam("price", "Limit or stop price in quote per token")
+  .addOptionalParam(
+    "slippage",
+    "Percent the fill may pay out below the limit price",
+    "1"
+  )
+  .addOptionalParam("hours", "Hours until the order expires", 24, types.int)
+  .addOptionalParam("orders", "Order file the keeper reads")
+  .setAction(async (args, hre) => {
+    const { token, side, amount, price, slippage, hours, orders } = args;
+    const { ethers, network } = hre;
+    const [signer] = await ethers.getSigners();
+    const ctx = await getContracts(hre, { token });
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = loadRecord(
+      getRecordPath(network.name),
+      network.name,
+      chainId
+    );
+    const orderBook = getAddress(record, "WaveFrontOrderBook");
+
+    if (SIDES[side] === undefined) throw new Error(`Unknown side: ${side}`);
+    const isBuy = SIDES[side] === SIDES.buy;
+    const asset = isBuy
+      ? ctx.quote
+      : await ethers.getContractAt("Token", token);
+    const amountRaw = ethers.utils.parseUnits(
+      amount,
+      isBuy ? ctx.quoteDecimals : 18
+    );
+    // Allowances are only spent when an order fills.
+    await approveIfNeeded(asset, signer, orderBook, amountRaw);
+
+    const limitPrice = ethers.utils.parseUnits(price, 18);
+    const block = await ethers.provider.getBlock("latest");
+    const signed = await signOrder(signer, orderBook, {
+      token,
+      side,
+      amount: amountRaw,
+      limitPrice,
+      minAmountOut: minAmountOutAt(
+        side,
+        amountRaw,
+        limitPrice,
+        ctx.quoteDecimals,
+        slippage
+      ),
+      expiry: block.timestamp + hours * 3600,
+    });
+    const ordersPath =
+      orders ||
+      path.join(__dirname, "..", "keeper", "data", `${network.name}.json`);
+    appendOrder(ordersPath, signed);
+    console.log("Order:", signed.hash, "nonce:", signed.order.nonce);
+    console.log("Written to:", ordersPath);
+    return signed;
+  });
+
+task("wf:cancel-order", "Cancels a signed order by its nonce")
+  .addParam("nonce", "Order nonce")
+  .setAction(async ({ nonce }, hre) => {
+    const { ethers, network } = hre;
+    const [signer] = await ethers.getSigners();
+    const ctx = await getContracts(hre);
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = loadRecord(
+      getRecordPath(network.name),
+      network.name,
+      chainId
+    );
+    const orderBook = await ethers.getContractAt(
+      "WaveFrontOrderBook",
+      getAddress(record, "WaveFrontOrderBook")
+    );
+    return send(
+      hre,
+      ctx,
+      "Cancelling",
+      orderBook.connect(signer).cancel(nonce)
+    );
+  });
+
+/*===========================  END TASKS  ===========================*/
+/*===================================================================*/
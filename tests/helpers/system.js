@@ -0,0 +1,17 @@
+const { network } = require("hardhat");
+
+// Queues each `[name, args]` call on a WaveFront or router as its owner,
+// waits out MIN_DELAY and executes them in order. Returns the last
+// execution, so the revert and event matchers can wait on it.
+async function queueAndExecute(contract, calls) {
+  const data = calls.map(([name, args]) =>
+    contract.interface.encodeFunctionData(name, args)
+  );
+  for (const d of data) await contract.queue(d);
+  const delay = await contract.MIN_DELAY();
+  await network.provider.send("evm_increaseTime", [delay.toNumber()]);
+  for (const d of data.slice(0, -1)) await contract.execute(d);
+  return contract.execute(data[data.length - 1]);
+}
+
+module.exports = { queueAndExecute };
@@ -7,6 +7,28 @@ const { execPath } = require("process");
 
 const AddressZero = "0x0000000000000000000000000000000000000000";
 
+const launchParams = {
+  initialSupply: convert("1000000000", 18),
+  reserveVirtQuoteRaw: convert("100000", 6),
+  fee: 100,
+  feeSplit: 1500,
+  saleDuration: 7200,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+
 let owner, multisig, treasury, user0, user1, user2, user3;
 let usdc, wft;
 let tokenFactory, saleFactory, contentFactory, rewarderFactory;
@@ -83,7 +105,9 @@ describe("local: test0", function () {
     const wftSymbol = "wft";
     const wftUri = "https://wavefront.io/wft";
 
-    await router.connect(user0).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user0)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft created");
   });
@@ -3,10 +3,33 @@ const divDec = (amount, decimals = 18) => amount / 10 ** decimals;
 const divDec6 = (amount, decimals = 6) => amount / 10 ** decimals;
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
 const { execPath } = require("process");
 
 const AddressZero = "0x0000000000000000000000000000000000000000";
 
+const launchParams = {
+  initialSupply: convert("1000000000", 18),
+  reserveVirtQuoteRaw: convert("100000", 6),
+  fee: 100,
+  feeSplit: 1500,
+  saleDuration: 7200,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+
 let owner, multisig, treasury, user0, user1, user2, user3;
 let usdc, wft;
 let tokenFactory, saleFactory, contentFactory, rewarderFactory;
@@ -83,7 +106,9 @@ describe("local: test1", function () {
     const wftSymbol = "wft";
     const wftUri = "https://wavefront.io/wft";
 
-    await router.connect(user0).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user0)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft created");
   });
@@ -842,11 +867,14 @@ describe("local: test1", function () {
 
   it("Set wavefront treasury to treasury", async function () {
     console.log("******************************************************");
-    await expect(wavefront.connect(user0).setTreasury(treasury.address)).to.be
+    await expect(wavefront.connect(owner).setTreasury(treasury.address)).to.be
       .reverted;
-    await wavefront.connect(owner).setTreasury(treasury.address);
-    await wavefront.connect(owner).setTreasury(AddressZero);
-    await wavefront.connect(owner).setTreasury(treasury.address);
+    const data = wavefront.interface.encodeFunctionData("setTreasury", [
+      treasury.address,
+    ]);
+    await expect(wavefront.connect(user0).queue(data)).to.be.reverted;
+    await queueAndExecute(wavefront, [["setTreasury", [AddressZero]]]);
+    await queueAndExecute(wavefront, [["setTreasury", [treasury.address]]]);
     console.log("- wavefront treasury set to treasury");
   });
 
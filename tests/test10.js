@@ -0,0 +1,332 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+let owner, user0, user1, user2;
+let usdc, weth, wft, eft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+const wethDefaultVirtQuoteRaw = convert("30", 18);
+const wethMinParams = launchParams({
+  reserveVirtQuoteRaw: convert("10", 18),
+  fee: 0,
+  feeSplit: 0,
+});
+const wethMaxParams = launchParams({
+  reserveVirtQuoteRaw: convert("100", 18),
+  fee: 300,
+  feeSplit: 3333,
+});
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+describe("local: test10", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    weth = await (await ethers.getContractFactory("WETH")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await weth.mint(user.address, convert("100", 18));
+      for (const quote of [usdc, weth]) {
+        await quote
+          .connect(user)
+          .approve(router.address, ethers.constants.MaxUint256);
+      }
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("The constructor quote is whitelisted with the default bounds", async function () {
+    console.log("******************************************************");
+    expect(await wavefront.getQuotes()).to.deep.equal([usdc.address]);
+    expect(await wavefront.quote_Allowed(usdc.address)).to.equal(true);
+    expect(await wavefront.quote_DefaultVirtQuoteRaw(usdc.address)).to.equal(
+      convert("100000", 6)
+    );
+    expect(await wavefront.quote_Allowed(weth.address)).to.equal(false);
+
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken("eft", "eft", "", weth.address, launchParams()),
+      "WaveFront__QuoteNotAllowed"
+    );
+  });
+
+  it("Only the owner whitelists a quote with valid bounds", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      wavefront
+        .connect(user0)
+        .queue(
+          wavefront.interface.encodeFunctionData("setQuote", [
+            weth.address,
+            wethDefaultVirtQuoteRaw,
+            wethMinParams,
+            wethMaxParams,
+          ])
+        ),
+      "Ownable: caller is not the owner"
+    );
+    await expectRevert(
+      queueAndExecute(wavefront, [
+        [
+          "setQuote",
+          [weth.address, convert("101", 18), wethMinParams, wethMaxParams],
+        ],
+      ]),
+      "WaveFront__InvalidLaunchBounds"
+    );
+    await expectRevert(
+      queueAndExecute(wavefront, [
+        [
+          "setQuote",
+          [AddressZero, wethDefaultVirtQuoteRaw, wethMinParams, wethMaxParams],
+        ],
+      ]),
+      "WaveFront__InvalidQuote"
+    );
+
+    await expect(
+      queueAndExecute(wavefront, [
+        [
+          "setQuote",
+          [weth.address, wethDefaultVirtQuoteRaw, wethMinParams, wethMaxParams],
+        ],
+      ])
+    )
+      .to.emit(wavefront, "WaveFront__QuoteSet")
+      .withArgs(
+        weth.address,
+        wethDefaultVirtQuoteRaw,
+        Object.values(wethMinParams),
+        Object.values(wethMaxParams)
+      );
+    expect(await wavefront.getQuotes()).to.deep.equal([
+      usdc.address,
+      weth.address,
+    ]);
+    expect(
+      (await wavefront.quote_MaxParams(weth.address)).reserveVirtQuoteRaw
+    ).to.equal(convert("100", 18));
+  });
+
+  it("Creators pick the quote and its default virtual reserve", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    expect(await wft.quote()).to.equal(usdc.address);
+    expect(await wft.initialVirtQuoteRaw()).to.equal(convert("100000", 6));
+
+    const tx = await router
+      .connect(user0)
+      .createToken("eft", "eft", "", weth.address, launchParams());
+    eft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    await expect(tx)
+      .to.emit(wavefront, "WaveFront__TokenCreated")
+      .withArgs(
+        2,
+        eft.address,
+        weth.address,
+        await eft.sale(),
+        await eft.content(),
+        await eft.rewarder(),
+        "eft",
+        "eft",
+        ""
+      );
+    expect(await eft.quote()).to.equal(weth.address);
+    expect(await eft.initialVirtQuoteRaw()).to.equal(wethDefaultVirtQuoteRaw);
+    expect(await eft.reserveVirtQuoteWad()).to.equal(wethDefaultVirtQuoteRaw);
+
+    // The bounds are per quote: a USDC-sized reserve is out of range for WETH.
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken(
+          "eft",
+          "eft",
+          "",
+          weth.address,
+          launchParams({ reserveVirtQuoteRaw: convert("100000", 6) })
+        ),
+      "WaveFront__InvalidLaunchParams"
+    );
+
+    const data = await multicall.getData(eft.address, user0.address);
+    expect(data.quote).to.equal(weth.address);
+    expect(data.quoteDecimals).to.equal(18);
+    expect(data.accountQuoteBalance).to.equal(convert("100", 18));
+  });
+
+  it("The router moves each token's own quote", async function () {
+    console.log("******************************************************");
+    const sale = await eft.sale();
+    await router.connect(user0).contribute(eft.address, convert("2", 18));
+    expect(await weth.balanceOf(sale)).to.equal(convert("2", 18));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(eft.address);
+    expect(await eft.open()).to.equal(true);
+
+    const usdcBefore = await usdc.balanceOf(user1.address);
+    await router
+      .connect(user1)
+      .buy(eft.address, AddressZero, convert("1", 18), 0, 0);
+    expect(await eft.balanceOf(user1.address)).to.be.gt(0);
+    expect(await weth.balanceOf(user1.address)).to.equal(convert("99", 18));
+    expect(await usdc.balanceOf(user1.address)).to.equal(usdcBefore);
+    expect(await weth.balanceOf(router.address)).to.equal(0);
+
+    await router.connect(user2).createContent(eft.address, "ipfs://eft");
+    const content = await ethers.getContractAt("Content", await eft.content());
+    // Curation prices step by one whole unit of the quote.
+    const price = await content.getNextPrice(1);
+    expect(price).to.equal(convert("1", 18));
+    await router.connect(user1).curateContent(eft.address, 1);
+    expect(await content.ownerOf(1)).to.equal(user1.address);
+    expect(await content.getNextPrice(1)).to.equal(convert("2.1", 18));
+    expect(await weth.balanceOf(user1.address)).to.equal(
+      convert("99", 18).sub(price)
+    );
+
+    const rewarder = await ethers.getContractAt(
+      "Rewarder",
+      await eft.rewarder()
+    );
+    expect(await rewarder.getRewardTokens()).to.include(weth.address);
+  });
+
+  it("Removing a quote stops new launches only", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      wavefront
+        .connect(user0)
+        .queue(
+          wavefront.interface.encodeFunctionData("removeQuote", [weth.address])
+        ),
+      "Ownable: caller is not the owner"
+    );
+    await expect(queueAndExecute(wavefront, [["removeQuote", [weth.address]]]))
+      .to.emit(wavefront, "WaveFront__QuoteRemoved")
+      .withArgs(weth.address);
+    expect(await wavefront.getQuotes()).to.deep.equal([usdc.address]);
+    expect(await wavefront.quote_DefaultVirtQuoteRaw(weth.address)).to.equal(0);
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken("eft", "eft", "", weth.address, launchParams()),
+      "WaveFront__QuoteNotAllowed"
+    );
+    await expectRevert(
+      queueAndExecute(wavefront, [["removeQuote", [weth.address]]]),
+      "WaveFront__QuoteNotAllowed"
+    );
+
+    const tokenAmt = (await eft.balanceOf(user1.address)).div(2);
+    await eft.connect(user1).approve(router.address, tokenAmt);
+    await router.connect(user1).sell(eft.address, AddressZero, tokenAmt, 0, 0);
+    expect(await eft.balanceOf(user1.address)).to.equal(tokenAmt);
+  });
+
+  it("SDK resolves the quote per token", async function () {
+    console.log("******************************************************");
+    await queueAndExecute(wavefront, [
+      [
+        "setQuote",
+        [weth.address, wethDefaultVirtQuoteRaw, wethMinParams, wethMaxParams],
+      ],
+    ]);
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    expect(await client.getQuotes()).to.deep.equal([
+      usdc.address,
+      weth.address,
+    ]);
+
+    let error;
+    try {
+      await client.createToken({
+        name: "eft",
+        symbol: "eft",
+        quote: weth.address,
+        params: { fee: 500 },
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Launch params out of bounds: fee");
+
+    const { token } = await client.createToken({
+      name: "eft",
+      symbol: "eft",
+      quote: weth.address,
+    });
+    expect((await client.getQuote(token)).decimals).to.equal(18);
+    expect((await client.getQuote(wft.address)).decimals).to.equal(6);
+
+    await client.contribute(token, "0.5");
+    const data = await client.getTokenData(token, user2.address);
+    expect(data.quote).to.equal(weth.address);
+    expect(data.accountContributed).to.equal(convert("0.5", 18));
+
+    expect((await client.quoteBuy(wft.address, "0.5")).quoteRawIn).to.equal(
+      convert("0.5", 6)
+    );
+  });
+});
@@ -0,0 +1,318 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+const { Indexer, createStore } = require("../indexer");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const YEAR = 365n * 86400n;
+const RATE = 1000n; // 10% a year
+
+let owner, user0, user1, user2;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let startBlock;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+async function setNextTimestamp(seconds) {
+  const block = await ethers.provider.getBlock("latest");
+  const timestamp = block.timestamp + seconds;
+  await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+  return timestamp;
+}
+
+// The debt Token.getAccountDebt reports for `account` at `timestamp`.
+async function debtAt(account, timestamp) {
+  const debt = (await wft.account_DebtRaw(account)).toBigInt();
+  const last = (await wft.account_LastAccrued(account)).toBigInt();
+  const numerator = debt * RATE * (BigInt(timestamp) - last);
+  const denominator = 10_000n * YEAR;
+  return debt + (numerator + denominator - 1n) / denominator;
+}
+
+describe("local: test11", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    startBlock = (await wavefront.deployTransaction.wait()).blockNumber;
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc
+        .connect(user)
+        .approve(router.address, ethers.constants.MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Borrow rates are bounded per quote", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken(
+          "wft",
+          "wft",
+          "",
+          usdc.address,
+          launchParams({ borrowRate: RATE })
+        ),
+      "WaveFront__InvalidLaunchParams"
+    );
+
+    const defaults = launchParams({
+      reserveVirtQuoteRaw: convert("100000", 6),
+    });
+    await expectRevert(
+      queueAndExecute(wavefront, [
+        [
+          "setQuote",
+          [
+            usdc.address,
+            convert("100000", 6),
+            defaults,
+            {
+              ...defaults,
+              borrowRate: 5001,
+            },
+          ],
+        ],
+      ]),
+      "WaveFront__InvalidLaunchBounds"
+    );
+    await queueAndExecute(wavefront, [
+      [
+        "setQuote",
+        [
+          usdc.address,
+          convert("100000", 6),
+          defaults,
+          {
+            ...defaults,
+            borrowRate: 5000,
+          },
+        ],
+      ],
+    ]);
+
+    await router
+      .connect(user0)
+      .createToken(
+        "wft",
+        "wft",
+        "",
+        usdc.address,
+        launchParams({ borrowRate: RATE })
+      );
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    expect(await wft.borrowRate()).to.equal(RATE);
+    const data = await multicall.getData(wft.address, AddressZero);
+    expect(data.launchParams.borrowRate).to.equal(RATE);
+
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+    await router
+      .connect(user1)
+      .buy(wft.address, AddressZero, convert("1000", 6), 0, 0);
+  });
+
+  it("Debt accrues interest and locks more collateral", async function () {
+    console.log("******************************************************");
+    const credit0 = await wft.getAccountCredit(user0.address);
+    await wft.connect(user0).borrow(user0.address, credit0);
+    const credit1 = await wft.getAccountCredit(user1.address);
+    await wft.connect(user1).borrow(user1.address, credit1.div(2));
+    expect(await wft.getAccountTransferrable(user0.address)).to.equal(0);
+
+    await network.provider.send("evm_increaseTime", [Number(YEAR)]);
+    await network.provider.send("evm_mine");
+
+    // A year at 10% adds a tenth, give or take the seconds since.
+    const debt0 = await wft.getAccountDebt(user0.address);
+    expect(debt0).to.be.gte(credit0.mul(11).div(10));
+    expect(debt0).to.be.lt(credit0.mul(11).div(10).add(100));
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(credit0);
+    expect(await wft.getAccountCredit(user0.address)).to.equal(0);
+
+    const data = await multicall.getData(wft.address, user0.address);
+    expect(data.accountDebt).to.be.gte(debt0);
+    expect(data.accountInterest).to.equal(data.accountDebt.sub(credit0));
+    expect(data.accountHealth).to.be.lt(convert("1", 18));
+    expect(
+      (await multicall.getData(wft.address, user2.address)).accountHealth
+    ).to.equal(ethers.constants.MaxUint256);
+
+    // The half-used credit line is still healthy, with less to move freely.
+    const data1 = await multicall.getData(wft.address, user1.address);
+    expect(data1.accountHealth).to.be.gt(convert("1", 18));
+    expect(data1.accountTransferrable).to.be.lt(data1.accountTokenBalance);
+  });
+
+  it("Repaid interest heals the reserves", async function () {
+    console.log("******************************************************");
+    const principal = await wft.account_DebtRaw(user1.address);
+    const floor = await wft.getFloorPrice();
+    const reserve = await wft.reserveRealQuoteWad();
+
+    await usdc.connect(user1).approve(wft.address, ethers.constants.MaxUint256);
+    const timestamp = await setNextTimestamp(60);
+    const debt = await debtAt(user1.address, timestamp);
+    const interest = debt - principal.toBigInt();
+    await expect(wft.connect(user1).repay(user1.address, debt))
+      .to.emit(wft, "Token__InterestAccrued")
+      .withArgs(user1.address, interest)
+      .and.to.emit(wft, "Token__Heal")
+      .withArgs(user1.address, interest);
+
+    expect(await wft.account_DebtRaw(user1.address)).to.equal(0);
+    expect(await wft.account_InterestRaw(user1.address)).to.equal(0);
+    expect(await wft.reserveRealQuoteWad()).to.equal(
+      reserve.add(await wft.rawToWad(interest))
+    );
+    expect(await wft.getFloorPrice()).to.be.gt(floor);
+    expect(await wft.getAccountTransferrable(user1.address)).to.equal(
+      await wft.balanceOf(user1.address)
+    );
+  });
+
+  it("Unhealthy accounts are liquidated for the debt plus a bonus", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      wft.connect(user2).liquidate(user1.address, user2.address),
+      "Token__NotLiquidatable"
+    );
+
+    // Buying lifts the market price over the floor the debt was lent at.
+    await router
+      .connect(user1)
+      .buy(wft.address, AddressZero, convert("50000", 6), 0, 0);
+
+    const balance = await wft.balanceOf(user0.address);
+    const reserveToken = await wft.reserveTokenAmt();
+    const reserveQuote = (await wft.reserveVirtQuoteWad()).add(
+      await wft.reserveRealQuoteWad()
+    );
+    await usdc.connect(user2).approve(wft.address, ethers.constants.MaxUint256);
+    const timestamp = await setNextTimestamp(60);
+    const debt = await debtAt(user0.address, timestamp);
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    const quoteBefore = await usdc.balanceOf(user2.address);
+    const { tokenAmt, receipt } = await client.liquidate(
+      wft.address,
+      user0.address
+    );
+    const event = receipt.events.find((e) => e.event === "Token__Liquidate");
+
+    // Seized at the market price, the account keeps the rest.
+    const seized = reserveToken
+      .mul(await wft.rawToWad(debt))
+      .mul(10500)
+      .div(reserveQuote.mul(10000));
+    expect(seized).to.be.lt(balance);
+    expect(tokenAmt).to.equal(seized);
+    expect(event.args.who).to.equal(user2.address);
+    expect(event.args.account).to.equal(user0.address);
+    expect(event.args.debtRaw).to.equal(debt);
+    expect(quoteBefore.sub(await usdc.balanceOf(user2.address))).to.equal(debt);
+    expect(await wft.balanceOf(user0.address)).to.equal(balance.sub(seized));
+    expect(await wft.getAccountTransferrable(user0.address)).to.equal(
+      balance.sub(seized)
+    );
+    expect(await wft.balanceOf(user2.address)).to.equal(seized);
+    expect(await wft.getAccountTransferrable(user2.address)).to.equal(seized);
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(0);
+    expect(await wft.totalDebtRaw()).to.equal(0);
+
+    // The indexer follows accrual and liquidation into its debt view.
+    const { chainId } = await ethers.provider.getNetwork();
+    const indexer = new Indexer(
+      ethers.provider,
+      createStore({ chainId, wavefront: wavefront.address, startBlock }),
+      { confirmations: 0 }
+    );
+    await indexer.sync();
+    expect(indexer.state.debts[wft.address]).to.deep.equal({});
+    expect(indexer.state.holders[wft.address][user2.address]).to.equal(
+      seized.toString()
+    );
+  });
+
+  it("Interest free tokens never become liquidatable", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user0)
+      .createToken("free", "free", "", usdc.address, launchParams());
+    const free = await ethers.getContractAt(
+      "Token",
+      await tokenFactory.lastToken()
+    );
+    await router.connect(user1).contribute(free.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user1).redeem(free.address);
+
+    const credit = await free.getAccountCredit(user1.address);
+    await free.connect(user1).borrow(user1.address, credit);
+    await network.provider.send("evm_increaseTime", [Number(YEAR)]);
+    await network.provider.send("evm_mine");
+
+    expect(await free.getAccountDebt(user1.address)).to.equal(credit);
+    expect(await free.account_LastAccrued(user1.address)).to.equal(0);
+    await expectRevert(
+      free.connect(user2).liquidate(user1.address, user2.address),
+      "Token__NotLiquidatable"
+    );
+  });
+});
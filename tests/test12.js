@@ -0,0 +1,277 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+describe("local: test12", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Delegates borrow within their allowance", async function () {
+    console.log("******************************************************");
+    const credit = await wft.getAccountCredit(user0.address);
+    await expectRevert(
+      wft.connect(user1).borrowFor(user0.address, user1.address, 1),
+      "Token__BorrowAllowanceExceeded"
+    );
+
+    await expect(wft.connect(user0).approveBorrow(user1.address, credit))
+      .to.emit(wft, "Token__BorrowApproval")
+      .withArgs(user0.address, user1.address, credit);
+    await expect(
+      wft.connect(user1).borrowFor(user0.address, user2.address, credit.div(2))
+    )
+      .to.emit(wft, "Token__Borrow")
+      .withArgs(user0.address, user2.address, credit.div(2));
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(credit.div(2));
+    expect(await wft.borrowAllowance(user0.address, user1.address)).to.equal(
+      credit.sub(credit.div(2))
+    );
+    await expectRevert(
+      wft.connect(user1).borrowFor(user0.address, user1.address, credit),
+      "Token__BorrowAllowanceExceeded"
+    );
+
+    // An unlimited allowance is never spent down.
+    await wft.connect(user0).approveBorrow(user1.address, MaxUint256);
+    await wft.connect(user1).borrowFor(user0.address, user1.address, 1);
+    expect(await wft.borrowAllowance(user0.address, user1.address)).to.equal(
+      MaxUint256
+    );
+
+    await usdc.connect(user0).approve(wft.address, MaxUint256);
+    await wft
+      .connect(user0)
+      .repay(user0.address, await wft.account_DebtRaw(user0.address));
+    await wft.connect(user0).approveBorrow(user1.address, 0);
+  });
+
+  it("leverageBuy loops borrowed credit into the position", async function () {
+    console.log("******************************************************");
+    const amount = convert("1000", 6);
+    await expectRevert(
+      router.connect(user1).leverageBuy(wft.address, amount, 11, 0, 0),
+      "WaveFrontRouter__InvalidLoops"
+    );
+    await expectRevert(
+      router.connect(user1).leverageBuy(wft.address, amount, 2, 0, 0),
+      "Token__BorrowAllowanceExceeded"
+    );
+
+    // A plain buy of the same size for comparison.
+    const snapshot = await network.provider.send("evm_snapshot");
+    await router.connect(user1).buy(wft.address, AddressZero, amount, 0, 0);
+    const plain = await wft.balanceOf(user1.address);
+    await network.provider.send("evm_revert", [snapshot]);
+
+    await wft.connect(user1).approveBorrow(router.address, MaxUint256);
+    const expected = await router
+      .connect(user1)
+      .callStatic.leverageBuy(wft.address, amount, 2, 0, 0);
+    await expectRevert(
+      router
+        .connect(user1)
+        .leverageBuy(wft.address, amount, 2, expected.add(1), 0),
+      "WaveFrontRouter__Slippage"
+    );
+
+    const tx = await router
+      .connect(user1)
+      .leverageBuy(wft.address, amount, 2, expected, 0);
+    const balance = await wft.balanceOf(user1.address);
+    const debt = await wft.account_DebtRaw(user1.address);
+    await expect(tx)
+      .to.emit(router, "WaveFrontRouter__LeverageBuy")
+      .withArgs(wft.address, user1.address, amount, expected, debt, balance);
+
+    expect(balance).to.equal(expected);
+    expect(balance).to.be.gt(plain);
+    expect(debt).to.be.gt(0);
+    expect(await wft.getAccountTransferrable(user1.address)).to.be.lt(balance);
+    expect(await usdc.balanceOf(router.address)).to.equal(0);
+    expect(await wft.balanceOf(router.address)).to.equal(0);
+  });
+
+  it("deleverageSell repays the debt and pays out the rest", async function () {
+    console.log("******************************************************");
+    const balance = await wft.balanceOf(user1.address);
+    await wft.connect(user1).approve(router.address, MaxUint256);
+    await expectRevert(
+      router.connect(user1).deleverageSell(wft.address, balance.add(1), 0, 0),
+      "WaveFrontRouter__InsufficientBalance"
+    );
+
+    const tokenAmt = balance.div(2);
+    const expected = await router
+      .connect(user1)
+      .callStatic.deleverageSell(wft.address, tokenAmt, 0, 0);
+    await expectRevert(
+      router
+        .connect(user1)
+        .deleverageSell(wft.address, tokenAmt, expected.add(1), 0),
+      "WaveFrontRouter__Slippage"
+    );
+
+    const debtBefore = await wft.account_DebtRaw(user1.address);
+    const quoteBefore = await usdc.balanceOf(user1.address);
+    const tx = await router
+      .connect(user1)
+      .deleverageSell(wft.address, tokenAmt, expected, 0);
+    const debt = await wft.account_DebtRaw(user1.address);
+    await expect(tx)
+      .to.emit(router, "WaveFrontRouter__DeleverageSell")
+      .withArgs(
+        wft.address,
+        user1.address,
+        tokenAmt,
+        expected,
+        debt,
+        balance.sub(tokenAmt)
+      );
+    expect(debt).to.be.lt(debtBefore);
+    expect((await usdc.balanceOf(user1.address)).sub(quoteBefore)).to.equal(
+      expected
+    );
+    expect(await usdc.balanceOf(router.address)).to.equal(0);
+  });
+
+  it("deleverageSell unwinds a fully borrowed position", async function () {
+    console.log("******************************************************");
+    await wft
+      .connect(user0)
+      .borrow(user0.address, await wft.getAccountCredit(user0.address));
+    const balance = await wft.balanceOf(user0.address);
+    const debtBefore = await wft.account_DebtRaw(user0.address);
+    expect(await wft.getAccountCredit(user0.address)).to.equal(0);
+    expect(await wft.getAccountTransferrable(user0.address)).to.be.lt(
+      balance.div(1000)
+    );
+
+    await wft.connect(user0).approve(router.address, MaxUint256);
+    const expected = await router
+      .connect(user0)
+      .callStatic.deleverageSell(wft.address, balance, 0, 0);
+    const quoteBefore = await usdc.balanceOf(user0.address);
+    const reserveBefore = await usdc.balanceOf(wft.address);
+    await expect(
+      router.connect(user0).deleverageSell(wft.address, balance, expected, 0)
+    )
+      .to.emit(wft, "Token__Repay")
+      .withArgs(router.address, user0.address, debtBefore)
+      .and.to.emit(router, "WaveFrontRouter__DeleverageSell")
+      .withArgs(wft.address, user0.address, balance, expected, 0, 0);
+
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(0);
+    expect(await wft.balanceOf(user0.address)).to.equal(0);
+    expect(expected).to.be.gt(0);
+    expect((await usdc.balanceOf(user0.address)).sub(quoteBefore)).to.equal(
+      expected
+    );
+    // Only the proceeds above the debt left the token.
+    expect(reserveBefore.sub(await usdc.balanceOf(wft.address))).to.equal(
+      expected
+    );
+    expect(await usdc.balanceOf(router.address)).to.equal(0);
+    expect(await wft.balanceOf(router.address)).to.equal(0);
+  });
+
+  it("SDK leverages and unwinds a position", async function () {
+    console.log("******************************************************");
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    const { tokenAmtOut, debtRaw } = await client.leverageBuy(
+      wft.address,
+      "500",
+      { loops: 3 }
+    );
+    expect(await wft.balanceOf(user2.address)).to.equal(tokenAmtOut);
+    expect(await wft.account_DebtRaw(user2.address)).to.equal(debtRaw);
+    expect(await wft.borrowAllowance(user2.address, router.address)).to.equal(
+      MaxUint256
+    );
+
+    const quoteBefore = await usdc.balanceOf(user2.address);
+    const { quoteRawOut, debtRaw: debtAfter } = await client.deleverageSell(
+      wft.address,
+      tokenAmtOut
+    );
+    expect(debtAfter).to.equal(0);
+    expect(await wft.balanceOf(user2.address)).to.equal(0);
+    expect((await usdc.balanceOf(user2.address)).sub(quoteBefore)).to.equal(
+      quoteRawOut
+    );
+  });
+});
@@ -0,0 +1,229 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+function getClient(signer) {
+  return new WaveFrontClient(signer, {
+    wavefront: wavefront.address,
+    multicall: multicall.address,
+    router: router.address,
+  });
+}
+
+function borrowWithSig(signer, approval, quoteRaw, to = signer.address) {
+  const { account, allowance, deadline, v, r, s } = approval;
+  return wft
+    .connect(signer)
+    .borrowWithSig(account, to, quoteRaw, allowance, deadline, v, r, s);
+}
+
+describe("local: test13", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("A signed approval lets its delegate borrow once", async function () {
+    console.log("******************************************************");
+    const allowance = convert("100", 6);
+    const approval = await getClient(user0).signBorrowApproval(
+      wft.address,
+      user1.address,
+      allowance
+    );
+    expect(approval.account).to.equal(user0.address);
+    expect(await wft.nonces(user0.address)).to.equal(0);
+
+    // The signature names its delegate, nobody else can use it.
+    await expectRevert(
+      borrowWithSig(user2, approval, convert("10", 6)),
+      "Token__InvalidSignature"
+    );
+    await expectRevert(
+      borrowWithSig(user1, { ...approval, allowance: MaxUint256 }, 1),
+      "Token__InvalidSignature"
+    );
+    await expectRevert(
+      borrowWithSig(user1, approval, allowance.add(1)),
+      "Token__BorrowAllowanceExceeded"
+    );
+
+    const quoteBefore = await usdc.balanceOf(user2.address);
+    await expect(
+      borrowWithSig(user1, approval, convert("40", 6), user2.address)
+    )
+      .to.emit(wft, "Token__BorrowApproval")
+      .withArgs(user0.address, user1.address, allowance)
+      .and.to.emit(wft, "Token__Borrow")
+      .withArgs(user0.address, user2.address, convert("40", 6));
+    expect((await usdc.balanceOf(user2.address)).sub(quoteBefore)).to.equal(
+      convert("40", 6)
+    );
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(convert("40", 6));
+    expect(await wft.nonces(user0.address)).to.equal(1);
+    expect(await wft.borrowAllowance(user0.address, user1.address)).to.equal(
+      convert("60", 6)
+    );
+
+    // The nonce is spent, the rest of the allowance goes through borrowFor.
+    await expectRevert(
+      borrowWithSig(user1, approval, 1),
+      "Token__InvalidSignature"
+    );
+    await wft
+      .connect(user1)
+      .borrowFor(user0.address, user1.address, convert("60", 6));
+    expect(await wft.borrowAllowance(user0.address, user1.address)).to.equal(0);
+  });
+
+  it("Expired and foreign signatures are rejected", async function () {
+    console.log("******************************************************");
+    const block = await ethers.provider.getBlock("latest");
+    const expired = await getClient(user0).signBorrowApproval(
+      wft.address,
+      user1.address,
+      "10",
+      { deadline: block.timestamp - 1 }
+    );
+    await expectRevert(
+      borrowWithSig(user1, expired, convert("10", 6)),
+      "Token__Expired"
+    );
+
+    // user2 has no say over user0's credit.
+    const foreign = await getClient(user2).signBorrowApproval(
+      wft.address,
+      user1.address,
+      "10"
+    );
+    await expectRevert(
+      borrowWithSig(user1, { ...foreign, account: user0.address }, 1),
+      "Token__InvalidSignature"
+    );
+
+    // Credit checks still apply to the account.
+    const credit = await wft.getAccountCredit(user0.address);
+    const approval = await getClient(user0).signBorrowApproval(
+      wft.address,
+      user1.address,
+      MaxUint256
+    );
+    await expectRevert(
+      borrowWithSig(user1, approval, credit.add(1)),
+      "Token__CreditExceeded"
+    );
+  });
+
+  it("The SDK borrows as a delegate", async function () {
+    console.log("******************************************************");
+    const approval = await getClient(user0).signBorrowApproval(
+      wft.address,
+      user2.address,
+      MaxUint256
+    );
+    const debt = await wft.account_DebtRaw(user0.address);
+    const receipt = await getClient(user2).borrowWithSig(
+      wft.address,
+      approval,
+      "5"
+    );
+    expect(receipt.status).to.equal(1);
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(
+      debt.add(convert("5", 6))
+    );
+    expect(await wft.borrowAllowance(user0.address, user2.address)).to.equal(
+      MaxUint256
+    );
+  });
+
+  it("Anyone repays on behalf, never more than the debt", async function () {
+    console.log("******************************************************");
+    const debt = await wft.account_DebtRaw(user0.address);
+    await usdc.connect(user2).approve(wft.address, MaxUint256);
+    await expectRevert(
+      wft.connect(user2).repay(user0.address, debt.add(1)),
+      "Token__RepayExceedsDebt"
+    );
+    await expectRevert(
+      wft.connect(user2).repay(user1.address, 1),
+      "Token__RepayExceedsDebt"
+    );
+
+    await expect(wft.connect(user2).repay(user0.address, debt))
+      .to.emit(wft, "Token__Repay")
+      .withArgs(user2.address, user0.address, debt);
+    expect(await wft.account_DebtRaw(user0.address)).to.equal(0);
+    expect(await wft.totalDebtRaw()).to.equal(0);
+    expect(await wft.getAccountTransferrable(user0.address)).to.equal(
+      await wft.balanceOf(user0.address)
+    );
+  });
+});
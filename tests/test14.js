@@ -0,0 +1,309 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+const { getDomain } = require("../sdk/permit");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+let owner, user0, user1, user2;
+let usdc, weth, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+async function getDeadline() {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp + 300;
+}
+
+// Builds and signs the EIP-2612 typed data by hand for `signer` to let the
+// router pull `value` of `erc20`.
+async function permit(signer, erc20, value) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const deadline = await getDeadline();
+  const signature = await signer._signTypedData(
+    {
+      name: await erc20.name(),
+      version: "1",
+      chainId,
+      verifyingContract: erc20.address,
+    },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    {
+      owner: signer.address,
+      spender: router.address,
+      value,
+      nonce: await erc20.nonces(signer.address),
+      deadline,
+    }
+  );
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return [deadline, v, r, s];
+}
+
+describe("local: test14", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    weth = await (await ethers.getContractFactory("WETH")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    // No approvals to the router, everything goes through permits.
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+    }
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("contributeWithPermit needs no approve", async function () {
+    console.log("******************************************************");
+    const amount = convert("1000", 6);
+    await expectRevert(
+      router.connect(user0).contribute(wft.address, amount),
+      "ERC20: insufficient allowance"
+    );
+
+    await router
+      .connect(user0)
+      .contributeWithPermit(
+        wft.address,
+        amount,
+        ...(await permit(user0, usdc, amount))
+      );
+    const sale = await ethers.getContractAt("Sale", await wft.sale());
+    expect(await sale.account_QuoteRaw(user0.address)).to.equal(amount);
+    expect(await usdc.allowance(user0.address, router.address)).to.equal(0);
+    expect(await usdc.nonces(user0.address)).to.equal(1);
+
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+    expect(await wft.open()).to.equal(true);
+  });
+
+  it("buyWithPermit and sellWithPermit trade in one transaction", async function () {
+    console.log("******************************************************");
+    const amount = convert("500", 6);
+    await expect(
+      router
+        .connect(user1)
+        .buyWithPermit(
+          wft.address,
+          AddressZero,
+          amount,
+          0,
+          0,
+          ...(await permit(user1, usdc, amount))
+        )
+    ).to.emit(router, "WaveFrontRouter__Buy");
+    const balance = await wft.balanceOf(user1.address);
+    expect(balance).to.be.gt(0);
+    expect(await usdc.balanceOf(router.address)).to.equal(0);
+
+    // The launched token signs in its own domain.
+    const tokenAmt = balance.div(2);
+    const quoteBefore = await usdc.balanceOf(user1.address);
+    await router
+      .connect(user1)
+      .sellWithPermit(
+        wft.address,
+        AddressZero,
+        tokenAmt,
+        0,
+        0,
+        ...(await permit(user1, wft, tokenAmt))
+      );
+    expect(await wft.balanceOf(user1.address)).to.equal(balance.sub(tokenAmt));
+    expect(await usdc.balanceOf(user1.address)).to.be.gt(quoteBefore);
+    expect(await wft.nonces(user1.address)).to.equal(1);
+  });
+
+  it("A front-run or unusable permit falls back to the allowance", async function () {
+    console.log("******************************************************");
+    const amount = convert("100", 6);
+    const args = await permit(user2, usdc, amount);
+    // Someone submits the signature first, the allowance is already there.
+    await usdc
+      .connect(user1)
+      .permit(user2.address, router.address, amount, ...args);
+    await router
+      .connect(user2)
+      .buyWithPermit(wft.address, AddressZero, amount, 0, 0, ...args);
+    expect(await wft.balanceOf(user2.address)).to.be.gt(0);
+
+    // A spent signature without an allowance fails on the transfer.
+    await expectRevert(
+      router
+        .connect(user2)
+        .buyWithPermit(wft.address, AddressZero, amount, 0, 0, ...args),
+      "ERC20: insufficient allowance"
+    );
+
+    // Assets without EIP-2612 still work when approved beforehand.
+    await queueAndExecute(wavefront, [
+      [
+        "setQuote",
+        [
+          weth.address,
+          convert("30", 18),
+          launchParams({ reserveVirtQuoteRaw: convert("10", 18) }),
+          launchParams({ reserveVirtQuoteRaw: convert("100", 18) }),
+        ],
+      ],
+    ]);
+    await router
+      .connect(user0)
+      .createToken("eft", "eft", "", weth.address, launchParams());
+    const eft = await tokenFactory.lastToken();
+    await weth.mint(user2.address, convert("1", 18));
+    await weth.connect(user2).approve(router.address, convert("1", 18));
+    await router
+      .connect(user2)
+      .contributeWithPermit(
+        eft,
+        convert("1", 18),
+        0,
+        0,
+        ethers.constants.HashZero,
+        ethers.constants.HashZero
+      );
+    expect(await weth.balanceOf(user2.address)).to.equal(0);
+  });
+
+  it("curateWithPermit caps the price at the signed amount", async function () {
+    console.log("******************************************************");
+    await router.connect(user0).createContent(wft.address, "ipfs://content");
+    const content = await ethers.getContractAt("Content", await wft.content());
+    const price = await content.getNextPrice(1);
+
+    await expectRevert(
+      router
+        .connect(user1)
+        .curateWithPermit(
+          wft.address,
+          1,
+          price.sub(1),
+          ...(await permit(user1, usdc, price.sub(1)))
+        ),
+      "WaveFrontRouter__Slippage"
+    );
+
+    const maxPrice = price.mul(2);
+    await expect(
+      router
+        .connect(user1)
+        .curateWithPermit(
+          wft.address,
+          1,
+          maxPrice,
+          ...(await permit(user1, usdc, maxPrice))
+        )
+    )
+      .to.emit(router, "WaveFrontRouter__ContentCurated")
+      .withArgs(wft.address, content.address, user1.address, price, 1);
+    expect(await content.ownerOf(1)).to.equal(user1.address);
+    expect(await usdc.allowance(user1.address, router.address)).to.equal(
+      maxPrice.sub(price)
+    );
+  });
+
+  it("SDK signs permits in place of approvals", async function () {
+    console.log("******************************************************");
+    const [, , , , user3] = await ethers.getSigners();
+    await usdc.mint(user3.address, convert("1000", 6));
+    const client = new WaveFrontClient(user3, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(await getDomain(wft.address, user3)).to.deep.equal({
+      name: "wft",
+      version: "1",
+      chainId,
+      verifyingContract: wft.address,
+    });
+
+    const { tokenAmtOut } = await client.buy(wft.address, "100", {
+      permit: true,
+    });
+    const { quoteRawOut } = await client.sell(wft.address, tokenAmtOut.div(2), {
+      permit: true,
+    });
+    expect(quoteRawOut).to.be.gt(0);
+    const { price } = await client.curate(wft.address, 1, { permit: true });
+    const content = await ethers.getContractAt("Content", await wft.content());
+    expect(await content.ownerOf(1)).to.equal(user3.address);
+    expect(price).to.be.gt(0);
+
+    await router
+      .connect(user0)
+      .createToken("pft", "pft", "", usdc.address, launchParams());
+    const pft = await tokenFactory.lastToken();
+    await client.contribute(pft, "10", { permit: true });
+
+    // Not a single approve was sent.
+    expect(await usdc.nonces(user3.address)).to.equal(3);
+    expect(await usdc.allowance(user3.address, router.address)).to.equal(0);
+    expect(await wft.allowance(user3.address, router.address)).to.equal(0);
+  });
+});
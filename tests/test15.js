@@ -0,0 +1,289 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { launchParams } = require("../sdk/launchParams");
+const { minAmountOutAt, signOrder, SIDES } = require("../sdk/orders");
+const { Keeper, appendOrder } = require("../keeper");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2, keeper;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, router, orderBook;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+async function expiryIn(seconds) {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp + seconds;
+}
+
+async function buy(user, amount) {
+  await router
+    .connect(user)
+    .buy(wft.address, AddressZero, convert(amount, 6), 0, 0);
+}
+
+async function sell(user, tokenAmt) {
+  await router.connect(user).sell(wft.address, AddressZero, tokenAmt, 0, 0);
+}
+
+// Signs a `side` order for `user` with its limit `bps` basis points away
+// from the current market price.
+async function order(user, side, amount, bps, params = {}) {
+  const price = await wft.getMarketPrice();
+  return signOrder(user, orderBook.address, {
+    token: wft.address,
+    side,
+    amount,
+    limitPrice: price.mul(10_000 + bps).div(10_000),
+    minAmountOut: 0,
+    expiry: await expiryIn(3600),
+    ...params,
+  });
+}
+
+function fill(signed, signer = keeper) {
+  return orderBook.connect(signer).fill(signed.order, signed.signature);
+}
+
+describe("local: test15", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, keeper] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    orderBook = await (
+      await ethers.getContractFactory("WaveFrontOrderBook")
+    ).deploy();
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      for (const spender of [router, orderBook]) {
+        await usdc.connect(user).approve(spender.address, MaxUint256);
+        await wft.connect(user).approve(spender.address, MaxUint256);
+      }
+    }
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+    await buy(user1, "5000");
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Only the account's own live signature fills", async function () {
+    console.log("******************************************************");
+    const signed = await order(user0, "sell", convert("10", 18), -100);
+    expect(await orderBook.hashOrder(signed.order)).to.equal(signed.hash);
+
+    await expectRevert(
+      fill({ ...signed, order: { ...signed.order, amount: "11" } }),
+      "WaveFrontOrderBook__InvalidSignature"
+    );
+    const forged = await signOrder(user2, orderBook.address, {
+      ...signed.order,
+      nonce: signed.order.nonce,
+    });
+    await expectRevert(
+      fill({ ...forged, order: { ...forged.order, account: user0.address } }),
+      "WaveFrontOrderBook__InvalidSignature"
+    );
+
+    const expired = await order(user0, "sell", convert("10", 18), -100, {
+      expiry: await expiryIn(-1),
+    });
+    await expectRevert(fill(expired), "WaveFrontOrderBook__Expired");
+
+    await expect(orderBook.connect(user0).cancel(signed.order.nonce))
+      .to.emit(orderBook, "WaveFrontOrderBook__Cancelled")
+      .withArgs(user0.address, signed.order.nonce);
+    await expectRevert(fill(signed), "WaveFrontOrderBook__NonceUsed");
+  });
+
+  it("Limit buys fill once the price falls to the limit", async function () {
+    console.log("******************************************************");
+    const amount = convert("100", 6);
+    const signed = await order(user2, "buy", amount, -200);
+    expect(await orderBook.isTriggered(signed.order)).to.equal(false);
+    await expectRevert(fill(signed), "WaveFrontOrderBook__PriceNotReached");
+
+    await sell(user1, (await wft.balanceOf(user1.address)).div(2));
+    expect(await orderBook.isTriggered(signed.order)).to.equal(true);
+
+    const keeperBefore = await usdc.balanceOf(keeper.address);
+    const tokenAmtOut = await orderBook
+      .connect(keeper)
+      .callStatic.fill(signed.order, signed.signature);
+    await expect(fill(signed))
+      .to.emit(orderBook, "WaveFrontOrderBook__Filled")
+      .withArgs(
+        signed.hash,
+        user2.address,
+        wft.address,
+        keeper.address,
+        SIDES.buy,
+        amount,
+        tokenAmtOut
+      );
+    expect(await wft.balanceOf(user2.address)).to.equal(tokenAmtOut);
+    // The keeper is paid the provider share of the buy fee.
+    expect(await usdc.balanceOf(keeper.address)).to.be.gt(keeperBefore);
+    expect(await usdc.balanceOf(orderBook.address)).to.equal(0);
+
+    expect(
+      await orderBook.account_NonceUsed(user2.address, signed.order.nonce)
+    ).to.equal(true);
+    await expectRevert(fill(signed), "WaveFrontOrderBook__NonceUsed");
+  });
+
+  it("Limit sells never push the price below the limit", async function () {
+    console.log("******************************************************");
+    const balance = await wft.balanceOf(user1.address);
+    const signed = await order(user1, "sell", balance.div(10), 100);
+    await expectRevert(fill(signed), "WaveFrontOrderBook__PriceNotReached");
+
+    await buy(user0, "2000");
+    // All of it would move the price through the limit.
+    const greedy = await order(user1, "sell", balance, -10);
+    await expectRevert(fill(greedy), "WaveFrontOrderBook__PriceNotReached");
+
+    const quoteBefore = await usdc.balanceOf(user1.address);
+    await fill(signed);
+    expect(await wft.balanceOf(user1.address)).to.equal(
+      balance.sub(balance.div(10))
+    );
+    expect(await usdc.balanceOf(user1.address)).to.be.gt(quoteBefore);
+    expect(await wft.getMarketPrice()).to.be.gte(signed.order.limitPrice);
+  });
+
+  it("Stop-losses sell once the price drops to the stop", async function () {
+    console.log("******************************************************");
+    const tokenAmt = await wft.balanceOf(user2.address);
+    const signed = await order(user2, "stopLoss", tokenAmt, -100);
+    await expectRevert(fill(signed), "WaveFrontOrderBook__PriceNotReached");
+
+    await sell(user1, (await wft.balanceOf(user1.address)).div(2));
+    await fill(signed);
+    expect(await wft.balanceOf(user2.address)).to.equal(0);
+    expect(await wft.getMarketPrice()).to.be.lt(signed.order.limitPrice);
+  });
+
+  it("Stop-losses refuse a fill below their minimum", async function () {
+    console.log("******************************************************");
+    await usdc.mint(keeper.address, convert("20000", 6));
+    await usdc.connect(keeper).approve(router.address, MaxUint256);
+    await wft.connect(keeper).approve(router.address, MaxUint256);
+    await buy(keeper, "20000");
+    await buy(user2, "200");
+
+    const tokenAmt = await wft.balanceOf(user2.address);
+    const limitPrice = (await wft.getMarketPrice()).mul(9_900).div(10_000);
+    const signed = await order(user2, "stopLoss", tokenAmt, -100, {
+      minAmountOut: minAmountOutAt("stopLoss", tokenAmt, limitPrice, 6, 5),
+    });
+
+    // The keeper dumps to trigger the stop far below it, then fills.
+    await sell(keeper, await wft.balanceOf(keeper.address));
+    expect(await orderBook.isTriggered(signed.order)).to.equal(true);
+    await expectRevert(fill(signed), "Token__Slippage");
+    expect(await wft.balanceOf(user2.address)).to.equal(tokenAmt);
+    expect(
+      await orderBook.account_NonceUsed(user2.address, signed.order.nonce)
+    ).to.equal(false);
+  });
+
+  it("The keeper fills orders when swaps trigger them", async function () {
+    console.log("******************************************************");
+    const ordersPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")),
+      "orders.json"
+    );
+    const bot = new Keeper(keeper, orderBook.address, { ordersPath });
+
+    const dip = await order(user2, "buy", convert("50", 6), -100);
+    const later = await order(user2, "buy", convert("50", 6), -100, {
+      expiry: await expiryIn(60),
+    });
+    const cancelled = await order(user2, "buy", convert("50", 6), 500);
+    const unfunded = await order(user0, "sell", convert("1", 30), 500);
+    for (const signed of [dip, later, cancelled, unfunded]) {
+      appendOrder(ordersPath, signed);
+    }
+    appendOrder(ordersPath, dip);
+    await orderBook.connect(user2).cancel(cancelled.order.nonce);
+
+    // Nothing is triggered yet, the cancelled order is dropped.
+    expect(await bot.sync()).to.deep.equal([]);
+    expect([...bot.orders.keys()]).to.deep.equal([
+      dip.hash,
+      later.hash,
+      unfunded.hash,
+    ]);
+
+    await sell(user0, (await wft.balanceOf(user0.address)).div(2));
+    const fills = await bot.sync();
+    expect(fills.map(({ hash }) => hash)).to.deep.equal([dip.hash, later.hash]);
+    expect(fills[0].receipt.status).to.equal(1);
+    expect(
+      await orderBook.account_NonceUsed(user2.address, dip.order.nonce)
+    ).to.equal(true);
+
+    expect([...bot.orders.keys()]).to.deep.equal([unfunded.hash]);
+
+    // The keeper's own fills are swaps too, so the next sync tries the
+    // token's orders again and drops the unfunded sell once it expired.
+    // Filled orders stay out even though the file still has them.
+    await network.provider.send("evm_increaseTime", [3600]);
+    await network.provider.send("evm_mine");
+    expect(await bot.sync()).to.deep.equal([]);
+    expect(bot.orders.size).to.equal(0);
+  });
+});
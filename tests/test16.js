@@ -0,0 +1,252 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+const { Indexer, createStore } = require("../indexer");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2;
+let usdc;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let startBlock;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+async function createToken(overrides) {
+  await router
+    .connect(user0)
+    .createToken("wft", "wft", "", usdc.address, launchParams(overrides));
+  const token = await ethers.getContractAt(
+    "Token",
+    await tokenFactory.lastToken()
+  );
+  const sale = await ethers.getContractAt("Sale", await token.sale());
+  return { token, sale };
+}
+
+describe("local: test16", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    startBlock = (await wavefront.deployTransaction.wait()).blockNumber;
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Caps must fit under the hard cap", async function () {
+    console.log("******************************************************");
+    for (const overrides of [
+      {
+        saleSoftCapRaw: convert("2000", 6),
+        saleHardCapRaw: convert("1000", 6),
+      },
+      {
+        saleWalletCapRaw: convert("2000", 6),
+        saleHardCapRaw: convert("1000", 6),
+      },
+    ]) {
+      await expectRevert(
+        createToken(overrides),
+        "WaveFront__InvalidLaunchParams"
+      );
+    }
+
+    // Without a hard cap any soft or wallet cap goes.
+    const { sale } = await createToken({
+      saleSoftCapRaw: convert("2000", 6),
+      saleWalletCapRaw: convert("5000", 6),
+    });
+    expect(await sale.softCapRaw()).to.equal(convert("2000", 6));
+    expect(await sale.hardCapRaw()).to.equal(0);
+    expect(await sale.walletCapRaw()).to.equal(convert("5000", 6));
+  });
+
+  it("Hard and wallet caps clip contributions", async function () {
+    console.log("******************************************************");
+    const { token, sale } = await createToken({
+      saleHardCapRaw: convert("1000", 6),
+      saleWalletCapRaw: convert("600", 6),
+    });
+
+    const balance = await usdc.balanceOf(user1.address);
+    await expect(
+      router.connect(user1).contribute(token.address, convert("800", 6))
+    )
+      .to.emit(router, "WaveFrontRouter__Contribute")
+      .withArgs(token.address, usdc.address, user1.address, convert("600", 6));
+    expect(balance.sub(await usdc.balanceOf(user1.address))).to.equal(
+      convert("600", 6)
+    );
+    expect(await usdc.balanceOf(router.address)).to.equal(0);
+    await expectRevert(
+      router.connect(user1).contribute(token.address, 1),
+      "Sale__CapReached"
+    );
+
+    let data = await multicall.getData(token.address, user1.address);
+    expect(data.saleProgress).to.equal(convert("0.6", 18));
+    expect(data.saleRefundable).to.equal(false);
+    expect(data.launchParams.saleHardCapRaw).to.equal(convert("1000", 6));
+    expect(data.launchParams.saleWalletCapRaw).to.equal(convert("600", 6));
+
+    // The last 400 fill the hard cap and open the market at once.
+    await expect(
+      router.connect(user2).contribute(token.address, convert("500", 6))
+    )
+      .to.emit(router, "WaveFrontRouter__MarketOpened")
+      .withArgs(token.address, sale.address)
+      .and.to.emit(sale, "Sale__MarketOpened");
+    expect(await sale.totalQuoteRaw()).to.equal(convert("1000", 6));
+    expect(await sale.ended()).to.equal(true);
+    expect(await token.open()).to.equal(true);
+    expect(await sale.endTime()).to.be.gt(
+      (await ethers.provider.getBlock("latest")).timestamp
+    );
+
+    data = await multicall.getData(token.address, AddressZero);
+    expect(data.saleProgress).to.equal(convert("1", 18));
+    expect(data.marketOpen).to.equal(true);
+
+    await router.connect(user1).redeem(token.address);
+    await router.connect(user2).redeem(token.address);
+    expect(await token.balanceOf(user1.address)).to.be.gt(
+      await token.balanceOf(user2.address)
+    );
+    await router
+      .connect(user1)
+      .buy(token.address, AddressZero, convert("100", 6), 0, 0);
+  });
+
+  it("Sales below the soft cap refund contributors", async function () {
+    console.log("******************************************************");
+    const { token, sale } = await createToken({
+      saleSoftCapRaw: convert("1000", 6),
+    });
+    await router.connect(user1).contribute(token.address, convert("300", 6));
+    await router.connect(user2).contribute(token.address, convert("200", 6));
+    await expectRevert(
+      router.connect(user1).refund(token.address),
+      "Sale__NotRefundable"
+    );
+
+    let data = await multicall.getData(token.address, user1.address);
+    expect(data.saleProgress).to.equal(convert("0.5", 18));
+    expect(data.launchParams.saleSoftCapRaw).to.equal(convert("1000", 6));
+
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await expectRevert(
+      router.connect(user1).redeem(token.address),
+      "Sale__SoftCapNotReached"
+    );
+
+    data = await multicall.getData(token.address, user1.address);
+    expect(data.saleRefundable).to.equal(true);
+    expect(data.phase).to.equal(3);
+
+    const balance = await usdc.balanceOf(user1.address);
+    await expect(router.connect(user1).refund(token.address))
+      .to.emit(sale, "Sale__Refunded")
+      .withArgs(router.address, user1.address, convert("300", 6))
+      .and.to.emit(router, "WaveFrontRouter__Refund")
+      .withArgs(token.address, user1.address);
+    expect((await usdc.balanceOf(user1.address)).sub(balance)).to.equal(
+      convert("300", 6)
+    );
+    expect(await sale.account_QuoteRaw(user1.address)).to.equal(0);
+    expect(await sale.totalQuoteRaw()).to.equal(convert("200", 6));
+    await expectRevert(
+      router.connect(user1).refund(token.address),
+      "Sale__NothingToRedeem"
+    );
+
+    // Anyone can pay a contributor back.
+    const client = new WaveFrontClient(user1, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    await expectRevert(client.refund(token.address), "Sale__NothingToRedeem");
+    await sale.connect(user1).refund(user2.address);
+    expect(await usdc.balanceOf(sale.address)).to.equal(0);
+    expect(await token.open()).to.equal(false);
+
+    // The indexer drops refunded contributions.
+    const { chainId } = await ethers.provider.getNetwork();
+    const indexer = new Indexer(
+      ethers.provider,
+      createStore({ chainId, wavefront: wavefront.address, startBlock }),
+      { confirmations: 0 }
+    );
+    await indexer.sync();
+    expect(indexer.state.contributions[token.address]).to.deep.equal({});
+  });
+
+  it("Sales at the soft cap open as before", async function () {
+    console.log("******************************************************");
+    const { token, sale } = await createToken({
+      saleSoftCapRaw: convert("500", 6),
+    });
+    await router.connect(user1).contribute(token.address, convert("500", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+
+    expect(await sale.refundable()).to.equal(false);
+    await router.connect(user1).redeem(token.address);
+    expect(await token.open()).to.equal(true);
+    await expectRevert(
+      router.connect(user1).refund(token.address),
+      "Sale__NotRefundable"
+    );
+  });
+});
@@ -0,0 +1,252 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+const {
+  allowlistLeaf,
+  buildAllowlist,
+  parseAllowlistCsv,
+} = require("../sdk/allowlist");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+const PRESALE = 3600;
+
+let owner, user0, user1, user2, user3, user4;
+let usdc, wft, sale;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let allowlist;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+describe("local: test17", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, user3, user4] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2, user3, user4]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Builds proofs from a CSV", async function () {
+    console.log("******************************************************");
+    const csv = [
+      "address,allocation",
+      `${user1.address},500`,
+      "# late addition",
+      `${user2.address.toLowerCase()}, 250.5`,
+      "",
+      `${user3.address},100`,
+    ].join("\n");
+    const entries = parseAllowlistCsv(csv, 6);
+    expect(entries.length).to.equal(3);
+    expect(entries[1].allocation).to.equal(convert("250.5", 6));
+    expect(() => parseAllowlistCsv(`${csv}\nnobody,1`, 6)).to.throw(
+      "Invalid address on line 7"
+    );
+    expect(() => buildAllowlist([...entries, entries[0]])).to.throw(
+      "Duplicate account"
+    );
+
+    allowlist = buildAllowlist(entries);
+    expect(allowlist.claims[user2.address].allocation).to.equal(
+      convert("250.5", 6).toString()
+    );
+    // The odd leaf out is carried up a layer, so it has the shorter proof.
+    expect(allowlist.claims[user1.address].proof.length).to.equal(2);
+    expect(allowlist.claims[user3.address].proof.length).to.equal(1);
+
+    const single = buildAllowlist([entries[0]]);
+    expect(single.root).to.equal(
+      allowlistLeaf(user1.address, convert("500", 6))
+    );
+    expect(single.claims[user1.address].proof).to.deep.equal([]);
+  });
+
+  it("Presales need a root and fit in the sale", async function () {
+    console.log("******************************************************");
+    for (const overrides of [
+      { presaleDuration: PRESALE },
+      { presaleRoot: allowlist.root },
+      { presaleDuration: 7201, presaleRoot: allowlist.root },
+    ]) {
+      await expectRevert(
+        router
+          .connect(user0)
+          .createToken("wft", "wft", "", usdc.address, launchParams(overrides)),
+        "WaveFront__InvalidLaunchParams"
+      );
+    }
+
+    await router.connect(user0).createToken(
+      "wft",
+      "wft",
+      "",
+      usdc.address,
+      launchParams({
+        presaleDuration: PRESALE,
+        presaleRoot: allowlist.root,
+      })
+    );
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    sale = await ethers.getContractAt("Sale", await wft.sale());
+    expect(await sale.presaleRoot()).to.equal(allowlist.root);
+    expect(await sale.inPresale()).to.equal(true);
+
+    const data = await multicall.getData(wft.address, AddressZero);
+    expect(data.presaleEnd).to.equal(await sale.presaleEnd());
+    expect(data.launchParams.presaleDuration).to.equal(PRESALE);
+    expect(data.launchParams.presaleRoot).to.equal(allowlist.root);
+  });
+
+  it("Only proven accounts contribute during the presale", async function () {
+    console.log("******************************************************");
+    const claim1 = allowlist.claims[user1.address];
+    const claim2 = allowlist.claims[user2.address];
+    await expectRevert(
+      router.connect(user4).contribute(wft.address, convert("100", 6)),
+      "Sale__Presale"
+    );
+    await expectRevert(
+      router.connect(user1).contribute(wft.address, convert("100", 6)),
+      "Sale__Presale"
+    );
+    // Someone else's proof, or a larger allocation, does not verify.
+    await expectRevert(
+      router
+        .connect(user4)
+        .contributeWithProof(
+          wft.address,
+          convert("100", 6),
+          claim1.allocation,
+          claim1.proof
+        ),
+      "Sale__InvalidProof"
+    );
+    await expectRevert(
+      router
+        .connect(user1)
+        .contributeWithProof(
+          wft.address,
+          convert("100", 6),
+          convert("1000", 6),
+          claim1.proof
+        ),
+      "Sale__InvalidProof"
+    );
+
+    // Contributions stop at the allocation, the rest is returned.
+    const balance = await usdc.balanceOf(user1.address);
+    await expect(
+      router
+        .connect(user1)
+        .contributeWithProof(
+          wft.address,
+          convert("800", 6),
+          claim1.allocation,
+          claim1.proof
+        )
+    )
+      .to.emit(router, "WaveFrontRouter__Contribute")
+      .withArgs(wft.address, usdc.address, user1.address, convert("500", 6));
+    expect(balance.sub(await usdc.balanceOf(user1.address))).to.equal(
+      convert("500", 6)
+    );
+    await expectRevert(
+      router
+        .connect(user1)
+        .contributeWithProof(wft.address, 1, claim1.allocation, claim1.proof),
+      "Sale__CapReached"
+    );
+
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    await client.contributeWithProof(wft.address, "200", claim2);
+    expect(await sale.account_QuoteRaw(user2.address)).to.equal(
+      convert("200", 6)
+    );
+  });
+
+  it("The public phase follows the presale", async function () {
+    console.log("******************************************************");
+    await network.provider.send("evm_increaseTime", [PRESALE]);
+    await network.provider.send("evm_mine");
+    expect(await sale.inPresale()).to.equal(false);
+
+    // Past the presale proofs and allocations no longer matter.
+    await router.connect(user4).contribute(wft.address, convert("300", 6));
+    const claim1 = allowlist.claims[user1.address];
+    await router
+      .connect(user1)
+      .contributeWithProof(
+        wft.address,
+        convert("100", 6),
+        claim1.allocation,
+        claim1.proof
+      );
+    expect(await sale.account_QuoteRaw(user1.address)).to.equal(
+      convert("600", 6)
+    );
+    expect(await sale.totalQuoteRaw()).to.equal(convert("1100", 6));
+
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    for (const user of [user1, user2, user4]) {
+      await router.connect(user).redeem(wft.address);
+    }
+    expect(await wft.open()).to.equal(true);
+    expect(await wft.balanceOf(user1.address)).to.be.gt(
+      await wft.balanceOf(user4.address)
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+const CLIFF = 86400;
+const VESTING = 10 * 86400;
+
+let owner, user0, user1, user2;
+let usdc, wft, sale;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let allocation1;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+// Moves the next block `seconds` past the market opening.
+async function setSinceOpen(seconds) {
+  const openedAt = (await sale.openedAt()).toNumber();
+  await network.provider.send("evm_setNextBlockTimestamp", [
+    openedAt + seconds,
+  ]);
+}
+
+describe("local: test18", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("The cliff must fall within the vesting", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken(
+          "wft",
+          "wft",
+          "",
+          usdc.address,
+          launchParams({ vestingCliff: VESTING + 1, vestingDuration: VESTING })
+        ),
+      "WaveFront__InvalidLaunchParams"
+    );
+
+    await router
+      .connect(user0)
+      .createToken(
+        "wft",
+        "wft",
+        "",
+        usdc.address,
+        launchParams({ vestingCliff: CLIFF, vestingDuration: VESTING })
+      );
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    sale = await ethers.getContractAt("Sale", await wft.sale());
+    expect(await sale.vestingCliff()).to.equal(CLIFF);
+    expect(await sale.vestingDuration()).to.equal(VESTING);
+
+    const data = await multicall.getData(wft.address, AddressZero);
+    expect(data.launchParams.vestingCliff).to.equal(CLIFF);
+    expect(data.launchParams.vestingDuration).to.equal(VESTING);
+  });
+
+  it("Nothing vests before the cliff", async function () {
+    console.log("******************************************************");
+    await router.connect(user1).contribute(wft.address, convert("600", 6));
+    await router.connect(user2).contribute(wft.address, convert("400", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+
+    // The first redeem opens the market even with nothing to release.
+    await expect(router.connect(user1).redeem(wft.address))
+      .to.emit(router, "WaveFrontRouter__MarketOpened")
+      .and.not.to.emit(router, "WaveFrontRouter__Redeem");
+    expect(await wft.open()).to.equal(true);
+    expect(await wft.balanceOf(user1.address)).to.equal(0);
+    await expectRevert(
+      router.connect(user1).redeem(wft.address),
+      "Sale__NothingToRedeem"
+    );
+
+    allocation1 = (await sale.totalTokenAmt()).mul(6).div(10);
+    const data = await multicall.getData(wft.address, user1.address);
+    expect(data.accountRedeemable).to.equal(allocation1);
+    expect(data.accountVested).to.equal(0);
+    expect(data.accountClaimable).to.equal(0);
+    expect(data.phase).to.equal(0);
+  });
+
+  it("Redeems release the vested portion", async function () {
+    console.log("******************************************************");
+    // Past the cliff, vesting counts from the market opening.
+    await setSinceOpen(VESTING / 2);
+    await router.connect(user1).redeem(wft.address);
+    const half = allocation1.div(2);
+    expect(await wft.balanceOf(user1.address)).to.equal(half);
+    expect(await sale.account_TokenRedeemed(user1.address)).to.equal(half);
+
+    await setSinceOpen((VESTING * 3) / 4);
+    await network.provider.send("evm_mine");
+    let data = await multicall.getData(wft.address, user1.address);
+    const vested = allocation1.mul(3).div(4);
+    expect(data.accountVested).to.equal(vested);
+    expect(data.accountClaimable).to.equal(vested.sub(half));
+    expect(data.phase).to.equal(2);
+
+    await setSinceOpen(VESTING);
+    await router.connect(user1).redeem(wft.address);
+    expect(await wft.balanceOf(user1.address)).to.equal(allocation1);
+    await expectRevert(
+      router.connect(user1).redeem(wft.address),
+      "Sale__NothingToRedeem"
+    );
+
+    // A late redeem takes the whole allocation at once.
+    await router.connect(user2).redeem(wft.address);
+    expect(await wft.balanceOf(user2.address)).to.equal(
+      (await sale.totalTokenAmt()).mul(4).div(10)
+    );
+    data = await multicall.getData(wft.address, user1.address);
+    expect(data.accountClaimable).to.equal(0);
+    expect(data.phase).to.equal(0);
+  });
+});
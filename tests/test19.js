@@ -0,0 +1,305 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+const YEAR = 365 * 86400;
+const DECAY = 86400;
+
+let owner, user0, user1, user2;
+let usdc;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let harberger;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+// Launches a token with `overrides`, opens its market and creates one
+// content as user0. Healing needs tokens out of the reserves.
+async function createContent(overrides) {
+  await router
+    .connect(user0)
+    .createToken("wft", "wft", "", usdc.address, launchParams(overrides));
+  const token = await ethers.getContractAt(
+    "Token",
+    await tokenFactory.lastToken()
+  );
+  await router.connect(user2).contribute(token.address, convert("1000", 6));
+  await network.provider.send("evm_increaseTime", [7200]);
+  await router.connect(user2).redeem(token.address);
+  const content = await ethers.getContractAt("Content", await token.content());
+  const rewarder = await ethers.getContractAt(
+    "Rewarder",
+    await token.rewarder()
+  );
+  await router.connect(user0).createContent(token.address, "ipfs://content");
+  return { token, content, rewarder };
+}
+
+async function setNextTimestamp(timestamp) {
+  await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+}
+
+async function balancesOf(accounts) {
+  return Promise.all(accounts.map((account) => usdc.balanceOf(account)));
+}
+
+describe("local: test19", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Creators choose the mode and split within bounds", async function () {
+    console.log("******************************************************");
+    for (const overrides of [
+      { curationMode: 3 },
+      { curationCreatorShare: 5001 },
+      { curationHealShare: 5001 },
+      { curationStep: 2000 },
+    ]) {
+      await expectRevert(
+        router
+          .connect(user0)
+          .createToken("wft", "wft", "", usdc.address, launchParams(overrides)),
+        "WaveFront__InvalidLaunchParams"
+      );
+    }
+
+    const { token, content } = await createContent({
+      curationMode: 2,
+      curationCreatorShare: 5000,
+      curationHealShare: 0,
+    });
+    expect(await content.curationMode()).to.equal(2);
+    expect(await content.curationDecay()).to.equal(DECAY);
+    expect(await content.curationCreatorShare()).to.equal(5000);
+    expect(await content.curationHealShare()).to.equal(0);
+
+    const data = await multicall.getData(token.address, AddressZero);
+    expect(data.launchParams.curationMode).to.equal(2);
+    expect(data.launchParams.curationCreatorShare).to.equal(5000);
+    await expectRevert(content.collectTax(1), "Content__NotHarberger");
+  });
+
+  it("Step-up curation splits the surplus", async function () {
+    console.log("******************************************************");
+    const { token, content, rewarder } = await createContent({
+      curationCreatorShare: 5000,
+      curationHealShare: 1000,
+    });
+
+    // The creator is also the first owner, and keeps what is not split.
+    let before = await balancesOf([user0.address]);
+    await router.connect(user1).curateContent(token.address, 1);
+    let after = await balancesOf([user0.address]);
+    expect(after[0].sub(before[0])).to.equal(convert("0.9", 6));
+    expect(await rewarder.account_Balance(user1.address)).to.equal(
+      convert("1", 6)
+    );
+
+    expect(await content.getNextPrice(1)).to.equal(convert("2.1", 6));
+    before = await balancesOf([user0.address, user1.address]);
+    await router.connect(user2).curateContent(token.address, 1);
+    after = await balancesOf([user0.address, user1.address]);
+    expect(after[0].sub(before[0])).to.equal(convert("0.55", 6));
+    expect(after[1].sub(before[1])).to.equal(convert("1.44", 6));
+    expect(await rewarder.account_Balance(user1.address)).to.equal(0);
+    expect(await rewarder.account_Balance(user2.address)).to.equal(
+      convert("2.1", 6)
+    );
+  });
+
+  it("Dutch prices decay back to the floor", async function () {
+    console.log("******************************************************");
+    const { token, content, rewarder } = await createContent({
+      curationMode: 2,
+    });
+    await router.connect(user1).curateContent(token.address, 1);
+    const curatedAt = (await content.id_CuratedAt(1)).toNumber();
+    expect(await content.getNextPrice(1)).to.equal(convert("2.1", 6));
+
+    await setNextTimestamp(curatedAt + DECAY / 2);
+    await network.provider.send("evm_mine");
+    expect(await content.getNextPrice(1)).to.equal(convert("2.05", 6));
+
+    // Past the decay the price rests one increment over the last.
+    await setNextTimestamp(curatedAt + 2 * DECAY);
+    await router.connect(user2).curateContent(token.address, 1);
+    expect(await content.id_Price(1)).to.equal(convert("2", 6));
+    expect(await rewarder.account_Balance(user1.address)).to.equal(0);
+    expect(await rewarder.account_Balance(user2.address)).to.equal(
+      convert("2", 6)
+    );
+  });
+
+  it("Harberger holders assess their price and pay tax", async function () {
+    console.log("******************************************************");
+    const { token, content, rewarder } = await createContent({
+      curationMode: 1,
+    });
+    harberger = { token, content, rewarder };
+
+    await router
+      .connect(user1)
+      .curateContentWithDeposit(
+        token.address,
+        1,
+        convert("1", 6),
+        convert("100", 6)
+      );
+    expect(await content.id_TaxDeposit(1)).to.equal(convert("100", 6));
+    expect(await content.totalTaxDeposit()).to.equal(convert("100", 6));
+
+    await expectRevert(
+      content.connect(user2).assess(1, convert("1000", 6)),
+      "Content__NotOwner"
+    );
+    await expect(content.connect(user1).assess(1, convert("1000", 6)))
+      .to.emit(content, "Content__Assessed")
+      .withArgs(user1.address, 1, convert("1000", 6));
+    expect(await content.getNextPrice(1)).to.equal(convert("1000", 6));
+    expect(await rewarder.account_Balance(user1.address)).to.equal(
+      convert("1000", 6)
+    );
+
+    // Deposits are not rewards.
+    await content.distribute();
+    expect(await usdc.balanceOf(content.address)).to.equal(convert("100", 6));
+
+    const paidAt = (await content.id_TaxPaidAt(1)).toNumber();
+    await setNextTimestamp(paidAt + YEAR / 4);
+    await network.provider.send("evm_mine");
+    expect(await content.getTaxOwed(1)).to.equal(convert("25", 6));
+
+    await setNextTimestamp(paidAt + YEAR / 2);
+    const before = await balancesOf([user0.address]);
+    await expect(content.collectTax(1))
+      .to.emit(content, "Content__TaxCollected")
+      .withArgs(1, convert("50", 6));
+    const after = await balancesOf([user0.address]);
+    expect(after[0].sub(before[0])).to.equal(convert("16.665", 6));
+    expect(await content.id_TaxDeposit(1)).to.equal(convert("50", 6));
+
+    // The tax left after the split goes to the rewarder.
+    await content.distribute();
+    expect(await usdc.balanceOf(content.address)).to.equal(convert("50", 6));
+    await expectRevert(
+      content.connect(user1).withdrawTax(1, convert("51", 6)),
+      "Content__InsufficientDeposit"
+    );
+  });
+
+  it("An exhausted deposit forecloses the price", async function () {
+    console.log("******************************************************");
+    const { token, content, rewarder } = harberger;
+    const paidAt = (await content.id_TaxPaidAt(1)).toNumber();
+    await setNextTimestamp(paidAt + YEAR);
+    await network.provider.send("evm_mine");
+    expect(await content.isForeclosed(1)).to.equal(true);
+    expect(await content.getTaxOwed(1)).to.equal(convert("50", 6));
+    expect(await content.getNextPrice(1)).to.equal(convert("1", 6));
+
+    await expect(router.connect(user2).curateContent(token.address, 1))
+      .to.emit(content, "Content__Foreclosed")
+      .withArgs(user1.address, 1);
+    expect(await content.ownerOf(1)).to.equal(user2.address);
+    expect(await content.id_Price(1)).to.equal(convert("1", 6));
+    expect(await content.id_TaxDeposit(1)).to.equal(0);
+    expect(await content.totalTaxDeposit()).to.equal(0);
+    expect(await rewarder.account_Balance(user1.address)).to.equal(0);
+    expect(await rewarder.account_Balance(user2.address)).to.equal(
+      convert("1", 6)
+    );
+  });
+
+  it("Assessing needs a deposit that backs the price", async function () {
+    console.log("******************************************************");
+    const { content, rewarder } = harberger;
+    await expectRevert(
+      content.connect(user2).assess(1, convert("1000", 6)),
+      "Content__InsufficientDeposit"
+    );
+
+    // 30 days of 10% a year on 1000.
+    expect(await content.getMinTaxDeposit(convert("1000", 6))).to.equal(
+      convert("8.219178", 6)
+    );
+    await usdc.connect(user2).approve(content.address, MaxUint256);
+    await content.connect(user2).depositTax(1, convert("5", 6));
+    await expectRevert(
+      content.connect(user2).assess(1, convert("1000", 6)),
+      "Content__InsufficientDeposit"
+    );
+    await content.connect(user2).assess(1, convert("500", 6));
+    expect(await rewarder.account_Balance(user2.address)).to.equal(
+      convert("500", 6)
+    );
+
+    // Once the deposit runs out the price cannot be assessed again.
+    const paidAt = (await content.id_TaxPaidAt(1)).toNumber();
+    await setNextTimestamp(paidAt + 40 * 86400);
+    await network.provider.send("evm_mine");
+    expect(await content.isForeclosed(1)).to.equal(true);
+    await expectRevert(
+      content.connect(user2).assess(1, convert("1", 6)),
+      "Content__IsForeclosed"
+    );
+    await content.collectTax(1);
+    expect(await rewarder.account_Balance(user2.address)).to.equal(0);
+    await expectRevert(
+      content.connect(user2).assess(1, convert("1", 6)),
+      "Content__InsufficientDeposit"
+    );
+  });
+});
@@ -3,15 +3,40 @@ const divDec = (amount, decimals = 18) => amount / 10 ** decimals;
 const divDec6 = (amount, decimals = 6) => amount / 10 ** decimals;
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
 const { execPath } = require("process");
 
 const AddressZero = "0x0000000000000000000000000000000000000000";
 
+const launchParams = {
+  initialSupply: convert("1000000000", 18),
+  reserveVirtQuoteRaw: convert("100000", 6),
+  fee: 100,
+  feeSplit: 1500,
+  saleDuration: 7200,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+
 let owner, multisig, treasury, user0, user1, user2, user3;
 let usdc, usdt, wft0, wft1, wft2, wft3;
 let tokenFactory, saleFactory, contentFactory, rewarderFactory;
 let wavefront, multicall, router;
 
+// Queues each call to a delayed WaveFront setter, waits out the delay and
+// executes them in order.
 describe("local: test0", function () {
   before("Initial set up", async function () {
     console.log("Begin Initialization");
@@ -85,7 +110,9 @@ describe("local: test0", function () {
     const wftSymbol = "wft0";
     const wftUri = "https://wavefront.io/wft0";
 
-    await router.connect(user0).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user0)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft0 = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft0 created");
   });
@@ -97,7 +124,9 @@ describe("local: test0", function () {
     const wftSymbol = "wft1";
     const wftUri = "https://wavefront.io/wft1";
 
-    await router.connect(user1).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user1)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft1 = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft1 created");
   });
@@ -109,7 +138,9 @@ describe("local: test0", function () {
     const wftSymbol = "wft2";
     const wftUri = "https://wavefront.io/wft2";
 
-    await router.connect(user2).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user2)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft2 = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft2 created");
   });
@@ -121,7 +152,9 @@ describe("local: test0", function () {
     const wftSymbol = "wft3";
     const wftUri = "https://wavefront.io/wft3";
 
-    await router.connect(user3).createToken(wftName, wftSymbol, wftUri);
+    await router
+      .connect(user3)
+      .createToken(wftName, wftSymbol, wftUri, usdc.address, launchParams);
     wft3 = await ethers.getContractAt("Token", await tokenFactory.lastToken());
     console.log("- wft3 created");
   });
@@ -160,35 +193,43 @@ describe("local: test0", function () {
     console.log("token_Uri[wft2]: ", await wavefront.token_Uri(wft2.address));
     console.log("token_Uri[wft3]: ", await wavefront.token_Uri(wft3.address));
 
-    await wavefront.connect(owner).setTreasury(AddressZero);
-    await wavefront.connect(owner).setTreasury(treasury.address);
-    await expect(wavefront.connect(user0).setTreasury(treasury.address)).to.be
-      .reverted;
-
-    await wavefront.connect(owner).setTokenFactory(AddressZero);
-    await wavefront.connect(owner).setTokenFactory(tokenFactory.address);
-    await expect(wavefront.connect(user0).setTokenFactory(AddressZero)).to.be
-      .reverted;
-
-    await wavefront.connect(owner).setSaleFactory(AddressZero);
-    await wavefront.connect(owner).setSaleFactory(saleFactory.address);
-    await expect(wavefront.connect(user0).setSaleFactory(AddressZero)).to.be
-      .reverted;
-
-    await wavefront.connect(owner).setContentFactory(AddressZero);
-    await wavefront.connect(owner).setContentFactory(contentFactory.address);
-    await expect(wavefront.connect(user0).setContentFactory(AddressZero)).to.be
-      .reverted;
-
-    await wavefront.connect(owner).setRewarderFactory(AddressZero);
-    await wavefront.connect(owner).setRewarderFactory(rewarderFactory.address);
-    await expect(wavefront.connect(user0).setRewarderFactory(AddressZero)).to.be
-      .reverted;
+    await queueAndExecute(wavefront, [
+      ["setTreasury", [AddressZero]],
+      ["setTokenFactory", [AddressZero]],
+      ["setSaleFactory", [AddressZero]],
+      ["setContentFactory", [AddressZero]],
+      ["setRewarderFactory", [AddressZero]],
+    ]);
+    expect(await wavefront.treasury()).to.equal(AddressZero);
+    expect(await wavefront.tokenFactory()).to.equal(AddressZero);
+    await queueAndExecute(wavefront, [
+      ["setTreasury", [treasury.address]],
+      ["setTokenFactory", [tokenFactory.address]],
+      ["setSaleFactory", [saleFactory.address]],
+      ["setContentFactory", [contentFactory.address]],
+      ["setRewarderFactory", [rewarderFactory.address]],
+    ]);
+    expect(await wavefront.treasury()).to.equal(treasury.address);
+    expect(await wavefront.tokenFactory()).to.equal(tokenFactory.address);
+
+    for (const name of [
+      "setTreasury",
+      "setTokenFactory",
+      "setSaleFactory",
+      "setContentFactory",
+      "setRewarderFactory",
+    ]) {
+      await expect(wavefront.connect(owner)[name](AddressZero)).to.be.reverted;
+      const data = wavefront.interface.encodeFunctionData(name, [AddressZero]);
+      await expect(wavefront.connect(user0).queue(data)).to.be.reverted;
+    }
   });
 
   it("Rewarder coverage", async function () {
     console.log("******************************************************");
-    await wavefront.connect(owner).addContentReward(wft0.address, usdt.address);
+    await queueAndExecute(wavefront, [
+      ["addContentReward", [wft0.address, usdt.address]],
+    ]);
     console.log("- content reward added");
     await usdt.connect(owner).mint(owner.address, convert("10", 6));
     await usdt.connect(owner).approve(router.address, convert("2", 6));
@@ -196,21 +237,18 @@ describe("local: test0", function () {
       .connect(owner)
       .notifyContentRewardAmount(wft0.address, usdt.address, convert("2", 6));
     console.log("- content reward notified");
-    await usdt.connect(owner).approve(router.address, convert("1", 6));
-    await expect(
-      router
-        .connect(owner)
-        .notifyContentRewardAmount(wft0.address, usdt.address, convert("1", 6))
-    ).to.be.revertedWith("Rewarder__RewardSmallerThanLeft");
+    // Top-ups smaller than what is left extend the stream.
+    const rewarder = await ethers.getContractAt(
+      "Rewarder",
+      await wft0.rewarder()
+    );
+    const { periodFinish } = await rewarder.token_RewardData(usdt.address);
     await usdt.connect(owner).approve(router.address, convert("0.1", 6));
-    await expect(
-      router
-        .connect(owner)
-        .notifyContentRewardAmount(
-          wft0.address,
-          usdt.address,
-          convert("0.1", 6)
-        )
-    ).to.be.revertedWith("Rewarder__RewardSmallerThanDuration");
+    await router
+      .connect(owner)
+      .notifyContentRewardAmount(wft0.address, usdt.address, convert("0.1", 6));
+    expect(
+      (await rewarder.token_RewardData(usdt.address)).periodFinish
+    ).to.be.gt(periodFinish);
   });
 });
@@ -0,0 +1,230 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+const { Indexer, createStore } = require("../indexer");
+
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2, user3;
+let usdc, wft, content, rewarder;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let startBlock;
+
+// Hardhat does not decode every custom error raised from a Content
+// modifier, so the error's selector is accepted as well.
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+describe("local: test20", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, user3] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    startBlock = (await wavefront.deployTransaction.wait()).blockNumber;
+
+    for (const user of [user0, user1, user2, user3]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    // A Harberger collection, so burns have a tax deposit to return.
+    await router
+      .connect(user0)
+      .createToken(
+        "wft",
+        "wft",
+        "",
+        usdc.address,
+        launchParams({ curationMode: 1 })
+      );
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    content = await ethers.getContractAt("Content", await wft.content());
+    rewarder = await ethers.getContractAt("Rewarder", await wft.rewarder());
+    await router.connect(user3).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user3).redeem(wft.address);
+    console.log("- Token launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("The launcher is the collection creator", async function () {
+    console.log("******************************************************");
+    expect(await content.creator()).to.equal(user0.address);
+    await expectRevert(
+      content.connect(user1).setCreator(user1.address),
+      "Content__NotCreator"
+    );
+
+    // Launching without the router leaves the caller as creator.
+    await wavefront
+      .connect(user1)
+      .create("wft2", "wft2", "", usdc.address, launchParams());
+    const token2 = await ethers.getContractAt(
+      "Token",
+      await tokenFactory.lastToken()
+    );
+    const content2 = await ethers.getContractAt(
+      "Content",
+      await token2.content()
+    );
+    expect(await content2.creator()).to.equal(user1.address);
+    await content2.connect(user1).setCreator(user2.address);
+    expect(await content2.creator()).to.equal(user2.address);
+  });
+
+  it("Moderators flag content out of curation", async function () {
+    console.log("******************************************************");
+    await router.connect(user1).createContent(wft.address, "ipfs://spam");
+    await router.connect(user2).createContent(wft.address, "ipfs://fine");
+
+    await content.connect(user0).setModerator(user1.address, true);
+    expect(await content.account_Moderator(user1.address)).to.equal(true);
+    await expectRevert(
+      content.connect(user2).flag(1, true),
+      "Content__NotModerator"
+    );
+
+    await expectRevert(
+      content.connect(user1).setModerator(user2.address, true),
+      "Content__NotCreator"
+    );
+    await expect(content.connect(user1).flag(1, true))
+      .to.emit(content, "Content__Flagged")
+      .withArgs(user1.address, 1, true);
+    await expectRevert(
+      router.connect(user2).curateContent(wft.address, 1),
+      "Content__IsFlagged"
+    );
+    await content.connect(user0).flag(1, false);
+    await router.connect(user2).curateContent(wft.address, 1);
+    expect(await content.ownerOf(1)).to.equal(user2.address);
+  });
+
+  it("Burning refunds the holder's stake and deposit", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user3)
+      .curateContentWithDeposit(
+        wft.address,
+        2,
+        convert("1", 6),
+        convert("10", 6)
+      );
+    expect(await rewarder.account_Balance(user3.address)).to.equal(
+      convert("1", 6)
+    );
+
+    // The tax on 1 quote a few seconds in rounds to zero.
+    const balance = await usdc.balanceOf(user3.address);
+    await expect(content.connect(user1).burn(2))
+      .to.emit(content, "Content__Burned")
+      .withArgs(user1.address, 2)
+      .and.to.emit(rewarder, "Rewarder__Withdrawn")
+      .withArgs(user3.address, convert("1", 6));
+    expect((await usdc.balanceOf(user3.address)).sub(balance)).to.equal(
+      convert("10", 6)
+    );
+    expect(await rewarder.account_Balance(user3.address)).to.equal(0);
+    expect(await content.totalTaxDeposit()).to.equal(0);
+    expect(await content.totalSupply()).to.equal(1);
+    expect(await content.tokenByIndex(0)).to.equal(1);
+    await expectRevert(content.ownerOf(2), "ERC721: invalid token ID");
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const indexer = new Indexer(
+      ethers.provider,
+      createStore({ chainId, wavefront: wavefront.address, startBlock }),
+      { confirmations: 0 }
+    );
+    await indexer.sync();
+    expect(
+      indexer.state.curations[wft.address].map((c) => c.tokenId)
+    ).to.deep.equal(["1"]);
+  });
+
+  it("The creator sets the collection metadata and royalty", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      content.connect(user1).setContractURI("ipfs://collection"),
+      "Content__NotCreator"
+    );
+    await content.connect(user0).setContractURI("ipfs://collection");
+    expect(await content.contractURI()).to.equal("ipfs://collection");
+
+    await expectRevert(
+      content.connect(user0).setRoyalty(1001),
+      "Content__InvalidRoyalty"
+    );
+    await content.connect(user0).setRoyalty(500);
+    // Royalties go to each content's creator, not its holder.
+    const [receiver, amount] = await content.royaltyInfo(1, convert("100", 6));
+    expect(receiver).to.equal(user1.address);
+    expect(amount).to.equal(convert("5", 6));
+    expect(await content.supportsInterface("0x2a55205a")).to.equal(true);
+    expect(await content.supportsInterface("0x80ac58cd")).to.equal(true);
+
+    // Curating is the sale the royalty is paid on, out of the previous
+    // holder's part.
+    await usdc.connect(user3).approve(content.address, MaxUint256);
+    const prevPrice = await content.id_Price(1);
+    const nextPrice = await content.getNextPrice(1);
+    const surplus = nextPrice.sub(prevPrice);
+    const shares = (await content.curationCreatorShare()).add(
+      await content.curationHealShare()
+    );
+    const royalty = nextPrice.mul(500).div(10_000);
+    const holderBefore = await usdc.balanceOf(user2.address);
+    await expect(content.connect(user3).curate(user3.address, 1))
+      .to.emit(content, "Content__RoyaltyPaid")
+      .withArgs(user1.address, 1, royalty);
+    expect((await usdc.balanceOf(user2.address)).sub(holderBefore)).to.equal(
+      nextPrice.sub(royalty).sub(surplus.mul(shares).div(10_000))
+    );
+  });
+});
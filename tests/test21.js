@@ -0,0 +1,136 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2;
+let usdc, wft, content;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+describe("local: test21", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    content = await ethers.getContractAt("Content", await wft.content());
+    await router.connect(user2).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user2).redeem(wft.address);
+    console.log("- Token launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("New content is priced before it is minted", async function () {
+    console.log("******************************************************");
+    const initialPrice = await multicall.contentPrice(wft.address, 0);
+    expect(initialPrice).to.equal(await content.initialPrice());
+    expect(initialPrice).to.equal(convert("1", 6));
+
+    for (let i = 0; i < 5; i++) {
+      await router.connect(user0).createContent(wft.address, `ipfs://${i}`);
+    }
+    expect(await multicall.contentPrice(wft.address, 1)).to.equal(initialPrice);
+    await expect(router.connect(user1).curateContent(wft.address, 1))
+      .to.emit(content, "Content__Curated")
+      .withArgs(user1.address, 1, initialPrice);
+    await router.connect(user1).curateContent(wft.address, 3);
+    await router.connect(user2).curateContent(wft.address, 3);
+  });
+
+  it("Pages through a token's content", async function () {
+    console.log("******************************************************");
+    let [total, page] = await multicall.getContentPage(
+      wft.address,
+      0,
+      2,
+      user1.address
+    );
+    expect(total).to.equal(5);
+    expect(page.map((item) => item.tokenId.toNumber())).to.deep.equal([1, 2]);
+    expect(page[0].owner).to.equal(user1.address);
+    expect(page[0].creator).to.equal(user0.address);
+    expect(page[0].uri).to.equal("ipfs://0");
+    expect(page[0].price).to.equal(convert("1", 6));
+    expect(page[0].nextPrice).to.equal(convert("2.1", 6));
+    expect(page[0].accountStaked).to.equal(convert("1", 6));
+    expect(page[1].owner).to.equal(user0.address);
+    expect(page[1].accountStaked).to.equal(0);
+
+    // The last page is clipped, past the end there is nothing.
+    [, page] = await multicall.getContentPage(wft.address, 2, 10, AddressZero);
+    expect(page.map((item) => item.tokenId.toNumber())).to.deep.equal([
+      3, 4, 5,
+    ]);
+    expect(page[0].owner).to.equal(user2.address);
+    expect(page[0].price).to.equal(convert("2.1", 6));
+    expect(page[0].accountStaked).to.equal(0);
+    [, page] = await multicall.getContentPage(wft.address, 5, 10, AddressZero);
+    expect(page.length).to.equal(0);
+
+    // A burn moves the last item into the burned slot.
+    await content.connect(user0).flag(4, true);
+    await content.connect(user0).burn(2);
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    ({ total, page } = await client.getContentPage(wft.address, {
+      account: user2.address,
+    }));
+    expect(total).to.equal(4);
+    expect(page.map((item) => item.tokenId.toNumber())).to.deep.equal([
+      1, 5, 3, 4,
+    ]);
+    expect(page[2].accountStaked).to.equal(convert("2.1", 6));
+    expect(page[3].flagged).to.equal(true);
+  });
+});
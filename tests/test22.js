@@ -0,0 +1,178 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+
+let owner, user0, user1, user2;
+let usdc, tokens;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+describe("local: test22", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    tokens = [];
+    for (const symbol of ["wf1", "wf2", "wf3"]) {
+      await router
+        .connect(user0)
+        .createToken(
+          symbol,
+          symbol,
+          `ipfs://${symbol}`,
+          usdc.address,
+          launchParams()
+        );
+      tokens.push(
+        await ethers.getContractAt("Token", await tokenFactory.lastToken())
+      );
+    }
+    // The first two open their markets, the third stays in its sale.
+    for (const token of tokens) {
+      await router.connect(user1).contribute(token.address, convert("600", 6));
+      await router.connect(user2).contribute(token.address, convert("400", 6));
+    }
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user1).redeem(tokens[0].address);
+    await router.connect(user1).redeem(tokens[1].address);
+    console.log("- Tokens launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Pages through tokens by launch index", async function () {
+    console.log("******************************************************");
+    const page = await multicall.getDataPage(1, 2, user1.address);
+    expect(page.map((data) => data.token)).to.deep.equal([
+      tokens[0].address,
+      tokens[1].address,
+    ]);
+    const data = await multicall.getData(tokens[1].address, user1.address);
+    expect(page[1].index).to.equal(2);
+    expect(page[1].symbol).to.equal("wf2");
+    expect(page[1].marketPrice).to.equal(data.marketPrice);
+    expect(page[1].accountTokenBalance).to.equal(data.accountTokenBalance);
+
+    // Pages are clipped to the last token, the first index is 1.
+    expect((await multicall.getDataPage(2, 10, AddressZero)).length).to.equal(
+      2
+    );
+    expect((await multicall.getDataPage(4, 10, AddressZero)).length).to.equal(
+      0
+    );
+    expect((await multicall.getDataPage(0, 10, AddressZero)).length).to.equal(
+      0
+    );
+
+    const summaries = await multicall.getSummaryPage(1, 3, user1.address);
+    expect(summaries.map((summary) => summary.index.toNumber())).to.deep.equal([
+      1, 2, 3,
+    ]);
+    for (const summary of summaries) {
+      const data = await multicall.getData(summary.token, user1.address);
+      expect(summary.marketOpen).to.equal(data.marketOpen);
+      expect(summary.marketCap).to.equal(data.marketCap);
+      expect(summary.liquidity).to.equal(data.liquidity);
+      expect(summary.floorPrice).to.equal(data.floorPrice);
+      expect(summary.marketPrice).to.equal(data.marketPrice);
+      expect(summary.accountTokenBalance).to.equal(data.accountTokenBalance);
+    }
+    expect(summaries[2].marketOpen).to.equal(false);
+    expect(summaries[2].totalQuoteContributed).to.equal(convert("1000", 6));
+  });
+
+  it("Reads an account's positions across tokens", async function () {
+    console.log("******************************************************");
+    await router.connect(user0).createContent(tokens[0].address, "ipfs://0");
+    await router.connect(user2).curateContent(tokens[0].address, 1);
+    await router.connect(user2).redeem(tokens[0].address);
+    await tokens[0]
+      .connect(user2)
+      .borrow(user2.address, await tokens[0].getAccountCredit(user2.address));
+
+    const client = new WaveFrontClient(user2, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    const addresses = tokens.map((token) => token.address);
+    const positions = await client.getPortfolio(user2.address, addresses);
+    expect(positions.length).to.equal(3);
+    for (let i = 0; i < positions.length; i++) {
+      const position = positions[i];
+      const data = await multicall.getData(addresses[i], user2.address);
+      expect(position.token).to.equal(addresses[i]);
+      expect(position.quote).to.equal(usdc.address);
+      for (const field of [
+        "marketPrice",
+        "accountTokenBalance",
+        "accountDebt",
+        "accountCredit",
+        "accountContributed",
+        "accountRedeemable",
+        "accountClaimable",
+        "accountContentStaked",
+        "accountQuoteEarned",
+        "accountTokenEarned",
+      ]) {
+        expect(position[field]).to.equal(data[field], field);
+      }
+    }
+    expect(positions[0].accountDebt).to.be.gt(0);
+    expect(positions[0].accountContentStaked).to.be.gt(0);
+    // Unredeemed, and the sale of the third has not closed.
+    expect(positions[1].accountClaimable).to.equal(
+      positions[1].accountRedeemable
+    );
+    expect(positions[2].accountRedeemable).to.be.gt(0);
+
+    const summaries = await client.getTokenPage({ summary: true, count: 2 });
+    expect(summaries.length).to.equal(2);
+    expect((await client.getTokenPage({ startIndex: 3 }))[0].uri).to.equal(
+      "ipfs://wf3"
+    );
+  });
+});
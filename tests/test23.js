@@ -0,0 +1,366 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const MaxUint256 = ethers.constants.MaxUint256;
+const DAY = 86400;
+const DEPOSIT = convert("10", 6);
+
+let owner, user0, user1, user2, sponsor;
+let usdc, bonus, frozen, wft, rewarder, governance;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let sponsoredAt, recovered;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+async function timestampOf(tx) {
+  const receipt = await (await tx).wait();
+  return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+}
+
+// Proposals through the token's governor are covered in test25, here its
+// timelock is impersonated.
+async function impersonate(address) {
+  await network.provider.send("hardhat_impersonateAccount", [address]);
+  await network.provider.send("hardhat_setBalance", [
+    address,
+    ethers.utils.hexValue(convert("1", 18)),
+  ]);
+  return ethers.getSigner(address);
+}
+
+function sponsorReward(token, duration, amount) {
+  return router
+    .connect(sponsor)
+    .sponsorContentReward(wft.address, token.address, duration, amount);
+}
+
+describe("local: test23", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, sponsor] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    bonus = await (await ethers.getContractFactory("USDC")).deploy();
+    frozen = await (await ethers.getContractFactory("FrozenToken")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    const timelockFactory = await (
+      await ethers.getContractFactory("TimelockFactory")
+    ).deploy();
+    const governorFactory = await (
+      await ethers.getContractFactory("GovernorFactory")
+    ).deploy(timelockFactory.address);
+    await queueAndExecute(wavefront, [
+      ["setGovernorFactory", [governorFactory.address]],
+    ]);
+
+    for (const user of [user0, user1, user2, sponsor]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    for (const token of [bonus, frozen]) {
+      await token.mint(sponsor.address, convert("100000", 6));
+      await token.connect(sponsor).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    rewarder = await ethers.getContractAt("Rewarder", await wft.rewarder());
+    governance = await impersonate(await wavefront.token_Timelock(wft.address));
+    await router.connect(user2).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user2).redeem(wft.address);
+    await router.connect(user0).createContent(wft.address, "ipfs://0");
+    console.log("- Token launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Sponsors wait for governance to accept them", async function () {
+    console.log("******************************************************");
+    expect(await rewarder.sponsorsRestricted()).to.equal(true);
+    await expectRevert(
+      sponsorReward(bonus, DAY, convert("1", 6)),
+      "Rewarder__NotAccepted"
+    );
+    await expectRevert(
+      rewarder
+        .connect(sponsor)
+        .setSponsorAccepted(bonus.address, sponsor.address),
+      "Rewarder__NotGovernance"
+    );
+    await rewarder
+      .connect(governance)
+      .setSponsorAccepted(bonus.address, sponsor.address);
+    await expect(rewarder.connect(governance).setSponsorDeposit(DEPOSIT))
+      .to.emit(rewarder, "Rewarder__SponsorDepositSet")
+      .withArgs(DEPOSIT);
+
+    // Only the accepted sponsor adds the token.
+    await bonus.mint(user2.address, convert("1", 6));
+    await bonus.connect(user2).approve(router.address, MaxUint256);
+    await expectRevert(
+      router
+        .connect(user2)
+        .sponsorContentReward(wft.address, bonus.address, DAY, 1e6),
+      "Rewarder__NotAccepted"
+    );
+    await expectRevert(
+      sponsorReward(bonus, DAY - 1, 1e6),
+      "Rewarder__InvalidDuration"
+    );
+    await expectRevert(
+      sponsorReward(bonus, DAY, DAY - 1),
+      "Rewarder__RewardSmallerThanDuration"
+    );
+
+    // Nobody curates yet, so the first hour is not streamed.
+    const balance = await usdc.balanceOf(sponsor.address);
+    sponsoredAt = await timestampOf(
+      sponsorReward(bonus, 10 * DAY, convert("1000", 6))
+    );
+    expect(balance.sub(await usdc.balanceOf(sponsor.address))).to.equal(
+      DEPOSIT
+    );
+    expect(await rewarder.token_Deposit(bonus.address)).to.equal(DEPOSIT);
+    expect(await rewarder.token_Sponsor(bonus.address)).to.equal(
+      sponsor.address
+    );
+    expect(await rewarder.token_Duration(bonus.address)).to.equal(10 * DAY);
+    expect(await rewarder.token_Duration(usdc.address)).to.equal(7 * DAY);
+    const { periodFinish } = await rewarder.token_RewardData(bonus.address);
+    expect(periodFinish).to.equal(sponsoredAt + 10 * DAY);
+    await router
+      .connect(user0)
+      .notifyContentRewardAmount(wft.address, usdc.address, convert("70", 6));
+  });
+
+  it("Top-ups keep a sponsored period", async function () {
+    console.log("******************************************************");
+    await network.provider.send("evm_setNextBlockTimestamp", [
+      sponsoredAt + 3600,
+    ]);
+    await router.connect(user1).curateContent(wft.address, 1);
+
+    await network.provider.send("evm_increaseTime", [DAY]);
+    const client = new WaveFrontClient(sponsor, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    const receipt = await client.sponsorReward(wft.address, bonus.address, "1");
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const data = await rewarder.token_RewardData(bonus.address);
+    expect(data.periodFinish).to.equal(sponsoredAt + 10 * DAY);
+    const remaining = sponsoredAt + 10 * DAY - timestamp;
+    expect(data.rewardRate).to.be.gt(convert("1000", 6).div(10 * DAY));
+    expect(await rewarder.left(bonus.address)).to.equal(
+      data.rewardRate.mul(remaining)
+    );
+    expect(await rewarder.token_Duration(bonus.address)).to.equal(10 * DAY);
+  });
+
+  it("Sponsors recover what was not streamed at any time", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      rewarder.connect(user1).recoverReward(bonus.address),
+      "Rewarder__NotSponsor"
+    );
+
+    recovered = await rewarder.token_Unstreamed(bonus.address);
+    const firstRate = convert("1000", 6).div(10 * DAY);
+    expect(recovered).to.be.gte(firstRate.mul(3600));
+    const balance = await bonus.balanceOf(sponsor.address);
+    await expect(rewarder.connect(sponsor).recoverReward(bonus.address))
+      .to.emit(rewarder, "Rewarder__RewardRecovered")
+      .withArgs(sponsor.address, bonus.address, recovered);
+    expect((await bonus.balanceOf(sponsor.address)).sub(balance)).to.equal(
+      recovered
+    );
+    await expectRevert(
+      rewarder.connect(sponsor).recoverReward(bonus.address),
+      "Rewarder__NothingToRecover"
+    );
+
+    // Curators keep what streamed, only rounding is left behind.
+    await network.provider.send("evm_increaseTime", [10 * DAY]);
+    await router.connect(user1).getContentReward(wft.address);
+    const earned = await bonus.balanceOf(user1.address);
+    const funded = convert("1001", 6);
+    const unstreamed = await rewarder.token_Unstreamed(bonus.address);
+    expect(funded.sub(earned).sub(recovered).sub(unstreamed)).to.be.lte(10);
+
+    // Nobody recovers the quote's first hour, it streams again.
+    expect(await rewarder.token_Unstreamed(usdc.address)).to.be.gte(
+      convert("70", 6)
+        .div(7 * DAY)
+        .mul(3500)
+    );
+    await router
+      .connect(user0)
+      .notifyContentRewardAmount(wft.address, usdc.address, convert("1", 6));
+    expect(await rewarder.token_Unstreamed(usdc.address)).to.be.lt(7 * DAY);
+  });
+
+  it("Only the sponsor restarts an ended reward", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      router
+        .connect(sponsor)
+        .notifyContentRewardAmount(wft.address, bonus.address, 1e6),
+      "Rewarder__RewardEnded"
+    );
+    await expectRevert(
+      router
+        .connect(user2)
+        .sponsorContentReward(wft.address, bonus.address, DAY, 1e6),
+      "Rewarder__NotAccepted"
+    );
+
+    const balance = await usdc.balanceOf(sponsor.address);
+    const restartedAt = await timestampOf(
+      sponsorReward(bonus, 2 * DAY, convert("100", 6))
+    );
+    const { periodFinish } = await rewarder.token_RewardData(bonus.address);
+    expect(periodFinish).to.equal(restartedAt + 2 * DAY);
+    expect(await rewarder.token_Duration(bonus.address)).to.equal(2 * DAY);
+    // The deposit is held once per token.
+    expect(await usdc.balanceOf(sponsor.address)).to.equal(balance);
+    await expectRevert(
+      sponsorReward(bonus, 2 * DAY, convert("100", 6)),
+      "Rewarder__RewardActive"
+    );
+  });
+
+  it("Open sponsoring skips a reward that fails to transfer", async function () {
+    console.log("******************************************************");
+    await rewarder.connect(governance).setSponsorsRestricted(false);
+    await expectRevert(
+      sponsorReward(usdc, DAY, convert("1", 6)),
+      "Rewarder__RewardTokenAlreadyAdded"
+    );
+
+    // The quote and token rewards of every launch count toward the cap.
+    await sponsorReward(frozen, DAY, convert("100", 6));
+    const max = (await rewarder.MAX_REWARD_TOKENS()).toNumber();
+    for (let i = 5; i <= max + 1; i++) {
+      const extra = await (await ethers.getContractFactory("USDC")).deploy();
+      await extra.mint(sponsor.address, convert("1", 6));
+      await extra.connect(sponsor).approve(router.address, MaxUint256);
+      const tx = sponsorReward(extra, DAY, convert("1", 6));
+      if (i <= max) await tx;
+      else await expectRevert(tx, "Rewarder__TooManyRewardTokens");
+    }
+    expect((await rewarder.getRewardTokens()).length).to.equal(max);
+
+    await network.provider.send("evm_increaseTime", [DAY / 2]);
+    await frozen.setFrozen(true);
+    const balance = await bonus.balanceOf(user1.address);
+    await router.connect(user1).getContentReward(wft.address);
+    expect(await bonus.balanceOf(user1.address)).to.be.gt(balance);
+    expect(await rewarder.earned(user1.address, frozen.address)).to.be.gt(0);
+  });
+
+  it("Ended rewards free their slot and stay claimable", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      rewarder.connect(sponsor).removeReward(frozen.address),
+      "Rewarder__RewardActive"
+    );
+    await expectRevert(
+      rewarder.removeReward(usdc.address),
+      "Rewarder__NotSponsored"
+    );
+    await network.provider.send("evm_increaseTime", [DAY]);
+    await expectRevert(
+      rewarder.connect(user2).removeReward(frozen.address),
+      "Rewarder__RewardActive"
+    );
+
+    const earned = await rewarder.earned(user1.address, frozen.address);
+    const balance = await usdc.balanceOf(sponsor.address);
+    await expect(rewarder.connect(sponsor).removeReward(frozen.address))
+      .to.emit(rewarder, "Rewarder__RewardRemoved")
+      .withArgs(frozen.address);
+    expect((await usdc.balanceOf(sponsor.address)).sub(balance)).to.equal(
+      DEPOSIT
+    );
+    const max = (await rewarder.MAX_REWARD_TOKENS()).toNumber();
+    expect(await rewarder.getRewardTokens()).to.not.include(frozen.address);
+    expect((await rewarder.getRewardTokens()).length).to.equal(max - 1);
+    expect(await rewarder.token_IsReward(frozen.address)).to.equal(false);
+
+    // user2 takes user1's curation: user1 keeps what it earned, user2 earns
+    // nothing of the removed reward.
+    await router.connect(user2).curateContent(wft.address, 1);
+    expect(await rewarder.account_Balance(user1.address)).to.equal(0);
+    expect(await rewarder.earned(user1.address, frozen.address)).to.equal(
+      earned
+    );
+    expect(await rewarder.earned(user2.address, frozen.address)).to.equal(0);
+
+    await frozen.setFrozen(false);
+    await expect(rewarder.getRewardToken(user1.address, frozen.address))
+      .to.emit(rewarder, "Rewarder__RewardPaid")
+      .withArgs(user1.address, frozen.address, earned);
+    expect(await frozen.balanceOf(user1.address)).to.equal(earned);
+
+    await expectRevert(
+      sponsorReward(frozen, DAY, convert("100", 6)),
+      "Rewarder__TokenRemoved"
+    );
+    const extra = await (await ethers.getContractFactory("USDC")).deploy();
+    await extra.mint(sponsor.address, convert("1", 6));
+    await extra.connect(sponsor).approve(router.address, MaxUint256);
+    await sponsorReward(extra, DAY, convert("1", 6));
+    expect((await rewarder.getRewardTokens()).length).to.equal(max);
+  });
+});
@@ -0,0 +1,228 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+const BUY = 0;
+const SELL = 1;
+const HEAL = 2;
+
+let owner, user0, user1, user2;
+let usdc, tokens, rewarders;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  expect(message).to.contain(error);
+}
+
+// Trades both ways so fees in quote and token reach the curators.
+async function trade(token) {
+  for (let i = 0; i < 3; i++) {
+    await router
+      .connect(user2)
+      .buy(token.address, AddressZero, convert("500", 6), 0, 0);
+    await router
+      .connect(user2)
+      .sell(
+        token.address,
+        AddressZero,
+        (await token.balanceOf(user2.address)).div(2),
+        0,
+        0
+      );
+  }
+  await network.provider.send("evm_increaseTime", [86400]);
+  await network.provider.send("evm_mine");
+}
+
+describe("local: test24", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    console.log("- System set up");
+
+    // user1 curates the content of both tokens.
+    tokens = [];
+    rewarders = [];
+    for (const symbol of ["wf1", "wf2"]) {
+      await router
+        .connect(user0)
+        .createToken(symbol, symbol, "", usdc.address, launchParams());
+      const token = await ethers.getContractAt(
+        "Token",
+        await tokenFactory.lastToken()
+      );
+      await router.connect(user2).contribute(token.address, convert("1000", 6));
+      await network.provider.send("evm_increaseTime", [7200]);
+      await router.connect(user2).redeem(token.address);
+      await token.connect(user2).approve(router.address, MaxUint256);
+      await router.connect(user0).createContent(token.address, "ipfs://0");
+      await router.connect(user1).curateContent(token.address, 1);
+      tokens.push(token);
+      rewarders.push(
+        await ethers.getContractAt("Rewarder", await token.rewarder())
+      );
+    }
+    console.log("- Tokens launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Compounds quote rewards into the token", async function () {
+    console.log("******************************************************");
+    const [wft] = tokens;
+    await trade(wft);
+    expect(await rewarders[0].earned(user1.address, usdc.address)).to.be.gt(0);
+
+    // The claimed quote is pulled back with an approval.
+    await usdc.connect(user1).approve(router.address, 0);
+    await expectRevert(
+      router.connect(user1).claimAndCompound(wft.address, BUY, 0),
+      "ERC20: insufficient allowance"
+    );
+    await usdc.connect(user1).approve(router.address, MaxUint256);
+    await expectRevert(
+      router.connect(user1).claimAndCompound(wft.address, BUY, MaxUint256),
+      "Token__Slippage"
+    );
+
+    const quoteBalance = await usdc.balanceOf(user1.address);
+    const tokenBalance = await wft.balanceOf(user1.address);
+    const tokenEarned = await rewarders[0].earned(user1.address, wft.address);
+    const receipt = await (
+      await router.connect(user1).claimAndCompound(wft.address, BUY, 1)
+    ).wait();
+    const event = receipt.events.find(
+      (e) => e.event === "WaveFrontRouter__Compound"
+    );
+    expect(event.args.mode).to.equal(BUY);
+    expect(event.args.amountIn).to.be.gt(0);
+    expect(await usdc.balanceOf(user1.address)).to.equal(quoteBalance);
+    // The token reward is paid out as claimed.
+    expect((await wft.balanceOf(user1.address)).sub(tokenBalance)).to.be.gte(
+      event.args.amountOut.add(tokenEarned)
+    );
+    expect(await rewarders[0].earned(user1.address, usdc.address)).to.equal(0);
+  });
+
+  it("Sells token rewards or heals the floor with quote", async function () {
+    console.log("******************************************************");
+    const [wft] = tokens;
+    await trade(wft);
+    await wft.connect(user1).approve(router.address, MaxUint256);
+    const tokenBalance = await wft.balanceOf(user1.address);
+    const quoteBalance = await usdc.balanceOf(user1.address);
+    const quoteEarned = await rewarders[0].earned(user1.address, usdc.address);
+    await expect(
+      router.connect(user1).claimAndCompound(wft.address, SELL, 0)
+    ).to.emit(router, "WaveFrontRouter__Compound");
+    expect(await wft.balanceOf(user1.address)).to.equal(tokenBalance);
+    expect((await usdc.balanceOf(user1.address)).sub(quoteBalance)).to.be.gt(
+      quoteEarned
+    );
+
+    await trade(wft);
+    const floorPrice = await wft.getFloorPrice();
+    const earned = await rewarders[0].earned(user1.address, usdc.address);
+    const receipt = await (
+      await router.connect(user1).claimAndCompound(wft.address, HEAL, 0)
+    ).wait();
+    const event = receipt.events.find(
+      (e) => e.event === "WaveFrontRouter__Compound"
+    );
+    expect(event.args.amountIn).to.be.gte(earned);
+    expect(event.args.amountOut).to.equal(0);
+    expect(await wft.getFloorPrice()).to.be.gt(floorPrice);
+
+    // Nothing earned, nothing to compound.
+    await expect(
+      router.connect(user0).claimAndCompound(wft.address, HEAL, 0)
+    ).not.to.emit(router, "WaveFrontRouter__Compound");
+  });
+
+  it("Compounds across tokens in one transaction", async function () {
+    console.log("******************************************************");
+    await trade(tokens[0]);
+    await trade(tokens[1]);
+    await expectRevert(
+      router.connect(user1).claimAndCompoundMany(
+        tokens.map((token) => token.address),
+        BUY,
+        [0]
+      ),
+      "WaveFrontRouter__LengthMismatch"
+    );
+
+    const client = new WaveFrontClient(user1, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    const balances = await Promise.all(
+      tokens.map((token) => token.balanceOf(user1.address))
+    );
+    const receipt = await client.claimAndCompound(
+      tokens.map((token) => token.address),
+      "buy"
+    );
+    const events = receipt.events.filter(
+      (e) => e.event === "WaveFrontRouter__Compound"
+    );
+    expect(events.map((e) => e.args.token)).to.deep.equal(
+      tokens.map((token) => token.address)
+    );
+    for (let i = 0; i < tokens.length; i++) {
+      expect(await tokens[i].balanceOf(user1.address)).to.be.gt(balances[i]);
+      expect(await rewarders[i].earned(user1.address, usdc.address)).to.equal(
+        0
+      );
+    }
+  });
+});
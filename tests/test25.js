@@ -0,0 +1,281 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const MaxUint256 = ethers.constants.MaxUint256;
+const DAY = 86400;
+// Governor.ProposalState
+const SUCCEEDED = 4;
+const QUEUED = 5;
+const EXECUTED = 7;
+
+let owner, user0, user1, user2, user3;
+let usdc, bonus, wft, content, rewarder, governor, timelock;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let timelockFactory, governorFactory;
+let wavefront, multicall, router;
+let proposal;
+
+// Hardhat does not decode every custom error raised from a modifier, so
+// the error's selector is accepted as well.
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+async function mineBlocks(count) {
+  await network.provider.send("hardhat_mine", [ethers.utils.hexValue(count)]);
+}
+
+describe("local: test25", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, user3] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    bonus = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    timelockFactory = await (
+      await ethers.getContractFactory("TimelockFactory")
+    ).deploy();
+    governorFactory = await (
+      await ethers.getContractFactory("GovernorFactory")
+    ).deploy(timelockFactory.address);
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2, user3]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    await bonus.mint(user3.address, convert("100000", 6));
+    await bonus.connect(user3).approve(router.address, MaxUint256);
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Launches deploy a governor once its factory is set", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user0)
+      .createToken("wft0", "wft0", "", usdc.address, launchParams());
+    const ungoverned = await tokenFactory.lastToken();
+    expect(await wavefront.token_Governor(ungoverned)).to.equal(AddressZero);
+    const ungovernedContent = await ethers.getContractAt(
+      "Content",
+      await (await ethers.getContractAt("Token", ungoverned)).content()
+    );
+    await expectRevert(
+      ungovernedContent.connect(user0).setCurationStep(2000),
+      "Content__NotGovernance"
+    );
+
+    const setGovernorFactory = wavefront.interface.encodeFunctionData(
+      "setGovernorFactory",
+      [governorFactory.address]
+    );
+    await expectRevert(
+      wavefront.connect(user0).queue(setGovernorFactory),
+      "Ownable: caller is not the owner"
+    );
+    await wavefront.connect(owner).queue(setGovernorFactory);
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await wavefront.execute(setGovernorFactory);
+    await expect(
+      router
+        .connect(user0)
+        .createToken("wft", "wft", "", usdc.address, launchParams())
+    ).to.emit(wavefront, "WaveFront__GovernorCreated");
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    content = await ethers.getContractAt("Content", await wft.content());
+    rewarder = await ethers.getContractAt("Rewarder", await wft.rewarder());
+    governor = await ethers.getContractAt(
+      "TokenGovernor",
+      await wavefront.token_Governor(wft.address)
+    );
+    timelock = await ethers.getContractAt(
+      "TimelockController",
+      await wavefront.token_Timelock(wft.address)
+    );
+    expect(await governor.token()).to.equal(wft.address);
+    expect(await governor.timelock()).to.equal(timelock.address);
+    const proposer = await timelock.PROPOSER_ROLE();
+    expect(await timelock.hasRole(proposer, governor.address)).to.equal(true);
+    const admin = await timelock.TIMELOCK_ADMIN_ROLE();
+    expect(await timelock.hasRole(admin, governorFactory.address)).to.equal(
+      false
+    );
+
+    // The token's treasury fees go to its timelock once the delay is over.
+    const setTokenTreasury = wavefront.interface.encodeFunctionData(
+      "setTokenTreasury",
+      [wft.address, timelock.address]
+    );
+    await wavefront.connect(owner).queue(setTokenTreasury);
+    await router.connect(user1).contribute(wft.address, convert("600", 6));
+    await router.connect(user2).contribute(wft.address, convert("400", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user1).redeem(wft.address);
+    await router.connect(user2).redeem(wft.address);
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await wavefront.execute(setTokenTreasury);
+    await expect(
+      router
+        .connect(user3)
+        .buy(wft.address, AddressZero, convert("1000", 6), 0, 0)
+    )
+      .to.emit(wft, "Token__TreasuryFee")
+      .withArgs(timelock.address, convert("1.5", 6), 0);
+    await router.connect(user0).createContent(wft.address, "ipfs://0");
+  });
+
+  it("Holders propose and vote with their past votes", async function () {
+    console.log("******************************************************");
+    await wft.connect(user1).delegate(user1.address);
+
+    const calls = [
+      [content, "setModerator", [user3.address, true]],
+      [content, "setCurationStep", [2000]],
+      [rewarder, "setSponsorAccepted", [bonus.address, user3.address]],
+      [usdc, "transfer", [user0.address, convert("1.5", 6)]],
+    ];
+    proposal = [
+      calls.map(([contract]) => contract.address),
+      calls.map(() => 0),
+      calls.map(([contract, fn, args]) =>
+        contract.interface.encodeFunctionData(fn, args)
+      ),
+      "Appoint user3, raise the step, accept bonus and pay user0",
+    ];
+    const tx = await governor.connect(user2).propose(...proposal);
+    const receipt = await tx.wait();
+    const proposalId = receipt.events.find((e) => e.event === "ProposalCreated")
+      .args.proposalId;
+    proposal.id = proposalId;
+
+    // Votes delegated after the snapshot do not count.
+    await mineBlocks((await governor.votingDelay()).toNumber() + 1);
+    await wft.connect(user2).delegate(user2.address);
+    const snapshot = await governor.proposalSnapshot(proposalId);
+    expect(await wft.getPastVotes(user2.address, snapshot)).to.equal(0);
+    expect(await wft.getVotes(user2.address)).to.be.gt(0);
+
+    await governor.connect(user1).castVote(proposalId, 1);
+    await governor.connect(user2).castVote(proposalId, 0);
+    const votes = await governor.proposalVotes(proposalId);
+    expect(votes.forVotes).to.equal(
+      await wft.getPastVotes(user1.address, snapshot)
+    );
+    expect(votes.againstVotes).to.equal(0);
+    expect(votes.forVotes).to.be.gte(await governor.quorum(snapshot));
+
+    await mineBlocks((await governor.votingPeriod()).toNumber());
+    expect(await governor.state(proposalId)).to.equal(SUCCEEDED);
+  });
+
+  it("Passed proposals execute through the timelock", async function () {
+    console.log("******************************************************");
+    const [targets, values, calldatas, description] = proposal;
+    const descriptionHash = ethers.utils.id(description);
+    await governor.queue(targets, values, calldatas, descriptionHash);
+    expect(await governor.state(proposal.id)).to.equal(QUEUED);
+    await expectRevert(
+      governor.execute(targets, values, calldatas, descriptionHash),
+      "TimelockController: operation is not ready"
+    );
+
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    const balance = await usdc.balanceOf(user0.address);
+    await governor.execute(targets, values, calldatas, descriptionHash);
+    expect(await governor.state(proposal.id)).to.equal(EXECUTED);
+    expect((await usdc.balanceOf(user0.address)).sub(balance)).to.equal(
+      convert("1.5", 6)
+    );
+
+    expect(await content.account_Moderator(user3.address)).to.equal(true);
+    expect(await content.curationStep()).to.equal(2000);
+    expect(await content.getNextPrice(1)).to.equal(convert("1", 6));
+    await router.connect(user1).curateContent(wft.address, 1);
+    expect(await content.getNextPrice(1)).to.equal(convert("2.2", 6));
+  });
+
+  it("Only governance changes governed parameters", async function () {
+    console.log("******************************************************");
+    await expectRevert(
+      content.connect(user0).setCurationStep(0),
+      "Content__NotGovernance"
+    );
+    await expectRevert(
+      rewarder.connect(user0).setSponsorsRestricted(false),
+      "Rewarder__NotGovernance"
+    );
+    // The creator still appoints moderators.
+    await content.connect(user0).setModerator(user3.address, false);
+
+    // Sponsors need acceptance until governance lifts the restriction.
+    expect(await rewarder.sponsorsRestricted()).to.equal(true);
+    expect(await rewarder.token_AcceptedSponsor(bonus.address)).to.equal(
+      user3.address
+    );
+    await bonus.mint(user2.address, 1e6);
+    await bonus.connect(user2).approve(router.address, 1e6);
+    await expectRevert(
+      router
+        .connect(user2)
+        .sponsorContentReward(wft.address, bonus.address, DAY, 1e6),
+      "Rewarder__NotAccepted"
+    );
+    const other = await (await ethers.getContractFactory("USDC")).deploy();
+    await other.mint(user3.address, convert("100", 6));
+    await other.connect(user3).approve(router.address, MaxUint256);
+    await expectRevert(
+      router
+        .connect(user3)
+        .sponsorContentReward(wft.address, other.address, DAY, 1e6),
+      "Rewarder__NotAccepted"
+    );
+    await router
+      .connect(user3)
+      .sponsorContentReward(wft.address, bonus.address, DAY, 1e6);
+    expect(await rewarder.token_Sponsor(bonus.address)).to.equal(user3.address);
+  });
+});
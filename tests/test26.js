@@ -0,0 +1,311 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { launchParams } = require("../sdk/launchParams");
+const { TokenSimulator } = require("../sdk/TokenSimulator");
+const { Indexer, createStore, revenueReport } = require("../indexer");
+
+const MaxUint256 = ethers.constants.MaxUint256;
+const DAY = 86400;
+
+let owner, user0, user1, user2, user3;
+let usdc, wft, content, splitter;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+let startBlock;
+
+// Hardhat does not decode every custom error raised from a modifier, so
+// the error's selector is accepted as well.
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+function encode(name, args) {
+  return wavefront.interface.encodeFunctionData(name, args);
+}
+
+async function balancesOf(token, accounts) {
+  return Promise.all(accounts.map((account) => token.balanceOf(account)));
+}
+
+describe("local: test26", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2, user3] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    startBlock = (await wavefront.deployTransaction.wait()).blockNumber;
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc.connect(user).approve(router.address, MaxUint256);
+    }
+    await queueAndExecute(wavefront, [["setTreasury", [owner.address]]]);
+    console.log("- System set up");
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    content = await wft.content();
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user0).redeem(wft.address);
+    await wft.connect(user0).approve(router.address, MaxUint256);
+    console.log("- Token launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Fee changes wait out the delay", async function () {
+    console.log("******************************************************");
+    let fees = await wavefront.getFees(wft.address);
+    expect(fees.fee).to.equal(100);
+    expect(fees.feeSplit).to.equal(1500);
+    expect(fees.treasurySplit).to.equal(1500);
+    expect(fees.treasury).to.equal(owner.address);
+
+    const data = encode("setTreasurySplit", [500]);
+    await expectRevert(
+      wavefront.connect(owner).setTreasurySplit(500),
+      "ActionQueue__NotQueued"
+    );
+    await expectRevert(
+      wavefront.connect(user3).queue(data),
+      "Ownable: caller is not the owner"
+    );
+    await expect(wavefront.connect(owner).queue(data)).to.emit(
+      wavefront,
+      "ActionQueue__Queued"
+    );
+    await expectRevert(
+      wavefront.connect(owner).queue(data),
+      "ActionQueue__AlreadyQueued"
+    );
+    await expectRevert(wavefront.execute(data), "ActionQueue__NotReady");
+
+    // A cancelled action is gone, queueing it again restarts the delay.
+    const id = ethers.utils.keccak256(data);
+    await wavefront.connect(owner).cancel(id);
+    expect(await wavefront.action_Eta(id)).to.equal(0);
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await expectRevert(wavefront.execute(data), "ActionQueue__NotQueued");
+
+    await queueAndExecute(wavefront, [["setTreasurySplit", [500]]]);
+    expect(await wavefront.treasurySplit()).to.equal(500);
+    fees = await wavefront.getFees(wft.address);
+    expect(fees.treasurySplit).to.equal(500);
+
+    // 1 quote of fee, 0.15 to the provider and content, 0.05 to treasury.
+    // The router passes content fees straight on to the rewarder.
+    const accounts = [user2.address, owner.address];
+    const before = await balancesOf(usdc, accounts);
+    await expect(
+      router
+        .connect(user1)
+        .buy(wft.address, user2.address, convert("100", 6), 0, 0)
+    )
+      .to.emit(wft, "Token__ContentFee")
+      .withArgs(content, convert("0.15", 6), 0);
+    const after = await balancesOf(usdc, accounts);
+    expect(after[0].sub(before[0])).to.equal(convert("0.15", 6));
+    expect(after[1].sub(before[1])).to.equal(convert("0.05", 6));
+  });
+
+  it("Tokens move into fee tiers", async function () {
+    console.log("******************************************************");
+    // Failing setters revert the execution and stay queued.
+    for (const [name, args, error] of [
+      ["setFeeTier", [2, 50, 2000], "WaveFront__InvalidFeeTier"],
+      ["setFeeTier", [1, 1001, 2000], "WaveFront__InvalidFees"],
+      ["setTokenFeeTier", [wft.address, 1], "WaveFront__InvalidFeeTier"],
+    ]) {
+      const data = encode(name, args);
+      await wavefront.connect(owner).queue(data);
+      await network.provider.send("evm_increaseTime", [2 * DAY]);
+      await expectRevert(wavefront.execute(data), error);
+      await wavefront.connect(owner).cancel(ethers.utils.keccak256(data));
+    }
+
+    await queueAndExecute(wavefront, [
+      ["setFeeTier", [1, 50, 2000]],
+      ["setTokenFeeTier", [wft.address, 1]],
+    ]);
+    expect(await wavefront.feeTiers()).to.equal(1);
+    expect(await wavefront.token_FeeTier(wft.address)).to.equal(1);
+    const fees = await wavefront.getFees(wft.address);
+    expect(fees.fee).to.equal(50);
+    expect(fees.feeSplit).to.equal(2000);
+    // The launch fee is still on the token.
+    expect(await wft.fee()).to.equal(100);
+
+    const amount = convert("1000", 6);
+    const quoted = await multicall.buyQuoteIn(wft.address, amount, 10000);
+    const sim = await TokenSimulator.fromToken(wft, [user1.address]);
+    const expected = sim.buy(
+      router.address,
+      amount.toBigInt(),
+      0n,
+      user1.address,
+      user2.address
+    );
+    const accounts = [user2.address, owner.address];
+    const tokenBefore = await wft.balanceOf(user1.address);
+    const before = await balancesOf(usdc, accounts);
+    await expect(
+      router.connect(user1).buy(wft.address, user2.address, amount, 0, 0)
+    )
+      .to.emit(wft, "Token__ContentFee")
+      .withArgs(content, convert("1", 6), 0);
+    const after = await balancesOf(usdc, accounts);
+
+    const tokenAmt = (await wft.balanceOf(user1.address)).sub(tokenBefore);
+    expect(tokenAmt).to.equal(quoted.tokenAmtOut);
+    expect(tokenAmt).to.equal(expected);
+    // 5 quote of fee, 20% each to the provider and content, 5% to treasury.
+    expect(after[0].sub(before[0])).to.equal(convert("1", 6));
+    expect(after[1].sub(before[1])).to.equal(convert("0.25", 6));
+
+    // Tier 0 puts the token back on its launch fee.
+    await queueAndExecute(wavefront, [["setTokenFeeTier", [wft.address, 0]]]);
+    expect((await wavefront.getFees(wft.address)).fee).to.equal(100);
+  });
+
+  it("A fee splitter shares the treasury's fees by weight", async function () {
+    console.log("******************************************************");
+    const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+    await expectRevert(
+      FeeSplitter.deploy([user0.address], [1, 3]),
+      "FeeSplitter__InvalidRecipients"
+    );
+    splitter = await FeeSplitter.deploy([user0.address, user3.address], [1, 3]);
+    await queueAndExecute(wavefront, [["setTreasury", [splitter.address]]]);
+
+    await router
+      .connect(user1)
+      .buy(wft.address, user2.address, convert("1000", 6), 0, 0);
+    await router
+      .connect(user0)
+      .sell(wft.address, user2.address, convert("100000", 18), 0, 0);
+    const quoteRaw = await usdc.balanceOf(splitter.address);
+    const tokenAmt = await wft.balanceOf(splitter.address);
+    expect(quoteRaw).to.equal(convert("0.5", 6));
+    expect(tokenAmt).to.equal(convert("50", 18));
+
+    const accounts = [user0.address, user3.address];
+    const quoteBefore = await balancesOf(usdc, accounts);
+    const tokenBefore = await balancesOf(wft, accounts);
+    await expect(splitter.distributeMany([usdc.address, wft.address]))
+      .to.emit(splitter, "FeeSplitter__Distributed")
+      .withArgs(usdc.address, user3.address, convert("0.375", 6));
+    const quoteAfter = await balancesOf(usdc, accounts);
+    const tokenAfter = await balancesOf(wft, accounts);
+    expect(quoteAfter[0].sub(quoteBefore[0])).to.equal(convert("0.125", 6));
+    expect(quoteAfter[1].sub(quoteBefore[1])).to.equal(convert("0.375", 6));
+    expect(tokenAfter[0].sub(tokenBefore[0])).to.equal(convert("12.5", 18));
+    expect(tokenAfter[1].sub(tokenBefore[1])).to.equal(convert("37.5", 18));
+    expect(await usdc.balanceOf(splitter.address)).to.equal(0);
+
+    // New recipients wait out the splitter's own delay.
+    await expectRevert(
+      splitter.connect(user3).queueRecipients([user3.address], [1]),
+      "Ownable: caller is not the owner"
+    );
+    await splitter.queueRecipients([user3.address], [1]);
+    await expectRevert(splitter.applyRecipients(), "FeeSplitter__NotReady");
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await splitter.connect(user3).applyRecipients();
+    const [recipients, weights] = await splitter.getRecipients();
+    expect(recipients).to.deep.equal([user3.address]);
+    expect(weights[0]).to.equal(1);
+    expect((await splitter.getPendingRecipients()).eta).to.equal(0);
+  });
+
+  it("Reports fee revenue per token and period", async function () {
+    console.log("******************************************************");
+    const { chainId } = await ethers.provider.getNetwork();
+    const indexer = new Indexer(
+      ethers.provider,
+      createStore({ chainId, wavefront: wavefront.address, startBlock }),
+      { confirmations: 0 }
+    );
+    await indexer.sync();
+
+    // The report adds up to the fee events it was built from.
+    const expected = { provider: 0n, content: 0n, treasury: 0n };
+    for (const [name, recipient] of [
+      ["Token__ProviderFee", "provider"],
+      ["Token__ContentFee", "content"],
+      ["Token__TreasuryFee", "treasury"],
+    ]) {
+      for (const event of await wft.queryFilter(wft.filters[name]())) {
+        expected[recipient] += event.args.quoteRaw.toBigInt();
+      }
+    }
+    const daily = revenueReport(indexer.state);
+    const totals = daily.tokens[wft.address];
+    expect(totals.symbol).to.equal("wft");
+    for (const recipient of ["provider", "content", "treasury"]) {
+      expect(totals[recipient].quoteRaw).to.equal(
+        expected[recipient].toString()
+      );
+    }
+    expect(totals.treasury.tokenAmt).to.equal(convert("50", 18).toString());
+    expect(totals.total.quoteRaw).to.equal(
+      (expected.provider + expected.content + expected.treasury).toString()
+    );
+    // Fees fell on several days, which months add up again.
+    expect(daily.periods.length).to.be.greaterThan(1);
+    const monthly = revenueReport(indexer.state, { period: "month" });
+    const sum = monthly.periods.reduce(
+      (total, row) => total + BigInt(row.total.quoteRaw),
+      0n
+    );
+    expect(sum.toString()).to.equal(totals.total.quoteRaw);
+
+    const last = daily.periods[daily.periods.length - 1];
+    const recent = revenueReport(indexer.state, { from: last.t });
+    expect(recent.periods).to.deep.equal([last]);
+  });
+});
@@ -0,0 +1,247 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+const { pendingActions, simulateActions } = require("../scripts/lib/actions");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const DAY = 86400;
+
+let owner, multisig, treasury, user0, user1;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, router;
+
+// Hardhat does not decode every custom error raised from a modifier, so
+// the error's selector is accepted as well.
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+function encode(contract, name, args) {
+  return contract.interface.encodeFunctionData(name, args);
+}
+
+describe("local: test27", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, multisig, treasury, user0, user1] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("USDC")).deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    console.log("- System set up");
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    console.log("- Token launched");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Admin setters only run as queued actions", async function () {
+    console.log("******************************************************");
+    const calls = [
+      ["setTreasury", [treasury.address]],
+      ["setTokenTreasury", [wft.address, treasury.address]],
+      ["setTokenFactory", [AddressZero]],
+      ["setSaleFactory", [AddressZero]],
+      ["setContentFactory", [AddressZero]],
+      ["setRewarderFactory", [AddressZero]],
+      ["setGovernorFactory", [AddressZero]],
+      ["addContentReward", [wft.address, usdc.address]],
+    ];
+    for (const [name, args] of calls) {
+      await expectRevert(
+        wavefront.connect(owner)[name](...args),
+        "ActionQueue__NotQueued"
+      );
+      await expectRevert(
+        wavefront.connect(user0).queue(encode(wavefront, name, args)),
+        "Ownable: caller is not the owner"
+      );
+    }
+
+    const data = encode(wavefront, "setTreasury", [treasury.address]);
+    await wavefront.connect(owner).queue(data);
+    await network.provider.send("evm_increaseTime", [2 * DAY - 10]);
+    await expectRevert(wavefront.execute(data), "ActionQueue__NotReady");
+    await network.provider.send("evm_increaseTime", [10]);
+    await expect(wavefront.connect(user1).execute(data))
+      .to.emit(wavefront, "WaveFront__TreasurySet")
+      .withArgs(treasury.address);
+    expect(await wavefront.treasury()).to.equal(treasury.address);
+  });
+
+  it("Router withdrawals wait out the delay", async function () {
+    console.log("******************************************************");
+    await usdc.mint(router.address, convert("5", 6));
+    await expectRevert(
+      router.connect(owner).withdrawStuckTokens(usdc.address, owner.address),
+      "ActionQueue__NotQueued"
+    );
+
+    const data = encode(router, "withdrawStuckTokens", [
+      usdc.address,
+      treasury.address,
+    ]);
+    const id = ethers.utils.keccak256(data);
+    await expectRevert(
+      router.connect(user0).queue(data),
+      "Ownable: caller is not the owner"
+    );
+    await expect(router.connect(owner).queue(data)).to.emit(
+      router,
+      "ActionQueue__Queued"
+    );
+    await expectRevert(
+      router.connect(owner).queue(data),
+      "ActionQueue__AlreadyQueued"
+    );
+    await expectRevert(router.execute(data), "ActionQueue__NotReady");
+    await expectRevert(
+      router.connect(user0).cancel(id),
+      "Ownable: caller is not the owner"
+    );
+    await expect(router.connect(owner).cancel(id))
+      .to.emit(router, "ActionQueue__Cancelled")
+      .withArgs(id);
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await expectRevert(router.execute(data), "ActionQueue__NotQueued");
+
+    await router.connect(owner).queue(data);
+    await network.provider.send("evm_increaseTime", [2 * DAY]);
+    await expect(router.connect(user1).execute(data))
+      .to.emit(router, "ActionQueue__Executed")
+      .withArgs(id, data);
+    expect(await usdc.balanceOf(treasury.address)).to.equal(convert("5", 6));
+    expect(await router.action_Eta(id)).to.equal(0);
+  });
+
+  it("Ownership moves in two steps", async function () {
+    console.log("******************************************************");
+    for (const contract of [wavefront, router]) {
+      await expect(contract.connect(owner).transferOwnership(multisig.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, multisig.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(multisig.address);
+      await expect(
+        contract.connect(user0).acceptOwnership()
+      ).to.be.revertedWith("Ownable2Step: caller is not the new owner");
+      await contract.connect(multisig).acceptOwnership();
+      expect(await contract.owner()).to.equal(multisig.address);
+      expect(await contract.pendingOwner()).to.equal(AddressZero);
+    }
+
+    const data = encode(wavefront, "setTreasury", [multisig.address]);
+    await expectRevert(
+      wavefront.connect(owner).queue(data),
+      "Ownable: caller is not the owner"
+    );
+    await wavefront.connect(multisig).queue(data);
+    await wavefront.connect(multisig).cancel(ethers.utils.keccak256(data));
+  });
+
+  it("Pending actions are listed and simulated on the fork", async function () {
+    console.log("******************************************************");
+    const cancelled = encode(wavefront, "setTreasury", [user0.address]);
+    const actions = [
+      encode(wavefront, "setFeeTier", [1, 50, 1000]),
+      encode(wavefront, "setTokenFeeTier", [wft.address, 1]),
+      cancelled,
+    ];
+    for (const data of actions) await wavefront.connect(multisig).queue(data);
+    await wavefront.connect(multisig).cancel(ethers.utils.keccak256(cancelled));
+    await usdc.mint(router.address, convert("2", 6));
+    await router
+      .connect(multisig)
+      .queue(
+        encode(router, "withdrawStuckTokens", [usdc.address, user1.address])
+      );
+    // A reward for an address that is not a token reverts.
+    await wavefront
+      .connect(multisig)
+      .queue(
+        encode(wavefront, "addContentReward", [user1.address, AddressZero])
+      );
+
+    const pending = [
+      ...(await pendingActions(wavefront)),
+      ...(await pendingActions(router)),
+    ];
+    expect(pending.map((action) => action.call.signature)).to.deep.equal([
+      "setFeeTier(1, 50, 1000)",
+      `setTokenFeeTier(${wft.address}, 1)`,
+      `addContentReward(${user1.address}, ${AddressZero})`,
+      `withdrawStuckTokens(${usdc.address}, ${user1.address})`,
+    ]);
+    expect(pending[3].name).to.equal("WaveFrontRouter");
+
+    const block = await ethers.provider.getBlock("latest");
+    const results = await simulateActions(hre, pending);
+    const [feeTier, tokenFeeTier, reward, withdraw] = pending.map((action) =>
+      results.find((result) => result.id === action.id)
+    );
+    expect(feeTier.after).to.deep.equal({
+      feeTiers: "1",
+      "tier 1": "fee: 50, feeSplit: 1000",
+    });
+    expect(feeTier.before["tier 1"]).to.equal("fee: 0, feeSplit: 0");
+    const fees = tokenFeeTier.after[`fees of ${wft.address}`];
+    expect(fees).to.contain("fee: 50, feeSplit: 1000");
+    expect(withdraw.before).to.deep.equal({
+      "router balance": "2000000",
+      [`balance of ${user1.address}`]: "0",
+    });
+    expect(withdraw.after[`balance of ${user1.address}`]).to.equal("2000000");
+    expect(withdraw.error).to.equal(null);
+    expect(reward.error).to.not.equal(null);
+
+    // The network is back where it was.
+    expect((await ethers.provider.getBlock("latest")).number).to.equal(
+      block.number
+    );
+    expect(await wavefront.feeTiers()).to.equal(0);
+    expect(await usdc.balanceOf(router.address)).to.equal(convert("2", 6));
+    expect((await pendingActions(router)).length).to.equal(1);
+  });
+});
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { loadRecord, saveRecord } = require("../scripts/lib/deployments");
+
+let owner, treasury;
+let recordPath, chainId, config;
+let contracts;
+
+const readRecord = () => loadRecord(recordPath, network.name, chainId);
+
+describe("local: test3", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, treasury] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wavefront-"));
+    recordPath = path.join(dir, "hardhat.json");
+    config = { quote: null, treasury: treasury.address, confirmations: 1 };
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Deploys the full system and records every step", async function () {
+    console.log("******************************************************");
+    const record = readRecord();
+    contracts = await deploySystem(hre, { config, record, recordPath });
+
+    const saved = readRecord();
+    expect(Object.keys(saved.contracts)).to.deep.equal([
+      "USDC",
+      "TokenFactory",
+      "SaleFactory",
+      "ContentFactory",
+      "RewarderFactory",
+      "TimelockFactory",
+      "GovernorFactory",
+      "WaveFront",
+      "WaveFrontMulticall",
+      "WaveFrontRouter",
+      "WaveFrontOrderBook",
+    ]);
+    for (const entry of Object.values(saved.contracts)) {
+      expect(entry.address).to.not.equal(null);
+      expect(entry.txHash).to.not.equal(null);
+      expect(entry.blockNumber).to.not.equal(null);
+    }
+    expect(saved.contracts.WaveFront.args[0]).to.equal(contracts.quote.address);
+    expect(saved.contracts.WaveFrontRouter.args).to.deep.equal([
+      contracts.wavefront.address,
+    ]);
+
+    // The treasury and governor factory are queued, the first rerun after
+    // the delay sets them.
+    expect(await contracts.wavefront.treasury()).to.equal(
+      ethers.constants.AddressZero
+    );
+    await deploySystem(hre, { config, record: readRecord(), recordPath });
+    expect(await contracts.wavefront.treasury()).to.equal(
+      ethers.constants.AddressZero
+    );
+    await network.provider.send("evm_increaseTime", [2 * 86400]);
+    await network.provider.send("evm_mine");
+    await deploySystem(hre, { config, record: readRecord(), recordPath });
+    expect(await contracts.wavefront.treasury()).to.equal(treasury.address);
+    expect(await contracts.wavefront.governorFactory()).to.equal(
+      contracts.governorFactory.address
+    );
+  });
+
+  it("Rerun skips every recorded step", async function () {
+    console.log("******************************************************");
+    const blockBefore = await ethers.provider.getBlockNumber();
+    const record = readRecord();
+    const rerun = await deploySystem(hre, { config, record, recordPath });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(rerun.router.address).to.equal(contracts.router.address);
+  });
+
+  it("Resumes a deployment that was broadcast but never recorded", async function () {
+    console.log("******************************************************");
+    const record = readRecord();
+    record.contracts.WaveFrontRouter.address = null;
+    record.contracts.WaveFrontRouter.blockNumber = null;
+    saveRecord(recordPath, record);
+
+    const resumed = await deploySystem(hre, {
+      config,
+      record: readRecord(),
+      recordPath,
+    });
+    expect(resumed.router.address).to.equal(contracts.router.address);
+    expect(readRecord().contracts.WaveFrontRouter.address).to.equal(
+      contracts.router.address
+    );
+  });
+
+  it("Redeploys only the steps missing from the record", async function () {
+    console.log("******************************************************");
+    const record = readRecord();
+    delete record.contracts.WaveFrontMulticall;
+    saveRecord(recordPath, record);
+
+    const resumed = await deploySystem(hre, {
+      config,
+      record: readRecord(),
+      recordPath,
+    });
+    expect(resumed.multicall.address).to.not.equal(contracts.multicall.address);
+    expect(resumed.wavefront.address).to.equal(contracts.wavefront.address);
+    expect(await resumed.multicall.wavefront()).to.equal(
+      contracts.wavefront.address
+    );
+  });
+
+  it("Refuses to reuse a step recorded with different args", async function () {
+    console.log("******************************************************");
+    const record = readRecord();
+    record.contracts.WaveFrontRouter.args = [owner.address];
+    saveRecord(recordPath, record);
+
+    let error;
+    try {
+      await deploySystem(hre, { config, record: readRecord(), recordPath });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("WaveFrontRouter is recorded with args");
+  });
+
+  it("Refuses to reuse a step compiled from other bytecode", async function () {
+    console.log("******************************************************");
+    const record = readRecord();
+    record.contracts.WaveFrontRouter.args = [contracts.wavefront.address];
+    record.contracts.WaveFrontRouter.bytecodeHash = ethers.utils.id("old");
+    saveRecord(recordPath, record);
+
+    const deployError = async () => {
+      try {
+        await deploySystem(hre, { config, record: readRecord(), recordPath });
+      } catch (e) {
+        return e;
+      }
+    };
+    let error = await deployError();
+    expect(error.message).to.contain(
+      `WaveFrontRouter is recorded with bytecode ${ethers.utils.id("old")}`
+    );
+
+    // Records written before the hash was kept are not trusted either.
+    delete record.contracts.WaveFrontRouter.bytecodeHash;
+    saveRecord(recordPath, record);
+    error = await deployError();
+    expect(error.message).to.contain(
+      "WaveFrontRouter is recorded without a bytecode hash"
+    );
+  });
+});
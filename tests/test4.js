@@ -0,0 +1,134 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const hre = require("hardhat");
+const fs = require("fs");
+const { deploySystem } = require("../scripts/deploy");
+const { getRecordPath, loadRecord } = require("../scripts/lib/deployments");
+
+let owner;
+let usdc, wft, content, rewarder;
+let contracts;
+
+describe("local: test4", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    // Tasks resolve addresses from the network's deployment record.
+    const recordPath = getRecordPath(network.name);
+    if (fs.existsSync(recordPath)) fs.unlinkSync(recordPath);
+    const record = loadRecord(recordPath, network.name, chainId);
+    const config = { quote: null, treasury: null, confirmations: 1 };
+    contracts = await deploySystem(hre, { config, record, recordPath });
+
+    usdc = contracts.quote;
+    await usdc.connect(owner).mint(owner.address, convert("100000", 6));
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("wf:create launches a token", async function () {
+    console.log("******************************************************");
+    const token = await hre.run("wf:create", {
+      name: "wft",
+      symbol: "wft",
+      uri: "https://wavefront.io/wft",
+    });
+    wft = await ethers.getContractAt("Token", token);
+    content = await ethers.getContractAt("Content", await wft.content());
+    rewarder = await ethers.getContractAt("Rewarder", await wft.rewarder());
+    expect(await contracts.wavefront.index_Token(1)).to.equal(token);
+  });
+
+  it("wf:contribute approves and contributes", async function () {
+    console.log("******************************************************");
+    await hre.run("wf:contribute", { token: wft.address, quoteIn: "100" });
+    const sale = await ethers.getContractAt("Sale", await wft.sale());
+    expect(await sale.account_QuoteRaw(owner.address)).to.equal(
+      convert("100", 6)
+    );
+  });
+
+  it("wf:redeem opens the market and redeems", async function () {
+    console.log("******************************************************");
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await hre.run("wf:redeem", { token: wft.address });
+    expect(await wft.open()).to.equal(true);
+    expect(await wft.balanceOf(owner.address)).to.be.gt(0);
+  });
+
+  it("wf:buy buys with slippage protection", async function () {
+    console.log("******************************************************");
+    const balanceBefore = await wft.balanceOf(owner.address);
+    const quoted = await contracts.multicall.buyQuoteIn(
+      wft.address,
+      convert("10", 6),
+      10000
+    );
+    await hre.run("wf:buy", {
+      token: wft.address,
+      quoteIn: "10",
+      slippage: "0.5",
+    });
+    expect((await wft.balanceOf(owner.address)).sub(balanceBefore)).to.equal(
+      quoted.tokenAmtOut
+    );
+  });
+
+  it("wf:buy rejects an invalid slippage", async function () {
+    console.log("******************************************************");
+    let error;
+    try {
+      await hre.run("wf:buy", {
+        token: wft.address,
+        quoteIn: "10",
+        slippage: "101",
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("Invalid slippage");
+  });
+
+  it("wf:content and wf:curate", async function () {
+    console.log("******************************************************");
+    await hre.run("wf:content", {
+      token: wft.address,
+      uri: "https://wavefront.io/content/1",
+    });
+    await hre.run("wf:curate", { token: wft.address, id: 1 });
+    expect(await content.ownerOf(1)).to.equal(owner.address);
+    expect(await rewarder.account_Balance(owner.address)).to.equal(
+      await content.id_Price(1)
+    );
+  });
+
+  it("wf:sell sells part and then all", async function () {
+    console.log("******************************************************");
+    const balanceBefore = await wft.balanceOf(owner.address);
+    await hre.run("wf:sell", {
+      token: wft.address,
+      tokenIn: "1000",
+      slippage: "1",
+    });
+    expect(await wft.balanceOf(owner.address)).to.equal(
+      balanceBefore.sub(convert("1000", 18))
+    );
+    await hre.run("wf:sell", { token: wft.address });
+    expect(await wft.balanceOf(owner.address)).to.equal(0);
+  });
+
+  it("wf:claim claims content rewards", async function () {
+    console.log("******************************************************");
+    await network.provider.send("evm_increaseTime", [86400]);
+    await network.provider.send("evm_mine");
+    await hre.run("wf:claim", { token: wft.address });
+    expect(await wft.balanceOf(owner.address)).to.be.gt(0);
+  });
+});
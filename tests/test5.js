@@ -0,0 +1,126 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { loadRecord } = require("../scripts/lib/deployments");
+const { WaveFrontClient, rawToWad, wadToRaw } = require("../sdk");
+
+let owner, user0, user1;
+let usdc, wft;
+let contracts, client0, client1;
+
+describe("local: test5", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wavefront-"));
+    const recordPath = path.join(dir, "hardhat.json");
+    const record = loadRecord(recordPath, network.name, chainId);
+    const config = { quote: null, treasury: null, confirmations: 1 };
+    contracts = await deploySystem(hre, { config, record, recordPath });
+
+    usdc = contracts.quote;
+    await usdc.connect(owner).mint(user0.address, convert("100000", 6));
+    await usdc.connect(owner).mint(user1.address, convert("100000", 6));
+
+    client0 = WaveFrontClient.fromDeployment(record, user0);
+    client1 = WaveFrontClient.fromDeployment(record, user1);
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("rawToWad and wadToRaw match the Token", async function () {
+    console.log("******************************************************");
+    expect(rawToWad(convert("1.5", 6))).to.equal(convert("1.5", 18));
+    expect(wadToRaw(convert("1.5", 18))).to.equal(convert("1.5", 6));
+    expect(wadToRaw(convert("0.0000019", 18))).to.equal(1);
+    expect(rawToWad(1, 8)).to.equal(convert("1", 10));
+  });
+
+  it("createToken returns the new token", async function () {
+    console.log("******************************************************");
+    const { token } = await client0.createToken({
+      name: "wft",
+      symbol: "wft",
+      uri: "https://wavefront.io/wft",
+    });
+    wft = await ethers.getContractAt("Token", token);
+    expect(await contracts.wavefront.index_Token(1)).to.equal(token);
+  });
+
+  it("contribute scales human quote amounts", async function () {
+    console.log("******************************************************");
+    await client0.contribute(wft.address, "100");
+    await client1.contribute(wft.address, 50);
+    const data = await client0.getTokenData(wft.address, user0.address);
+    expect(data.accountContributed).to.equal(convert("100", 6));
+    expect(data.totalQuoteContributed).to.equal(convert("150", 6));
+  });
+
+  it("redeem opens the market", async function () {
+    console.log("******************************************************");
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await client0.redeem(wft.address);
+    await client1.redeem(wft.address);
+    const data = await client0.getTokenData(wft.address);
+    expect(data.marketOpen).to.equal(true);
+  });
+
+  it("buy receives the quoted amount", async function () {
+    console.log("******************************************************");
+    const quoted = await client0.quoteBuy(wft.address, "25.5", 0.5);
+    expect(quoted.quoteRawIn).to.equal(convert("25.5", 6));
+    expect(quoted.minTokenAmtOut).to.equal(
+      quoted.tokenAmtOut.mul(9950).div(10000)
+    );
+    const { tokenAmtOut } = await client0.buy(wft.address, "25.5", {
+      slippage: 0.5,
+    });
+    expect(tokenAmtOut).to.equal(quoted.tokenAmtOut);
+  });
+
+  it("sell accepts raw BigNumber amounts", async function () {
+    console.log("******************************************************");
+    const balance = await wft.balanceOf(user0.address);
+    const tokenIn = balance.div(2);
+    const quoted = await client0.quoteSell(wft.address, tokenIn);
+    const quoteBefore = await usdc.balanceOf(user0.address);
+    const { quoteRawOut } = await client0.sell(wft.address, tokenIn);
+    expect(quoteRawOut).to.equal(quoted.quoteRawOut);
+    expect(await usdc.balanceOf(user0.address)).to.equal(
+      quoteBefore.add(quoteRawOut)
+    );
+  });
+
+  it("createContent and curate", async function () {
+    console.log("******************************************************");
+    const { tokenId } = await client0.createContent(
+      wft.address,
+      "https://wavefront.io/content/1"
+    );
+    expect(tokenId).to.equal(1);
+    const { price } = await client1.curate(wft.address, tokenId);
+    const content = await client1.getContent(wft.address);
+    expect(await content.ownerOf(tokenId)).to.equal(user1.address);
+    expect(await content.id_Price(tokenId)).to.equal(price);
+  });
+
+  it("claimRewards pays out earned rewards", async function () {
+    console.log("******************************************************");
+    await client1.sell(wft.address, await wft.balanceOf(user1.address));
+    await network.provider.send("evm_increaseTime", [86400]);
+    await network.provider.send("evm_mine");
+    await client1.claimRewards(wft.address);
+    expect(await wft.balanceOf(user1.address)).to.be.gt(0);
+  });
+});
@@ -0,0 +1,398 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { TokenSimulator } = require("../sdk/TokenSimulator");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const DAY = 86400;
+const SEED = Number(process.env.SIM_SEED || 1);
+const OPS = Number(process.env.SIM_OPS || 250);
+
+let owner, treasury, user0, user1, user2, user3, users;
+let usdc, wft, sim;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, router;
+
+// mulberry32, deterministic so a failing seed can be replayed.
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const rand = prng(SEED);
+const pick = (list) => list[Math.floor(rand() * list.length)];
+
+// Log-uniform amount between 1 and 10**digits.
+const randomAmount = (digits) =>
+  BigInt(Math.floor(10 ** (rand() * digits))) + 1n;
+
+// A random share of `amount`, occasionally a little more than all of it so
+// the revert paths get exercised too.
+const randomShare = (amount) => {
+  const roll = rand();
+  if (roll < 0.05) return amount + 1n;
+  if (roll < 0.15) return amount;
+  return (amount * BigInt(Math.floor(rand() * 1000))) / 1000n;
+};
+
+async function run(chainCall, simCall) {
+  let chainError, simError;
+  try {
+    await (await chainCall()).wait();
+  } catch (e) {
+    chainError = e;
+  }
+  try {
+    simCall();
+  } catch (e) {
+    simError = e;
+  }
+  if (!!chainError !== !!simError) {
+    throw new Error(
+      `chain ${chainError ? "reverted" : "succeeded"} but simulator ${
+        simError ? `reverted with ${simError.reason}` : "succeeded"
+      }`
+    );
+  }
+  return !chainError;
+}
+
+async function compareState() {
+  const big = async (p) => (await p).toBigInt();
+  expect(await big(wft.reserveRealQuoteWad())).to.equal(
+    sim.reserveRealQuoteWad
+  );
+  expect(await big(wft.reserveVirtQuoteWad())).to.equal(
+    sim.reserveVirtQuoteWad
+  );
+  expect(await big(wft.reserveTokenAmt())).to.equal(sim.reserveTokenAmt);
+  expect(await big(wft.maxSupply())).to.equal(sim.maxSupply);
+  expect(await big(wft.totalSupply())).to.equal(sim.totalSupply);
+  expect(await big(wft.totalDebtRaw())).to.equal(sim.totalDebtRaw);
+  expect(await big(usdc.balanceOf(wft.address))).to.equal(sim.quoteBalance);
+  for (const user of users) {
+    expect(await big(wft.balanceOf(user.address))).to.equal(
+      sim.balanceOf(user.address)
+    );
+    expect(await big(wft.account_DebtRaw(user.address))).to.equal(
+      sim.debtOf(user.address)
+    );
+    expect(await big(wft.account_InterestRaw(user.address))).to.equal(
+      sim.interestOf(user.address)
+    );
+    expect(await big(wft.getAccountCredit(user.address))).to.equal(
+      sim.getAccountCredit(user.address)
+    );
+  }
+}
+
+const actions = {
+  buy: (user) => {
+    const quoteRaw = randomAmount(10);
+    const provider = rand() < 0.3 ? pick(users).address : AddressZero;
+    return [
+      () =>
+        wft
+          .connect(user)
+          .buy(quoteRaw, 0, 0, user.address, provider, { gasLimit: 1e6 }),
+      () => sim.buy(user.address, quoteRaw, 0n, user.address, provider),
+    ];
+  },
+  sell: (user) => {
+    const tokenAmt = randomShare(sim.getAccountTransferrable(user.address));
+    const provider = rand() < 0.3 ? pick(users).address : AddressZero;
+    return [
+      () =>
+        wft
+          .connect(user)
+          .sell(tokenAmt, 0, 0, user.address, provider, { gasLimit: 1e6 }),
+      () => sim.sell(user.address, tokenAmt, 0n, user.address, provider),
+    ];
+  },
+  borrow: (user) => {
+    const quoteRaw = randomShare(sim.getAccountCredit(user.address));
+    return [
+      () => wft.connect(user).borrow(user.address, quoteRaw, { gasLimit: 1e6 }),
+      () => sim.borrow(user.address, user.address, quoteRaw),
+    ];
+  },
+  repay: (user) => {
+    const quoteRaw = randomShare(sim.debtOf(user.address));
+    return [
+      () => wft.connect(user).repay(user.address, quoteRaw, { gasLimit: 1e6 }),
+      () => sim.repay(user.address, user.address, quoteRaw),
+    ];
+  },
+  heal: (user) => {
+    const quoteRaw = randomAmount(8);
+    return [
+      () => wft.connect(user).heal(quoteRaw, { gasLimit: 1e6 }),
+      () => sim.heal(user.address, quoteRaw),
+    ];
+  },
+  burn: (user) => {
+    const tokenAmt = randomShare(sim.balanceOf(user.address)) / 10n;
+    return [
+      () => wft.connect(user).burn(tokenAmt, { gasLimit: 1e6 }),
+      () => sim.burn(user.address, tokenAmt),
+    ];
+  },
+  transfer: (user) => {
+    const to = pick(users).address;
+    const tokenAmt = randomShare(sim.balanceOf(user.address));
+    return [
+      () => wft.connect(user).transfer(to, tokenAmt, { gasLimit: 1e6 }),
+      () => sim.transfer(user.address, to, tokenAmt),
+    ];
+  },
+};
+
+describe("local: test6", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, treasury, user0, user1, user2, user3] = await ethers.getSigners();
+    users = [user0, user1, user2, user3];
+
+    const usdcArtifact = await ethers.getContractFactory("USDC");
+    usdc = await usdcArtifact.deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+
+    for (const user of users) {
+      await usdc.mint(user.address, convert("100000000", 6));
+      await usdc
+        .connect(user)
+        .approve(wft.address, ethers.constants.MaxUint256);
+    }
+    sim = await TokenSimulator.fromToken(
+      wft,
+      users.map((user) => user.address)
+    );
+    console.log("- System set up, seed:", SEED);
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Sale opens the market identically", async function () {
+    console.log("******************************************************");
+    const amount = convert("1000", 6);
+    await usdc.connect(user0).approve(router.address, amount);
+    await router.connect(user0).contribute(wft.address, amount);
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+
+    const sale = await wft.sale();
+    const totalTokenAmt = sim.buy(sale, amount.toBigInt(), 0n, sale);
+    sim.openMarket(sale);
+    sim.transfer(sale, user0.address, totalTokenAmt);
+
+    await compareState();
+  });
+
+  it(`Random operations match bit for bit (${OPS} ops)`, async function () {
+    console.log("******************************************************");
+    const names = Object.keys(actions);
+    const counts = { succeeded: 0, reverted: 0 };
+
+    for (let i = 0; i < OPS; i++) {
+      if (i === Math.floor(OPS / 2)) {
+        const data = wavefront.interface.encodeFunctionData("setTreasury", [
+          treasury.address,
+        ]);
+        await wavefront.connect(owner).queue(data);
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+        await wavefront.execute(data);
+        sim.treasury = treasury.address;
+      }
+
+      const name = pick(names);
+      const user = pick(users);
+      const [chainCall, simCall] = actions[name](user);
+      const ok = await run(chainCall, simCall).catch((e) => {
+        throw new Error(`op ${i} ${name} by ${user.address}: ${e.message}`);
+      });
+      counts[ok ? "succeeded" : "reverted"]++;
+
+      await compareState();
+    }
+    console.log("- ops:", counts);
+    console.log("- fees:", sim.feeTotals);
+  });
+
+  it("Interest, liquidations and delegated borrows match", async function () {
+    console.log("******************************************************");
+    const defaults = launchParams({
+      reserveVirtQuoteRaw: convert("100000", 6),
+    });
+    await queueAndExecute(wavefront, [
+      [
+        "setQuote",
+        [
+          usdc.address,
+          convert("100000", 6),
+          defaults,
+          { ...defaults, borrowRate: 5000 },
+        ],
+      ],
+    ]);
+    await router
+      .connect(user0)
+      .createToken(
+        "wft2",
+        "wft2",
+        "",
+        usdc.address,
+        launchParams({ borrowRate: 5000 })
+      );
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    for (const user of users) {
+      await usdc
+        .connect(user)
+        .approve(wft.address, ethers.constants.MaxUint256);
+    }
+    await usdc.connect(user0).approve(router.address, convert("1000", 6));
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await router.connect(user0).redeem(wft.address);
+    sim = await TokenSimulator.fromToken(
+      wft,
+      users.map((user) => user.address)
+    );
+    await compareState();
+
+    // Each call lands `seconds` after the last block, on both sides.
+    const step = async (seconds, chainCall, simCall) => {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await network.provider.send("evm_setNextBlockTimestamp", [
+        timestamp + seconds,
+      ]);
+      sim.timestamp = BigInt(timestamp + seconds);
+      const ok = await run(chainCall, simCall);
+      await compareState();
+      return ok;
+    };
+    const gas = { gasLimit: 1e6 };
+    // The credit left at the time of the call.
+    const borrowAll = (user) => {
+      let quoteRaw;
+      return [
+        () => {
+          quoteRaw = sim.getAccountCredit(user.address);
+          return wft.connect(user).borrow(user.address, quoteRaw, gas);
+        },
+        () => sim.borrow(user.address, user.address, quoteRaw),
+      ];
+    };
+
+    await step(1, ...borrowAll(user0));
+    const quoteRaw = convert("5000", 6).toBigInt();
+    await step(
+      1,
+      () =>
+        wft.connect(user1).buy(quoteRaw, 0, 0, user1.address, AddressZero, gas),
+      () => sim.buy(user1.address, quoteRaw, 0n, user1.address)
+    );
+    const third = sim.getAccountDebt(user0.address) / 3n;
+    await step(
+      30 * DAY,
+      () => wft.connect(user0).repay(user0.address, third, gas),
+      () => sim.repay(user0.address, user0.address, third)
+    );
+    expect(sim.feeTotals.healedQuoteRaw > 0n).to.equal(true);
+    expect(
+      await step(
+        1,
+        () => wft.connect(user1).liquidate(user0.address, user1.address, gas),
+        () => sim.liquidate(user1.address, user0.address, user1.address)
+      )
+    ).to.equal(false);
+    await step(1, ...borrowAll(user0));
+    expect(
+      await step(
+        30 * DAY,
+        () => wft.connect(user1).liquidate(user0.address, user1.address, gas),
+        () => sim.liquidate(user1.address, user0.address, user1.address)
+      )
+    ).to.equal(true);
+    expect(sim.balanceOf(user0.address) > 0n).to.equal(true);
+    expect(sim.getAccountDebt(user0.address)).to.equal(0n);
+
+    const tokenAmt = sim.balanceOf(user1.address) / 2n;
+    await step(
+      1,
+      () => wft.connect(user1).transfer(user2.address, tokenAmt, gas),
+      () => sim.transfer(user1.address, user2.address, tokenAmt)
+    );
+    const allowance = sim.getAccountCredit(user2.address) / 2n;
+    await step(
+      1,
+      () => wft.connect(user2).approveBorrow(user3.address, allowance, gas),
+      () => sim.approveBorrow(user2.address, user3.address, allowance)
+    );
+    const borrowFor = (amount) => [
+      () =>
+        wft.connect(user3).borrowFor(user2.address, user3.address, amount, gas),
+      () => sim.borrowFor(user3.address, user2.address, user3.address, amount),
+    ];
+    expect(await step(1, ...borrowFor(allowance))).to.equal(true);
+    expect(await step(1, ...borrowFor(1n))).to.equal(false);
+    await step(1, ...borrowAll(user2));
+    const balance = sim.balanceOf(user2.address);
+    await step(
+      7 * DAY,
+      () =>
+        wft
+          .connect(user2)
+          .sellFor(
+            user2.address,
+            balance,
+            0,
+            0,
+            user2.address,
+            AddressZero,
+            gas
+          ),
+      () =>
+        sim.sellFor(user2.address, user2.address, balance, 0n, user2.address)
+    );
+    expect(sim.debtOf(user2.address)).to.equal(0n);
+  });
+});
@@ -0,0 +1,292 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  Indexer,
+  createStore,
+  loadStore,
+  saveStore,
+  INTERVALS,
+} = require("../indexer");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+let owner, user0, user1, user2;
+let usdc, wft, content;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, router;
+let indexer, chainId, startBlock;
+
+async function getDeadline() {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp + 300;
+}
+
+async function buy(user, amount) {
+  await usdc.connect(user).approve(router.address, convert(amount, 6));
+  await router
+    .connect(user)
+    .buy(wft.address, AddressZero, convert(amount, 6), 0, await getDeadline());
+}
+
+// The indexed holders and debts must agree with the chain.
+async function expectMatchesChain() {
+  const holders = indexer.state.holders[wft.address];
+  const debts = indexer.state.debts[wft.address];
+  let total = 0n;
+  for (const balance of Object.values(holders)) total += BigInt(balance);
+  expect(total).to.equal((await wft.totalSupply()).toBigInt());
+
+  for (const user of [user0, user1, user2]) {
+    expect(holders[user.address] || "0").to.equal(
+      (await wft.balanceOf(user.address)).toString()
+    );
+    expect(debts[user.address] || "0").to.equal(
+      (await wft.account_DebtRaw(user.address)).toString()
+    );
+  }
+}
+
+describe("local: test7", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const usdcArtifact = await ethers.getContractFactory("USDC");
+    usdc = await usdcArtifact.deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+    startBlock = (await wavefront.deployTransaction.wait()).blockNumber;
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+    }
+
+    const store = createStore({
+      chainId,
+      wavefront: wavefront.address,
+      startBlock,
+    });
+    indexer = new Indexer(ethers.provider, store, {
+      confirmations: 3,
+      batchSize: 5,
+    });
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Discovers tokens from WaveFront__TokenCreated", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "ipfs://wft", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    content = await ethers.getContractAt("Content", await wft.content());
+
+    const lastBlock = await indexer.sync();
+    expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    const meta = indexer.state.tokens[wft.address];
+    expect(meta.symbol).to.equal("wft");
+    expect(meta.quote).to.equal(usdc.address);
+    expect(meta.quoteDecimals).to.equal(6);
+    expect(meta.sale).to.equal(await wft.sale());
+    expect(meta.content).to.equal(content.address);
+  });
+
+  it("Indexes contributions and the market opening", async function () {
+    console.log("******************************************************");
+    await usdc.connect(user0).approve(router.address, convert("1000", 6));
+    await router.connect(user0).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(user0).redeem(wft.address);
+
+    await indexer.sync();
+    expect(indexer.state.contributions[wft.address][user0.address]).to.equal(
+      convert("1000", 6).toString()
+    );
+    const [trade] = indexer.state.trades[wft.address];
+    expect(trade.side).to.equal("buy");
+    expect(trade.account).to.equal(await wft.sale());
+    expect(trade.quoteRaw).to.equal(convert("1000", 6).toString());
+    await expectMatchesChain();
+  });
+
+  it("Indexes trades, debts and curations", async function () {
+    console.log("******************************************************");
+    await buy(user1, "500");
+    await network.provider.send("evm_increaseTime", [120]);
+    await buy(user2, "250");
+
+    const tokenAmt = (await wft.balanceOf(user1.address)).div(2);
+    await wft.connect(user1).approve(router.address, tokenAmt);
+    await router
+      .connect(user1)
+      .sell(wft.address, AddressZero, tokenAmt, 0, await getDeadline());
+
+    const credit = await wft.getAccountCredit(user0.address);
+    await wft.connect(user0).borrow(user0.address, credit);
+    await usdc.connect(user0).approve(wft.address, credit.div(4));
+    await wft.connect(user0).repay(user0.address, credit.div(4));
+
+    await router.connect(user2).createContent(wft.address, "ipfs://content");
+    const price = await content.getNextPrice(1);
+    await usdc.connect(user1).approve(router.address, price);
+    await router.connect(user1).curateContent(wft.address, 1);
+
+    await indexer.sync();
+    const trades = indexer.state.trades[wft.address];
+    expect(trades.map((trade) => trade.side)).to.deep.equal([
+      "buy",
+      "buy",
+      "buy",
+      "sell",
+    ]);
+    expect(trades[3].tokenAmt).to.equal(tokenAmt.toString());
+    expect(trades[1].block).to.be.lessThan(trades[2].block);
+
+    const [curation] = indexer.state.curations[wft.address];
+    expect(curation.tokenId).to.equal("1");
+    expect(curation.account).to.equal(user1.address);
+    expect(curation.price).to.equal(price.toString());
+    await expectMatchesChain();
+  });
+
+  it("Candles add up to the trades at every interval", async function () {
+    console.log("******************************************************");
+    const trades = indexer.state.trades[wft.address];
+    const volume = trades.reduce((sum, t) => sum + BigInt(t.quoteRaw), 0n);
+
+    for (const [interval, seconds] of Object.entries(INTERVALS)) {
+      const candles = indexer.state.candles[wft.address][interval];
+      let candleVolume = 0n;
+      let count = 0;
+      for (const candle of candles) {
+        expect(candle.t % seconds).to.equal(0);
+        expect(BigInt(candle.low) <= BigInt(candle.open)).to.equal(true);
+        expect(BigInt(candle.high) >= BigInt(candle.close)).to.equal(true);
+        candleVolume += BigInt(candle.volumeQuoteRaw);
+        count += candle.trades;
+      }
+      expect(candleVolume).to.equal(volume);
+      expect(count).to.equal(trades.length);
+      expect(candles[0].open).to.equal(trades[0].price);
+      expect(candles[candles.length - 1].close).to.equal(
+        trades[trades.length - 1].price
+      );
+    }
+    // The two buys two minutes apart fall in different minute candles.
+    expect(indexer.state.candles[wft.address]["1m"].length).to.be.gt(1);
+  });
+
+  it("Rewinds the confirmation window on a reorg", async function () {
+    console.log("******************************************************");
+    const snapshot = await network.provider.send("evm_snapshot");
+    const tradesBefore = indexer.state.trades[wft.address].length;
+
+    await buy(user1, "100");
+    await indexer.sync();
+    expect(indexer.state.trades[wft.address].length).to.equal(tradesBefore + 1);
+    expect(indexer.state.trades[wft.address][tradesBefore].account).to.equal(
+      user1.address
+    );
+
+    // Replace the last blocks with a longer, different history.
+    await network.provider.send("evm_revert", [snapshot]);
+    await buy(user2, "100");
+    await network.provider.send("evm_mine");
+
+    await indexer.sync();
+    const trades = indexer.state.trades[wft.address];
+    expect(trades.length).to.equal(tradesBefore + 1);
+    expect(trades[tradesBefore].account).to.equal(user2.address);
+    await expectMatchesChain();
+  });
+
+  it("Finalizes blocks past the confirmation window", async function () {
+    console.log("******************************************************");
+    for (let i = 0; i < 4; i++) await network.provider.send("evm_mine");
+    await indexer.sync();
+
+    const { store } = indexer;
+    expect(store.finalizedBlock).to.equal(store.lastBlock - 3);
+    expect(Object.keys(store.blockHashes).map(Number)).to.deep.equal([
+      store.lastBlock - 2,
+      store.lastBlock - 1,
+      store.lastBlock,
+    ]);
+    expect(store.pending.length).to.equal(0);
+    expect(store.finalized).to.deep.equal(store.state);
+  });
+
+  it("Resumes from a saved store and picks up new tokens", async function () {
+    console.log("******************************************************");
+    const storePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")),
+      "store.json"
+    );
+    saveStore(storePath, indexer.store);
+
+    await router
+      .connect(user2)
+      .createToken("wft2", "wft2", "", usdc.address, launchParams());
+    const wft2 = await tokenFactory.lastToken();
+
+    const store = loadStore(storePath, {
+      chainId,
+      wavefront: wavefront.address,
+      startBlock,
+    });
+    const resumed = new Indexer(ethers.provider, store, {
+      storePath,
+      confirmations: 3,
+    });
+    await resumed.sync();
+    expect(resumed.state.tokens[wft2].symbol).to.equal("wft2");
+    expect(resumed.state.trades[wft.address]).to.deep.equal(
+      indexer.state.trades[wft.address]
+    );
+    expect(JSON.parse(fs.readFileSync(storePath, "utf8")).lastBlock).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+
+    let error;
+    try {
+      loadStore(storePath, { chainId, wavefront: router.address, startBlock });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("indexes");
+  });
+});
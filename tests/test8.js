@@ -0,0 +1,447 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 4);
+const LENGTH = Number(process.env.FUZZ_LENGTH || 250);
+const SHRINK_TRIALS = Number(process.env.FUZZ_SHRINK_TRIALS || 300);
+const ACCOUNTS = 8;
+
+let owner, users;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, router;
+let baseline;
+
+// mulberry32, deterministic so a failing seed can be replayed.
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/*===================================================================*/
+/*===========================  ACTIONS  =============================*/
+
+// Amounts that depend on state (a share of a balance, credit or debt) are
+// kept as a share in permille and resolved when the action runs, so a
+// sequence stays meaningful after shrinking removes earlier actions. 1001
+// means one more than all of it, to exercise the revert paths.
+const applyShare = (amount, share) =>
+  share > 1000 ? amount + 1n : (amount * BigInt(share)) / 1000n;
+
+function randomShare(rand) {
+  const roll = rand();
+  if (roll < 0.05) return 1001;
+  if (roll < 0.15) return 1000;
+  return Math.floor(rand() * 1000);
+}
+
+// Log-uniform amount between 1 and 10**digits.
+const randomAmount = (rand, digits) =>
+  BigInt(Math.floor(10 ** (rand() * digits))) + 1n;
+
+const user = (index) => ({ user: index });
+const big = async (p) => (await p).toBigInt();
+
+const ACTIONS = {
+  buy: {
+    generate: (rand) => ({
+      amount: randomAmount(rand, 10),
+      provider: rand() < 0.3 ? Math.floor(rand() * ACCOUNTS) : null,
+    }),
+    resolve: async ({ account, amount, provider }) => [
+      "buy",
+      [
+        amount,
+        0,
+        0,
+        user(account),
+        provider === null ? AddressZero : user(provider),
+      ],
+    ],
+  },
+  sell: {
+    generate: (rand) => ({
+      share: randomShare(rand),
+      provider: rand() < 0.3 ? Math.floor(rand() * ACCOUNTS) : null,
+    }),
+    resolve: async ({ account, share, provider }) => {
+      const transferrable = await big(
+        wft.getAccountTransferrable(users[account].address)
+      );
+      return [
+        "sell",
+        [
+          applyShare(transferrable, share),
+          0,
+          0,
+          user(account),
+          provider === null ? AddressZero : user(provider),
+        ],
+      ];
+    },
+  },
+  borrow: {
+    generate: (rand) => ({ share: randomShare(rand) }),
+    resolve: async ({ account, share }) => {
+      const credit = await big(wft.getAccountCredit(users[account].address));
+      return ["borrow", [user(account), applyShare(credit, share)]];
+    },
+  },
+  repay: {
+    generate: (rand) => ({ share: randomShare(rand) }),
+    resolve: async ({ account, share }) => {
+      const debt = await big(wft.account_DebtRaw(users[account].address));
+      return ["repay", [user(account), applyShare(debt, share)]];
+    },
+  },
+  heal: {
+    generate: (rand) => ({ amount: randomAmount(rand, 8) }),
+    resolve: async ({ amount }) => ["heal", [amount]],
+  },
+  burn: {
+    generate: (rand) => ({ share: randomShare(rand) }),
+    resolve: async ({ account, share }) => {
+      const balance = await big(wft.balanceOf(users[account].address));
+      return ["burn", [applyShare(balance, share) / 10n]];
+    },
+  },
+  transfer: {
+    generate: (rand) => ({
+      share: randomShare(rand),
+      to: Math.floor(rand() * ACCOUNTS),
+    }),
+    resolve: async ({ account, share, to }) => {
+      const balance = await big(wft.balanceOf(users[account].address));
+      return ["transfer", [user(to), applyShare(balance, share)]];
+    },
+  },
+};
+
+function randomSequence(rand, length) {
+  const names = Object.keys(ACTIONS);
+  const actions = [];
+  for (let i = 0; i < length; i++) {
+    const name = names[Math.floor(rand() * names.length)];
+    actions.push({
+      name,
+      account: Math.floor(rand() * ACCOUNTS),
+      ...ACTIONS[name].generate(rand),
+    });
+  }
+  return actions;
+}
+
+const toArg = (arg) =>
+  arg && arg.user !== undefined ? users[arg.user].address : arg;
+
+function formatCall({ account, method, args, reverted }) {
+  const formatted = args.map((arg) => {
+    if (arg && arg.user !== undefined) return `users[${arg.user}].address`;
+    if (arg === AddressZero) return "AddressZero";
+    return typeof arg === "bigint" ? `${arg}n` : String(arg);
+  });
+  const call = `await wft.connect(users[${account}]).${method}(${formatted.join(
+    ", "
+  )});`;
+  return reverted ? `// reverts: ${call}` : call;
+}
+
+/*===========================  END ACTIONS  =========================*/
+/*===================================================================*/
+
+/*===================================================================*/
+/*===========================  INVARIANTS  ==========================*/
+
+// Each invariant gets the state read after an action and the state read
+// after the previous one, and returns a message when it does not hold.
+const INVARIANTS = {
+  quoteBacked: (state) =>
+    state.quoteBalance < state.reserveRealQuoteRaw - state.totalDebtRaw
+      ? `quote balance ${state.quoteBalance} < reserveRealQuote ` +
+        `${state.reserveRealQuoteRaw} - totalDebt ${state.totalDebtRaw}`
+      : null,
+
+  supplyBounded: (state) =>
+    state.reserveTokenAmt + state.totalSupply > state.maxSupply
+      ? `reserveToken ${state.reserveTokenAmt} + totalSupply ` +
+        `${state.totalSupply} > maxSupply ${state.maxSupply}`
+      : null,
+
+  floorNonDecreasing: (state, prev) =>
+    state.floorPrice < prev.floorPrice
+      ? `floor price fell from ${prev.floorPrice} to ${state.floorPrice}`
+      : null,
+
+  debtorsCanRepay: (state) => {
+    for (const [account, error] of Object.entries(state.repayErrors)) {
+      if (error) return `users[${account}] cannot repay: ${error}`;
+    }
+    return null;
+  },
+};
+
+async function readState(debtors) {
+  const state = {
+    quoteBalance: await big(usdc.balanceOf(wft.address)),
+    reserveRealQuoteRaw: await big(
+      wft.wadToRaw(await wft.reserveRealQuoteWad())
+    ),
+    totalDebtRaw: await big(wft.totalDebtRaw()),
+    reserveTokenAmt: await big(wft.reserveTokenAmt()),
+    totalSupply: await big(wft.totalSupply()),
+    maxSupply: await big(wft.maxSupply()),
+    floorPrice: await big(wft.getFloorPrice()),
+    repayErrors: {},
+  };
+  if (state.totalDebtRaw === 0n) return state;
+  for (const account of debtors) {
+    const debtor = users[account];
+    const debt = await wft.account_DebtRaw(debtor.address);
+    if (debt.isZero()) continue;
+    try {
+      await wft.connect(debtor).callStatic.repay(debtor.address, debt);
+      state.repayErrors[account] = null;
+    } catch (e) {
+      state.repayErrors[account] = e.message;
+    }
+  }
+  return state;
+}
+
+/*===========================  END INVARIANTS  ======================*/
+/*===================================================================*/
+
+/*===================================================================*/
+/*===========================  RUNNER  ==============================*/
+
+// Every sequence starts from the same freshly opened market.
+async function resetChain() {
+  await network.provider.send("evm_revert", [baseline]);
+  baseline = await network.provider.send("evm_snapshot");
+}
+
+/**
+ * Replays `actions` from the baseline, checking `invariants` after each.
+ * Stops at the first violation, which is returned with the concrete calls
+ * made up to it. `only` restricts the check to one invariant, so shrinking
+ * cannot wander off to a different failure.
+ */
+async function runSequence(actions, invariants, only) {
+  await resetChain();
+  const debtors = new Set();
+  const calls = [];
+  let prev = await readState(debtors);
+
+  for (let step = 0; step < actions.length; step++) {
+    const action = actions[step];
+    const [method, args] = await ACTIONS[action.name].resolve(action);
+    const call = { account: action.account, method, args, reverted: false };
+    try {
+      await (
+        await wft.connect(users[action.account])[method](...args.map(toArg))
+      ).wait();
+    } catch (e) {
+      call.reverted = true;
+    }
+    calls.push(call);
+    if (method === "borrow") debtors.add(action.account);
+
+    const state = await readState(debtors);
+    for (const [name, invariant] of Object.entries(invariants)) {
+      if (only && name !== only) continue;
+      const message = invariant(state, prev);
+      if (message) return { step, invariant: name, message, calls };
+    }
+    prev = state;
+  }
+  return null;
+}
+
+// Simpler stand-ins for an action's parameters, tried in order.
+function simplifications(action) {
+  const candidates = [];
+  if (action.amount !== undefined && action.amount > 1n) {
+    candidates.push({ ...action, amount: 1n });
+    candidates.push({ ...action, amount: action.amount / 2n });
+  }
+  if (action.share !== undefined && action.share !== 1000) {
+    candidates.push({ ...action, share: 1000 });
+    if (action.share > 1) {
+      candidates.push({ ...action, share: Math.floor(action.share / 2) });
+    }
+  }
+  if (action.provider !== undefined && action.provider !== null) {
+    candidates.push({ ...action, provider: null });
+  }
+  return candidates;
+}
+
+/**
+ * Shrinks a failing sequence by dropping ever smaller chunks of actions and
+ * then simplifying the parameters of those left, keeping any candidate that
+ * still breaks the same invariant.
+ */
+async function shrink(actions, failure, invariants) {
+  let current = actions.slice(0, failure.step + 1);
+  let best = failure;
+  let trials = 0;
+
+  const attempt = async (candidate) => {
+    if (trials++ >= SHRINK_TRIALS) return false;
+    const result = await runSequence(candidate, invariants, failure.invariant);
+    if (!result) return false;
+    current = candidate.slice(0, result.step + 1);
+    best = result;
+    return true;
+  };
+
+  for (let chunk = Math.ceil(current.length / 2); chunk >= 1; ) {
+    let removed = false;
+    for (let i = 0; i < current.length && trials < SHRINK_TRIALS; ) {
+      const candidate = [...current.slice(0, i), ...current.slice(i + chunk)];
+      if (candidate.length > 0 && (await attempt(candidate))) removed = true;
+      else i += chunk;
+    }
+    if (!removed) chunk = Math.floor(chunk / 2);
+    if (trials >= SHRINK_TRIALS) break;
+  }
+
+  for (let i = 0; i < current.length; i++) {
+    for (const simpler of simplifications(current[i])) {
+      const candidate = [...current];
+      candidate[i] = simpler;
+      if (await attempt(candidate)) break;
+    }
+  }
+
+  return { actions: current, failure: best, trials };
+}
+
+function formatFailure(seed, run, length, shrunk) {
+  const { failure, actions } = shrunk;
+  return [
+    `Invariant ${failure.invariant} broken: ${failure.message}`,
+    `Found by FUZZ_SEED=${seed} run ${run}, shrunk from ${length} to ` +
+      `${actions.length} actions in ${shrunk.trials} trials.`,
+    "Reproduce from the test8 set up with:",
+    ...failure.calls.map((call) => `  ${formatCall(call)}`),
+  ].join("\n");
+}
+
+async function fuzz(seed, runs, length, invariants) {
+  const rand = prng(seed);
+  for (let run = 0; run < runs; run++) {
+    const actions = randomSequence(rand, length);
+    const failure = await runSequence(actions, invariants);
+    if (failure) {
+      const shrunk = await shrink(actions, failure, invariants);
+      return { run, shrunk, report: formatFailure(seed, run, length, shrunk) };
+    }
+  }
+  return null;
+}
+
+/*===========================  END RUNNER  ==========================*/
+/*===================================================================*/
+
+describe("local: test8", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    users = signers.slice(1, ACCOUNTS + 1);
+
+    const usdcArtifact = await ethers.getContractFactory("USDC");
+    usdc = await usdcArtifact.deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    await router
+      .connect(users[0])
+      .createToken("wft", "wft", "", usdc.address, launchParams());
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+
+    for (const user of users) {
+      await usdc.mint(user.address, convert("1000000000", 6));
+      await usdc
+        .connect(user)
+        .approve(wft.address, ethers.constants.MaxUint256);
+    }
+
+    await usdc.connect(users[0]).approve(router.address, convert("1000", 6));
+    await router.connect(users[0]).contribute(wft.address, convert("1000", 6));
+    await network.provider.send("evm_increaseTime", [7200]);
+    await network.provider.send("evm_mine");
+    await router.connect(users[0]).redeem(wft.address);
+
+    baseline = await network.provider.send("evm_snapshot");
+    console.log("- Market opened, seed:", SEED);
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it(`Invariants hold over random sequences (${RUNS} x ${LENGTH} actions)`, async function () {
+    console.log("******************************************************");
+    const result = await fuzz(SEED, RUNS, LENGTH, INVARIANTS);
+    if (result) console.log(result.report);
+    expect(result, result && result.report).to.equal(null);
+  });
+
+  it("Shrinks a failing sequence to a reproducible script", async function () {
+    console.log("******************************************************");
+    // A deliberately false invariant: any successful borrow breaks it.
+    const planted = {
+      noDebt: (state) =>
+        state.totalDebtRaw > 0n ? `totalDebt ${state.totalDebtRaw}` : null,
+    };
+    const result = await fuzz(SEED, 10, 40, planted);
+    expect(result).to.not.equal(null);
+    console.log(result.report);
+
+    // users[0] holds the sale tokens, so one borrow is enough.
+    const { actions, failure } = result.shrunk;
+    expect(actions.length).to.be.at.most(2);
+    expect(actions[actions.length - 1].name).to.equal("borrow");
+    expect(failure.invariant).to.equal("noDebt");
+    expect(result.report).to.contain(".borrow(");
+
+    // Replaying the shrunk sequence breaks the invariant at the same step.
+    const replay = await runSequence(actions, planted);
+    expect(replay.step).to.equal(actions.length - 1);
+  });
+});
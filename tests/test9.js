@@ -0,0 +1,365 @@
+const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { queueAndExecute } = require("./helpers/system");
+
+const { WaveFrontClient } = require("../sdk/WaveFrontClient");
+const { TokenSimulator } = require("../sdk/TokenSimulator");
+const { launchParams } = require("../sdk/launchParams");
+
+const AddressZero = "0x0000000000000000000000000000000000000000";
+
+let owner, user0, user1, user2;
+let usdc, wft;
+let tokenFactory, saleFactory, contentFactory, rewarderFactory;
+let wavefront, multicall, router;
+
+const minParams = {
+  initialSupply: convert("1000000", 18),
+  reserveVirtQuoteRaw: convert("1000", 6),
+  fee: 0,
+  feeSplit: 0,
+  saleDuration: 600,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+const maxParams = {
+  initialSupply: convert("1000000000000", 18),
+  reserveVirtQuoteRaw: convert("10000000", 6),
+  fee: 1000,
+  feeSplit: 3333,
+  saleDuration: 7 * 86400,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+const customParams = {
+  initialSupply: convert("21000000", 18),
+  reserveVirtQuoteRaw: convert("5000", 6),
+  fee: 300,
+  feeSplit: 2000,
+  saleDuration: 3600,
+  borrowRate: 0,
+  saleSoftCapRaw: 0,
+  saleHardCapRaw: 0,
+  saleWalletCapRaw: 0,
+  presaleDuration: 0,
+  presaleRoot: ethers.constants.HashZero,
+  vestingCliff: 0,
+  vestingDuration: 0,
+  curationMode: 0,
+  curationStep: 1000,
+  curationTaxRate: 1000,
+  curationDecay: 86400,
+  curationCreatorShare: 3333,
+  curationHealShare: 3333,
+};
+
+async function expectRevert(promise, error) {
+  let message = "";
+  try {
+    await promise;
+  } catch (e) {
+    message = e.message;
+  }
+  const selector = ethers.utils.id(`${error}()`).slice(0, 10);
+  expect(message.includes(error) || message.includes(selector)).to.equal(
+    true,
+    message
+  );
+}
+
+describe("local: test9", function () {
+  before("Initial set up", async function () {
+    console.log("Begin Initialization");
+
+    [owner, user0, user1, user2] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("USDC");
+    usdc = await usdcArtifact.deploy();
+    tokenFactory = await (
+      await ethers.getContractFactory("TokenFactory")
+    ).deploy();
+    saleFactory = await (
+      await ethers.getContractFactory("SaleFactory")
+    ).deploy();
+    contentFactory = await (
+      await ethers.getContractFactory("ContentFactory")
+    ).deploy();
+    rewarderFactory = await (
+      await ethers.getContractFactory("RewarderFactory")
+    ).deploy();
+    wavefront = await (
+      await ethers.getContractFactory("WaveFront")
+    ).deploy(
+      usdc.address,
+      tokenFactory.address,
+      saleFactory.address,
+      contentFactory.address,
+      rewarderFactory.address
+    );
+    multicall = await (
+      await ethers.getContractFactory("WaveFrontMulticall")
+    ).deploy(wavefront.address);
+    router = await (
+      await ethers.getContractFactory("WaveFrontRouter")
+    ).deploy(wavefront.address);
+
+    for (const user of [user0, user1, user2]) {
+      await usdc.mint(user.address, convert("100000", 6));
+      await usdc
+        .connect(user)
+        .approve(router.address, ethers.constants.MaxUint256);
+    }
+    console.log("- System set up");
+
+    console.log("Initialization Complete");
+    console.log();
+  });
+
+  it("Bounds start at the previous constants", async function () {
+    console.log("******************************************************");
+    const defaults = launchParams({
+      reserveVirtQuoteRaw: convert("100000", 6),
+      curationCreatorShare: 0,
+      curationHealShare: 0,
+    });
+    // Sale caps, presales, vesting, the curation mode and its split are left
+    // to the creator.
+    const maxDefaults = {
+      ...defaults,
+      curationCreatorShare: 5000,
+      curationHealShare: 5000,
+      saleSoftCapRaw: ethers.constants.MaxUint256,
+      saleHardCapRaw: ethers.constants.MaxUint256,
+      saleWalletCapRaw: ethers.constants.MaxUint256,
+      presaleDuration: ethers.constants.MaxUint256,
+      vestingCliff: ethers.constants.MaxUint256,
+      vestingDuration: ethers.constants.MaxUint256,
+      curationMode: 2,
+    };
+    for (const [bounds, expected] of [
+      [await wavefront.quote_MinParams(usdc.address), defaults],
+      [await wavefront.quote_MaxParams(usdc.address), maxDefaults],
+    ]) {
+      for (const key of Object.keys(expected)) {
+        expect(bounds[key]).to.equal(expected[key]);
+      }
+    }
+
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, defaults);
+    const token = await ethers.getContractAt(
+      "Token",
+      await tokenFactory.lastToken()
+    );
+    expect(await token.fee()).to.equal(100);
+    expect(await token.feeSplit()).to.equal(1500);
+
+    await expectRevert(
+      router
+        .connect(user0)
+        .createToken(
+          "wft",
+          "wft",
+          "",
+          usdc.address,
+          launchParams({ fee: 200 })
+        ),
+      "WaveFront__InvalidLaunchParams"
+    );
+  });
+
+  it("Only the owner sets valid bounds", async function () {
+    console.log("******************************************************");
+    const setBounds = (min, max) =>
+      queueAndExecute(wavefront, [
+        ["setQuote", [usdc.address, convert("100000", 6), min, max]],
+      ]);
+    await expectRevert(
+      wavefront.setQuote(
+        usdc.address,
+        convert("100000", 6),
+        minParams,
+        maxParams
+      ),
+      "ActionQueue__NotQueued"
+    );
+    await expectRevert(
+      wavefront
+        .connect(user0)
+        .queue(
+          wavefront.interface.encodeFunctionData("setQuote", [
+            usdc.address,
+            convert("100000", 6),
+            minParams,
+            maxParams,
+          ])
+        ),
+      "Ownable: caller is not the owner"
+    );
+    await expectRevert(
+      setBounds(maxParams, minParams),
+      "WaveFront__InvalidLaunchBounds"
+    );
+    await expectRevert(
+      setBounds(minParams, { ...maxParams, fee: 1001 }),
+      "WaveFront__InvalidLaunchBounds"
+    );
+    await expectRevert(
+      setBounds(minParams, { ...maxParams, feeSplit: 3334 }),
+      "WaveFront__InvalidLaunchBounds"
+    );
+    await expectRevert(
+      setBounds({ ...minParams, saleDuration: 0 }, maxParams),
+      "WaveFront__InvalidLaunchBounds"
+    );
+
+    await expect(setBounds(minParams, maxParams)).to.emit(
+      wavefront,
+      "WaveFront__QuoteSet"
+    );
+    expect((await wavefront.quote_MaxParams(usdc.address)).fee).to.equal(1000);
+  });
+
+  it("Rejects params outside the bounds", async function () {
+    console.log("******************************************************");
+    for (const [key, value] of [
+      ["initialSupply", convert("999999", 18)],
+      ["reserveVirtQuoteRaw", convert("10000001", 6)],
+      ["fee", 1001],
+      ["feeSplit", 3334],
+      ["saleDuration", 599],
+    ]) {
+      await expectRevert(
+        router.connect(user0).createToken("wft", "wft", "", usdc.address, {
+          ...customParams,
+          [key]: value,
+        }),
+        "WaveFront__InvalidLaunchParams"
+      );
+    }
+  });
+
+  it("Stores custom params on the token and sale", async function () {
+    console.log("******************************************************");
+    await router
+      .connect(user0)
+      .createToken("wft", "wft", "", usdc.address, customParams);
+    wft = await ethers.getContractAt("Token", await tokenFactory.lastToken());
+    const sale = await ethers.getContractAt("Sale", await wft.sale());
+
+    expect(await wft.initialSupply()).to.equal(customParams.initialSupply);
+    expect(await wft.maxSupply()).to.equal(customParams.initialSupply);
+    expect(await wft.initialVirtQuoteRaw()).to.equal(
+      customParams.reserveVirtQuoteRaw
+    );
+    expect(await wft.reserveVirtQuoteWad()).to.equal(convert("5000", 18));
+    expect(await wft.fee()).to.equal(300);
+    expect(await wft.feeSplit()).to.equal(2000);
+    expect(await wft.saleDuration()).to.equal(3600);
+    expect(await sale.duration()).to.equal(3600);
+
+    const data = await multicall.getData(wft.address, AddressZero);
+    for (const key of Object.keys(customParams)) {
+      expect(data.launchParams[key]).to.equal(customParams[key]);
+    }
+  });
+
+  it("The contribution window follows saleDuration", async function () {
+    console.log("******************************************************");
+    await router.connect(user0).contribute(wft.address, convert("100", 6));
+    await network.provider.send("evm_increaseTime", [3601]);
+    await network.provider.send("evm_mine");
+    await expectRevert(
+      router.connect(user1).contribute(wft.address, convert("100", 6)),
+      "Sale__Closed"
+    );
+    await router.connect(user0).redeem(wft.address);
+    expect(await wft.open()).to.equal(true);
+  });
+
+  it("Swaps charge the token's fee and split", async function () {
+    console.log("******************************************************");
+    const amount = convert("1000", 6);
+    const quoted = await multicall.buyQuoteIn(wft.address, amount, 10000);
+    const sim = await TokenSimulator.fromToken(wft, [user1.address]);
+    const expected = sim.buy(
+      router.address,
+      amount.toBigInt(),
+      0n,
+      user1.address,
+      user2.address
+    );
+
+    const balance = await usdc.balanceOf(user2.address);
+    await router.connect(user1).buy(wft.address, user2.address, amount, 0, 0);
+
+    const tokenAmt = await wft.balanceOf(user1.address);
+    expect(tokenAmt).to.equal(expected);
+    expect(tokenAmt).to.equal(quoted.tokenAmtOut);
+    // 3% fee, 20% of it to the affiliate.
+    expect((await usdc.balanceOf(user2.address)).sub(balance)).to.equal(
+      convert("6", 6)
+    );
+    expect(await wft.reserveRealQuoteWad()).to.equal(sim.reserveRealQuoteWad);
+    expect(await wft.reserveVirtQuoteWad()).to.equal(sim.reserveVirtQuoteWad);
+  });
+
+  it("SDK checks the bounds before sending", async function () {
+    console.log("******************************************************");
+    const client = new WaveFrontClient(user0, {
+      wavefront: wavefront.address,
+      multicall: multicall.address,
+      router: router.address,
+    });
+    let error;
+    try {
+      await client.createToken({
+        name: "wft",
+        symbol: "wft",
+        params: { fee: 5000, saleDuration: 60 },
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      "Launch params out of bounds: fee, saleDuration"
+    );
+
+    const { token } = await client.createToken({
+      name: "wft",
+      symbol: "wft",
+      params: { fee: 0 },
+    });
+    const data = await client.getTokenData(token);
+    expect(data.launchParams.fee).to.equal(0);
+    expect(data.launchParams.initialSupply).to.equal(
+      launchParams().initialSupply
+    );
+  });
+});